@@ -0,0 +1,730 @@
+// this is alert-rules.js
+// alert-rules.js - Per-user water quality alert rules
+// Shared by the dashboard runtime (every sensor:update) and api/alerts/evaluate.js (server sampler),
+// so both open and resolve the same alerts at the same moment.
+//
+// Rule: users/{uid}/alertRules/{ruleId}
+//   { type, metric (sensor id), comparator, threshold, minDurationMinutes, hysteresis, severity, deviceId|null, enabled }
+//   deviceId null = every device of the user
+// Types (the rule compares a signal with its threshold):
+//   threshold  the reading itself
+//   slope      change over the last windowMinutes (least-squares fit of the readings)       + direction
+//   drift      change over the last `hours` hourly averages, only while every step goes one way + direction
+//   yesterday  reading minus the same hour's average yesterday                              + direction
+//   Trend types compare the change in `direction` (rise / drop / either) with a positive threshold ('gte').
+//   drift and yesterday read hourlyRecords, which only hold the primary device.
+// State: users/{uid}/alertState/{ruleId}_{deviceId} - debounce bookkeeping between readings
+//   { breachSince, recoverSince, alertId }
+// An alert opens once the rule has been breached for minDurationMinutes and resolves once the signal
+// has been back (past threshold ± hysteresis) for minDurationMinutes as well.
+//
+// Alert lifecycle: open -> acknowledged -> resolved (an open alert may also resolve unacknowledged)
+// Escalation (users/{uid}.alertEscalation, the farm's policy) runs while an alert stays open:
+//   level 0 workers   pinged on their email / SMS at once, again every repeatMinutes, with an acknowledge link
+//   level 1 owner     notified ownerAfterMinutes after the alert opened
+//   level 2 admin     every admin notified adminAfterMinutes after it opened
+//   Whoever acknowledges first stops every further ping.
+// Audit trail: users/{uid}/alerts/{alertId}/events/{eventId} - { action, at, by, byName, via, level, detail }
+//   action: opened | workers_pinged | escalated | acknowledged | resolved (written once, never edited)
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        // Node (api/alerts/evaluate.js)
+        module.exports = factory(require('./sensor-catalog'), require('./timezone'));
+    } else {
+        // Browser: dashboard.js imports sensor-catalog.js and timezone.js first, then this file
+        root.AquaSenseAlertRules = factory(root.AquaSenseSensorCatalog, root.AquaSenseTimezone);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (catalog, timezone) {
+    'use strict';
+
+    const { SENSORS, getSensor, toNumber, formatReading, unitSuffix, statsFromHourly } = catalog;
+
+    const RULE_TYPES = {
+        threshold: { label: 'Threshold' },
+        slope: { label: 'Rate of change' },
+        drift: { label: 'Sustained drift' },
+        yesterday: { label: 'Versus same hour yesterday' }
+    };
+
+    const DIRECTIONS = {
+        rise: { label: 'rises' },
+        drop: { label: 'drops' },
+        either: { label: 'changes' }
+    };
+
+    const COMPARATORS = {
+        gt: { symbol: '>', label: 'above' },
+        gte: { symbol: '≥', label: 'at or above' },
+        lt: { symbol: '<', label: 'below' },
+        lte: { symbol: '≤', label: 'at or below' }
+    };
+
+    const SEVERITIES = ['info', 'warning', 'critical'];
+
+    const DEFAULT_MIN_DURATION_MINUTES = 5;
+
+    const ESCALATION_LEVELS = [
+        { id: 'workers', label: 'Farm workers' },
+        { id: 'owner', label: 'Farm owner' },
+        { id: 'admin', label: 'Admins' }
+    ];
+
+    // Escalation policy of a farm without one (off)
+    const DEFAULT_ESCALATION = {
+        enabled: false,
+        minSeverity: 'critical',
+        workers: [],
+        repeatMinutes: 5,
+        ownerAfterMinutes: 10,
+        adminAfterMinutes: 30
+    };
+
+    const MAX_ESCALATION_WORKERS = 10;
+    const WORKER_CHANNELS = ['email', 'sms'];
+
+    // Longest debounce a rule may ask for (a day)
+    const MAX_MIN_DURATION_MINUTES = 24 * 60;
+
+    const DEFAULT_SLOPE_WINDOW_MINUTES = 60;
+    // Longest slope window (the dashboard keeps this much reading history per device)
+    const MAX_SLOPE_WINDOW_MINUTES = 6 * 60;
+    // A slope needs this many readings spread over at least half the window
+    const MIN_SLOPE_POINTS = 3;
+
+    const DEFAULT_DRIFT_HOURS = 4;
+    const MIN_DRIFT_HOURS = 2;
+    const MAX_DRIFT_HOURS = 24;
+
+    function isTrendType(type) {
+        return type === 'slope' || type === 'drift' || type === 'yesterday';
+    }
+
+    // drift and yesterday rules work on hourlyRecords (primary device only)
+    function needsHourlyRecords(rule) {
+        return rule.type === 'drift' || rule.type === 'yesterday';
+    }
+
+    function compare(comparator, value, threshold) {
+        switch (comparator) {
+            case 'gt': return value > threshold;
+            case 'gte': return value >= threshold;
+            case 'lt': return value < threshold;
+            case 'lte': return value <= threshold;
+            default: return false;
+        }
+    }
+
+    // Firestore doc -> rule with defaults filled in, or null when it can never fire
+    function normalizeRule(id, data) {
+        const source = data || {};
+        const type = RULE_TYPES[source.type] ? source.type : 'threshold';
+        const trend = isTrendType(type);
+        const threshold = toNumber(source.threshold);
+        if (!getSensor(source.metric) || threshold === null) {
+            return null;
+        }
+        if (trend ? threshold <= 0 : !COMPARATORS[source.comparator]) {
+            return null;
+        }
+        const minDuration = toNumber(source.minDurationMinutes);
+        const hysteresis = toNumber(source.hysteresis);
+        const windowMinutes = toNumber(source.windowMinutes);
+        const hours = toNumber(source.hours);
+        return {
+            id: id,
+            type: type,
+            metric: source.metric,
+            comparator: trend ? 'gte' : source.comparator,
+            direction: trend ? (DIRECTIONS[source.direction] ? source.direction : 'either') : null,
+            windowMinutes: type === 'slope'
+                ? Math.min(windowMinutes && windowMinutes > 0 ? windowMinutes : DEFAULT_SLOPE_WINDOW_MINUTES, MAX_SLOPE_WINDOW_MINUTES)
+                : null,
+            hours: type === 'drift'
+                ? Math.min(Math.max(hours ? Math.round(hours) : DEFAULT_DRIFT_HOURS, MIN_DRIFT_HOURS), MAX_DRIFT_HOURS)
+                : null,
+            threshold: threshold,
+            minDurationMinutes: minDuration !== null && minDuration >= 0
+                ? Math.min(minDuration, MAX_MIN_DURATION_MINUTES)
+                : DEFAULT_MIN_DURATION_MINUTES,
+            hysteresis: hysteresis !== null && hysteresis > 0 ? hysteresis : 0,
+            severity: SEVERITIES.includes(source.severity) ? source.severity : 'warning',
+            deviceId: source.deviceId || null,
+            enabled: source.enabled !== false
+        };
+    }
+
+    // Check form input before saving; returns a list of problems (empty = valid)
+    function validateRule(data) {
+        const problems = [];
+        const source = data || {};
+        const type = source.type || 'threshold';
+        if (!RULE_TYPES[type]) problems.push('Choose a rule type');
+        if (!getSensor(source.metric)) problems.push('Choose a sensor');
+        if (isTrendType(type)) {
+            if (!DIRECTIONS[source.direction]) problems.push('Choose a direction');
+            const threshold = toNumber(source.threshold);
+            if (threshold === null || threshold <= 0) problems.push('Change must be a number above 0');
+        } else {
+            if (!COMPARATORS[source.comparator]) problems.push('Choose a comparison');
+            if (toNumber(source.threshold) === null) problems.push('Threshold must be a number');
+        }
+        if (type === 'slope') {
+            const windowMinutes = toNumber(source.windowMinutes);
+            if (windowMinutes === null || windowMinutes < 5 || windowMinutes > MAX_SLOPE_WINDOW_MINUTES) {
+                problems.push(`Window must be between 5 and ${MAX_SLOPE_WINDOW_MINUTES} minutes`);
+            }
+        }
+        if (type === 'drift') {
+            const hours = toNumber(source.hours);
+            if (hours === null || hours < MIN_DRIFT_HOURS || hours > MAX_DRIFT_HOURS) {
+                problems.push(`Drift must span ${MIN_DRIFT_HOURS} to ${MAX_DRIFT_HOURS} hours`);
+            }
+        }
+        const minDuration = toNumber(source.minDurationMinutes);
+        if (minDuration === null || minDuration < 0 || minDuration > MAX_MIN_DURATION_MINUTES) {
+            problems.push(`Duration must be between 0 and ${MAX_MIN_DURATION_MINUTES} minutes`);
+        }
+        const hysteresis = toNumber(source.hysteresis);
+        if (source.hysteresis !== undefined && source.hysteresis !== null && source.hysteresis !== '' && (hysteresis === null || hysteresis < 0)) {
+            problems.push('Recovery margin must be zero or more');
+        }
+        if (source.severity !== undefined && !SEVERITIES.includes(source.severity)) problems.push('Choose a severity');
+        return problems;
+    }
+
+    function appliesTo(rule, deviceId) {
+        return rule.enabled && (!rule.deviceId || rule.deviceId === deviceId);
+    }
+
+    function isBreached(rule, value) {
+        const num = toNumber(value);
+        return num !== null && compare(rule.comparator, num, rule.threshold);
+    }
+
+    // Back on the safe side by at least the hysteresis margin
+    function isRecovered(rule, value) {
+        const num = toNumber(value);
+        if (num === null) return false;
+        const above = rule.comparator === 'gt' || rule.comparator === 'gte';
+        const clearLine = above ? rule.threshold - rule.hysteresis : rule.threshold + rule.hysteresis;
+        return !compare(rule.comparator, num, clearLine);
+    }
+
+    function emptyAlertState() {
+        return { breachSince: null, recoverSince: null, alertId: null };
+    }
+
+    function alertStateId(ruleId, deviceId) {
+        return `${ruleId}_${deviceId}`;
+    }
+
+    // Change over the window ending at tsMs: least-squares slope of the readings x window length
+    // points: [{ ts, value }] of one sensor and device; null when too few readings cover the window
+    function changeOverWindow(points, windowMinutes, tsMs) {
+        const windowMs = windowMinutes * 60 * 1000;
+        const inWindow = (points || []).filter(point => point.ts <= tsMs && point.ts >= tsMs - windowMs && toNumber(point.value) !== null);
+        if (inWindow.length < MIN_SLOPE_POINTS) return null;
+
+        const first = Math.min(...inWindow.map(point => point.ts));
+        const last = Math.max(...inWindow.map(point => point.ts));
+        if (last - first < windowMs / 2) return null;
+
+        const meanTs = inWindow.reduce((sum, point) => sum + point.ts, 0) / inWindow.length;
+        const meanValue = inWindow.reduce((sum, point) => sum + toNumber(point.value), 0) / inWindow.length;
+        let numerator = 0;
+        let denominator = 0;
+        inWindow.forEach(point => {
+            numerator += (point.ts - meanTs) * (toNumber(point.value) - meanValue);
+            denominator += (point.ts - meanTs) * (point.ts - meanTs);
+        });
+        return denominator > 0 ? (numerator / denominator) * windowMs : null;
+    }
+
+    // Hourly averages (oldest first) -> last minus first while every step goes the same way, else 0
+    // null when an hour has no data
+    function driftOverHours(hourMeans) {
+        if (!hourMeans || hourMeans.length < 2 || hourMeans.some(mean => toNumber(mean) === null)) return null;
+        let rising = true;
+        let falling = true;
+        for (let i = 1; i < hourMeans.length; i++) {
+            if (hourMeans[i] < hourMeans[i - 1]) rising = false;
+            if (hourMeans[i] > hourMeans[i - 1]) falling = false;
+        }
+        return rising || falling ? hourMeans[hourMeans.length - 1] - hourMeans[0] : 0;
+    }
+
+    // Longest one-way run in a day's hourly averages (for the daily trend analytics)
+    // -> { hours, change } (hours = hour-to-hour steps in the run)
+    function longestDrift(hourMeans) {
+        let best = { hours: 0, change: 0 };
+        let start = 0;
+        let direction = 0;
+        for (let i = 1; i <= hourMeans.length; i++) {
+            const step = i < hourMeans.length && toNumber(hourMeans[i]) !== null && toNumber(hourMeans[i - 1]) !== null
+                ? Math.sign(hourMeans[i] - hourMeans[i - 1])
+                : null;
+            if (step !== null && (step === 0 || direction === 0 || step === direction)) {
+                if (direction === 0) direction = step;
+                continue;
+            }
+            const hours = i - 1 - start;
+            const change = hours > 0 ? hourMeans[i - 1] - hourMeans[start] : 0;
+            if (hours > best.hours || (hours === best.hours && Math.abs(change) > Math.abs(best.change))) {
+                best = { hours, change };
+            }
+            // A direction change starts the next run at the turning point
+            start = step === null ? i : i - 1;
+            direction = step === null ? 0 : step;
+        }
+        return best;
+    }
+
+    // Hour means of one sensor from hour docs (null where the hour has no reading)
+    function hourMean(sensorId, record) {
+        const stats = statsFromHourly(sensorId, record);
+        return stats.count > 0 ? stats.mean : null;
+    }
+
+    // Value trends of one sensor over a day (sensorAnalytics/daily valueTrends)
+    // today / yesterday: hour ('00'..'23') -> hour doc
+    // -> { maxHourlyChange, driftHours, driftChange, maxYesterdayDivergence } (signed changes, null without data)
+    function dailyValueTrends(sensorId, today, yesterday) {
+        const hours = Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0'));
+        const means = hours.map(hour => (today[hour] ? hourMean(sensorId, today[hour]) : null));
+
+        let maxHourlyChange = null;
+        let maxYesterdayDivergence = null;
+        hours.forEach((hour, index) => {
+            if (index > 0 && means[index] !== null && means[index - 1] !== null) {
+                const change = means[index] - means[index - 1];
+                if (maxHourlyChange === null || Math.abs(change) > Math.abs(maxHourlyChange)) maxHourlyChange = change;
+            }
+            const previous = yesterday && yesterday[hour] ? hourMean(sensorId, yesterday[hour]) : null;
+            if (means[index] !== null && previous !== null) {
+                const divergence = means[index] - previous;
+                if (maxYesterdayDivergence === null || Math.abs(divergence) > Math.abs(maxYesterdayDivergence)) {
+                    maxYesterdayDivergence = divergence;
+                }
+            }
+        });
+
+        const drift = longestDrift(means);
+        return {
+            maxHourlyChange: maxHourlyChange,
+            driftHours: drift.hours,
+            driftChange: drift.hours > 0 ? drift.change : null,
+            maxYesterdayDivergence: maxYesterdayDivergence
+        };
+    }
+
+    // hourlyRecords buckets a drift rule needs at tsMs, oldest first (the current hour included)
+    function driftBuckets(rule, tsMs, timeZone) {
+        const buckets = [];
+        for (let i = rule.hours; i >= 0; i--) {
+            const bucket = timezone.bucketFor(tsMs - i * 60 * 60 * 1000, timeZone);
+            if (!buckets.some(entry => entry.date === bucket.date && entry.hour === bucket.hour)) {
+                buckets.push(bucket);
+            }
+        }
+        return buckets;
+    }
+
+    // hourlyRecords bucket of the same hour yesterday
+    function yesterdayBucket(tsMs, timeZone) {
+        const bucket = timezone.bucketFor(tsMs, timeZone);
+        return { date: timezone.addDays(bucket.date, -1), hour: bucket.hour };
+    }
+
+    // Signed change seen in the rule's direction (positive = towards breaching)
+    function directional(rule, change) {
+        if (rule.direction === 'rise') return change;
+        if (rule.direction === 'drop') return -change;
+        return Math.abs(change);
+    }
+
+    // Signal a rule compares with its threshold
+    // context: { value, points (slope), hourMeans (drift, oldest first), yesterdayMean (yesterday) }
+    // -> { signal, value } (value = reading or signed change, stored on the alert), or null when it can't be computed
+    function ruleSignal(rule, context) {
+        const value = toNumber(context.value);
+        let change = null;
+        switch (rule.type) {
+            case 'threshold':
+                return value === null ? null : { signal: value, value: value };
+            case 'slope':
+                change = changeOverWindow(context.points, rule.windowMinutes, context.tsMs);
+                break;
+            case 'drift':
+                change = driftOverHours(context.hourMeans);
+                break;
+            case 'yesterday': {
+                const yesterdayMean = toNumber(context.yesterdayMean);
+                change = value !== null && yesterdayMean !== null ? value - yesterdayMean : null;
+                break;
+            }
+        }
+        return change === null ? null : { signal: directional(rule, change), value: change };
+    }
+
+    // One reading -> next debounce state
+    //   action 'open'    - breached for minDurationMinutes; the caller creates the alert and stores its id in state.alertId
+    //   action 'resolve' - recovered for minDurationMinutes; the caller resolves state.alertId (the returned state is empty)
+    //   changed          - the state must be written (no write is needed while nothing moves)
+    // Missing values and readings older than the current breach/recovery leave the state untouched.
+    function evaluateRule(rule, state, value, tsMs) {
+        const prev = { ...emptyAlertState(), ...(state || {}) };
+        const unchanged = { state: prev, action: null, changed: false };
+        if (toNumber(value) === null || !Number.isFinite(tsMs)) return unchanged;
+        if ((prev.breachSince !== null && tsMs < prev.breachSince) || (prev.recoverSince !== null && tsMs < prev.recoverSince)) {
+            return unchanged;
+        }
+
+        const durationMs = rule.minDurationMinutes * 60 * 1000;
+
+        if (!prev.alertId) {
+            if (!isBreached(rule, value)) {
+                return prev.breachSince === null
+                    ? unchanged
+                    : { state: emptyAlertState(), action: null, changed: true };
+            }
+            const breachSince = prev.breachSince !== null ? prev.breachSince : tsMs;
+            if (tsMs - breachSince >= durationMs) {
+                return { state: { breachSince, recoverSince: null, alertId: null }, action: 'open', changed: true };
+            }
+            return prev.breachSince === null
+                ? { state: { ...prev, breachSince }, action: null, changed: true }
+                : unchanged;
+        }
+
+        if (!isRecovered(rule, value)) {
+            return prev.recoverSince === null
+                ? unchanged
+                : { state: { ...prev, recoverSince: null }, action: null, changed: true };
+        }
+        const recoverSince = prev.recoverSince !== null ? prev.recoverSince : tsMs;
+        if (tsMs - recoverSince >= durationMs) {
+            return { state: emptyAlertState(), action: 'resolve', changed: true };
+        }
+        return prev.recoverSince === null
+            ? { state: { ...prev, recoverSince }, action: null, changed: true }
+            : unchanged;
+    }
+
+    function formatThreshold(rule) {
+        return `${rule.threshold}${unitSuffix(rule.metric)}`;
+    }
+
+    // "+0.35", "-1.2°C"
+    function formatChange(sensorId, change) {
+        const text = formatReading(sensorId, Math.abs(change), { withUnit: true });
+        return `${change < 0 ? '-' : '+'}${text}`;
+    }
+
+    // What the rule watches, without the duration: "pH below 6.5", "pH drops by 0.5 within 60 min"
+    function ruleCondition(rule) {
+        const sensor = getSensor(rule.metric);
+        const name = sensor ? sensor.label : rule.metric;
+        const direction = rule.direction ? DIRECTIONS[rule.direction].label : '';
+        switch (rule.type) {
+            case 'slope':
+                return `${name} ${direction} by ${formatThreshold(rule)} within ${rule.windowMinutes} min`;
+            case 'drift':
+                return `${name} ${direction} by ${formatThreshold(rule)} steadily over ${rule.hours} hours`;
+            case 'yesterday':
+                return `${name} ${direction} by ${formatThreshold(rule)} from the same hour yesterday`;
+            default:
+                return `${name} ${COMPARATORS[rule.comparator].label} ${formatThreshold(rule)}`;
+        }
+    }
+
+    // "pH below 6.5 for 10 min"
+    function describeRule(rule) {
+        const duration = rule.minDurationMinutes > 0 ? ` for ${rule.minDurationMinutes} min` : '';
+        return `${ruleCondition(rule)}${duration}`;
+    }
+
+    // Notification / alert text (value = reading, or signed change for trend rules)
+    function alertText(rule, value, deviceName) {
+        const sensor = getSensor(rule.metric);
+        const name = sensor ? sensor.label : rule.metric;
+        const severity = rule.severity.charAt(0).toUpperCase() + rule.severity.slice(1);
+        let observed;
+        switch (rule.type) {
+            case 'slope':
+                observed = `changed ${formatChange(rule.metric, value)} within ${rule.windowMinutes} min`;
+                break;
+            case 'drift':
+                observed = `drifted ${formatChange(rule.metric, value)} over ${rule.hours} hours`;
+                break;
+            case 'yesterday':
+                observed = `is ${formatChange(rule.metric, value)} from the same hour yesterday`;
+                break;
+            default:
+                observed = `is ${formatReading(rule.metric, value, { withUnit: true })}`;
+        }
+        return {
+            title: `${severity}: ${ruleCondition(rule)}`,
+            message: `${deviceName}: ${name} ${observed} (rule: ${describeRule(rule)}).`
+        };
+    }
+
+    // users/{uid}/alerts/{alertId} fields of a newly opened alert (the caller adds createdAt)
+    // notifiedAt stays null when the writer may not create notifications; api/alerts/evaluate.js sends those later
+    function newAlertRecord(rule, deviceId, deviceName, value, breachSince, now, notified, source) {
+        const text = alertText(rule, value, deviceName);
+        return {
+            ruleId: rule.id,
+            type: rule.type,
+            deviceId: deviceId,
+            metric: rule.metric,
+            comparator: rule.comparator,
+            threshold: rule.threshold,
+            severity: rule.severity,
+            status: 'open',
+            value: value,
+            breachSince: breachSince,
+            openedAt: now,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            acknowledgedByName: null,
+            acknowledgedVia: null,
+            escalationLevel: null,
+            escalatedAt: null,
+            lastWorkerPingAt: null,
+            workerPings: 0,
+            resolvedAt: null,
+            resolvedValue: null,
+            notifiedAt: notified ? now : null,
+            title: text.title,
+            message: text.message,
+            source: source
+        };
+    }
+
+    // notifications/{id} doc announcing an alert
+    function alertNotification(uid, alertId, alert, now) {
+        return {
+            targetUid: uid,
+            type: 'water_quality_alert',
+            alertId: alertId,
+            deviceId: alert.deviceId,
+            severity: alert.severity,
+            title: alert.title,
+            message: alert.message,
+            timestamp: now,
+            read: false
+        };
+    }
+
+    // Escalation policy with defaults filled in and bad values dropped (workers without an address are skipped)
+    function normalizeEscalationPolicy(data) {
+        const source = data || {};
+        const minutes = (value, fallback) => {
+            const number = toNumber(value);
+            return number !== null && number >= 0 ? Math.round(number) : fallback;
+        };
+        const workers = (Array.isArray(source.workers) ? source.workers : [])
+            .filter(worker => worker && worker.id && worker.address && WORKER_CHANNELS.includes(worker.channel))
+            .slice(0, MAX_ESCALATION_WORKERS)
+            .map(worker => ({
+                id: String(worker.id),
+                name: String(worker.name || '').trim() || 'Farm worker',
+                channel: worker.channel,
+                address: String(worker.address).trim()
+            }));
+        return {
+            enabled: source.enabled === true,
+            minSeverity: SEVERITIES.includes(source.minSeverity) ? source.minSeverity : DEFAULT_ESCALATION.minSeverity,
+            workers: workers,
+            repeatMinutes: minutes(source.repeatMinutes, DEFAULT_ESCALATION.repeatMinutes),
+            ownerAfterMinutes: minutes(source.ownerAfterMinutes, DEFAULT_ESCALATION.ownerAfterMinutes),
+            adminAfterMinutes: minutes(source.adminAfterMinutes, DEFAULT_ESCALATION.adminAfterMinutes)
+        };
+    }
+
+    // -> list of problems (empty when the policy can be saved)
+    function validateEscalationPolicy(source) {
+        const problems = [];
+        const workers = Array.isArray(source.workers) ? source.workers : [];
+        if (workers.length > MAX_ESCALATION_WORKERS) problems.push(`At most ${MAX_ESCALATION_WORKERS} workers`);
+        workers.forEach((worker, index) => {
+            if (!WORKER_CHANNELS.includes(worker.channel)) problems.push(`Worker ${index + 1}: choose email or SMS`);
+            else if (!String(worker.address || '').trim()) problems.push(`Worker ${index + 1}: enter an address`);
+        });
+        const repeat = toNumber(source.repeatMinutes);
+        const owner = toNumber(source.ownerAfterMinutes);
+        const admin = toNumber(source.adminAfterMinutes);
+        if (repeat === null || repeat < 0 || repeat > MAX_MIN_DURATION_MINUTES) problems.push('Repeat interval must be 0 (no repeats) or more minutes');
+        if (owner === null || owner < 0 || owner > MAX_MIN_DURATION_MINUTES) problems.push('Enter when the owner is notified, in minutes');
+        if (admin === null || admin > MAX_MIN_DURATION_MINUTES) problems.push('Enter when admins are notified, in minutes');
+        else if (owner !== null && admin <= owner) problems.push('Admins must be notified after the owner');
+        return problems;
+    }
+
+    // Does the policy escalate this alert (still open and severe enough)?
+    function escalates(policy, alert) {
+        return Boolean(policy && policy.enabled && alert && alert.status === 'open' &&
+            SEVERITIES.indexOf(alert.severity) >= SEVERITIES.indexOf(policy.minSeverity));
+    }
+
+    // What is due for an open alert at `now`
+    // -> { levels: [levels reached since the last run], level, pingWorkers } or null when nothing is due
+    function escalationStep(alert, policy, now) {
+        if (!escalates(policy, alert)) return null;
+
+        const openedAt = typeof alert.openedAt === 'number' ? alert.openedAt : now;
+        const elapsedMinutes = (now - openedAt) / 60000;
+        const target = elapsedMinutes >= policy.adminAfterMinutes ? 2
+            : elapsedMinutes >= policy.ownerAfterMinutes ? 1
+            : 0;
+        const current = typeof alert.escalationLevel === 'number' ? alert.escalationLevel : -1;
+        const levels = [];
+        for (let level = current + 1; level <= target; level++) {
+            levels.push(level);
+        }
+
+        const lastPing = alert.lastWorkerPingAt;
+        const pingWorkers = policy.workers.length > 0 && (
+            lastPing === null || lastPing === undefined ||
+            (policy.repeatMinutes > 0 && now - lastPing >= policy.repeatMinutes * 60000)
+        );
+        if (levels.length === 0 && !pingWorkers) return null;
+        return { levels: levels, level: Math.max(current, target), pingWorkers: pingWorkers };
+    }
+
+    // users/{uid}/alerts/{alertId}/events doc
+    function alertEvent(action, now, actor) {
+        const who = actor || {};
+        return {
+            action: action,
+            at: now,
+            by: who.by || null,
+            byName: who.byName || null,
+            via: who.via || null,
+            level: who.level !== undefined ? who.level : null,
+            detail: who.detail || null
+        };
+    }
+
+    // notifications/{id} doc telling the owner (level 1) or an admin (level 2) nobody acknowledged an alert
+    function escalationNotification(targetUid, ownerUid, alertId, alert, level, now, farmName) {
+        const minutes = Math.max(Math.round((now - alert.openedAt) / 60000), 0);
+        const farm = level === 2 && farmName ? `${farmName}: ` : '';
+        return {
+            targetUid: targetUid,
+            type: 'alert_escalation',
+            ownerUid: ownerUid,
+            alertId: alertId,
+            deviceId: alert.deviceId,
+            severity: alert.severity,
+            escalationLevel: level,
+            link: level === 2
+                ? { section: 'system', target: 'openAlertsList', deviceId: null }
+                : { section: 'monitoring', target: 'activeAlertsList', deviceId: alert.deviceId || null },
+            title: `${farm}Unacknowledged: ${alert.title}`,
+            message: `Nobody has acknowledged this alert for ${minutes} min. ${alert.message}`,
+            timestamp: now,
+            read: false
+        };
+    }
+
+    // One line of the audit trail ("Acknowledged by Ana (acknowledge link)")
+    function describeAlertEvent(event) {
+        const level = ESCALATION_LEVELS[event.level];
+        const via = { link: 'acknowledge link', admin: 'admin dashboard', dashboard: 'dashboard' }[event.via];
+        switch (event.action) {
+            case 'opened':
+                return 'Opened';
+            case 'workers_pinged':
+                return `Workers pinged${event.detail ? `: ${event.detail}` : ''}`;
+            case 'escalated':
+                return `Escalated to ${level ? level.label.toLowerCase() : `level ${event.level}`}${event.detail ? ` (${event.detail})` : ''}`;
+            case 'acknowledged':
+                return `Acknowledged by ${event.byName || event.by || 'unknown'}${via ? ` (${via})` : ''}`;
+            case 'resolved':
+                return `Resolved${event.detail ? `: ${event.detail}` : ''}`;
+            default:
+                return event.action;
+        }
+    }
+
+    // Message pinged to a farm worker (ackUrl null when acknowledge links are not configured)
+    function workerPingMessage(alert, ackUrl) {
+        return {
+            type: 'alert_escalation',
+            severity: alert.severity,
+            title: alert.title,
+            // The link goes first: SMS text is cut at two segments
+            message: ackUrl
+                ? `Acknowledge: ${ackUrl} - ${alert.message}`
+                : `${alert.message} Acknowledge it in the AquaSense dashboard.`
+        };
+    }
+
+    // Starting point for new users: leave each water quality sensor's acceptable range
+    function suggestedRules() {
+        const rules = [];
+        SENSORS.filter(sensor => sensor.affectsWaterQuality && sensor.acceptableRange).forEach(sensor => {
+            const range = sensor.acceptableRange;
+            if (range.min !== null && range.min !== undefined && range.min > 0) {
+                rules.push({ metric: sensor.id, comparator: 'lt', threshold: range.min, minDurationMinutes: 10, hysteresis: 0, severity: 'warning', deviceId: null, enabled: true });
+            }
+            if (range.max !== null && range.max !== undefined) {
+                rules.push({ metric: sensor.id, comparator: 'gt', threshold: range.max, minDurationMinutes: 10, hysteresis: 0, severity: 'warning', deviceId: null, enabled: true });
+            }
+        });
+        // A sudden pH swing matters even inside the acceptable range
+        rules.push({ type: 'slope', metric: 'ph', direction: 'either', threshold: 0.5, windowMinutes: 60, minDurationMinutes: 0, hysteresis: 0, severity: 'warning', deviceId: null, enabled: true });
+        return rules;
+    }
+
+    return {
+        RULE_TYPES,
+        DIRECTIONS,
+        COMPARATORS,
+        SEVERITIES,
+        ESCALATION_LEVELS,
+        DEFAULT_ESCALATION,
+        MAX_ESCALATION_WORKERS,
+        WORKER_CHANNELS,
+        DEFAULT_MIN_DURATION_MINUTES,
+        MAX_MIN_DURATION_MINUTES,
+        DEFAULT_SLOPE_WINDOW_MINUTES,
+        MAX_SLOPE_WINDOW_MINUTES,
+        DEFAULT_DRIFT_HOURS,
+        MIN_DRIFT_HOURS,
+        MAX_DRIFT_HOURS,
+        isTrendType,
+        needsHourlyRecords,
+        normalizeRule,
+        validateRule,
+        appliesTo,
+        isBreached,
+        isRecovered,
+        emptyAlertState,
+        alertStateId,
+        changeOverWindow,
+        driftOverHours,
+        longestDrift,
+        hourMean,
+        dailyValueTrends,
+        driftBuckets,
+        yesterdayBucket,
+        ruleSignal,
+        evaluateRule,
+        describeRule,
+        alertText,
+        newAlertRecord,
+        alertNotification,
+        normalizeEscalationPolicy,
+        validateEscalationPolicy,
+        escalates,
+        escalationStep,
+        alertEvent,
+        escalationNotification,
+        describeAlertEvent,
+        workerPingMessage,
+        suggestedRules
+    };
+});
@@ -19,16 +19,38 @@ const FIREBASE_STORAGE_BUCKET = 'aquasense-8fef1.firebasestorage.app';
 // Create via Firebase Console > Project Settings > Service Accounts
 const FIREBASE_SERVICE_ACCOUNT_PATH = path.join(__dirname, '../../_private/firebase-service-account.json');
 
+// Local Firebase emulator (firebase emulators:start) - no service account needed
+// FIREBASE_DATABASE_EMULATOR_HOST=127.0.0.1:9000 FIRESTORE_EMULATOR_HOST=127.0.0.1:8080
+
 class FirebaseConfig {
     static factory = null;
     static auth = null;
     static firestore = null;
 
+    /**
+     * Whether the Admin SDK talks to the local emulator
+     */
+    static isEmulator() {
+        return !!(process.env.FIREBASE_DATABASE_EMULATOR_HOST || process.env.FIRESTORE_EMULATOR_HOST);
+    }
+
     /**
      * Get Firebase Admin instance
      */
     static getFactory() {
         if (this.factory === null) {
+            if (this.isEmulator()) {
+                // The emulator accepts any credentials; the SDK reads the hosts from the environment
+                if (!admin.apps.length) {
+                    admin.initializeApp({
+                        projectId: FIREBASE_PROJECT_ID,
+                        databaseURL: FIREBASE_DATABASE_URL
+                    });
+                }
+                this.factory = admin;
+                return this.factory;
+            }
+            
             if (!fs.existsSync(FIREBASE_SERVICE_ACCOUNT_PATH)) {
                 throw new Error('Firebase service account file not found. Please create it from Firebase Console.');
             }
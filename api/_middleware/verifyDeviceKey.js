@@ -0,0 +1,99 @@
+/**
+ * Device API Key Verification
+ *
+ * Verifies requests signed by devices that cannot hold Firebase credentials.
+ * Keys are issued and revoked by superadmins (System section) and stored in deviceApiKeys/{keyId}:
+ *   { deviceId, ownerUid, label, secret, createdAt, createdBy, revoked, revokedAt, revokedBy, lastUsedAt }
+ *
+ * Signed request headers:
+ *   X-Key-Id:    key id (e.g. ak_3f9c2a1b7d4e)
+ *   X-Timestamp: Unix time in seconds
+ *   X-Signature: hex HMAC-SHA256 of "{timestamp}.{raw request body}" with the key secret
+ */
+
+const crypto = require('crypto');
+const FirebaseConfig = require('../_config/firebase');
+
+// Signed requests older or newer than this are replays or a badly wrong device clock
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function authError(message, statusCode = 401) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Expected signature of a request body
+ *
+ * @param {string} secret - Key secret
+ * @param {string|number} timestamp - X-Timestamp header value
+ * @param {string} rawBody - Request body exactly as sent
+ * @returns {string} Hex HMAC-SHA256
+ */
+function signPayload(secret, timestamp, rawBody) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+/**
+ * Verify a device-signed request
+ *
+ * Needs the raw body: Express must keep it (express.json({ verify: (req, res, buf) => { req.rawBody = buf; } })).
+ * A body that was already parsed is never re-serialised - it would not be the bytes the device signed.
+ *
+ * @param {Object} req - Express request object or object with headers and rawBody
+ * @returns {Promise<{keyId: string, deviceId: string}>} Verified key
+ * @throws {Error} If the signature is missing, invalid, expired or the key is revoked
+ */
+async function verifyDeviceSignature(req) {
+    const headers = req.headers || {};
+    const keyId = headers['x-key-id'] || null;
+    const timestamp = headers['x-timestamp'] || null;
+    const signature = headers['x-signature'] || null;
+
+    if (!keyId || !timestamp || !signature) {
+        throw authError('Missing X-Key-Id, X-Timestamp or X-Signature header');
+    }
+
+    const timestampMs = parseInt(timestamp, 10) * 1000;
+    if (!Number.isFinite(timestampMs) || Math.abs(Date.now() - timestampMs) > MAX_CLOCK_SKEW_MS) {
+        throw authError('Request timestamp outside the allowed window');
+    }
+
+    let rawBody;
+    if (req.rawBody !== undefined) {
+        rawBody = req.rawBody.toString('utf8');
+    } else if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+        rawBody = req.body.toString('utf8');
+    } else if (req.body === undefined) {
+        throw authError('Missing request body', 400);
+    } else {
+        throw authError('Raw request body not available, the signature cannot be checked', 500);
+    }
+
+    const db = FirebaseConfig.getFirestore();
+    const keyRef = db.collection('deviceApiKeys').doc(String(keyId));
+    const keySnap = await keyRef.get();
+
+    // Same answer for unknown and revoked keys
+    if (!keySnap.exists || keySnap.data().revoked === true || !keySnap.data().secret) {
+        throw authError('Invalid or revoked API key');
+    }
+
+    const key = keySnap.data();
+    const expected = Buffer.from(signPayload(key.secret, timestamp, rawBody), 'hex');
+    const provided = Buffer.from(String(signature).replace(/^sha256=/i, ''), 'hex');
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        throw authError('Invalid signature');
+    }
+
+    await keyRef.update({ lastUsedAt: Date.now() });
+
+    return { keyId: keySnap.id, deviceId: key.deviceId };
+}
+
+module.exports = {
+    signPayload,
+    verifyDeviceSignature
+};
@@ -0,0 +1,178 @@
+/**
+ * Alert Acknowledge Endpoints
+ *
+ * The only way an alert gets acknowledged (Firestore rules keep clients off the acknowledgement fields
+ * and the audit trail's acknowledged events), so "who acknowledged" can be trusted.
+ *
+ * Acknowledge links: where the links in farm workers' escalation pings lead (see api/alerts/escalation.js).
+ * GET shows the alert and a confirm button; only the POST acknowledges, so mail scanners that open
+ * links do not acknowledge anything. No login: the link's HMAC signature is the credential, and it
+ * stops working once the worker is removed from the farm's policy.
+ *
+ * Dashboard: the farm owner (Alerts card) or an admin (Open Alerts card). Requires Firebase ID token
+ * authentication; the acknowledgement is recorded under the caller's uid and name.
+ *
+ * Usage:
+ * GET  /api/alerts/acknowledge?uid=...&alert=...&worker=...&sig=...   → confirmation page
+ * POST /api/alerts/acknowledge  (form fields uid, alert, worker, sig) → acknowledges
+ * POST /api/alerts/acknowledge/dashboard
+ * Body: { "alert": "alertId" }                  → the caller's own alert
+ *       { "uid": "ownerUid", "alert": "alertId" } → another farm's alert (admins only)
+ */
+
+const FirebaseConfig = require('../_config/firebase');
+const { verifyFirebaseToken } = require('../_middleware/verifyToken');
+const { normalizeEscalationPolicy } = require('../../alert-rules');
+const { verifyAcknowledgement, acknowledgeAlert } = require('./escalation');
+
+function requestError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>AquaSense - ${escapeHtml(title)}</title>
+<style>
+body { font-family: 'Segoe UI', Tahoma, sans-serif; max-width: 480px; margin: 3rem auto; padding: 0 1rem; color: #1e293b; }
+h1 { font-size: 1.3rem; }
+button { padding: 0.75rem 1.5rem; border: none; border-radius: 8px; background: #0284c7; color: #fff; font-size: 1rem; cursor: pointer; }
+.muted { color: #64748b; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Check the link and load the alert and the worker it was sent to
+ */
+async function resolveLink(db, params) {
+    const uid = String(params.uid || '');
+    const alertId = String(params.alert || '');
+    const workerId = String(params.worker || '');
+    if (!uid || !alertId || !workerId || !verifyAcknowledgement(uid, alertId, workerId, params.sig)) {
+        throw requestError('This acknowledge link is not valid.', 403);
+    }
+
+    const userRef = db.collection('users').doc(uid);
+    const [userSnap, alertSnap] = await Promise.all([userRef.get(), userRef.collection('alerts').doc(alertId).get()]);
+    const policy = normalizeEscalationPolicy(userSnap.exists ? userSnap.data().alertEscalation : null);
+    const worker = policy.workers.find(candidate => candidate.id === workerId);
+    if (!worker) {
+        throw requestError('This acknowledge link is no longer valid.', 403);
+    }
+    if (!alertSnap.exists) {
+        throw requestError('This alert no longer exists.', 404);
+    }
+    return { uid, alertId, worker, alert: alertSnap.data() };
+}
+
+function statusText(alert) {
+    if (alert.status === 'acknowledged') {
+        return `Already acknowledged by ${alert.acknowledgedByName || 'someone else'} at ${new Date(alert.acknowledgedAt).toLocaleString()}.`;
+    }
+    return alert.status === 'resolved' ? 'This alert has already resolved.' : null;
+}
+
+/**
+ * Main acknowledge handler
+ */
+async function acknowledgeFromLink(req, res) {
+    const params = req.method === 'POST' ? { ...req.query, ...(req.body || {}) } : (req.query || {});
+
+    try {
+        const db = FirebaseConfig.getFirestore();
+        const link = await resolveLink(db, params);
+        const details = `<p><strong>${escapeHtml(link.alert.title)}</strong></p><p class="muted">${escapeHtml(link.alert.message)}</p>`;
+
+        if (req.method !== 'POST') {
+            const done = statusText(link.alert);
+            const form = done ? `<p>${escapeHtml(done)}</p>` : `
+<form method="POST" action="/api/alerts/acknowledge">
+${['uid', 'alert', 'worker', 'sig'].map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`).join('\n')}
+<button type="submit">Acknowledge as ${escapeHtml(link.worker.name)}</button>
+</form>`;
+            res.status(200).send(page('Water quality alert', details + form));
+            return;
+        }
+
+        const result = await acknowledgeAlert(db, link.uid, link.alertId, {
+            by: link.worker.id,
+            byName: link.worker.name,
+            via: 'link'
+        });
+        const text = result.acknowledged
+            ? 'Acknowledged. The other workers will not be pinged about this alert again.'
+            : statusText(result.alert || link.alert);
+        res.status(200).send(page(result.acknowledged ? 'Alert acknowledged' : 'Water quality alert', `${details}<p>${escapeHtml(text)}</p>`));
+
+    } catch (error) {
+        res.status(error.statusCode || 500).send(page('Could not acknowledge', `<p>${escapeHtml(error.message || 'Request failed')}</p>`));
+    }
+}
+
+/**
+ * Dashboard acknowledge handler (owner or admin)
+ */
+async function acknowledgeFromDashboard(req, res) {
+    try {
+        // Verify authentication
+        const callerUid = await verifyFirebaseToken(req);
+
+        const body = req.body || {};
+        const uid = String(body.uid || callerUid);
+        const alertId = String(body.alert || '');
+        if (!alertId) {
+            throw requestError('Missing alert', 400);
+        }
+
+        const db = FirebaseConfig.getFirestore();
+        const callerSnap = await db.collection('users').doc(callerUid).get();
+        const caller = callerSnap.exists ? callerSnap.data() : {};
+        const isAdmin = caller.role === 'admin' || caller.role === 'superadmin';
+        if (uid !== callerUid && !isAdmin) {
+            throw requestError('Only admins can acknowledge alerts of other farms', 403);
+        }
+
+        const result = await acknowledgeAlert(db, uid, alertId, {
+            by: callerUid,
+            byName: caller.displayName || [caller.firstName, caller.lastName].filter(Boolean).join(' ') || caller.email || null,
+            via: uid === callerUid ? 'dashboard' : 'admin'
+        });
+        if (!result.alert) {
+            throw requestError('This alert no longer exists', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            acknowledged: result.acknowledged,
+            status: result.acknowledged ? 'acknowledged' : result.alert.status,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message || 'Request failed'
+        });
+    }
+}
+
+module.exports = { acknowledgeFromLink, acknowledgeFromDashboard };
@@ -0,0 +1,234 @@
+/**
+ * Alert Escalation
+ *
+ * Runs the farm's escalation policy (users/{uid}.alertEscalation, see alert-rules.js) on its open alerts:
+ * farm workers are pinged on email / SMS with a signed acknowledge link, then the owner and finally every
+ * admin get an alert_escalation notification. Each step is a transaction on the alert, so overlapping cron
+ * runs never ping or escalate twice, and an acknowledged alert is never pinged again.
+ *
+ * Workers are only pinged at addresses verified through /api/notify/contacts (users/{uid}/workerContacts,
+ * written by the Admin SDK only): the policy itself is typed freely by the owner.
+ *
+ * Acknowledge links: {APP_BASE_URL}/api/alerts/acknowledge?uid=&alert=&worker=&sig=
+ *   sig = HMAC-SHA256(ALERT_ACK_SECRET, "{uid}:{alertId}:{workerId}") - without the secret pings carry no link
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const {
+    normalizeEscalationPolicy,
+    escalationStep,
+    alertEvent,
+    escalationNotification,
+    workerPingMessage
+} = require('../../alert-rules');
+const { normalizeAddress } = require('../../notification-channels');
+const { sendNow } = require('../notify/dispatcher');
+
+function ackSecret() {
+    return process.env.ALERT_ACK_SECRET || null;
+}
+
+function signAcknowledgement(uid, alertId, workerId) {
+    return crypto.createHmac('sha256', ackSecret()).update(`${uid}:${alertId}:${workerId}`).digest('hex');
+}
+
+/**
+ * Constant-time check of an acknowledge link signature
+ */
+function verifyAcknowledgement(uid, alertId, workerId, signature) {
+    if (!ackSecret() || typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) {
+        return false;
+    }
+    const expected = Buffer.from(signAcknowledgement(uid, alertId, workerId), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+}
+
+/**
+ * Acknowledge link of one worker, or null when links are not configured
+ */
+function acknowledgeUrl(uid, alertId, workerId) {
+    const baseUrl = process.env.APP_BASE_URL;
+    if (!baseUrl || !ackSecret()) {
+        return null;
+    }
+    const params = new URLSearchParams({
+        uid: uid,
+        alert: alertId,
+        worker: workerId,
+        sig: signAcknowledgement(uid, alertId, workerId)
+    });
+    return `${baseUrl.replace(/\/+$/, '')}/api/alerts/acknowledge?${params.toString()}`;
+}
+
+/**
+ * Uids of the active admins (level 2 of every farm)
+ */
+async function loadAdminUids(db) {
+    const snapshot = await db.collection('users').where('role', '==', 'admin').get();
+    return snapshot.docs
+        .filter(userDoc => userDoc.data().isActive !== false)
+        .map(userDoc => userDoc.id);
+}
+
+/**
+ * Workers of the policy whose address (and channel) is the one verified in users/{uid}/workerContacts
+ */
+async function loadVerifiedWorkers(db, uid, workers) {
+    if (workers.length === 0) {
+        return [];
+    }
+    const contactsRef = db.collection('users').doc(uid).collection('workerContacts');
+    const contactSnaps = await Promise.all(workers.map(worker => contactsRef.doc(worker.id).get()));
+    return workers.filter((worker, index) => {
+        const contact = contactSnaps[index].exists ? contactSnaps[index].data() : null;
+        return contact !== null && contact.verified === true &&
+            contact.channel === worker.channel && contact.address === normalizeAddress(worker.channel, worker.address);
+    });
+}
+
+/**
+ * Acknowledge an alert in a transaction (open alerts only) and record who did it
+ *
+ * @param {Object} actor - { by, byName, via } ('dashboard', 'link', 'admin')
+ * @returns {Promise<{acknowledged: boolean, alert: Object|null}>}
+ */
+async function acknowledgeAlert(db, uid, alertId, actor) {
+    const alertRef = db.collection('users').doc(uid).collection('alerts').doc(alertId);
+
+    return db.runTransaction(async (transaction) => {
+        const alertSnap = await transaction.get(alertRef);
+        const alert = alertSnap.exists ? alertSnap.data() : null;
+        if (!alert || alert.status !== 'open') {
+            return { acknowledged: false, alert: alert };
+        }
+        const now = Date.now();
+        transaction.update(alertRef, {
+            status: 'acknowledged',
+            acknowledgedAt: now,
+            acknowledgedBy: actor.by,
+            acknowledgedByName: actor.byName || null,
+            acknowledgedVia: actor.via,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.set(alertRef.collection('events').doc(), alertEvent('acknowledged', now, {
+            ...actor,
+            level: typeof alert.escalationLevel === 'number' ? alert.escalationLevel : null
+        }));
+        return { acknowledged: true, alert: alert };
+    });
+}
+
+/**
+ * Run what is due for one open alert
+ *
+ * @param {Object} farm - { uid, name, policy (normalized) }
+ * @returns {Promise<{escalated: number, pinged: number, pingErrors: number}>}
+ */
+async function escalateAlert(db, farm, alertRef, adminUids, now = Date.now()) {
+    const counts = { escalated: 0, pinged: 0, pingErrors: 0 };
+
+    const due = await db.runTransaction(async (transaction) => {
+        const alertSnap = await transaction.get(alertRef);
+        const alert = alertSnap.exists ? alertSnap.data() : null;
+        const step = alert ? escalationStep(alert, farm.policy, now) : null;
+        if (!step) {
+            return null;
+        }
+
+        const update = {
+            escalationLevel: step.level,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        step.levels.forEach(level => {
+            if (level > 0) {
+                update.escalatedAt = now;
+                const targets = level === 1 ? [farm.uid] : adminUids;
+                targets.forEach(targetUid => {
+                    transaction.set(db.collection('notifications').doc(),
+                        escalationNotification(targetUid, farm.uid, alertRef.id, alert, level, now, farm.name));
+                });
+            }
+            transaction.set(alertRef.collection('events').doc(), alertEvent('escalated', now, {
+                via: 'js-cron',
+                level: level,
+                detail: level === 2 ? `${adminUids.length} admin(s) notified` : null
+            }));
+        });
+        if (step.pingWorkers) {
+            update.lastWorkerPingAt = now;
+            update.workerPings = (alert.workerPings || 0) + 1;
+            transaction.set(alertRef.collection('events').doc(), alertEvent('workers_pinged', now, {
+                via: 'js-cron',
+                level: step.level,
+                detail: farm.policy.workers.map(worker => worker.name).join(', ')
+            }));
+        }
+        transaction.update(alertRef, update);
+        return { alert, step };
+    });
+    if (!due) {
+        return counts;
+    }
+    counts.escalated = due.step.levels.filter(level => level > 0).length;
+
+    // Sent after the commit: a failed ping is logged and the next repeat tries again
+    if (due.step.pingWorkers) {
+        for (const worker of farm.policy.workers) {
+            const message = workerPingMessage(due.alert, acknowledgeUrl(farm.uid, alertRef.id, worker.id));
+            try {
+                await sendNow(worker.channel, worker.address, { ...message, timestamp: now });
+                counts.pinged++;
+            } catch (error) {
+                console.warn(`[ESCALATE] Could not ping ${worker.name} (${worker.channel}) for alert ${alertRef.id}: ${error.message}`);
+                counts.pingErrors++;
+            }
+        }
+    }
+    return counts;
+}
+
+/**
+ * Escalate every open alert of a farm whose policy is on
+ *
+ * @returns {Promise<{alerts: number, escalated: number, pinged: number, pingErrors: number, unverified: number}>}
+ */
+async function escalateFarmAlerts(db, uid, userData, adminUids, now = Date.now()) {
+    const counts = { alerts: 0, escalated: 0, pinged: 0, pingErrors: 0, unverified: 0 };
+    const policy = normalizeEscalationPolicy(userData.alertEscalation);
+    if (!policy.enabled) {
+        return counts;
+    }
+
+    const snapshot = await db.collection('users').doc(uid).collection('alerts')
+        .where('status', '==', 'open')
+        .get();
+    if (snapshot.empty) {
+        return counts;
+    }
+
+    // Unverified workers are left out as if they were not listed (their level is skipped when nobody is left)
+    const workers = await loadVerifiedWorkers(db, uid, policy.workers);
+    counts.unverified = policy.workers.length - workers.length;
+    if (counts.unverified > 0) {
+        console.warn(`[ESCALATE] ${counts.unverified} unverified worker address(es) of user ${uid} are not pinged`);
+    }
+    const farm = { uid: uid, name: userData.displayName || userData.email || uid, policy: { ...policy, workers: workers } };
+    for (const alertDoc of snapshot.docs) {
+        const result = await escalateAlert(db, farm, alertDoc.ref, adminUids, now);
+        counts.alerts++;
+        counts.escalated += result.escalated;
+        counts.pinged += result.pinged;
+        counts.pingErrors += result.pingErrors;
+    }
+    return counts;
+}
+
+module.exports = {
+    verifyAcknowledgement,
+    acknowledgeUrl,
+    loadAdminUids,
+    acknowledgeAlert,
+    escalateAlert,
+    escalateFarmAlerts
+};
@@ -0,0 +1,269 @@
+/**
+ * Alert Rule Evaluation
+ *
+ * Server side of the water quality alert rules (alert-rules.js), run by the hourly sampler
+ * so alerts open and resolve while no dashboard is open.
+ * Every step is a transaction on users/{uid}/alertState/{ruleId}_{deviceId}, so the dashboard
+ * runtime and the cron never open (or resolve) the same alert twice.
+ * Trend rules read their history from rawReadings (slope) and hourlyRecords (drift, same hour yesterday).
+ *
+ * Alerts: users/{uid}/alerts/{alertId}
+ *   { ruleId, type, deviceId, metric, comparator, threshold, severity, status: open | acknowledged | resolved,
+ *     value (reading, or signed change for trend rules), breachSince, openedAt, acknowledgedAt, acknowledgedBy, acknowledgedByName,
+ *     acknowledgedVia, escalationLevel, escalatedAt, lastWorkerPingAt, workerPings, resolvedAt, resolvedValue, notifiedAt,
+ *     title, message, source }
+ * Audit trail: users/{uid}/alerts/{alertId}/events (opened / resolved here, the rest in api/alerts/escalation.js)
+ */
+
+const admin = require('firebase-admin');
+const { toNumber } = require('../../sensor-catalog');
+const { resolveTimezone, dateKey } = require('../../timezone');
+const {
+    normalizeRule,
+    appliesTo,
+    needsHourlyRecords,
+    driftBuckets,
+    yesterdayBucket,
+    hourMean,
+    ruleSignal,
+    evaluateRule,
+    alertStateId,
+    newAlertRecord,
+    alertNotification,
+    alertEvent
+} = require('../../alert-rules');
+
+/**
+ * Enabled rules of a user (docs that can never fire are skipped)
+ */
+async function loadAlertRules(db, uid) {
+    const snapshot = await db.collection('users').doc(uid).collection('alertRules').get();
+    const rules = [];
+    snapshot.forEach(ruleDoc => {
+        const rule = normalizeRule(ruleDoc.id, ruleDoc.data());
+        if (rule && rule.enabled) {
+            rules.push(rule);
+        }
+    });
+    return rules;
+}
+
+/**
+ * Raw points of one device between two times, oldest first ({ ts, <sensor id>: value, ... })
+ */
+async function loadRecentPoints(db, uid, deviceId, fromMs, toMs, timezone) {
+    const pointsRef = date => db.collection('users').doc(uid)
+        .collection('rawReadings').doc(date).collection('points');
+    const dates = [...new Set([dateKey(fromMs, timezone), dateKey(toMs, timezone)])];
+    const snapshots = await Promise.all(dates.map(date => pointsRef(date)
+        .where('ts', '>=', fromMs)
+        .where('ts', '<=', toMs)
+        .get()));
+
+    const points = [];
+    snapshots.forEach(snapshot => snapshot.forEach(pointDoc => {
+        const point = pointDoc.data();
+        if (point.deviceId === deviceId) {
+            points.push(point);
+        }
+    }));
+    return points.sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Hour docs by "date/hour" (missing hours are left out)
+ */
+async function loadHourRecords(db, uid, buckets) {
+    const unique = new Map();
+    buckets.forEach(bucket => unique.set(`${bucket.date}/${bucket.hour}`, bucket));
+    const entries = await Promise.all(Array.from(unique.entries()).map(async ([key, bucket]) => {
+        const hourSnap = await db.collection('users').doc(uid)
+            .collection('hourlyRecords').doc(bucket.date)
+            .collection('hours').doc(bucket.hour)
+            .get();
+        return [key, hourSnap.exists ? hourSnap.data() : null];
+    }));
+    return new Map(entries.filter(([, record]) => record !== null));
+}
+
+/**
+ * History the trend rules need, loaded once per evaluation
+ */
+async function loadTrendContext(db, uid, rules, device, tsMs, timezone) {
+    const context = { points: [], hours: new Map() };
+
+    const slopeWindows = rules.filter(rule => rule.type === 'slope').map(rule => rule.windowMinutes);
+    if (slopeWindows.length > 0) {
+        const fromMs = tsMs - Math.max(...slopeWindows) * 60 * 1000;
+        context.points = await loadRecentPoints(db, uid, device.id, fromMs, tsMs, timezone);
+    }
+
+    const buckets = [];
+    rules.forEach(rule => {
+        if (rule.type === 'drift') {
+            buckets.push(...driftBuckets(rule, tsMs, timezone));
+        } else if (rule.type === 'yesterday') {
+            buckets.push(yesterdayBucket(tsMs, timezone));
+        }
+    });
+    if (buckets.length > 0) {
+        context.hours = await loadHourRecords(db, uid, buckets);
+    }
+    return context;
+}
+
+/**
+ * Signal of one rule from the current readings and the loaded history
+ */
+function signalFor(rule, readings, history, tsMs, timezone) {
+    const meanOf = bucket => {
+        const record = history.hours.get(`${bucket.date}/${bucket.hour}`);
+        return record ? hourMean(rule.metric, record) : null;
+    };
+    const value = toNumber(readings[rule.metric]);
+    if (value === null) {
+        return null;
+    }
+    return ruleSignal(rule, {
+        value: value,
+        tsMs: tsMs,
+        // The current reading may not be in rawReadings yet
+        points: history.points
+            .filter(point => point.ts < tsMs)
+            .map(point => ({ ts: point.ts, value: point[rule.metric] }))
+            .concat([{ ts: tsMs, value: value }]),
+        hourMeans: rule.type === 'drift' ? driftBuckets(rule, tsMs, timezone).map(meanOf) : null,
+        yesterdayMean: rule.type === 'yesterday' ? meanOf(yesterdayBucket(tsMs, timezone)) : null
+    });
+}
+
+/**
+ * Feed one signal to one rule
+ *
+ * @param {Object} signal - ruleSignal() result: signal is compared, value is stored on the alert
+ * @returns {Promise<string|null>} 'open', 'resolve' or null
+ */
+async function applyAlertRule(db, uid, rule, device, signal, tsMs, source) {
+    const userRef = db.collection('users').doc(uid);
+    const stateRef = userRef.collection('alertState').doc(alertStateId(rule.id, device.id));
+    const deviceName = device.name || device.deviceName || device.id;
+
+    return db.runTransaction(async (transaction) => {
+        const stateSnap = await transaction.get(stateRef);
+        const stored = stateSnap.exists ? stateSnap.data() : null;
+        const result = evaluateRule(rule, stored, signal.signal, tsMs);
+        if (!result.changed) {
+            return null;
+        }
+
+        const now = Date.now();
+        const state = { ...result.state };
+
+        if (result.action === 'open') {
+            const alertRef = userRef.collection('alerts').doc();
+            const alert = newAlertRecord(rule, device.id, deviceName, signal.value, state.breachSince, now, true, source);
+            transaction.set(alertRef, {
+                ...alert,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.set(db.collection('notifications').doc(), alertNotification(uid, alertRef.id, alert, now));
+            transaction.set(alertRef.collection('events').doc(), alertEvent('opened', now, { via: source, detail: alert.message }));
+            state.alertId = alertRef.id;
+        } else if (result.action === 'resolve') {
+            const alertRef = userRef.collection('alerts').doc(stored.alertId);
+            const alertSnap = await transaction.get(alertRef);
+            if (alertSnap.exists && alertSnap.data().status !== 'resolved') {
+                transaction.update(alertRef, {
+                    status: 'resolved',
+                    resolvedAt: now,
+                    resolvedValue: signal.value,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                transaction.set(alertRef.collection('events').doc(), alertEvent('resolved', now, { via: source, detail: 'Back within the rule' }));
+            }
+        }
+
+        transaction.set(stateRef, {
+            ruleId: rule.id,
+            deviceId: device.id,
+            ...state,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return result.action;
+    });
+}
+
+/**
+ * Notify alerts the dashboard opened without being allowed to write notifications
+ * (the background runtime runs unauthenticated and leaves notifiedAt null)
+ */
+async function notifyPendingAlerts(db, uid) {
+    const snapshot = await db.collection('users').doc(uid).collection('alerts')
+        .where('status', '==', 'open')
+        .where('notifiedAt', '==', null)
+        .get();
+
+    let notified = 0;
+    for (const alertDoc of snapshot.docs) {
+        const sent = await db.runTransaction(async (transaction) => {
+            const alertSnap = await transaction.get(alertDoc.ref);
+            const alert = alertSnap.exists ? alertSnap.data() : null;
+            if (!alert || alert.notifiedAt !== null) {
+                return false;
+            }
+            const now = Date.now();
+            transaction.set(db.collection('notifications').doc(), alertNotification(uid, alertDoc.id, alert, now));
+            transaction.update(alertDoc.ref, { notifiedAt: now });
+            return true;
+        });
+        if (sent) {
+            notified++;
+        }
+    }
+    return notified;
+}
+
+/**
+ * Evaluate every rule of a user against one device's readings
+ *
+ * @param {Object} device - { id, name, isPrimary } (drift / same-hour-yesterday rules only run for the primary device)
+ * @param {Object} readings - Corrected values keyed by sensor id (rejected readings are null)
+ * @param {string} timezone - User timezone (hour buckets of hourlyRecords)
+ * @returns {Promise<{opened: number, resolved: number, notified: number}>}
+ */
+async function evaluateAlertRules(db, uid, device, readings, tsMs, source, timezone) {
+    const counts = { opened: 0, resolved: 0, notified: 0 };
+    const timeZone = resolveTimezone(timezone);
+    const rules = (await loadAlertRules(db, uid))
+        .filter(rule => appliesTo(rule, device.id))
+        .filter(rule => device.isPrimary || !needsHourlyRecords(rule));
+    if (rules.length === 0) {
+        return counts;
+    }
+
+    const history = await loadTrendContext(db, uid, rules, device, tsMs, timeZone);
+    for (const rule of rules) {
+        const signal = signalFor(rule, readings, history, tsMs, timeZone);
+        if (signal === null) {
+            continue;
+        }
+        const action = await applyAlertRule(db, uid, rule, device, signal, tsMs, source);
+        if (action === 'open') {
+            counts.opened++;
+        } else if (action === 'resolve') {
+            counts.resolved++;
+        }
+    }
+
+    counts.notified = await notifyPendingAlerts(db, uid);
+    return counts;
+}
+
+module.exports = {
+    loadAlertRules,
+    loadRecentPoints,
+    loadTrendContext,
+    applyAlertRule,
+    notifyPendingAlerts,
+    evaluateAlertRules
+};
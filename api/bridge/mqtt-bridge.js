@@ -0,0 +1,377 @@
+/**
+ * MQTT Ingestion Bridge
+ *
+ * Long-running process for sensor nodes that speak MQTT instead of Firebase RTDB.
+ * - Subscribes to the telemetry topic of every device (default aquasense/{deviceId}/telemetry)
+ *   and writes each payload to devices/{deviceId}/status/feeder, the same node the ESP firmware writes.
+ *   Everything downstream (dashboard listener core, ingestion worker, heartbeat cron) reads it unchanged.
+ * - Marks the device as an MQTT device in Firestore (devices/{deviceId}: transport, mqttLastSeenAt, mqttBridgeId)
+ * - Follows devices/{deviceId}/commands/feeder of MQTT devices and publishes every new command
+ *   to aquasense/{deviceId}/cmd; the device's reported motor state goes to status/feeder/state and
+ *   acknowledges the command (ackedAt / ackedBy)
+ * Only devices registered in Firestore (devices/{deviceId}) are bridged.
+ *
+ * Telemetry payload (JSON):
+ *   { "temperature": 26.4, "ph": 7.21, "do": 6.1, "ammonia": 0.02, "timestamp": 1718870400, "state": "on" }
+ * Sensor keys are the catalog's RTDB keys (temperature, ph, dissolvedOxygen/do, ammonia/nh3, plus temp and pH);
+ * timestamp is optional (seconds or milliseconds, receipt time otherwise); state/motor is optional
+ * (on/off, online/offline, true/false).
+ *
+ * Command payload (JSON, QoS 1):
+ *   { "state": "on" | "off", "updatedAt": 1718870400000, "source": "web" }
+ *
+ * Usage:
+ * node /path/to/api/bridge/mqtt-bridge.js
+ *
+ * Local test (Mosquitto):
+ * mosquitto -p 1883
+ * MQTT_URL=mqtt://127.0.0.1:1883 node /path/to/api/bridge/mqtt-bridge.js
+ * mosquitto_pub -t aquasense/DEVICE_ID/telemetry -m '{"temperature":26.4,"ph":7.21}'
+ * mosquitto_sub -t 'aquasense/+/cmd' -v
+ *
+ * Environment:
+ * MQTT_URL                 Broker URL (default mqtt://localhost:1883; mqtts:// for TLS)
+ * MQTT_USERNAME / MQTT_PASSWORD   Broker credentials (optional)
+ * MQTT_TELEMETRY_TOPIC     Telemetry topic template (default aquasense/{deviceId}/telemetry)
+ * MQTT_COMMAND_TOPIC       Command topic template (default aquasense/{deviceId}/cmd)
+ * MQTT_REFRESH_SECONDS     How often registered devices are reloaded (default 60)
+ * BRIDGE_ID                Name recorded on bridged devices (default hostname-pid)
+ */
+
+const os = require('os');
+const mqtt = require('mqtt');
+const FirebaseConfig = require('../_config/firebase');
+const { SENSORS, readRTDBValue } = require('../../sensor-catalog');
+
+const MQTT_URL = process.env.MQTT_URL || 'mqtt://localhost:1883';
+const TELEMETRY_TOPIC = process.env.MQTT_TELEMETRY_TOPIC || 'aquasense/{deviceId}/telemetry';
+const COMMAND_TOPIC = process.env.MQTT_COMMAND_TOPIC || 'aquasense/{deviceId}/cmd';
+const REFRESH_MS = parseInt(process.env.MQTT_REFRESH_SECONDS || '60', 10) * 1000;
+const BRIDGE_ID = process.env.BRIDGE_ID || `${os.hostname()}-${process.pid}`;
+
+// Firestore bookkeeping per device at most once a minute (telemetry can arrive every few seconds)
+const FIRESTORE_TOUCH_MS = 60 * 1000;
+
+// Extra payload spellings seen on MQTT nodes (the catalog's rtdbKeys are always accepted)
+const PAYLOAD_ALIASES = {
+    temperature: ['temp'],
+    ph: ['pH']
+};
+
+// deviceId → { seenAt, commandListener, lastCommandAt }
+const bridgedDevices = new Map();
+// registered device ids (devices/{deviceId})
+let registeredDevices = new Set();
+// unknown device ids already reported
+const unknownDevices = new Set();
+
+let db = null;
+let rtdb = null;
+let client = null;
+let refreshTimer = null;
+
+/**
+ * Topic template → MQTT subscription and a matcher returning the device id
+ * aquasense/{deviceId}/telemetry → 'aquasense/+/telemetry'
+ */
+function compileTopic(template) {
+    if (template.split('{deviceId}').length !== 2) {
+        throw new Error(`Topic template must contain {deviceId} once: ${template}`);
+    }
+    const [before, after] = template.split('{deviceId}');
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${escape(before)}([^/]+)${escape(after)}$`);
+
+    return {
+        subscription: template.replace('{deviceId}', '+'),
+        match: (topic) => {
+            const found = pattern.exec(topic);
+            return found ? found[1] : null;
+        },
+        forDevice: (deviceId) => template.replace('{deviceId}', deviceId)
+    };
+}
+
+const telemetryTopic = compileTopic(TELEMETRY_TOPIC);
+const commandTopic = compileTopic(COMMAND_TOPIC);
+
+/**
+ * Reported motor state → status/feeder/state value ('online' / 'offline'), or null
+ */
+function normalizeMotorState(value) {
+    if (value === true || value === 1 || value === 'on' || value === 'online' || value === 'ON') {
+        return 'online';
+    }
+    if (value === false || value === 0 || value === 'off' || value === 'offline' || value === 'OFF') {
+        return 'offline';
+    }
+    return null;
+}
+
+/**
+ * MQTT telemetry payload → status/feeder fields (what setupSensorRealtimeUpdatesCore reads)
+ *
+ * @returns {Object|null} null when the payload carries no sensor value and no motor state
+ */
+function mapTelemetry(payload, receivedAt = Date.now()) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return null;
+    }
+
+    const fields = {};
+    SENSORS.forEach(sensor => {
+        let value = readRTDBValue(sensor.id, payload);
+        (PAYLOAD_ALIASES[sensor.id] || []).forEach(alias => {
+            if (value === null) {
+                value = readRTDBValue(sensor.id, { [sensor.rtdbKeys[0]]: payload[alias] });
+            }
+        });
+        if (value !== null) {
+            fields[sensor.rtdbKeys[0]] = value;
+        }
+    });
+
+    const state = normalizeMotorState(payload.state !== undefined ? payload.state : payload.motor);
+    if (Object.keys(fields).length === 0 && state === null) {
+        return null;
+    }
+    if (state !== null) {
+        fields.state = state;
+    }
+
+    // Device clock when it sent one (seconds or ms, both handled downstream), receipt time otherwise
+    const timestamp = Number(payload.timestamp !== undefined ? payload.timestamp : payload.ts);
+    fields.timestamp = Number.isFinite(timestamp) && timestamp > 0 ? timestamp : receivedAt;
+
+    return fields;
+}
+
+/**
+ * Reload registered device ids (devices/{deviceId} ownership mapping)
+ */
+async function refreshRegisteredDevices() {
+    const snapshot = await db.collection('devices').get();
+    const ids = new Set();
+    const mqttDevices = [];
+    snapshot.forEach(deviceDoc => {
+        if (deviceDoc.data().isActive === false) {
+            return;
+        }
+        ids.add(deviceDoc.id);
+        if (deviceDoc.data().transport === 'mqtt') {
+            mqttDevices.push(deviceDoc.id);
+        }
+    });
+    registeredDevices = ids;
+
+    // Command listeners for known MQTT devices, even before they publish again
+    mqttDevices.forEach(deviceId => attachDevice(deviceId));
+
+    // Devices unregistered in the meantime
+    Array.from(bridgedDevices.keys()).forEach(deviceId => {
+        if (!ids.has(deviceId)) {
+            detachDevice(deviceId);
+        }
+    });
+}
+
+/**
+ * Start bridging a device: follow its feeder commands
+ */
+function attachDevice(deviceId) {
+    if (bridgedDevices.has(deviceId)) {
+        return bridgedDevices.get(deviceId);
+    }
+
+    const state = {
+        seenAt: 0,
+        lastCommandAt: null,
+        commandRef: rtdb.ref(`devices/${deviceId}/commands/feeder`),
+        commandListener: null
+    };
+
+    state.commandListener = state.commandRef.on('value', (snapshot) => {
+        const command = snapshot.val();
+        if (!command || (command.state !== 'on' && command.state !== 'off')) {
+            return;
+        }
+        // Already delivered (by this bridge or acknowledged by the device)
+        if (command.updatedAt === state.lastCommandAt || command.ackedAt >= command.updatedAt) {
+            return;
+        }
+        state.lastCommandAt = command.updatedAt;
+        publishCommand(deviceId, command);
+    }, (error) => {
+        console.error(`[MQTT BRIDGE] Command listener error for ${deviceId}:`, error.message);
+    });
+
+    bridgedDevices.set(deviceId, state);
+    console.log(`[MQTT BRIDGE] Bridging ${deviceId}`);
+    return state;
+}
+
+function detachDevice(deviceId) {
+    const state = bridgedDevices.get(deviceId);
+    if (!state) {
+        return;
+    }
+    state.commandRef.off('value', state.commandListener);
+    bridgedDevices.delete(deviceId);
+    console.log(`[MQTT BRIDGE] Stopped bridging ${deviceId}`);
+}
+
+/**
+ * Forward a feeder command to the device
+ */
+function publishCommand(deviceId, command) {
+    const payload = JSON.stringify({
+        state: command.state,
+        updatedAt: command.updatedAt || Date.now(),
+        source: command.source || 'web'
+    });
+
+    client.publish(commandTopic.forDevice(deviceId), payload, { qos: 1 }, (error) => {
+        if (error) {
+            console.error(`[MQTT BRIDGE] Command publish error for ${deviceId}:`, error.message);
+            return;
+        }
+        console.log(`[MQTT BRIDGE] ${deviceId} command "${command.state}" published`);
+    });
+}
+
+/**
+ * Handle one telemetry message
+ */
+async function handleTelemetry(deviceId, message) {
+    if (!registeredDevices.has(deviceId)) {
+        if (!unknownDevices.has(deviceId)) {
+            unknownDevices.add(deviceId);
+            console.warn(`[MQTT BRIDGE] Ignoring unregistered device ${deviceId} (no devices/${deviceId} document)`);
+        }
+        return;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(message.toString());
+    } catch (error) {
+        console.warn(`[MQTT BRIDGE] ${deviceId} sent invalid JSON, ignored`);
+        return;
+    }
+
+    const now = Date.now();
+    const fields = mapTelemetry(payload, now);
+    if (!fields) {
+        console.warn(`[MQTT BRIDGE] ${deviceId} sent no known sensor value, ignored`);
+        return;
+    }
+
+    const state = attachDevice(deviceId);
+
+    // update() leaves fields the payload does not carry (e.g. state) untouched
+    await rtdb.ref(`devices/${deviceId}/status/feeder`).update(fields);
+
+    // The device reporting the commanded motor state acknowledges the command
+    if (fields.state) {
+        const commandSnap = await state.commandRef.once('value');
+        const command = commandSnap.val();
+        const commanded = command ? normalizeMotorState(command.state) : null;
+        if (commanded === fields.state && !(command.ackedAt >= command.updatedAt)) {
+            await state.commandRef.update({ ackedAt: now, ackedBy: 'mqtt' });
+        }
+    }
+
+    if (now - state.seenAt >= FIRESTORE_TOUCH_MS) {
+        state.seenAt = now;
+        await db.collection('devices').doc(deviceId).set({
+            transport: 'mqtt',
+            mqttLastSeenAt: now,
+            mqttBridgeId: BRIDGE_ID
+        }, { merge: true });
+    }
+}
+
+/**
+ * Start the bridge
+ */
+async function startMqttBridge() {
+    db = FirebaseConfig.getFirestore();
+    rtdb = FirebaseConfig.getFactory().database();
+
+    await refreshRegisteredDevices();
+    refreshTimer = setInterval(() => {
+        refreshRegisteredDevices().catch(error => console.error('[MQTT BRIDGE] Device refresh error:', error.message));
+    }, REFRESH_MS);
+
+    client = mqtt.connect(MQTT_URL, {
+        clientId: `aquasense-bridge-${BRIDGE_ID}`,
+        username: process.env.MQTT_USERNAME || undefined,
+        password: process.env.MQTT_PASSWORD || undefined,
+        // Persistent session: QoS 1 telemetry sent while the bridge restarts is delivered afterwards
+        clean: false,
+        reconnectPeriod: 5000
+    });
+
+    client.on('connect', () => {
+        console.log(`[MQTT BRIDGE] ${BRIDGE_ID} connected to ${MQTT_URL}`);
+        client.subscribe(telemetryTopic.subscription, { qos: 1 }, (error) => {
+            if (error) {
+                console.error('[MQTT BRIDGE] Subscribe error:', error.message);
+                return;
+            }
+            console.log(`[MQTT BRIDGE] Subscribed to ${telemetryTopic.subscription}`);
+        });
+    });
+
+    client.on('message', (topic, message) => {
+        const deviceId = telemetryTopic.match(topic);
+        if (!deviceId) {
+            return;
+        }
+        handleTelemetry(deviceId, message).catch(error => {
+            console.error(`[MQTT BRIDGE] Telemetry error for ${deviceId}:`, error.message);
+        });
+    });
+
+    client.on('reconnect', () => console.log('[MQTT BRIDGE] Reconnecting...'));
+    client.on('error', (error) => console.error('[MQTT BRIDGE] Broker error:', error.message));
+
+    console.log(`[MQTT BRIDGE] Bridging ${registeredDevices.size} registered device(s)`);
+}
+
+/**
+ * Stop the bridge: detach every command listener and disconnect from the broker
+ */
+async function stopMqttBridge() {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    Array.from(bridgedDevices.keys()).forEach(deviceId => detachDevice(deviceId));
+
+    if (client) {
+        await new Promise(resolve => client.end(false, {}, resolve));
+        client = null;
+    }
+    console.log(`[MQTT BRIDGE] ${BRIDGE_ID} stopped`);
+}
+
+// If running as standalone script
+if (require.main === module) {
+    const shutdown = (signal) => {
+        console.log(`[MQTT BRIDGE] ${signal} received, shutting down`);
+        stopMqttBridge()
+            .then(() => process.exit(0))
+            .catch(error => {
+                console.error('Error:', error);
+                process.exit(1);
+            });
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+    startMqttBridge().catch(error => {
+        console.error('Error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { startMqttBridge, stopMqttBridge, mapTelemetry, compileTopic, normalizeMotorState };
@@ -0,0 +1,242 @@
+/**
+ * Device Heartbeat Cron Job
+ *
+ * Checks when every device last published a reading (RTDB devices/{deviceId}/status/feeder/timestamp)
+ * and records online/offline transitions in users/{uid}/deviceStatus/{deviceId}/events.
+ * A device that has been silent longer than its threshold raises one notification per
+ * offline episode (and one more when it comes back).
+ * Threshold: users/{uid}/devices/{deviceId}.staleAfterMinutes, then users/{uid}.deviceStaleMinutes,
+ * then DEVICE_STALE_MINUTES (default 10).
+ * Runs every 5 minutes.
+ *
+ * Usage (cron):
+ * 0-59/5 * * * * node /path/to/api/cron/check-heartbeat.js secret=your-secret-key
+ *
+ * Or as Express endpoint:
+ * GET /api/cron/check-heartbeat?secret=your-secret-key
+ */
+
+const FirebaseConfig = require('../_config/firebase');
+const { verifyCronSecret } = require('../_middleware/verifyToken');
+const admin = require('firebase-admin');
+const { toNumber } = require('../../sensor-catalog');
+
+const DEFAULT_STALE_MINUTES = parseInt(process.env.DEVICE_STALE_MINUTES || '10', 10);
+
+// Earlier timestamps are uptime counters or an unsynced clock, not wall time
+const MIN_VALID_HEARTBEAT_MS = Date.UTC(2020, 0, 1);
+
+/**
+ * Devices of a user: ownership mapping merged with users/{uid}/devices (disabled devices skipped)
+ */
+async function loadUserDevices(db, uid) {
+    const [ownedSnap, userDevicesSnap] = await Promise.all([
+        db.collection('devices').where('ownerUid', '==', uid).get(),
+        db.collection('users').doc(uid).collection('devices').get()
+    ]);
+
+    const devicesById = new Map();
+    ownedSnap.forEach(deviceDoc => {
+        devicesById.set(deviceDoc.id, { id: deviceDoc.id, ...deviceDoc.data() });
+    });
+    userDevicesSnap.forEach(deviceDoc => {
+        devicesById.set(deviceDoc.id, { ...(devicesById.get(deviceDoc.id) || {}), id: deviceDoc.id, ...deviceDoc.data() });
+    });
+
+    return Array.from(devicesById.values()).filter(device => device.enabled !== false);
+}
+
+/**
+ * Last reading time the device published to RTDB (ms), or null when it has no usable timestamp
+ */
+async function readDeviceTimestamp(rtdb, deviceId) {
+    const snapshot = await rtdb.ref(`devices/${deviceId}/status/feeder/timestamp`).once('value');
+    let tsMs = toNumber(snapshot.val());
+    if (tsMs === null) {
+        return null;
+    }
+    // Firmware publishes epoch seconds, newer builds milliseconds
+    if (tsMs < 1e12) {
+        tsMs *= 1000;
+    }
+    return tsMs >= MIN_VALID_HEARTBEAT_MS ? Math.min(tsMs, Date.now()) : null;
+}
+
+/**
+ * Check one device and record its status
+ *
+ * @returns {Promise<{status: string|null, notified: boolean}>}
+ */
+async function checkDeviceHeartbeat(db, rtdb, uid, device, userStaleMinutes) {
+    const statusRef = db.collection('users').doc(uid).collection('deviceStatus').doc(device.id);
+    const eventRef = statusRef.collection('events').doc();
+    const notificationRef = db.collection('notifications').doc();
+    const deviceName = device.name || device.deviceName || device.id;
+
+    const override = toNumber(device.staleAfterMinutes);
+    const staleAfterMinutes = override && override > 0 ? override : userStaleMinutes;
+    const rtdbLastSeen = await readDeviceTimestamp(rtdb, device.id);
+
+    return db.runTransaction(async (transaction) => {
+        const statusSnap = await transaction.get(statusRef);
+        const stored = statusSnap.exists ? statusSnap.data() : {};
+
+        // The dashboard also records lastSeenAt (receipt time when the device sends no timestamp)
+        const lastSeenAt = Math.max(rtdbLastSeen || 0, toNumber(stored.lastSeenAt) || 0);
+        if (!lastSeenAt) {
+            return { status: null, notified: false };
+        }
+
+        const now = Date.now();
+        const status = now - lastSeenAt > staleAfterMinutes * 60 * 1000 ? 'offline' : 'online';
+        const update = {
+            deviceId: device.id,
+            status: status,
+            lastSeenAt: lastSeenAt,
+            staleAfterMinutes: staleAfterMinutes,
+            checkedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        if (stored.status !== status) {
+            update.changedAt = now;
+            transaction.set(eventRef, {
+                deviceId: device.id,
+                status: status,
+                lastSeenAt: lastSeenAt,
+                staleAfterMinutes: staleAfterMinutes,
+                detectedAt: now,
+                source: 'js-cron',
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        // One notification per offline episode, whoever noticed the transition first
+        let notified = false;
+        if (status === 'offline' && !stored.offlineNotified) {
+            transaction.set(notificationRef, {
+                targetUid: uid,
+                type: 'device_offline',
+                deviceId: device.id,
+                title: `${deviceName} is offline`,
+                message: `No reading from ${deviceName} since ${new Date(lastSeenAt).toISOString()} (threshold ${staleAfterMinutes} min).`,
+                timestamp: now,
+                read: false
+            });
+            update.offlineNotified = true;
+            update.offlineNotifiedAt = now;
+            notified = true;
+        } else if (status === 'online' && stored.offlineNotified) {
+            transaction.set(notificationRef, {
+                targetUid: uid,
+                type: 'device_online',
+                deviceId: device.id,
+                title: `${deviceName} is back online`,
+                message: `${deviceName} is publishing readings again.`,
+                timestamp: now,
+                read: false
+            });
+            update.offlineNotified = false;
+            notified = true;
+        }
+
+        transaction.set(statusRef, update, { merge: true });
+        return { status, notified };
+    });
+}
+
+/**
+ * Main function to check device heartbeats
+ */
+async function checkDeviceHeartbeats(req, res) {
+    // Verify cron secret
+    const secret = req.query?.secret || req.headers?.['x-cron-secret'] || null;
+    if (!verifyCronSecret(secret)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid cron secret'
+        });
+    }
+
+    try {
+        const db = FirebaseConfig.getFirestore();
+        const rtdb = FirebaseConfig.getFactory().database();
+
+        // Get all active users
+        const usersQuery = db.collection('users').where('isActive', '==', true);
+        const usersSnapshot = await usersQuery.get();
+
+        let processed = 0;
+        let offline = 0;
+        let notified = 0;
+        let errors = 0;
+
+        for (const userDoc of usersSnapshot.docs) {
+            if (!userDoc.exists) {
+                continue;
+            }
+
+            const uid = userDoc.id;
+            const userStaleMinutes = toNumber(userDoc.data().deviceStaleMinutes) || DEFAULT_STALE_MINUTES;
+
+            try {
+                const devices = await loadUserDevices(db, uid);
+
+                for (const device of devices) {
+                    const result = await checkDeviceHeartbeat(db, rtdb, uid, device, userStaleMinutes);
+                    if (result.status === 'offline') {
+                        offline++;
+                    }
+                    if (result.notified) {
+                        notified++;
+                    }
+                    processed++;
+                }
+            } catch (error) {
+                console.error(`[CRON] Error checking heartbeats for user ${uid}:`, error.message);
+                errors++;
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            processed: processed,
+            offline: offline,
+            notified: notified,
+            errors: errors,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+// If running as standalone script
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const secret = args.find(arg => arg.startsWith('secret='))?.split('=')[1] || process.env.CRON_SECRET;
+
+    const mockReq = {
+        query: { secret },
+        headers: {}
+    };
+
+    const mockRes = {
+        status: (code) => ({
+            json: (data) => {
+                console.log(JSON.stringify(data, null, 2));
+                process.exit(code === 200 ? 0 : 1);
+            }
+        })
+    };
+
+    checkDeviceHeartbeats(mockReq, mockRes).catch(error => {
+        console.error('Error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { checkDeviceHeartbeats, checkDeviceHeartbeat, loadUserDevices };
@@ -0,0 +1,136 @@
+/**
+ * Notification Dispatch Cron Job
+ *
+ * Sends new notifications out on the users' email / SMS / webhook / browser push channels and retries
+ * failed deliveries with backoff (see api/notify/dispatcher.js). Feeding starts, stops and skips logged since the
+ * last run are turned into notifications first (api/notify/feeding.js), so they go out in the same run, and
+ * so are feeds left at their reorder level without an announcement (api/notify/feed-stock.js).
+ * Runs every minute.
+ *
+ * Usage (cron):
+ * * * * * * node /path/to/api/cron/dispatch-notifications.js secret=your-secret-key
+ *
+ * Or as Express endpoint:
+ * GET /api/cron/dispatch-notifications?secret=your-secret-key
+ */
+
+const FirebaseConfig = require('../_config/firebase');
+const { verifyCronSecret } = require('../_middleware/verifyToken');
+const { queueRecentNotifications, deliverDue } = require('../notify/dispatcher');
+const { announceFeedingEvents } = require('../notify/feeding');
+const { announceLowStock } = require('../notify/feed-stock');
+
+/**
+ * Main cron handler
+ */
+async function dispatchNotifications(req, res) {
+    // Verify cron secret
+    const secret = req.query?.secret || req.headers?.['x-cron-secret'] || null;
+    if (!verifyCronSecret(secret)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid cron secret'
+        });
+    }
+
+    try {
+        const db = FirebaseConfig.getFirestore();
+
+        // Get all active users
+        const usersQuery = db.collection('users').where('isActive', '==', true);
+        const usersSnapshot = await usersQuery.get();
+
+        const feeding = { started: 0, stopped: 0, skipped: 0 };
+        let lowStock = 0;
+        let errors = 0;
+
+        for (const userDoc of usersSnapshot.docs) {
+            if (!userDoc.exists) {
+                continue;
+            }
+            try {
+                const counts = await announceFeedingEvents(db, userDoc.id);
+                feeding.started += counts.started;
+                feeding.stopped += counts.stopped;
+                feeding.skipped += counts.skipped;
+            } catch (error) {
+                console.error(`[CRON] Error announcing feeding events for user ${userDoc.id}:`, error.message);
+                errors++;
+            }
+            try {
+                lowStock += await announceLowStock(db, userDoc.id, userDoc.data().timezone);
+            } catch (error) {
+                console.error(`[CRON] Error announcing low feed stock for user ${userDoc.id}:`, error.message);
+                errors++;
+            }
+        }
+
+        const queued = await queueRecentNotifications(db);
+
+        const totals = { sent: 0, retrying: 0, failed: 0, skipped: 0 };
+        let processed = 0;
+
+        for (const userDoc of usersSnapshot.docs) {
+            if (!userDoc.exists) {
+                continue;
+            }
+
+            const uid = userDoc.id;
+
+            try {
+                const counts = await deliverDue(db, uid);
+                Object.keys(totals).forEach(key => {
+                    totals[key] += counts[key];
+                });
+                processed++;
+            } catch (error) {
+                console.error(`[CRON] Error dispatching notifications for user ${uid}:`, error.message);
+                errors++;
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            processed: processed,
+            feedingEvents: feeding.started + feeding.stopped + feeding.skipped,
+            lowStock: lowStock,
+            queued: queued.deliveries,
+            ...totals,
+            errors: errors,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+// If running as standalone script
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const secret = args.find(arg => arg.startsWith('secret='))?.split('=')[1] || process.env.CRON_SECRET;
+
+    const mockReq = {
+        query: { secret },
+        headers: {}
+    };
+
+    const mockRes = {
+        status: (code) => ({
+            json: (data) => {
+                console.log(JSON.stringify(data, null, 2));
+                process.exit(code === 200 ? 0 : 1);
+            }
+        })
+    };
+
+    dispatchNotifications(mockReq, mockRes).catch(error => {
+        console.error('Error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { dispatchNotifications };
@@ -0,0 +1,314 @@
+/**
+ * Raw Readings Retention Cron Job
+ *
+ * Downsamples the raw sensor time series in users/{uid}/rawReadings/{YYYY-MM-DD}/points.
+ * - Days older than rawDays (default 7) are folded into 5-minute points
+ * - Days older than fiveMinDays (default 30) are folded into hourly points
+ * Each downsampled point keeps avg, min, max, count and variance per sensor,
+ * so the drill-down chart can still draw min/max bands, plus the average
+ * uncalibrated reading ({sensor}Raw).
+ * Runs once per day.
+ *
+ * Usage (cron):
+ * 30 1 * * * node /path/to/api/cron/downsample-raw.js secret=your-secret-key
+ *
+ * Or as Express endpoint:
+ * GET /api/cron/downsample-raw?secret=your-secret-key&rawDays=7&fiveMinDays=30
+ *
+ * Defaults can also be set with RAW_RETENTION_DAYS and FIVE_MIN_RETENTION_DAYS.
+ */
+
+const FirebaseConfig = require('../_config/firebase');
+const { verifyCronSecret } = require('../_middleware/verifyToken');
+const admin = require('firebase-admin');
+const { SENSORS, toNumber, hourlyFields, emptyStats, addReading, mergeStats, stdDev } = require('../../sensor-catalog');
+const { resolveTimezone, dateKey } = require('../../timezone');
+
+const DEFAULT_RAW_RETENTION_DAYS = parseInt(process.env.RAW_RETENTION_DAYS || '7', 10);
+const DEFAULT_FIVE_MIN_RETENTION_DAYS = parseInt(process.env.FIVE_MIN_RETENTION_DAYS || '30', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESOLUTIONS = {
+    '5min': 5 * 60 * 1000,
+    hourly: 60 * 60 * 1000
+};
+
+// Firestore batches allow 500 operations
+const BATCH_LIMIT = 450;
+
+/**
+ * Running stats for one sensor in a stored point
+ * Raw points hold a single reading; downsampled points carry count/min/max/M2
+ */
+function pointStats(sensorId, point) {
+    const value = toNumber(point[sensorId]);
+    if (value === null) {
+        return emptyStats();
+    }
+    if (!point.resolution || point.resolution === 'raw') {
+        return addReading(emptyStats(), value);
+    }
+
+    const fields = hourlyFields(sensorId);
+    const min = toNumber(point[fields.min]);
+    const max = toNumber(point[fields.max]);
+    return {
+        count: toNumber(point[fields.count]) || 1,
+        mean: value,
+        m2: toNumber(point[fields.m2]) || 0,
+        min: min !== null ? min : value,
+        max: max !== null ? max : value
+    };
+}
+
+/**
+ * Fold points into fixed buckets (per device)
+ *
+ * @param {Array<Object>} points - Stored points (any resolution finer than the target)
+ * @param {string} resolution - '5min' or 'hourly'
+ * @returns {Array<{id: string, point: Object}>} Bucket points keyed by their doc id
+ */
+function downsamplePoints(points, resolution) {
+    const bucketMs = RESOLUTIONS[resolution];
+    const buckets = new Map();
+
+    points.forEach(point => {
+        const ts = toNumber(point.ts);
+        if (ts === null) {
+            return;
+        }
+
+        const deviceId = point.deviceId || 'primary';
+        const bucketStart = Math.floor(ts / bucketMs) * bucketMs;
+        const key = `${deviceId}_${bucketStart}`;
+
+        if (!buckets.has(key)) {
+            const stats = {};
+            const rawSums = {};
+            SENSORS.forEach(sensor => {
+                stats[sensor.id] = emptyStats();
+                rawSums[sensor.id] = 0;
+            });
+            buckets.set(key, { deviceId, bucketStart, stats, rawSums });
+        }
+
+        const bucket = buckets.get(key);
+        SENSORS.forEach(sensor => {
+            const stats = pointStats(sensor.id, point);
+            if (stats.count === 0) {
+                return;
+            }
+            // Points stored before calibration existed have no {sensor}Raw: raw == value
+            const raw = toNumber(point[`${sensor.id}Raw`]);
+            bucket.rawSums[sensor.id] += (raw !== null ? raw : stats.mean) * stats.count;
+            bucket.stats[sensor.id] = mergeStats(bucket.stats[sensor.id], stats);
+        });
+    });
+
+    return Array.from(buckets.values()).map(bucket => {
+        const point = {
+            ts: bucket.bucketStart,
+            bucketMs: bucketMs,
+            deviceId: bucket.deviceId,
+            resolution: resolution,
+            source: 'downsample'
+        };
+
+        SENSORS.forEach(sensor => {
+            const stats = bucket.stats[sensor.id];
+            const fields = hourlyFields(sensor.id);
+            point[sensor.id] = stats.count > 0 ? stats.mean : null;
+            point[`${sensor.id}Raw`] = stats.count > 0 ? bucket.rawSums[sensor.id] / stats.count : null;
+            point[fields.count] = stats.count;
+            point[fields.min] = stats.min;
+            point[fields.max] = stats.max;
+            point[fields.m2] = stats.m2;
+            point[fields.std] = stdDev(stats);
+        });
+
+        return {
+            id: `${resolution}_${bucket.deviceId}_${bucket.bucketStart}`,
+            point: point
+        };
+    });
+}
+
+/**
+ * Downsample one day of points to the target resolution
+ * Bucket points are written before the source points are deleted
+ *
+ * @returns {Promise<number>} Number of source points folded
+ */
+async function downsampleDay(db, dayRef, resolution) {
+    const pointsRef = dayRef.collection('points');
+    const snapshot = await pointsRef.get();
+
+    const sourceDocs = snapshot.docs.filter(pointDoc => pointDoc.data().resolution !== resolution);
+    if (sourceDocs.length === 0) {
+        await dayRef.set({ date: dayRef.id, resolution: resolution }, { merge: true });
+        return 0;
+    }
+
+    // Existing bucket points of the target resolution are merged back in (safe to re-run)
+    const buckets = downsamplePoints(snapshot.docs.map(pointDoc => pointDoc.data()), resolution);
+    const bucketIds = new Set(buckets.map(bucket => bucket.id));
+
+    const operations = [];
+    buckets.forEach(bucket => {
+        operations.push(batch => batch.set(pointsRef.doc(bucket.id), bucket.point));
+    });
+    snapshot.docs.forEach(pointDoc => {
+        if (!bucketIds.has(pointDoc.id)) {
+            operations.push(batch => batch.delete(pointDoc.ref));
+        }
+    });
+
+    for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        operations.slice(i, i + BATCH_LIMIT).forEach(apply => apply(batch));
+        await batch.commit();
+    }
+
+    await dayRef.set({
+        date: dayRef.id,
+        resolution: resolution,
+        pointCount: buckets.length,
+        downsampledAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return sourceDocs.length;
+}
+
+/**
+ * Apply retention to every stored day of a user
+ * Day docs are keyed in the user's timezone, so their age is counted from today in that zone
+ */
+async function downsampleRawForUser(db, uid, rawDays, fiveMinDays, timezone) {
+    const today = Date.parse(dateKey(Date.now(), resolveTimezone(timezone)));
+
+    // listDocuments() also returns day docs that only exist as a parent of points
+    const dayRefs = await db.collection('users').doc(uid)
+        .collection('rawReadings')
+        .listDocuments();
+
+    const result = { fiveMinDays: 0, hourlyDays: 0, foldedPoints: 0 };
+
+    for (const dayRef of dayRefs) {
+        const dayMs = Date.parse(dayRef.id);
+        if (isNaN(dayMs)) {
+            continue;
+        }
+
+        const ageDays = Math.floor((today - dayMs) / DAY_MS);
+        const daySnap = await dayRef.get();
+        const resolution = daySnap.exists ? (daySnap.data().resolution || 'raw') : 'raw';
+
+        if (ageDays > fiveMinDays && resolution !== 'hourly') {
+            result.foldedPoints += await downsampleDay(db, dayRef, 'hourly');
+            result.hourlyDays++;
+        } else if (ageDays > rawDays && resolution === 'raw') {
+            result.foldedPoints += await downsampleDay(db, dayRef, '5min');
+            result.fiveMinDays++;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Main function to apply raw readings retention
+ */
+async function downsampleRawReadings(req, res) {
+    // Verify cron secret
+    const secret = req.query?.secret || req.headers?.['x-cron-secret'] || null;
+    if (!verifyCronSecret(secret)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid cron secret'
+        });
+    }
+
+    const rawDays = req.query?.rawDays !== undefined ? parseInt(req.query.rawDays, 10) : DEFAULT_RAW_RETENTION_DAYS;
+    const fiveMinDays = req.query?.fiveMinDays !== undefined ? parseInt(req.query.fiveMinDays, 10) : DEFAULT_FIVE_MIN_RETENTION_DAYS;
+
+    if (isNaN(rawDays) || isNaN(fiveMinDays) || rawDays < 0 || fiveMinDays < rawDays) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid retention. Expected 0 <= rawDays <= fiveMinDays'
+        });
+    }
+
+    try {
+        const db = FirebaseConfig.getFirestore();
+
+        // Get all active users
+        const usersQuery = db.collection('users').where('isActive', '==', true);
+        const usersSnapshot = await usersQuery.get();
+
+        let processed = 0;
+        let foldedPoints = 0;
+        let errors = 0;
+
+        for (const userDoc of usersSnapshot.docs) {
+            if (!userDoc.exists) {
+                continue;
+            }
+
+            const uid = userDoc.id;
+
+            try {
+                const result = await downsampleRawForUser(db, uid, rawDays, fiveMinDays, userDoc.data().timezone);
+                foldedPoints += result.foldedPoints;
+                processed++;
+            } catch (error) {
+                console.error(`[CRON] Error downsampling raw readings for user ${uid}:`, error.message);
+                errors++;
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            rawDays: rawDays,
+            fiveMinDays: fiveMinDays,
+            processed: processed,
+            foldedPoints: foldedPoints,
+            errors: errors,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+// If running as standalone script
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const secret = args.find(arg => arg.startsWith('secret='))?.split('=')[1] || process.env.CRON_SECRET;
+    const rawDays = args.find(arg => arg.startsWith('rawDays='))?.split('=')[1];
+    const fiveMinDays = args.find(arg => arg.startsWith('fiveMinDays='))?.split('=')[1];
+
+    const mockReq = {
+        query: { secret, rawDays, fiveMinDays },
+        headers: {}
+    };
+
+    const mockRes = {
+        status: (code) => ({
+            json: (data) => {
+                console.log(JSON.stringify(data, null, 2));
+                process.exit(code === 200 ? 0 : 1);
+            }
+        })
+    };
+
+    downsampleRawReadings(mockReq, mockRes).catch(error => {
+        console.error('Error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { downsampleRawReadings, downsampleRawForUser, downsamplePoints };
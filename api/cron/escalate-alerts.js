@@ -0,0 +1,105 @@
+/**
+ * Alert Escalation Cron Job
+ *
+ * Pings farm workers about open alerts and escalates the ones nobody acknowledged to the farm owner,
+ * then to the admins, following each farm's policy (see api/alerts/escalation.js).
+ * Runs every minute.
+ *
+ * Usage (cron):
+ * * * * * * node /path/to/api/cron/escalate-alerts.js secret=your-secret-key
+ *
+ * Or as Express endpoint:
+ * GET /api/cron/escalate-alerts?secret=your-secret-key
+ */
+
+const FirebaseConfig = require('../_config/firebase');
+const { verifyCronSecret } = require('../_middleware/verifyToken');
+const { loadAdminUids, escalateFarmAlerts } = require('../alerts/escalation');
+
+/**
+ * Main cron handler
+ */
+async function escalateAlerts(req, res) {
+    // Verify cron secret
+    const secret = req.query?.secret || req.headers?.['x-cron-secret'] || null;
+    if (!verifyCronSecret(secret)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid cron secret'
+        });
+    }
+
+    try {
+        const db = FirebaseConfig.getFirestore();
+        const adminUids = await loadAdminUids(db);
+
+        // Get all active users
+        const usersQuery = db.collection('users').where('isActive', '==', true);
+        const usersSnapshot = await usersQuery.get();
+
+        const totals = { alerts: 0, escalated: 0, pinged: 0, pingErrors: 0, unverified: 0 };
+        let processed = 0;
+        let errors = 0;
+
+        for (const userDoc of usersSnapshot.docs) {
+            if (!userDoc.exists) {
+                continue;
+            }
+
+            const uid = userDoc.id;
+
+            try {
+                const counts = await escalateFarmAlerts(db, uid, userDoc.data(), adminUids);
+                Object.keys(totals).forEach(key => {
+                    totals[key] += counts[key];
+                });
+                processed++;
+            } catch (error) {
+                console.error(`[CRON] Error escalating alerts for user ${uid}:`, error.message);
+                errors++;
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            processed: processed,
+            ...totals,
+            admins: adminUids.length,
+            errors: errors,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+// If running as standalone script
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const secret = args.find(arg => arg.startsWith('secret='))?.split('=')[1] || process.env.CRON_SECRET;
+
+    const mockReq = {
+        query: { secret },
+        headers: {}
+    };
+
+    const mockRes = {
+        status: (code) => ({
+            json: (data) => {
+                console.log(JSON.stringify(data, null, 2));
+                process.exit(code === 200 ? 0 : 1);
+            }
+        })
+    };
+
+    escalateAlerts(mockReq, mockRes).catch(error => {
+        console.error('Error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { escalateAlerts };
@@ -0,0 +1,593 @@
+/**
+ * Feeding Schedule Executor Cron Job
+ *
+ * Starts and stops every user's feeding schedules server-side, so the fish are fed whether or not a
+ * dashboard is open (the dashboard only shows the status). Per active user, each run:
+ * - start: a schedule due since the previous run (lastRun < T ≤ now, on its feeding days in the user's
+ *   timezone), or still inside its window (T ≤ now < T + run time), gets
+ *   users/{uid}/feedingLogs/{scheduleId}_{YYYY-MM-DD}, created in a transaction together with the motor's
+ *   Firestore state, so however many runs overlap a feeding starts once. A feeding shorter than the cron
+ *   interval is started late rather than missed, and still runs its whole length from the actual start.
+ *   The previous run time is kept in cronState/execute-feeding (at most FEEDING_CATCH_UP_MINUTES back).
+ *   Its guard conditions (feeding-schedules.js) are checked against the feeder's latest readings first:
+ *   a feeding they skip is logged as skipped (motor left off), one they reduce runs for its share, both with the reason
+ * - run: a running feeding keeps its motor on (a manual switch-off during a feeding is undone, as before)
+ * - stop: a running feeding past endsAt switches its motor off in RTDB (unless another feeding on the same
+ *   feeder is still running), then is completed in a transaction that books the dispensed feed on
+ *   hourlyRecords feedUsedKg, takes it off the feed stock and sets the Firestore motor state, so it is
+ *   counted once; a failed RTDB write leaves it running and the next run stops it again
+ * Stops due before the next run (FEEDING_STOP_WAIT_SECONDS, default 50) are timed in this process after the
+ * answer has been sent, so a short feeding is not stretched to a whole minute and the request never waits;
+ * where the process ends with the request, the next run stops them.
+ * Motor path (same as Motor Control on the dashboard): Firestore users/{uid}/sensors/feeder.value
+ * (primary device) or users/{uid}/devices/{deviceId}.feederState first, then RTDB
+ * devices/{deviceId}/status/feeder/state.
+ * Runs every minute.
+ *
+ * Usage (cron):
+ * * * * * * node /path/to/api/cron/execute-feeding.js secret=your-secret-key
+ *
+ * Or as Express endpoint:
+ * GET /api/cron/execute-feeding?secret=your-secret-key
+ */
+
+const FirebaseConfig = require('../_config/firebase');
+const { verifyCronSecret } = require('../_middleware/verifyToken');
+const admin = require('firebase-admin');
+const { resolveTimezone, dateKey, addDays, zonedTimeToUtc } = require('../../timezone');
+const FeedingSchedules = require('../../feeding-schedules');
+const FeedInventory = require('../../feed-inventory');
+const { DEFAULT_DEVICE_ID, resolvePrimaryDeviceId } = require('../../device-registry');
+const { SENSORS, toNumber } = require('../../sensor-catalog');
+const { loadUserDevices } = require('./check-heartbeat');
+const { loadRecentPoints } = require('../alerts/evaluate');
+
+const STOP_WAIT_MS = parseInt(process.env.FEEDING_STOP_WAIT_SECONDS || '50', 10) * 1000;
+
+// The cron runs every minute; after an outage, feedings due up to this long ago are still started
+const RUN_INTERVAL_MS = 60 * 1000;
+const MAX_CATCH_UP_MS = parseInt(process.env.FEEDING_CATCH_UP_MINUTES || '10', 10) * 60 * 1000;
+const CURSOR_DOC = 'execute-feeding';
+
+// The motor is not switched on again this close to the end of a feeding (its stop may be switching it off)
+const KEEP_RUNNING_MARGIN_MS = 5000;
+
+const TIME_PATTERN = /^\d{1,2}:\d{2}$/;
+
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    return typeof value === 'number' ? value : new Date(value).getTime();
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(ms, 0)));
+}
+
+/**
+ * One feeding a day per schedule: the id makes the start exactly-once
+ */
+function feedingLogId(scheduleId, day) {
+    return `${scheduleId}_${day}`;
+}
+
+/**
+ * Firestore feeder state of a device: { ref, field, data } to merge (what Motor Control writes)
+ */
+function feederStateDoc(db, uid, deviceId, primaryDeviceId, state) {
+    const userRef = db.collection('users').doc(uid);
+    if (deviceId === primaryDeviceId) {
+        return {
+            ref: userRef.collection('sensors').doc('feeder'),
+            field: 'value',
+            data: { type: 'device', value: state, updatedAt: admin.firestore.FieldValue.serverTimestamp() }
+        };
+    }
+    return {
+        ref: userRef.collection('devices').doc(deviceId),
+        field: 'feederState',
+        data: { feederState: state, feederUpdatedAt: admin.firestore.FieldValue.serverTimestamp() }
+    };
+}
+
+async function writeRtdbFeederState(rtdb, deviceId, state) {
+    await rtdb.ref(`devices/${deviceId}/status/feeder/state`).set(state);
+}
+
+/**
+ * Running feeding log -> { id, ref, scheduleId, deviceId, startMs, endsAt }
+ * Logs the dashboard started before the executor moved here have no endsAt: start + planned run time
+ */
+function runningFeeding(logDoc, primaryDeviceId) {
+    const log = logDoc.data();
+    const startMs = toMillis(log.startedAt) || Date.now();
+    const seconds = log.runSeconds || (log.duration ? log.duration * 60 : FeedingSchedules.DEFAULT_DURATION_MINUTES * 60);
+    return {
+        id: logDoc.id,
+        ref: logDoc.ref,
+        scheduleId: log.scheduleId || null,
+        deviceId: log.deviceId || primaryDeviceId,
+        startMs: startMs,
+        endsAt: toMillis(log.endsAt) || startMs + seconds * 1000
+    };
+}
+
+/**
+ * Schedules, feeder rates and running feedings of one user
+ */
+async function loadFeedingContext(db, uid, timezone) {
+    const userRef = db.collection('users').doc(uid);
+    const [devices, schedulesSnap, runningSnap] = await Promise.all([
+        loadUserDevices(db, uid),
+        userRef.collection('schedules').get(),
+        userRef.collection('feedingLogs').where('status', '==', 'running').get()
+    ]);
+    const primaryDeviceId = resolvePrimaryDeviceId(devices) || DEFAULT_DEVICE_ID;
+
+    const schedules = schedulesSnap.docs.map(scheduleDoc => {
+        const schedule = scheduleDoc.data();
+        return { ...schedule, id: scheduleDoc.id, deviceId: schedule.deviceId || primaryDeviceId };
+    });
+
+    // Feeder calibrations decide how long schedules by weight run
+    const gramsPerSecond = {};
+    const deviceIds = new Set(schedules.map(schedule => schedule.deviceId));
+    await Promise.all(Array.from(deviceIds).map(async (deviceId) => {
+        const calibrationSnap = await userRef.collection('devices').doc(deviceId)
+            .collection('calibrations').doc(FeedingSchedules.FEEDER_CALIBRATION_ID).get();
+        gramsPerSecond[deviceId] = FeedingSchedules.gramsPerSecondOf(calibrationSnap.exists ? calibrationSnap.data() : null);
+    }));
+
+    return {
+        uid: uid,
+        timezone: timezone,
+        primaryDeviceId: primaryDeviceId,
+        schedules: schedules,
+        gramsPerSecond: gramsPerSecond,
+        running: runningSnap.docs.map(logDoc => runningFeeding(logDoc, primaryDeviceId)),
+        // deviceId -> readings promise, loaded once per run
+        guardReadings: {}
+    };
+}
+
+/**
+ * Latest readings of a feeder's pond for the guards -> { <sensor id>: value, null = none recent }
+ * Primary device: users/{uid}/sensors (what the dashboard shows); other devices: their newest rawReadings points
+ */
+async function loadGuardReadings(db, context, deviceId, now) {
+    const fromMs = now - FeedingSchedules.GUARD_READING_MAX_AGE_MINUTES * 60 * 1000;
+    const readings = {};
+    if (deviceId === context.primaryDeviceId) {
+        const sensorsRef = db.collection('users').doc(context.uid).collection('sensors');
+        const sensorDocs = await Promise.all(SENSORS.map(sensor => sensorsRef.doc(sensor.id).get()));
+        SENSORS.forEach((sensor, index) => {
+            const sensorData = sensorDocs[index].exists ? sensorDocs[index].data() : {};
+            const at = toMillis(sensorData.timestamp || sensorData.updatedAt);
+            readings[sensor.id] = at && at >= fromMs ? toNumber(sensorData.value) : null;
+        });
+        return readings;
+    }
+
+    const points = await loadRecentPoints(db, context.uid, deviceId, fromMs, now, context.timezone);
+    SENSORS.forEach(sensor => {
+        const latest = points.filter(point => toNumber(point[sensor.id]) !== null).pop();
+        readings[sensor.id] = latest ? toNumber(latest[sensor.id]) : null;
+    });
+    return readings;
+}
+
+/**
+ * Feeding windows of yesterday and today (a run can cross midnight) -> [{ schedule, day, startMs, endMs, seconds, gramsPerSecond }]
+ */
+function feedingWindows(context, now) {
+    const todayKey = dateKey(now, context.timezone);
+    const windows = [];
+    context.schedules.forEach(schedule => {
+        if (schedule.isEnabled === false || !TIME_PATTERN.test(schedule.time || '')) {
+            return;
+        }
+        const [hours, minutes] = schedule.time.split(':').map(Number);
+        const gramsPerSecond = context.gramsPerSecond[schedule.deviceId] || null;
+        const seconds = FeedingSchedules.runSeconds(schedule, gramsPerSecond);
+        [addDays(todayKey, -1), todayKey].forEach(day => {
+            if (!FeedingSchedules.feedsOn(schedule.recurrence, day)) {
+                return;
+            }
+            const startMs = zonedTimeToUtc(day, hours, context.timezone) + minutes * 60 * 1000;
+            windows.push({ schedule, day, startMs, endMs: startMs + seconds * 1000, seconds, gramsPerSecond });
+        });
+    });
+    return windows;
+}
+
+/**
+ * Start a schedule's feeding: log and Firestore motor state in one transaction, then RTDB
+ * (or only the log, when a guard skips it)
+ *
+ * @returns {Promise<Object|null>} The running feeding, { skipped: true } when a guard skipped it,
+ *          null when another run started (or skipped) it
+ */
+async function startFeeding(db, rtdb, context, window, now) {
+    const { schedule } = window;
+    const logRef = db.collection('users').doc(context.uid).collection('feedingLogs').doc(feedingLogId(schedule.id, window.day));
+    const feeder = feederStateDoc(db, context.uid, schedule.deviceId, context.primaryDeviceId, 'online');
+
+    // Started or skipped by an earlier run: the transaction settles races, this saves reading the sensors every minute
+    if ((await logRef.get()).exists) {
+        return null;
+    }
+
+    let guard = null;
+    if (FeedingSchedules.normalizeGuards(schedule.guards).length > 0) {
+        if (!context.guardReadings[schedule.deviceId]) {
+            context.guardReadings[schedule.deviceId] = loadGuardReadings(db, context, schedule.deviceId, now);
+        }
+        guard = FeedingSchedules.checkGuards(schedule.guards, await context.guardReadings[schedule.deviceId]);
+    }
+    const skipped = guard !== null && guard.action === 'skip';
+    const factor = guard ? guard.factor : 1;
+
+    const plannedKg = Number(schedule.targetKg) > 0 ? Number(schedule.targetKg) : null;
+    const seconds = skipped ? window.seconds : Math.max(Math.round(window.seconds * factor), 1);
+    // The full run time from the actual start, so a late start still dispenses the whole amount
+    const endsAt = now + seconds * 1000;
+    const log = {
+        scheduleId: schedule.id,
+        deviceId: schedule.deviceId,
+        status: skipped ? 'skipped' : 'running',
+        scheduledFor: window.day,
+        scheduledAt: admin.firestore.Timestamp.fromMillis(window.startMs),
+        duration: Math.round(seconds / 60 * 100) / 100,
+        runSeconds: seconds,
+        targetKg: plannedKg && factor < 1 && !skipped ? Math.round(plannedKg * factor * 1000) / 1000 : plannedKg,
+        gramsPerSecond: window.gramsPerSecond,
+        feedTypeId: schedule.feedTypeId || null,
+        // Guard outcome: reason "Temperature 33.1°C > 32°C", the planned amount and the readings it was decided on
+        reason: guard ? guard.reason : null,
+        guard: guard && guard.action !== 'feed' ? {
+            action: guard.action,
+            reducePercent: guard.reducePercent,
+            plannedRunSeconds: window.seconds,
+            plannedTargetKg: plannedKg,
+            readings: guard.readings
+        } : null,
+        source: 'js-cron',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (skipped) {
+        log.skippedAt = admin.firestore.Timestamp.fromMillis(now);
+    } else {
+        log.startedAt = admin.firestore.Timestamp.fromMillis(now);
+        log.endsAt = admin.firestore.Timestamp.fromMillis(endsAt);
+    }
+
+    const created = await db.runTransaction(async (transaction) => {
+        const logSnap = await transaction.get(logRef);
+        if (logSnap.exists) {
+            return false;
+        }
+        transaction.create(logRef, log);
+        if (!skipped) {
+            transaction.set(feeder.ref, feeder.data, { merge: true });
+        }
+        return true;
+    });
+    if (!created) {
+        return null;
+    }
+    if (skipped) {
+        console.log(`[FEEDING] Skipped schedule ${schedule.id} (${schedule.time}) for user ${context.uid}: ${guard.reason}`);
+        return { skipped: true };
+    }
+
+    await writeRtdbFeederState(rtdb, schedule.deviceId, 'online');
+    console.log(`[FEEDING] Started schedule ${schedule.id} (${schedule.time}) for user ${context.uid} on ${schedule.deviceId}` +
+        (guard && guard.action === 'reduce' ? `, reduced by ${guard.reducePercent}%: ${guard.reason}` : ''));
+    return {
+        id: logRef.id,
+        ref: logRef,
+        scheduleId: schedule.id,
+        deviceId: schedule.deviceId,
+        startMs: now,
+        endsAt: endsAt,
+        startedNow: true
+    };
+}
+
+/**
+ * Keep a running feeding's motor on (Firestore only when it is not on, RTDB every time)
+ *
+ * @returns {Promise<boolean>} false when the feeding was stopped meanwhile
+ */
+async function keepFeederOn(db, rtdb, context, feeding) {
+    const feeder = feederStateDoc(db, context.uid, feeding.deviceId, context.primaryDeviceId, 'online');
+    const running = await db.runTransaction(async (transaction) => {
+        const logSnap = await transaction.get(feeding.ref);
+        const feederSnap = await transaction.get(feeder.ref);
+        if (!logSnap.exists || logSnap.data().status !== 'running') {
+            return false;
+        }
+        if (!feederSnap.exists || feederSnap.data()[feeder.field] !== 'online') {
+            transaction.set(feeder.ref, feeder.data, { merge: true });
+        }
+        return true;
+    });
+    if (running) {
+        await writeRtdbFeederState(rtdb, feeding.deviceId, 'online');
+    }
+    return running;
+}
+
+/**
+ * Stop a feeding: switch the motor off in RTDB, then complete the log, book its feed and set the Firestore
+ * motor state in one transaction. RTDB comes first so a log is never completed with the motor still on:
+ * if that write fails the log stays running and the next run retries the stop.
+ * The motor stays on while another feeding on the same feeder runs (this one is booked up to its end)
+ *
+ * @returns {Promise<{dispensedKg: number|null}|null>} null when another run stopped it
+ */
+async function stopFeeding(db, rtdb, context, feeding, now = Date.now()) {
+    const userRef = db.collection('users').doc(context.uid);
+    const overlapping = context.running.some(other => other.id !== feeding.id && other.deviceId === feeding.deviceId &&
+        other.startMs <= now && now < other.endsAt);
+    const endMs = overlapping ? Math.min(feeding.endsAt, now) : now;
+    const todayKey = dateKey(now, context.timezone);
+    const feeder = feederStateDoc(db, context.uid, feeding.deviceId, context.primaryDeviceId, 'offline');
+
+    const current = await feeding.ref.get();
+    if (!current.exists || current.data().status !== 'running') {
+        context.running = context.running.filter(other => other.id !== feeding.id);
+        return null;
+    }
+    if (!overlapping) {
+        await writeRtdbFeederState(rtdb, feeding.deviceId, 'offline');
+    }
+
+    const result = await db.runTransaction(async (transaction) => {
+        const logSnap = await transaction.get(feeding.ref);
+        if (!logSnap.exists || logSnap.data().status !== 'running') {
+            return null;
+        }
+
+        const log = logSnap.data();
+        const startMs = Math.min(feeding.startMs, endMs);
+        const ranSeconds = Math.round((endMs - startMs) / 1000);
+        // The rate the run started with (logs from before feeder calibration use the current one)
+        const gramsPerSecond = log.gramsPerSecond || context.gramsPerSecond[feeding.deviceId] || null;
+        const kg = FeedingSchedules.dispensedKg(ranSeconds, gramsPerSecond);
+        const shares = FeedingSchedules.feedByHour(startMs, endMs, kg, context.timezone);
+
+        // Reads before writes: the feed type whose stock the run used (deleted feed types are not tracked any more)
+        const feedTypeRef = log.feedTypeId && kg > 0 ? userRef.collection('feedTypes').doc(log.feedTypeId) : null;
+        const feedTypeSnap = feedTypeRef ? await transaction.get(feedTypeRef) : null;
+
+        transaction.update(feeding.ref, {
+            status: 'completed',
+            endedAt: admin.firestore.Timestamp.fromMillis(endMs),
+            ranSeconds: ranSeconds,
+            dispensedKg: kg,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        shares.forEach(share => {
+            transaction.set(userRef.collection('hourlyRecords').doc(share.date).collection('hours').doc(share.hour), {
+                hour: share.hour,
+                timezone: context.timezone,
+                feedUsedKg: admin.firestore.FieldValue.increment(share.kg),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+        });
+
+        if (feedTypeSnap && feedTypeSnap.exists) {
+            const feedType = feedTypeSnap.data();
+            const stock = FeedInventory.applyFeeding(feedType, shares, todayKey, now);
+            const update = { ...stock.update, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+            if (stock.fellLow) {
+                const notificationId = FeedInventory.lowStockNotificationId(context.uid, log.feedTypeId, stock.update.lowStockSince);
+                transaction.set(db.collection('notifications').doc(notificationId),
+                    FeedInventory.lowStockNotification(context.uid, log.feedTypeId, { ...feedType, ...stock.update }, todayKey, now));
+                update.lowStockNotifiedAt = now;
+            }
+            transaction.update(feedTypeRef, update);
+        }
+
+        if (!overlapping) {
+            transaction.set(feeder.ref, feeder.data, { merge: true });
+        }
+        return { dispensedKg: kg };
+    });
+
+    context.running = context.running.filter(other => other.id !== feeding.id);
+    if (!result) {
+        return null;
+    }
+
+    if (overlapping) {
+        console.log(`[FEEDING] Feeding ${feeding.id} ended, another feeding keeps ${feeding.deviceId} on`);
+    } else {
+        console.log(`[FEEDING] Stopped feeding ${feeding.id} for user ${context.uid}` + (result.dispensedKg !== null ? ` (${result.dispensedKg} kg)` : ''));
+    }
+    return result;
+}
+
+/**
+ * Start time of the previous run (clamped to MAX_CATCH_UP_MS; one interval back on the first run)
+ */
+async function loadLastRunAt(db, now) {
+    const cursorSnap = await db.collection('cronState').doc(CURSOR_DOC).get();
+    const lastRunAt = cursorSnap.exists ? toNumber(cursorSnap.data().lastRunAt) : null;
+    return Math.max(lastRunAt !== null ? lastRunAt : now - RUN_INTERVAL_MS, now - MAX_CATCH_UP_MS);
+}
+
+/**
+ * Record this run's start (never moves backwards when runs overlap)
+ */
+async function saveLastRunAt(db, now) {
+    const cursorRef = db.collection('cronState').doc(CURSOR_DOC);
+    await db.runTransaction(async (transaction) => {
+        const cursorSnap = await transaction.get(cursorRef);
+        const stored = cursorSnap.exists ? toNumber(cursorSnap.data().lastRunAt) || 0 : 0;
+        if (now > stored) {
+            transaction.set(cursorRef, { lastRunAt: now, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+        }
+    });
+}
+
+/**
+ * Start, keep running and stop the feedings of one user
+ *
+ * @param {string} timezone - User timezone (feeding days and times are in it)
+ * @param {number} now
+ * @param {number} since - Start of the previous run: feedings due after it are started even if already over
+ * @returns {Promise<{started: number, skipped: number, stopped: number, pending: Array<{dueAt: number, stop: Function}>}>}
+ *          pending: feedings ending before the next run, to stop when due
+ */
+async function executeUserSchedules(db, rtdb, uid, timezone, now = Date.now(), since = now - RUN_INTERVAL_MS) {
+    const context = await loadFeedingContext(db, uid, resolveTimezone(timezone));
+    const counts = { started: 0, skipped: 0, stopped: 0, pending: [] };
+
+    // 1) START: schedules due since the previous run or inside their window, with no feeding yet
+    for (const window of feedingWindows(context, now)) {
+        if (now < window.startMs || (window.startMs <= since && now >= window.endMs)) {
+            continue;
+        }
+        // The schedule's previous feeding is still running (e.g. started by the dashboard executor)
+        if (context.running.some(feeding => feeding.scheduleId === window.schedule.id)) {
+            continue;
+        }
+        const feeding = await startFeeding(db, rtdb, context, window, now);
+        if (feeding && feeding.skipped) {
+            counts.skipped++;
+        } else if (feeding) {
+            context.running.push(feeding);
+            counts.started++;
+        }
+    }
+
+    // 2) RUN / 3) STOP
+    for (const feeding of context.running.slice()) {
+        if (now >= feeding.endsAt) {
+            if (await stopFeeding(db, rtdb, context, feeding, now)) {
+                counts.stopped++;
+            }
+            continue;
+        }
+        if (!feeding.startedNow && feeding.endsAt - now > KEEP_RUNNING_MARGIN_MS) {
+            await keepFeederOn(db, rtdb, context, feeding);
+        }
+        if (feeding.endsAt - now <= STOP_WAIT_MS) {
+            counts.pending.push({ dueAt: feeding.endsAt, stop: () => stopFeeding(db, rtdb, context, feeding) });
+        }
+    }
+    return counts;
+}
+
+/**
+ * Main function to execute feeding schedules
+ */
+async function executeFeedingSchedules(req, res) {
+    const pending = [];
+
+    // Verify cron secret
+    const secret = req.query?.secret || req.headers?.['x-cron-secret'] || null;
+    if (!verifyCronSecret(secret)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid cron secret'
+        });
+    }
+
+    try {
+        const db = FirebaseConfig.getFirestore();
+        const rtdb = FirebaseConfig.getFactory().database();
+        const now = Date.now();
+        const since = await loadLastRunAt(db, now);
+
+        // Get all active users
+        const usersQuery = db.collection('users').where('isActive', '==', true);
+        const usersSnapshot = await usersQuery.get();
+
+        let processed = 0;
+        let started = 0;
+        let skipped = 0;
+        let stopped = 0;
+        let errors = 0;
+
+        for (const userDoc of usersSnapshot.docs) {
+            if (!userDoc.exists) {
+                continue;
+            }
+
+            const uid = userDoc.id;
+            try {
+                const result = await executeUserSchedules(db, rtdb, uid, userDoc.data().timezone, Date.now(), since);
+                started += result.started;
+                skipped += result.skipped;
+                stopped += result.stopped;
+                result.pending.forEach(stop => pending.push({ ...stop, uid }));
+                processed++;
+            } catch (error) {
+                console.error(`[CRON] Error executing feeding schedules for user ${uid}:`, error.message);
+                errors++;
+            }
+        }
+
+        await saveLastRunAt(db, now);
+
+        res.status(200).json({
+            success: true,
+            processed: processed,
+            started: started,
+            skipped: skipped,
+            stopped: stopped,
+            stopsPending: pending.length,
+            errors: errors,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+        return;
+    }
+
+    // Answered: stop the feedings ending before the next run on time (a stop that fails is retried by the next run)
+    await Promise.all(pending.map(({ dueAt, stop, uid }) => sleep(dueAt - Date.now())
+        .then(stop)
+        .catch(error => {
+            console.error(`[CRON] Error stopping a feeding for user ${uid}:`, error.message);
+        })));
+}
+
+// If running as standalone script
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const secret = args.find(arg => arg.startsWith('secret='))?.split('=')[1] || process.env.CRON_SECRET;
+
+    const mockReq = {
+        query: { secret },
+        headers: {}
+    };
+
+    let exitCode = 1;
+    const mockRes = {
+        status: (code) => ({
+            json: (data) => {
+                console.log(JSON.stringify(data, null, 2));
+                exitCode = code === 200 ? 0 : 1;
+            }
+        })
+    };
+
+    // Exits once the feedings ending before the next run are stopped
+    executeFeedingSchedules(mockReq, mockRes)
+        .then(() => process.exit(exitCode))
+        .catch(error => {
+            console.error('Error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { executeFeedingSchedules, executeUserSchedules, feedingWindows, feedingLogId };
@@ -2,6 +2,7 @@
  * Daily Report Generation Cron Job
  * 
  * Generates daily reports from hourly records.
+ * Without a date, each user gets yesterday in their own timezone (users/{uid}.timezone, default Asia/Manila).
  * Runs once per day (recommended: after midnight).
  * 
  * Usage (cron):
@@ -13,6 +14,8 @@
 
 const FirebaseConfig = require('../_config/firebase');
 const { verifyCronSecret } = require('../_middleware/verifyToken');
+const { SENSORS, hourlyFields, emptyStats, mergeStats, statsFromHourly, reportStatsUpdate } = require('../../sensor-catalog');
+const { resolveTimezone, dateKey, addDays } = require('../../timezone');
 
 /**
  * Generate daily report for a user
@@ -36,10 +39,11 @@ async function generateDailyReportForUser(db, uid, date) {
     }
     
     // Aggregate from hourly records, ignoring seed documents
-    let temperatureSum = 0;
-    let temperatureCount = 0;
-    let phSum = 0;
-    let phCount = 0;
+    // Per-sensor running stats keyed by catalog id (hours merge exactly, weighted by their counts)
+    const stats = {};
+    SENSORS.forEach(sensor => {
+        stats[sensor.id] = emptyStats();
+    });
     let totalFeedKg = 0;
     let hasFeedData = false;
     let coverageHours = 0;
@@ -56,20 +60,15 @@ async function generateDailyReportForUser(db, uid, date) {
             return;
         }
         
-        // Use weighted averages if counts exist
-        if (record.temperatureAvg !== null && record.temperatureAvg !== undefined) {
-            const tempAvg = parseFloat(record.temperatureAvg);
-            const count = record.temperatureCount ? parseInt(record.temperatureCount) : 1;
-            temperatureSum += tempAvg * count;
-            temperatureCount += count;
-        }
-        
-        if (record.phAvg !== null && record.phAvg !== undefined) {
-            const phAvg = parseFloat(record.phAvg);
-            const count = record.phCount ? parseInt(record.phCount) : 1;
-            phSum += phAvg * count;
-            phCount += count;
-        }
+        let hasReadings = false;
+        SENSORS.forEach(sensor => {
+            const fields = hourlyFields(sensor.id);
+            stats[sensor.id] = mergeStats(stats[sensor.id], statsFromHourly(sensor.id, record));
+            
+            if (record[fields.count] && record[fields.count] > 0) {
+                hasReadings = true;
+            }
+        });
         
         // Aggregate feed
         if (record.feedUsedKg !== null && record.feedUsedKg !== undefined && record.feedUsedKg > 0) {
@@ -78,8 +77,7 @@ async function generateDailyReportForUser(db, uid, date) {
         }
         
         // Count hours with actual data
-        if ((record.temperatureCount && record.temperatureCount > 0) ||
-            (record.phCount && record.phCount > 0)) {
+        if (hasReadings) {
             coverageHours++;
         }
     });
@@ -89,25 +87,29 @@ async function generateDailyReportForUser(db, uid, date) {
         return null;
     }
     
-    // Calculate daily averages
-    const avgTemperature = temperatureCount > 0 ? temperatureSum / temperatureCount : null;
-    const avgPh = phCount > 0 ? phSum / phCount : null;
-    
     // Write to Firestore
     const admin = require('firebase-admin');
     const reportRef = db.collection('users').doc(uid)
         .collection('dailyReports').doc(date);
     
     const dailyReport = {
-        date: date,
-        avgTemperature: avgTemperature,
-        avgPh: avgPh,
+        date: date
+    };
+    
+    // Daily average, min, max and std per sensor (avgTemperature, minTemperature, ...)
+    SENSORS.forEach(sensor => {
+        const sensorStats = stats[sensor.id];
+        dailyReport[sensor.reportField] = sensorStats.count > 0 ? sensorStats.mean : null;
+        Object.assign(dailyReport, reportStatsUpdate(sensor.id, sensorStats));
+    });
+    
+    Object.assign(dailyReport, {
         totalFeedKg: hasFeedData ? totalFeedKg : null,
         coverageHours: coverageHours,
         isSeed: false,
         generatedAt: admin.firestore.FieldValue.serverTimestamp(),
         source: 'js-cron'
-    };
+    });
     
     await reportRef.set(dailyReport, { merge: true });
     
@@ -127,10 +129,8 @@ async function generateDailyReports(req, res) {
         });
     }
     
-    // Get date parameter (default: yesterday)
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const targetDate = req.query?.date || yesterday.toISOString().split('T')[0];
+    // Get date parameter (default: yesterday in each user's timezone)
+    const requestedDate = req.query?.date || null;
     
     try {
         const db = FirebaseConfig.getFirestore();
@@ -143,6 +143,7 @@ async function generateDailyReports(req, res) {
         let processed = 0;
         let skipped = 0;
         let errors = 0;
+        const targetDates = new Set();
         
         for (const userDoc of usersSnapshot.docs) {
             if (!userDoc.exists) {
@@ -150,6 +151,9 @@ async function generateDailyReports(req, res) {
             }
             
             const uid = userDoc.id;
+            const timezone = resolveTimezone(userDoc.data().timezone);
+            const targetDate = requestedDate || addDays(dateKey(Date.now(), timezone), -1);
+            targetDates.add(targetDate);
             
             try {
                 const result = await generateDailyReportForUser(db, uid, targetDate);
@@ -168,7 +172,8 @@ async function generateDailyReports(req, res) {
         
         res.status(200).json({
             success: true,
-            date: targetDate,
+            date: requestedDate,
+            dates: Array.from(targetDates),
             processed: processed,
             skipped: skipped,
             errors: errors,
@@ -2,6 +2,7 @@
  * Monthly Report Generation Cron Job
  * 
  * Generates monthly reports from daily reports.
+ * Without a month, each user gets last month in their own timezone (users/{uid}.timezone, default Asia/Manila).
  * Runs once per month (recommended: 1st day of month at 2 AM).
  * 
  * Usage (cron):
@@ -13,6 +14,8 @@
 
 const FirebaseConfig = require('../_config/firebase');
 const { verifyCronSecret } = require('../_middleware/verifyToken');
+const { SENSORS, toNumber, emptyStats, mergeStats, statsFromReport, reportStatsUpdate } = require('../../sensor-catalog');
+const { resolveTimezone, monthKey, addMonths } = require('../../timezone');
 
 /**
  * Generate monthly report for a user
@@ -68,8 +71,12 @@ async function generateMonthlyReportForUser(db, uid, month) {
     
     // Aggregate from daily reports
     let totalFeedKg = null;
-    const temperatures = [];
-    const phValues = [];
+    const valuesBySensor = {};
+    const statsBySensor = {};
+    SENSORS.forEach(sensor => {
+        valuesBySensor[sensor.id] = [];
+        statsBySensor[sensor.id] = emptyStats();
+    });
     
     dailyReports.forEach(report => {
         // Aggregate feed
@@ -86,40 +93,42 @@ async function generateMonthlyReportForUser(db, uid, month) {
             totalFeedKg += parseFloat(report.feedUsedKg);
         }
         
-        // Collect temperature values
-        if (report.avgTemperature !== null && report.avgTemperature !== undefined) {
-            temperatures.push(parseFloat(report.avgTemperature));
-        }
-        
-        // Collect pH values
-        if (report.avgPh !== null && report.avgPh !== undefined) {
-            phValues.push(parseFloat(report.avgPh));
-        }
+        // Collect per-sensor daily averages (avgTemperature, avgPh, ...)
+        SENSORS.forEach(sensor => {
+            const value = toNumber(report[sensor.reportField]);
+            if (value !== null) {
+                valuesBySensor[sensor.id].push(value);
+            }
+            // Pool min/max/std across days (each day weighted by its reading count)
+            statsBySensor[sensor.id] = mergeStats(statsBySensor[sensor.id], statsFromReport(sensor.id, report));
+        });
     });
     
-    // Calculate averages (average of daily averages)
-    const avgTemperature = temperatures.length > 0 
-        ? temperatures.reduce((a, b) => a + b, 0) / temperatures.length 
-        : null;
-    const avgPh = phValues.length > 0 
-        ? phValues.reduce((a, b) => a + b, 0) / phValues.length 
-        : null;
-    
     // Write to Firestore
     const admin = require('firebase-admin');
     const reportRef = db.collection('users').doc(uid)
         .collection('monthlyReports').doc(month);
     
     const monthlyReport = {
-        month: month,
-        avgTemperature: avgTemperature,
-        avgPh: avgPh,
+        month: month
+    };
+    
+    // Average of daily averages per sensor, plus pooled min/max/std
+    SENSORS.forEach(sensor => {
+        const values = valuesBySensor[sensor.id];
+        monthlyReport[sensor.reportField] = values.length > 0 
+            ? values.reduce((a, b) => a + b, 0) / values.length 
+            : null;
+        Object.assign(monthlyReport, reportStatsUpdate(sensor.id, statsBySensor[sensor.id]));
+    });
+    
+    Object.assign(monthlyReport, {
         totalFeedKg: totalFeedKg,
         coverageDays: coverageDays,
         isSeed: false,
         generatedAt: admin.firestore.FieldValue.serverTimestamp(),
         source: 'js-cron'
-    };
+    });
     
     await reportRef.set(monthlyReport, { merge: true });
     
@@ -139,11 +148,8 @@ async function generateMonthlyReports(req, res) {
         });
     }
     
-    // Get month parameter (default: last month)
-    const lastMonth = new Date();
-    lastMonth.setMonth(lastMonth.getMonth() - 1);
-    const targetMonth = req.query?.month || 
-        `${lastMonth.getFullYear()}-${String(lastMonth.getMonth() + 1).padStart(2, '0')}`;
+    // Get month parameter (default: last month in each user's timezone)
+    const requestedMonth = req.query?.month || null;
     
     try {
         const db = FirebaseConfig.getFirestore();
@@ -155,6 +161,7 @@ async function generateMonthlyReports(req, res) {
         let processed = 0;
         let skipped = 0;
         let errors = 0;
+        const targetMonths = new Set();
         
         for (const userDoc of usersSnapshot.docs) {
             if (!userDoc.exists) {
@@ -162,6 +169,9 @@ async function generateMonthlyReports(req, res) {
             }
             
             const uid = userDoc.id;
+            const timezone = resolveTimezone(userDoc.data().timezone);
+            const targetMonth = requestedMonth || addMonths(monthKey(Date.now(), timezone), -1);
+            targetMonths.add(targetMonth);
             
             try {
                 const result = await generateMonthlyReportForUser(db, uid, targetMonth);
@@ -180,7 +190,8 @@ async function generateMonthlyReports(req, res) {
         
         res.status(200).json({
             success: true,
-            month: targetMonth,
+            month: requestedMonth,
+            months: Array.from(targetMonths),
             processed: processed,
             skipped: skipped,
             errors: errors,
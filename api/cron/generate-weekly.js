@@ -2,6 +2,7 @@
  * Weekly Report Generation Cron Job
  * 
  * Generates weekly reports from daily reports.
+ * Without a week, each user gets last week in their own timezone (users/{uid}.timezone, default Asia/Manila).
  * Runs once per week (recommended: Monday morning).
  * 
  * Usage (cron):
@@ -13,6 +14,8 @@
 
 const FirebaseConfig = require('../_config/firebase');
 const { verifyCronSecret } = require('../_middleware/verifyToken');
+const { SENSORS, toNumber, emptyStats, mergeStats, statsFromReport, reportStatsUpdate } = require('../../sensor-catalog');
+const { resolveTimezone, dateKey, addDays, isoWeekKey } = require('../../timezone');
 
 /**
  * Get dates in ISO week
@@ -47,29 +50,11 @@ function getDatesInIsoWeek(isoWeekString) {
 }
 
 /**
- * Get last week in ISO format
+ * Get last week in ISO format (calendar of the given timezone)
  */
-function getLastWeekISO() {
-    const lastWeek = new Date();
-    lastWeek.setDate(lastWeek.getDate() - 7);
-    
-    // Find Monday of last week
-    const dayOfWeek = lastWeek.getDay();
-    const daysToMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-    const monday = new Date(lastWeek);
-    monday.setDate(monday.getDate() - daysToMonday);
-    
-    const year = monday.getFullYear();
-    const jan4 = new Date(year, 0, 4);
-    const jan4DayOfWeek = jan4.getDay();
-    const jan4DaysToMonday = jan4DayOfWeek === 0 ? 6 : jan4DayOfWeek - 1;
-    const jan4Monday = new Date(jan4);
-    jan4Monday.setDate(jan4.getDate() - jan4DaysToMonday);
-    
-    const daysDiff = Math.floor((monday - jan4Monday) / (1000 * 60 * 60 * 24));
-    const week = Math.floor(daysDiff / 7) + 1;
-    
-    return `${String(year).padStart(4, '0')}-W${String(week).padStart(2, '0')}`;
+function getLastWeekISO(timezone) {
+    const today = dateKey(Date.now(), resolveTimezone(timezone));
+    return isoWeekKey(addDays(today, -7));
 }
 
 /**
@@ -122,8 +107,12 @@ async function generateWeeklyReportForUser(db, uid, isoWeekString) {
     
     // Aggregate from daily reports
     let totalFeedKg = null;
-    const temperatures = [];
-    const phValues = [];
+    const valuesBySensor = {};
+    const statsBySensor = {};
+    SENSORS.forEach(sensor => {
+        valuesBySensor[sensor.id] = [];
+        statsBySensor[sensor.id] = emptyStats();
+    });
     
     dailyReports.forEach(report => {
         // Aggregate feed
@@ -140,46 +129,76 @@ async function generateWeeklyReportForUser(db, uid, isoWeekString) {
             totalFeedKg += parseFloat(report.feedUsedKg);
         }
         
-        // Collect temperature values
-        if (report.avgTemperature !== null && report.avgTemperature !== undefined) {
-            temperatures.push(parseFloat(report.avgTemperature));
-        }
-        
-        // Collect pH values
-        if (report.avgPh !== null && report.avgPh !== undefined) {
-            phValues.push(parseFloat(report.avgPh));
-        }
+        // Collect per-sensor daily averages (avgTemperature, avgPh, ...)
+        SENSORS.forEach(sensor => {
+            const value = toNumber(report[sensor.reportField]);
+            if (value !== null) {
+                valuesBySensor[sensor.id].push(value);
+            }
+            // Pool min/max/std across days (each day weighted by its reading count)
+            statsBySensor[sensor.id] = mergeStats(statsBySensor[sensor.id], statsFromReport(sensor.id, report));
+        });
     });
     
-    // Calculate averages (average of daily averages)
-    const avgTemperature = temperatures.length > 0 
-        ? temperatures.reduce((a, b) => a + b, 0) / temperatures.length 
-        : null;
-    const avgPh = phValues.length > 0 
-        ? phValues.reduce((a, b) => a + b, 0) / phValues.length 
-        : null;
-    
     // Write to Firestore
     const admin = require('firebase-admin');
     const reportRef = db.collection('users').doc(uid)
         .collection('weeklyReports').doc(isoWeekString);
     
     const weeklyReport = {
-        week: isoWeekString,
-        avgTemperature: avgTemperature,
-        avgPh: avgPh,
+        week: isoWeekString
+    };
+    
+    // Average of daily averages per sensor, plus pooled min/max/std
+    SENSORS.forEach(sensor => {
+        const values = valuesBySensor[sensor.id];
+        weeklyReport[sensor.reportField] = values.length > 0 
+            ? values.reduce((a, b) => a + b, 0) / values.length 
+            : null;
+        Object.assign(weeklyReport, reportStatsUpdate(sensor.id, statsBySensor[sensor.id]));
+    });
+    
+    Object.assign(weeklyReport, {
         totalFeedKg: totalFeedKg,
         coverageDays: coverageDays,
         isSeed: false,
         generatedAt: admin.firestore.FieldValue.serverTimestamp(),
         source: 'js-cron'
-    };
+    });
     
     await reportRef.set(weeklyReport, { merge: true });
     
     return weeklyReport;
 }
 
+/**
+ * Tell the user a weekly report is ready (the bell menu links to the Weekly Summary)
+ * The id is fixed per user and week, so a re-run or a manual backfill does not notify twice.
+ */
+async function notifyWeeklyReport(db, uid, isoWeekString, report) {
+    const notificationRef = db.collection('notifications').doc(`weekly-report_${uid}_${isoWeekString}`);
+    try {
+        await notificationRef.create({
+            targetUid: uid,
+            type: 'report_ready',
+            reportType: 'weekly',
+            period: isoWeekString,
+            link: { section: 'reports', target: 'weeklySummaryTable', deviceId: null },
+            title: `Weekly report ${isoWeekString} is ready`,
+            message: `Summary of ${report.coverageDays} day(s) of readings${report.totalFeedKg !== null ? `, ${report.totalFeedKg.toFixed(2)} kg of feed` : ''}.`,
+            timestamp: Date.now(),
+            read: false
+        });
+        return true;
+    } catch (error) {
+        // 6 = ALREADY_EXISTS
+        if (error.code === 6) {
+            return false;
+        }
+        throw error;
+    }
+}
+
 /**
  * Main function to generate weekly reports
  */
@@ -193,8 +212,8 @@ async function generateWeeklyReports(req, res) {
         });
     }
     
-    // Get week parameter (default: last week)
-    const targetWeek = req.query?.week || getLastWeekISO();
+    // Get week parameter (default: last week in each user's timezone)
+    const requestedWeek = req.query?.week || null;
     
     try {
         const db = FirebaseConfig.getFirestore();
@@ -206,6 +225,7 @@ async function generateWeeklyReports(req, res) {
         let processed = 0;
         let skipped = 0;
         let errors = 0;
+        const targetWeeks = new Set();
         
         for (const userDoc of usersSnapshot.docs) {
             if (!userDoc.exists) {
@@ -213,6 +233,8 @@ async function generateWeeklyReports(req, res) {
             }
             
             const uid = userDoc.id;
+            const targetWeek = requestedWeek || getLastWeekISO(userDoc.data().timezone);
+            targetWeeks.add(targetWeek);
             
             try {
                 const result = await generateWeeklyReportForUser(db, uid, targetWeek);
@@ -221,6 +243,7 @@ async function generateWeeklyReports(req, res) {
                     skipped++;
                 } else {
                     processed++;
+                    await notifyWeeklyReport(db, uid, targetWeek, result);
                 }
                 
             } catch (error) {
@@ -231,7 +254,8 @@ async function generateWeeklyReports(req, res) {
         
         res.status(200).json({
             success: true,
-            week: targetWeek,
+            week: requestedWeek,
+            weeks: Array.from(targetWeeks),
             processed: processed,
             skipped: skipped,
             errors: errors,
@@ -2,10 +2,13 @@
  * Hourly Sampling Cron Job
  * 
  * Samples current hour sensor data and updates hourly records.
+ * Hours are bucketed in the user's timezone (users/{uid}.timezone, default Asia/Manila),
+ * so the cron and the dashboard write the same hour document.
+ * The user's alert rules are evaluated against every sample (see api/alerts/evaluate.js).
  * Runs every 5 minutes via cron.
  * 
  * Usage (cron):
- * */5 * * * * node /path/to/api/cron/sample-hourly.js secret=your-secret-key
+ * 0-59/5 * * * * node /path/to/api/cron/sample-hourly.js secret=your-secret-key
  * 
  * Or as Express endpoint:
  * GET /api/cron/sample-hourly?secret=your-secret-key
@@ -14,6 +17,156 @@
 const FirebaseConfig = require('../_config/firebase');
 const { verifyCronSecret } = require('../_middleware/verifyToken');
 const admin = require('firebase-admin');
+const {
+    SENSORS,
+    toNumber,
+    hourlyStatsUpdate,
+    calibrateReadings,
+    resolveValidationConfig,
+    validateReadings
+} = require('../../sensor-catalog');
+const { resolveTimezone, bucketFor, dateKey } = require('../../timezone');
+const { INGEST_LEASE_KIND, hasActiveLease } = require('../worker/leases');
+const { evaluateAlertRules } = require('../alerts/evaluate');
+
+// Validation history window (rate-of-change and Hampel filter look back this far)
+const VALIDATION_LOOKBACK_MS = 60 * 60 * 1000;
+
+/**
+ * Resolve the user's primary device id (sensors/* mirror that device)
+ */
+async function getPrimaryDeviceId(db, uid) {
+    const snapshot = await db.collection('users').doc(uid)
+        .collection('devices')
+        .where('isPrimary', '==', true)
+        .limit(1)
+        .get();
+    return snapshot.empty ? null : snapshot.docs[0].id;
+}
+
+/**
+ * Load the device's calibration profiles keyed by sensor id
+ * users/{uid}/devices/{deviceId}/calibrations/{sensorId}
+ */
+async function loadCalibrationProfiles(db, uid, deviceId) {
+    const profiles = {};
+    if (!deviceId) {
+        return profiles;
+    }
+    
+    const snapshot = await db.collection('users').doc(uid)
+        .collection('devices').doc(deviceId)
+        .collection('calibrations')
+        .get();
+    snapshot.forEach(profileDoc => {
+        profiles[profileDoc.id] = profileDoc.data();
+    });
+    return profiles;
+}
+
+/**
+ * Newest sensor doc timestamp (ms), falling back to now
+ */
+function readingTimestamp(sensorDocs) {
+    let tsMs = 0;
+    sensorDocs.forEach(sensorDoc => {
+        const timestamp = sensorDoc.exists ? sensorDoc.data().timestamp : null;
+        if (timestamp && typeof timestamp.toMillis === 'function') {
+            tsMs = Math.max(tsMs, timestamp.toMillis());
+        }
+    });
+    return tsMs || Date.now();
+}
+
+/**
+ * Rebuild validation histories for a device from the last hour of stored readings
+ * Accepted readings come from rawReadings, rejected in-range readings from the quarantine log
+ * (so a real level shift still becomes the new median). Raw points are stored per local day: when the
+ * lookback starts before midnight, the previous day's points are read too. Only readings before tsMs count.
+ */
+async function loadValidationHistories(db, uid, deviceId, tsMs, timezone) {
+    const userRef = db.collection('users').doc(uid);
+    const since = tsMs - VALIDATION_LOOKBACK_MS;
+    const zone = resolveTimezone(timezone);
+    const dateStr = dateKey(tsMs, zone);
+    const sinceDateStr = dateKey(since, zone);
+    const dates = sinceDateStr !== dateStr ? [sinceDateStr, dateStr] : [dateStr];
+    
+    const [quarantineSnap, ...pointsSnaps] = await Promise.all([
+        userRef.collection('quarantine')
+            .where('ts', '>=', since)
+            .where('ts', '<', tsMs)
+            .orderBy('ts', 'asc')
+            .get(),
+        ...dates.map(date => userRef.collection('rawReadings').doc(date).collection('points')
+            .where('ts', '>=', since)
+            .where('ts', '<', tsMs)
+            .orderBy('ts', 'asc')
+            .get())
+    ]);
+    
+    const entries = [];
+    pointsSnaps.forEach(pointsSnap => pointsSnap.forEach(pointDoc => {
+        const point = pointDoc.data();
+        if (point.deviceId !== deviceId || (point.resolution && point.resolution !== 'raw')) {
+            return;
+        }
+        SENSORS.forEach(sensor => {
+            const value = toNumber(point[sensor.id]);
+            if (value !== null) {
+                entries.push({ sensorId: sensor.id, value, ts: point.ts, accepted: true });
+            }
+        });
+    }));
+    quarantineSnap.forEach(quarantineDoc => {
+        const entry = quarantineDoc.data();
+        if (entry.deviceId === deviceId && entry.reason !== 'out_of_range' && toNumber(entry.value) !== null) {
+            entries.push({ sensorId: entry.sensorId, value: toNumber(entry.value), ts: entry.ts, accepted: false });
+        }
+    });
+    
+    const histories = {};
+    SENSORS.forEach(sensor => {
+        histories[sensor.id] = entries
+            .filter(entry => entry.sensorId === sensor.id)
+            .sort((a, b) => a.ts - b.ts)
+            .map(entry => ({ value: entry.value, ts: entry.ts, accepted: entry.accepted }));
+    });
+    return histories;
+}
+
+/**
+ * Append the sampled values to the raw time series
+ * users/{uid}/rawReadings/{YYYY-MM-DD}/points/{deviceId}_{tsMs}
+ * 
+ * The point is keyed by the newest sensor timestamp, so sampling an unchanged
+ * sensor doc again overwrites the same point instead of duplicating it.
+ * Rejected readings are null here (they live in the quarantine log).
+ */
+async function appendRawReading(db, uid, deviceId, tsMs, readings, rawReadings, timezone) {
+    if (SENSORS.every(sensor => readings[sensor.id] === null)) {
+        return;
+    }
+    
+    const dateStr = dateKey(tsMs, resolveTimezone(timezone));
+    
+    const point = {
+        ts: tsMs,
+        deviceId: deviceId,
+        resolution: 'raw',
+        source: 'js-cron',
+        recordedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    SENSORS.forEach(sensor => {
+        point[sensor.id] = readings[sensor.id];
+        point[`${sensor.id}Raw`] = rawReadings[sensor.id];
+    });
+    
+    await db.collection('users').doc(uid)
+        .collection('rawReadings').doc(dateStr)
+        .collection('points').doc(`${deviceId}_${tsMs}`)
+        .set(point);
+}
 
 /**
  * Main function to sample hourly data
@@ -44,41 +197,58 @@ async function sampleHourlyData(req, res) {
             }
             
             const uid = userDoc.id;
+            const timezone = resolveTimezone(userDoc.data().timezone);
             
             try {
-                // Get current date and hour
-                const now = new Date();
-                const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
-                const hourStr = String(now.getUTCHours()).padStart(2, '0'); // HH
+                // Get current date and hour in the user's timezone
+                const bucket = bucketFor(Date.now(), timezone);
+                const dateStr = bucket.date; // YYYY-MM-DD
+                const hourStr = bucket.hour; // HH
                 
-                // Read latest sensor values
-                const tempRef = db.collection('users').doc(uid)
-                    .collection('sensors').doc('temperature');
-                const phRef = db.collection('users').doc(uid)
-                    .collection('sensors').doc('ph');
+                // Read latest sensor values (one doc per catalog sensor)
+                const sensorsRef = db.collection('users').doc(uid).collection('sensors');
+                const sensorDocs = await Promise.all(
+                    SENSORS.map(sensor => sensorsRef.doc(sensor.id).get())
+                );
                 
-                const tempDoc = await tempRef.get();
-                const phDoc = await phRef.get();
+                // Sensor docs hold corrected values; calibrate from rawValue so a profile is never applied twice
+                // (docs written before calibration existed only have value)
+                const sensorValues = {};
+                SENSORS.forEach((sensor, index) => {
+                    const sensorData = sensorDocs[index].exists ? sensorDocs[index].data() : {};
+                    const rawValue = toNumber(sensorData.rawValue);
+                    sensorValues[sensor.id] = rawValue !== null ? rawValue : toNumber(sensorData.value);
+                });
                 
-                let temperature = null;
-                let ph = null;
+                const deviceId = await getPrimaryDeviceId(db, uid) || 'primary';
                 
-                if (tempDoc.exists) {
-                    const tempData = tempDoc.data();
-                    if (tempData.value !== null && tempData.value !== undefined) {
-                        temperature = parseFloat(tempData.value);
-                    }
+                // The ingestion worker already folds every reading of this device into the hour
+                // (its sensor docs hold corrected, validated values - alert rules still run on them)
+                if (await hasActiveLease(db, INGEST_LEASE_KIND, deviceId)) {
+                    const corrected = {};
+                    SENSORS.forEach((sensor, index) => {
+                        corrected[sensor.id] = sensorDocs[index].exists ? toNumber(sensorDocs[index].data().value) : null;
+                    });
+                    await evaluateAlertRules(db, uid, { id: deviceId, isPrimary: true }, corrected, readingTimestamp(sensorDocs), 'js-cron', timezone);
+                    continue;
                 }
+                const profiles = await loadCalibrationProfiles(db, uid, deviceId);
+                const calibrated = calibrateReadings(sensorValues, profiles);
+                const raw = calibrated.raw;
                 
-                if (phDoc.exists) {
-                    const phData = phDoc.data();
-                    if (phData.value !== null && phData.value !== undefined) {
-                        ph = parseFloat(phData.value);
-                    }
-                }
+                // Reject spikes before they reach the hourly sums (range, rate of change, Hampel)
+                const tsMs = readingTimestamp(sensorDocs);
+                const validationConfig = resolveValidationConfig(userDoc.data().sensorValidation);
+                const histories = await loadValidationHistories(db, uid, deviceId, tsMs, timezone);
+                const validated = validateReadings(calibrated.readings, tsMs, histories, validationConfig);
+                const readings = validated.readings;
                 
-                // Skip if both values are missing
-                if (temperature === null && ph === null) {
+                // Deterministic ids: the same stale sensor doc sampled again is not counted twice
+                const quarantineRefs = validated.rejected.map(entry => db.collection('users').doc(uid)
+                    .collection('quarantine').doc(`${deviceId}_${entry.sensorId}_${tsMs}`));
+                
+                // Skip if all values are missing (rejected readings still need quarantining)
+                if (SENSORS.every(sensor => readings[sensor.id] === null) && validated.rejected.length === 0) {
                     continue;
                 }
                 
@@ -89,62 +259,66 @@ async function sampleHourlyData(req, res) {
                 
                 await db.runTransaction(async (transaction) => {
                     const hourSnap = await transaction.get(hourRef);
+                    const quarantineSnaps = await Promise.all(quarantineRefs.map(quarantineRef => transaction.get(quarantineRef)));
+                    const hourData = hourSnap.exists ? hourSnap.data() : {};
+                    const update = {};
+                    
+                    // Running sum/count/min/max/variance per sensor (Welford); avg stays null until a reading arrives
+                    // Raw (uncalibrated) sum/avg are kept next to the corrected figures
+                    SENSORS.forEach(sensor => {
+                        Object.assign(update, hourlyStatsUpdate(sensor.id, hourData, readings[sensor.id], raw[sensor.id]));
+                    });
+                    
+                    // Quarantine newly rejected readings and count them on the hour
+                    const rejectedReasons = { ...(hourData.rejectedReasons || {}) };
+                    let newlyRejected = 0;
+                    validated.rejected.forEach((entry, index) => {
+                        if (quarantineSnaps[index].exists) {
+                            return;
+                        }
+                        transaction.set(quarantineRefs[index], {
+                            deviceId: deviceId,
+                            sensorId: entry.sensorId,
+                            value: entry.value,
+                            rawValue: raw[entry.sensorId],
+                            reason: entry.reason,
+                            detail: entry.detail,
+                            ts: tsMs,
+                            date: dateStr,
+                            hour: hourStr,
+                            source: 'js-cron',
+                            createdAt: admin.firestore.FieldValue.serverTimestamp()
+                        });
+                        rejectedReasons[entry.reason] = (rejectedReasons[entry.reason] || 0) + 1;
+                        newlyRejected++;
+                    });
+                    update.rejectedCount = (hourData.rejectedCount || 0) + newlyRejected;
+                    update.rejectedReasons = rejectedReasons;
+                    
+                    update.isSeed = false;
+                    update.timezone = timezone;
+                    update.updatedAt = admin.firestore.FieldValue.serverTimestamp();
                     
                     if (!hourSnap.exists) {
                         // Create new hour document
-                        const newHour = {
+                        transaction.set(hourRef, {
                             hour: hourStr,
-                            temperatureSum: temperature !== null ? temperature : 0,
-                            temperatureCount: temperature !== null ? 1 : 0,
-                            temperatureAvg: temperature !== null ? temperature : 0,
-                            phSum: ph !== null ? ph : 0,
-                            phCount: ph !== null ? 1 : 0,
-                            phAvg: ph !== null ? ph : 0,
+                            ...update,
                             feedUsedKg: 0,
-                            isSeed: false,
-                            source: 'js-cron',
-                            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                        };
-                        transaction.set(hourRef, newHour);
+                            source: 'js-cron'
+                        });
                     } else {
                         // Update existing hour document
-                        const hourData = hourSnap.data();
-                        const currentTempSum = hourData.temperatureSum || 0;
-                        const currentTempCount = hourData.temperatureCount || 0;
-                        const currentPhSum = hourData.phSum || 0;
-                        const currentPhCount = hourData.phCount || 0;
-                        
-                        let newTempSum = currentTempSum;
-                        let newTempCount = currentTempCount;
-                        let newPhSum = currentPhSum;
-                        let newPhCount = currentPhCount;
-                        
-                        if (temperature !== null) {
-                            newTempSum = currentTempSum + temperature;
-                            newTempCount = currentTempCount + 1;
-                        }
-                        
-                        if (ph !== null) {
-                            newPhSum = currentPhSum + ph;
-                            newPhCount = currentPhCount + 1;
-                        }
-                        
-                        const newTempAvg = newTempCount > 0 ? newTempSum / newTempCount : 0;
-                        const newPhAvg = newPhCount > 0 ? newPhSum / newPhCount : 0;
-                        
-                        transaction.update(hourRef, {
-                            temperatureSum: newTempSum,
-                            temperatureCount: newTempCount,
-                            temperatureAvg: newTempAvg,
-                            phSum: newPhSum,
-                            phCount: newPhCount,
-                            phAvg: newPhAvg,
-                            isSeed: false,
-                            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                        });
+                        transaction.update(hourRef, update);
                     }
                 });
                 
+                // Keep the full-resolution history as well (downsampled later by downsample-raw.js)
+                await appendRawReading(db, uid, deviceId, tsMs, readings, raw, timezone);
+                
+                // Open / resolve water quality alerts
+                await evaluateAlertRules(db, uid, { id: deviceId, isPrimary: true }, readings, tsMs, 'js-cron', timezone);
+                
                 processed++;
                 
             } catch (error) {
@@ -193,4 +367,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { sampleHourlyData };
+module.exports = { sampleHourlyData, appendRawReading, loadCalibrationProfiles, loadValidationHistories };
@@ -11,27 +11,69 @@
 
 const FirebaseConfig = require('../_config/firebase');
 const { verifyFirebaseToken } = require('../_middleware/verifyToken');
+const { SENSORS, toNumber, formatReading, columnLabel, reportStatsFields, gradeWaterQuality } = require('../../sensor-catalog');
+const { monthKey } = require('../../timezone');
 
 /**
- * Calculate water quality
+ * Calculate water quality from a report's sensor averages
  */
-function calculateWaterQuality(avgTemperature, avgPh, mortality) {
-    if (avgTemperature === null || avgTemperature === undefined || 
-        avgPh === null || avgPh === undefined) {
-        return { waterQuality: 'Unknown', score: null };
-    }
-    
-    const phInRange = avgPh >= 6.5 && avgPh <= 8.5;
-    const tempInRange = avgTemperature >= 24 && avgTemperature <= 30;
-    const noMortality = mortality === 0;
-    
-    if (phInRange && tempInRange && noMortality) {
-        return { waterQuality: 'Good', score: 90 };
-    } else if (mortality <= 3 || (phInRange && tempInRange && mortality > 0)) {
-        return { waterQuality: 'Fair', score: 70 };
-    } else {
-        return { waterQuality: 'Poor', score: 40 };
-    }
+function calculateWaterQuality(report, mortality) {
+    const averages = {};
+    SENSORS.forEach(sensor => {
+        averages[sensor.id] = toNumber(report[sensor.reportField]);
+    });
+    return gradeWaterQuality(averages, mortality);
+}
+
+/**
+ * CSV sensor columns in catalog order: avg, min, max and std for each sensor
+ */
+function sensorColumnLabels() {
+    const labels = [];
+    SENSORS.forEach(sensor => {
+        labels.push(
+            columnLabel(sensor.id),
+            columnLabel(sensor.id, { prefix: 'Min' }),
+            columnLabel(sensor.id, { prefix: 'Max' }),
+            columnLabel(sensor.id, { prefix: 'Std' })
+        );
+    });
+    return labels;
+}
+
+/**
+ * CSV sensor cells matching sensorColumnLabels()
+ */
+function formatSensorCells(report) {
+    const cells = [];
+    SENSORS.forEach(sensor => {
+        const fields = reportStatsFields(sensor.id);
+        cells.push(
+            formatReading(sensor.id, report[fields.avg]),
+            formatReading(sensor.id, report[fields.min]),
+            formatReading(sensor.id, report[fields.max]),
+            formatReading(sensor.id, report[fields.std])
+        );
+    });
+    return cells;
+}
+
+/**
+ * PDF/Word sensor cells: average, with "min–max ±std" on a second line when tracked
+ */
+function formatSensorSummaryCells(report) {
+    return SENSORS.map(sensor => {
+        const fields = reportStatsFields(sensor.id);
+        const avg = formatReading(sensor.id, report[fields.avg]);
+        if (toNumber(report[fields.min]) === null || toNumber(report[fields.max]) === null) {
+            return avg;
+        }
+        let spread = `${formatReading(sensor.id, report[fields.min])}–${formatReading(sensor.id, report[fields.max])}`;
+        if (toNumber(report[fields.std]) !== null) {
+            spread += ` ±${formatReading(sensor.id, report[fields.std])}`;
+        }
+        return `${avg}\n${spread}`;
+    });
 }
 
 /**
@@ -49,22 +91,20 @@ async function exportDailyCSV(reports, filter, res) {
     res.write('\xEF\xBB\xBF');
     
     // Header
-    res.write('Date,Avg Temperature (°C),Avg pH,Total Feed (kg),Coverage Hours,Water Quality\n');
+    const header = ['Date', ...sensorColumnLabels(), 'Total Feed (kg)', 'Coverage Hours', 'Water Quality'];
+    res.write(header.join(',') + '\n');
     
     // Data rows
     for (const report of reports) {
         const date = report.date || '';
-        const temp = report.avgTemperature ?? null;
-        const ph = report.avgPh ?? null;
         const feed = report.totalFeedKg ?? null;
         const coverage = report.coverageHours || 0;
-        const quality = calculateWaterQuality(temp, ph, 0);
+        const quality = calculateWaterQuality(report, 0);
         const qualityText = quality.waterQuality || 'Unknown';
         
         const row = [
             date,
-            temp !== null ? temp.toFixed(1) : '--',
-            ph !== null ? ph.toFixed(2) : '--',
+            ...formatSensorCells(report),
             feed !== null ? feed.toFixed(1) : '--',
             coverage,
             qualityText
@@ -103,8 +143,11 @@ async function exportDailyPDF(reports, filter, res) {
             doc.fontSize(10).font('Helvetica-Bold');
             const tableTop = doc.y;
             const rowHeight = 20;
-            const colWidths = [100, 100, 80, 80, 80, 80];
-            const headers = ['Date', 'Avg Temp (°C)', 'Avg pH', 'Total Feed (kg)', 'Coverage Hours', 'Water Quality'];
+            const dataRowHeight = 30; // room for the min–max line under each average
+            // Sensor columns share whatever the fixed columns leave of the 512pt printable width
+            const sensorColWidth = Math.floor((512 - 265) / SENSORS.length);
+            const colWidths = [70, ...SENSORS.map(() => sensorColWidth), 60, 65, 70];
+            const headers = ['Date', ...SENSORS.map(sensor => columnLabel(sensor.id, { short: true })), 'Total Feed (kg)', 'Coverage Hours', 'Water Quality'];
             
             let x = 50;
             headers.forEach((header, i) => {
@@ -114,7 +157,7 @@ async function exportDailyPDF(reports, filter, res) {
             });
             
             // Data rows
-            doc.font('Helvetica');
+            doc.font('Helvetica').fontSize(9);
             let y = tableTop + rowHeight;
             reports.forEach(report => {
                 if (y > doc.page.height - 100) {
@@ -123,17 +166,14 @@ async function exportDailyPDF(reports, filter, res) {
                 }
                 
                 const date = report.date || '';
-                const temp = report.avgTemperature ?? null;
-                const ph = report.avgPh ?? null;
                 const feed = report.totalFeedKg ?? null;
                 const coverage = report.coverageHours || 0;
-                const quality = calculateWaterQuality(temp, ph, 0);
+                const quality = calculateWaterQuality(report, 0);
                 const qualityText = quality.waterQuality || 'Unknown';
                 
                 const rowData = [
                     date,
-                    temp !== null ? temp.toFixed(1) : '--',
-                    ph !== null ? ph.toFixed(2) : '--',
+                    ...formatSensorSummaryCells(report),
                     feed !== null ? feed.toFixed(1) : '--',
                     String(coverage),
                     qualityText
@@ -141,12 +181,12 @@ async function exportDailyPDF(reports, filter, res) {
                 
                 x = 50;
                 rowData.forEach((data, i) => {
-                    doc.rect(x, y, colWidths[i], rowHeight).stroke();
+                    doc.rect(x, y, colWidths[i], dataRowHeight).stroke();
                     doc.text(String(data), x + 5, y + 5, { width: colWidths[i] - 10, align: 'left' });
                     x += colWidths[i];
                 });
                 
-                y += rowHeight;
+                y += dataRowHeight;
             });
         }
         
@@ -188,8 +228,7 @@ async function exportDailyWord(reports, filter, res) {
                 new TableRow({
                     children: [
                         new TableCell({ children: [new Paragraph('Date')] }),
-                        new TableCell({ children: [new Paragraph('Avg Temperature (°C)')] }),
-                        new TableCell({ children: [new Paragraph('Avg pH')] }),
+                        ...SENSORS.map(sensor => new TableCell({ children: [new Paragraph(columnLabel(sensor.id))] })),
                         new TableCell({ children: [new Paragraph('Total Feed (kg)')] }),
                         new TableCell({ children: [new Paragraph('Coverage Hours')] }),
                         new TableCell({ children: [new Paragraph('Water Quality')] })
@@ -199,19 +238,16 @@ async function exportDailyWord(reports, filter, res) {
             
             reports.forEach(report => {
                 const date = report.date || '';
-                const temp = report.avgTemperature ?? null;
-                const ph = report.avgPh ?? null;
                 const feed = report.totalFeedKg ?? null;
                 const coverage = report.coverageHours || 0;
-                const quality = calculateWaterQuality(temp, ph, 0);
+                const quality = calculateWaterQuality(report, 0);
                 const qualityText = quality.waterQuality || 'Unknown';
                 
                 tableRows.push(
                     new TableRow({
                         children: [
                             new TableCell({ children: [new Paragraph(date)] }),
-                            new TableCell({ children: [new Paragraph(temp !== null ? temp.toFixed(1) : '--')] }),
-                            new TableCell({ children: [new Paragraph(ph !== null ? ph.toFixed(2) : '--')] }),
+                            ...formatSensorSummaryCells(report).map(value => new TableCell({ children: value.split('\n').map(line => new Paragraph(line)) })),
                             new TableCell({ children: [new Paragraph(feed !== null ? feed.toFixed(1) : '--')] }),
                             new TableCell({ children: [new Paragraph(String(coverage))] }),
                             new TableCell({ children: [new Paragraph(qualityText)] })
@@ -270,6 +306,10 @@ async function exportDaily(req, res) {
         }
         
         const db = FirebaseConfig.getFirestore();
+        
+        // "Current" is the user's calendar (users/{uid}.timezone), not the server's
+        const userDoc = await db.collection('users').doc(uid).get();
+        const currentMonth = monthKey(Date.now(), userDoc.exists ? userDoc.data().timezone : null);
         const reports = [];
         
         // Load reports based on filter
@@ -306,7 +346,6 @@ async function exportDaily(req, res) {
             reports.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
         } else {
             // Default: current month
-            const currentMonth = new Date().toISOString().slice(0, 7);
             const query = db.collection('users').doc(uid)
                 .collection('dailyReports')
                 .where('date', '>=', `${currentMonth}-01`)
@@ -326,7 +365,7 @@ async function exportDaily(req, res) {
         }
         
         // Generate file based on format
-        const filter = date || month || new Date().toISOString().slice(0, 7);
+        const filter = date || month || currentMonth;
         
         switch (format) {
             case 'csv':
@@ -11,27 +11,69 @@
 
 const FirebaseConfig = require('../_config/firebase');
 const { verifyFirebaseToken } = require('../_middleware/verifyToken');
+const { SENSORS, toNumber, formatReading, columnLabel, reportStatsFields, gradeWaterQuality } = require('../../sensor-catalog');
+const { monthKey } = require('../../timezone');
 
 /**
- * Calculate water quality
+ * Calculate water quality from a report's sensor averages
  */
-function calculateWaterQuality(avgTemperature, avgPh, mortality) {
-    if (avgTemperature === null || avgTemperature === undefined || 
-        avgPh === null || avgPh === undefined) {
-        return { waterQuality: 'Unknown', score: null };
-    }
-    
-    const phInRange = avgPh >= 6.5 && avgPh <= 8.5;
-    const tempInRange = avgTemperature >= 24 && avgTemperature <= 30;
-    const noMortality = mortality === 0;
-    
-    if (phInRange && tempInRange && noMortality) {
-        return { waterQuality: 'Good', score: 90 };
-    } else if (mortality <= 3 || (phInRange && tempInRange && mortality > 0)) {
-        return { waterQuality: 'Fair', score: 70 };
-    } else {
-        return { waterQuality: 'Poor', score: 40 };
-    }
+function calculateWaterQuality(report, mortality) {
+    const averages = {};
+    SENSORS.forEach(sensor => {
+        averages[sensor.id] = toNumber(report[sensor.reportField]);
+    });
+    return gradeWaterQuality(averages, mortality);
+}
+
+/**
+ * CSV sensor columns in catalog order: avg, min, max and std for each sensor
+ */
+function sensorColumnLabels() {
+    const labels = [];
+    SENSORS.forEach(sensor => {
+        labels.push(
+            columnLabel(sensor.id),
+            columnLabel(sensor.id, { prefix: 'Min' }),
+            columnLabel(sensor.id, { prefix: 'Max' }),
+            columnLabel(sensor.id, { prefix: 'Std' })
+        );
+    });
+    return labels;
+}
+
+/**
+ * CSV sensor cells matching sensorColumnLabels()
+ */
+function formatSensorCells(report) {
+    const cells = [];
+    SENSORS.forEach(sensor => {
+        const fields = reportStatsFields(sensor.id);
+        cells.push(
+            formatReading(sensor.id, report[fields.avg]),
+            formatReading(sensor.id, report[fields.min]),
+            formatReading(sensor.id, report[fields.max]),
+            formatReading(sensor.id, report[fields.std])
+        );
+    });
+    return cells;
+}
+
+/**
+ * PDF/Word sensor cells: average, with "min–max ±std" on a second line when tracked
+ */
+function formatSensorSummaryCells(report) {
+    return SENSORS.map(sensor => {
+        const fields = reportStatsFields(sensor.id);
+        const avg = formatReading(sensor.id, report[fields.avg]);
+        if (toNumber(report[fields.min]) === null || toNumber(report[fields.max]) === null) {
+            return avg;
+        }
+        let spread = `${formatReading(sensor.id, report[fields.min])}–${formatReading(sensor.id, report[fields.max])}`;
+        if (toNumber(report[fields.std]) !== null) {
+            spread += ` ±${formatReading(sensor.id, report[fields.std])}`;
+        }
+        return `${avg}\n${spread}`;
+    });
 }
 
 /**
@@ -46,21 +88,19 @@ async function exportMonthlyCSV(reports, filter, res) {
     res.setHeader('Expires', '0');
     
     res.write('\xEF\xBB\xBF');
-    res.write('Month,Avg Temperature (°C),Avg pH,Total Feed (kg),Coverage Days,Water Quality\n');
+    const header = ['Month', ...sensorColumnLabels(), 'Total Feed (kg)', 'Coverage Days', 'Water Quality'];
+    res.write(header.join(',') + '\n');
     
     for (const report of reports) {
         const month = report.month || '';
-        const temp = report.avgTemperature ?? null;
-        const ph = report.avgPh ?? null;
         const feed = report.totalFeedKg ?? null;
         const coverage = report.coverageDays || 0;
-        const quality = calculateWaterQuality(temp, ph, 0);
+        const quality = calculateWaterQuality(report, 0);
         const qualityText = quality.waterQuality || 'Unknown';
         
         const row = [
             month,
-            temp !== null ? temp.toFixed(1) : '--',
-            ph !== null ? ph.toFixed(2) : '--',
+            ...formatSensorCells(report),
             feed !== null ? feed.toFixed(1) : '--',
             coverage,
             qualityText
@@ -96,8 +136,11 @@ async function exportMonthlyPDF(reports, filter, res) {
         } else {
             const tableTop = doc.y;
             const rowHeight = 20;
-            const colWidths = [100, 100, 80, 80, 80, 80];
-            const headers = ['Month', 'Avg Temp (°C)', 'Avg pH', 'Total Feed (kg)', 'Coverage Days', 'Water Quality'];
+            const dataRowHeight = 30; // room for the min–max line under each average
+            // Sensor columns share whatever the fixed columns leave of the 512pt printable width
+            const sensorColWidth = Math.floor((512 - 265) / SENSORS.length);
+            const colWidths = [70, ...SENSORS.map(() => sensorColWidth), 60, 65, 70];
+            const headers = ['Month', ...SENSORS.map(sensor => columnLabel(sensor.id, { short: true })), 'Total Feed (kg)', 'Coverage Days', 'Water Quality'];
             
             let x = 50;
             doc.fontSize(10).font('Helvetica-Bold');
@@ -107,7 +150,7 @@ async function exportMonthlyPDF(reports, filter, res) {
                 x += colWidths[i];
             });
             
-            doc.font('Helvetica');
+            doc.font('Helvetica').fontSize(9);
             let y = tableTop + rowHeight;
             reports.forEach(report => {
                 if (y > doc.page.height - 100) {
@@ -116,17 +159,14 @@ async function exportMonthlyPDF(reports, filter, res) {
                 }
                 
                 const month = report.month || '';
-                const temp = report.avgTemperature ?? null;
-                const ph = report.avgPh ?? null;
                 const feed = report.totalFeedKg ?? null;
                 const coverage = report.coverageDays || 0;
-                const quality = calculateWaterQuality(temp, ph, 0);
+                const quality = calculateWaterQuality(report, 0);
                 const qualityText = quality.waterQuality || 'Unknown';
                 
                 const rowData = [
                     month,
-                    temp !== null ? temp.toFixed(1) : '--',
-                    ph !== null ? ph.toFixed(2) : '--',
+                    ...formatSensorSummaryCells(report),
                     feed !== null ? feed.toFixed(1) : '--',
                     String(coverage),
                     qualityText
@@ -134,12 +174,12 @@ async function exportMonthlyPDF(reports, filter, res) {
                 
                 x = 50;
                 rowData.forEach((data, i) => {
-                    doc.rect(x, y, colWidths[i], rowHeight).stroke();
+                    doc.rect(x, y, colWidths[i], dataRowHeight).stroke();
                     doc.text(String(data), x + 5, y + 5, { width: colWidths[i] - 10, align: 'left' });
                     x += colWidths[i];
                 });
                 
-                y += rowHeight;
+                y += dataRowHeight;
             });
         }
         
@@ -177,8 +217,7 @@ async function exportMonthlyWord(reports, filter, res) {
                 new TableRow({
                     children: [
                         new TableCell({ children: [new Paragraph('Month')] }),
-                        new TableCell({ children: [new Paragraph('Avg Temperature (°C)')] }),
-                        new TableCell({ children: [new Paragraph('Avg pH')] }),
+                        ...SENSORS.map(sensor => new TableCell({ children: [new Paragraph(columnLabel(sensor.id))] })),
                         new TableCell({ children: [new Paragraph('Total Feed (kg)')] }),
                         new TableCell({ children: [new Paragraph('Coverage Days')] }),
                         new TableCell({ children: [new Paragraph('Water Quality')] })
@@ -188,19 +227,16 @@ async function exportMonthlyWord(reports, filter, res) {
             
             reports.forEach(report => {
                 const month = report.month || '';
-                const temp = report.avgTemperature ?? null;
-                const ph = report.avgPh ?? null;
                 const feed = report.totalFeedKg ?? null;
                 const coverage = report.coverageDays || 0;
-                const quality = calculateWaterQuality(temp, ph, 0);
+                const quality = calculateWaterQuality(report, 0);
                 const qualityText = quality.waterQuality || 'Unknown';
                 
                 tableRows.push(
                     new TableRow({
                         children: [
                             new TableCell({ children: [new Paragraph(month)] }),
-                            new TableCell({ children: [new Paragraph(temp !== null ? temp.toFixed(1) : '--')] }),
-                            new TableCell({ children: [new Paragraph(ph !== null ? ph.toFixed(2) : '--')] }),
+                            ...formatSensorSummaryCells(report).map(value => new TableCell({ children: value.split('\n').map(line => new Paragraph(line)) })),
                             new TableCell({ children: [new Paragraph(feed !== null ? feed.toFixed(1) : '--')] }),
                             new TableCell({ children: [new Paragraph(String(coverage))] }),
                             new TableCell({ children: [new Paragraph(qualityText)] })
@@ -259,6 +295,10 @@ async function exportMonthly(req, res) {
         }
         
         const db = FirebaseConfig.getFirestore();
+        
+        // "Current" is the user's calendar (users/{uid}.timezone), not the server's
+        const userDoc = await db.collection('users').doc(uid).get();
+        const currentYear = monthKey(Date.now(), userDoc.exists ? userDoc.data().timezone : null).slice(0, 4);
         const reports = [];
         
         if (month) {
@@ -294,7 +334,6 @@ async function exportMonthly(req, res) {
             reports.sort((a, b) => (a.month || '').localeCompare(b.month || ''));
         } else {
             // Default: current year
-            const currentYear = new Date().getFullYear().toString();
             const query = db.collection('users').doc(uid)
                 .collection('monthlyReports');
             
@@ -314,7 +353,7 @@ async function exportMonthly(req, res) {
             reports.sort((a, b) => (a.month || '').localeCompare(b.month || ''));
         }
         
-        const filter = month || year || new Date().getFullYear().toString();
+        const filter = month || year || currentYear;
         
         switch (format) {
             case 'csv':
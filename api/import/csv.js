@@ -0,0 +1,219 @@
+/**
+ * Historical CSV Import Endpoint
+ *
+ * Imports readings logged by older data loggers into the user's history.
+ * Rows are parsed, mapped and validated by csv-import.js (the same module the reports section previews with):
+ * - every reading with an accepted value is appended to users/{uid}/rawReadings (deviceId "import" unless one
+ *   of the user's devices is given)
+ * - values rejected by validation go to the quarantine log
+ * - accepted readings are merged into hourlyRecords (count, min/max, variance)
+ * A reading's raw point, quarantine entries and hour stats are written in one transaction, so a reading whose
+ * raw point already exists (the same file imported twice, a retried chunk) was fully counted and is skipped.
+ * Validation carries on from the readings stored before each chunk.
+ * Daily, weekly and monthly reports of the imported range are regenerated afterwards.
+ * Requires Firebase ID token authentication.
+ *
+ * Usage:
+ * POST /api/import/csv
+ * Body: { "csv": "...", "mapping": { "timestamp": 0, "temperature": 1, "ph": 2 }, "dateFormat": "mdy", "dryRun": true }
+ * Large files are sent in chunks (the reports section sends MAX_ROWS rows per request, header repeated).
+ */
+
+const FirebaseConfig = require('../_config/firebase');
+const { verifyFirebaseToken } = require('../_middleware/verifyToken');
+const admin = require('firebase-admin');
+const { SENSORS } = require('../../sensor-catalog');
+const { resolveTimezone, bucketFor } = require('../../timezone');
+const { DATE_FORMATS, parseCsv, validateMapping, prepareImport, affectedPeriods } = require('../../csv-import');
+const { loadUserDevices } = require('../cron/check-heartbeat');
+const { loadValidationHistories } = require('../cron/sample-hourly');
+const { chunkReadings, commitReadings } = require('../worker/ingest-rtdb');
+const { generateDailyReportForUser } = require('../cron/generate-daily');
+const { generateWeeklyReportForUser } = require('../cron/generate-weekly');
+const { generateMonthlyReportForUser } = require('../cron/generate-monthly');
+
+// Data rows per request
+const MAX_ROWS = 5000;
+
+// Raw points of readings without a device (the old logger)
+const IMPORT_DEVICE_ID = 'import';
+
+// Row errors returned in full (the rest are only counted)
+const MAX_REPORTED_ERRORS = 100;
+
+function requestError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Write prepared readings
+ *
+ * @returns {Promise<{imported: number, duplicates: number, rejected: number, dates: Array<string>}>}
+ */
+async function writeImportedReadings(db, uid, deviceId, prepared, timezone) {
+    const rejectedByTs = new Map();
+    prepared.rejected.forEach(entry => {
+        if (!rejectedByTs.has(entry.tsMs)) {
+            rejectedByTs.set(entry.tsMs, []);
+        }
+        rejectedByTs.get(entry.tsMs).push(entry);
+    });
+
+    const readings = prepared.readings.map(reading => ({
+        tsMs: reading.tsMs,
+        bucket: bucketFor(reading.tsMs, timezone),
+        values: reading.values,
+        raw: reading.raw,
+        rejected: rejectedByTs.get(reading.tsMs) || []
+    }));
+
+    let imported = 0;
+    let duplicates = 0;
+    let rejected = 0;
+    const dates = new Set();
+    for (const chunk of chunkReadings(readings)) {
+        const result = await commitReadings(db, uid, deviceId, chunk, {
+            source: 'import',
+            timezone: timezone,
+            aggregate: true
+        });
+        result.stored.forEach(reading => {
+            dates.add(reading.bucket.date);
+            // Rows whose every value was rejected only leave quarantine entries
+            if (SENSORS.some(sensor => reading.values[sensor.id] !== null)) {
+                imported++;
+            }
+        });
+        duplicates += result.duplicates;
+        rejected += result.rejected;
+    }
+
+    return { imported, duplicates, rejected, dates: Array.from(dates).sort() };
+}
+
+/**
+ * Regenerate the reports covering the imported dates
+ */
+async function regenerateReports(db, uid, dates) {
+    const periods = affectedPeriods(dates);
+    for (const date of periods.dates) {
+        await generateDailyReportForUser(db, uid, date);
+    }
+    for (const week of periods.weeks) {
+        await generateWeeklyReportForUser(db, uid, week);
+    }
+    for (const month of periods.months) {
+        await generateMonthlyReportForUser(db, uid, month);
+    }
+    return periods;
+}
+
+/**
+ * Main import handler
+ */
+async function importCsv(req, res) {
+    try {
+        // Verify authentication
+        const uid = await verifyFirebaseToken(req);
+
+        const body = req.body || {};
+        const dryRun = body.dryRun === true || body.dryRun === 'true';
+        const dateFormat = body.dateFormat || 'ymd';
+        const deviceId = body.deviceId || IMPORT_DEVICE_ID;
+
+        if (typeof deviceId !== 'string') {
+            throw requestError('Invalid deviceId', 400);
+        }
+
+        if (typeof body.csv !== 'string' || body.csv.trim() === '') {
+            throw requestError('Missing csv', 400);
+        }
+        if (!DATE_FORMATS.includes(dateFormat)) {
+            throw requestError(`Invalid dateFormat. Must be: ${DATE_FORMATS.join(', ')}`, 400);
+        }
+
+        const table = parseCsv(body.csv, body.delimiter);
+        if (table.rows.length > MAX_ROWS) {
+            throw requestError(`Too many rows (max ${MAX_ROWS} per request)`, 413);
+        }
+
+        const mapping = body.mapping || {};
+        const problems = validateMapping(mapping, table.headers);
+        if (problems.length > 0) {
+            throw requestError(problems.join('; '), 400);
+        }
+
+        const db = FirebaseConfig.getFirestore();
+        const userDoc = await db.collection('users').doc(uid).get();
+        const userData = userDoc.exists ? userDoc.data() : {};
+        const timezone = resolveTimezone(userData.timezone);
+
+        // Readings go to one of the user's own devices, or to the import pseudo-device
+        if (deviceId !== IMPORT_DEVICE_ID) {
+            const devices = await loadUserDevices(db, uid);
+            if (!devices.some(device => device.id === deviceId)) {
+                throw requestError('Device not found or not owned by you', 403);
+            }
+        }
+
+        const options = {
+            timezone: timezone,
+            dateFormat: dateFormat,
+            validation: userData.sensorValidation
+        };
+        let prepared = prepareImport(table, mapping, options);
+        // Validation carries on from the readings stored before this chunk (the previous chunk of the file)
+        if (prepared.from !== null) {
+            const histories = await loadValidationHistories(db, uid, deviceId, prepared.from, timezone);
+            prepared = prepareImport(table, mapping, { ...options, histories });
+        }
+
+        const summary = {
+            rows: table.rows.length,
+            readings: prepared.readings.length,
+            invalidRows: prepared.errors.length,
+            errors: prepared.errors.slice(0, MAX_REPORTED_ERRORS),
+            from: prepared.from,
+            to: prepared.to,
+            timezone: timezone
+        };
+
+        if (dryRun) {
+            return res.status(200).json({
+                success: true,
+                dryRun: true,
+                ...summary,
+                rejected: prepared.rejected.length,
+                dates: prepared.dates,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const result = await writeImportedReadings(db, uid, deviceId, prepared, timezone);
+        const periods = await regenerateReports(db, uid, result.dates);
+
+        res.status(200).json({
+            success: true,
+            dryRun: false,
+            ...summary,
+            imported: result.imported,
+            duplicates: result.duplicates,
+            rejected: result.rejected,
+            dates: periods.dates,
+            weeks: periods.weeks,
+            months: periods.months,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message || 'Import failed',
+            details: error.details
+        });
+    }
+}
+
+module.exports = { importCsv };
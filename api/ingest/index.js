@@ -0,0 +1,247 @@
+/**
+ * Telemetry Ingestion Endpoint
+ *
+ * Plain HTTPS path for devices that cannot hold Firebase credentials.
+ * Requests are signed with a per-device API key (see _middleware/verifyDeviceKey.js).
+ * Readings are calibrated and validated like every other ingestion path, then
+ * - appended to users/{owner}/rawReadings (all devices)
+ * - quarantined when rejected by validation (all devices)
+ * - synced to users/{owner}/sensors/* and folded into hourlyRecords (primary device only)
+ * The owner is resolved through devices/{deviceId}.ownerUid.
+ * Every reading leaves a receipt (ingestReceipts/{deviceId}_{ts}) whether or not validation kept any of its
+ * values. The receipt is created in the same transaction as the reading's raw point, quarantine entries and
+ * hourlyRecords share, so a reading that already has one (a retried request) was fully counted and is skipped:
+ * retries are safe. Sensor docs and lastSeenAt only hold the newest reading and are written again on retries.
+ * Every reading needs its device timestamp - it keys the receipt.
+ *
+ * Usage:
+ * POST /api/ingest
+ * Headers: X-Key-Id, X-Timestamp, X-Signature
+ * Body (single):  { "deviceId": "...", "timestamp": 1718870400, "temperature": 26.4, "ph": 7.21 }
+ * Body (batch):   { "deviceId": "...", "readings": [{ "timestamp": ..., "temperature": ..., "ph": ... }, ...] }
+ */
+
+const FirebaseConfig = require('../_config/firebase');
+const { verifyDeviceSignature } = require('../_middleware/verifyDeviceKey');
+const admin = require('firebase-admin');
+const {
+    SENSORS,
+    readRTDBValue,
+    toNumber,
+    calibrateReadings,
+    resolveValidationConfig,
+    validateReadings
+} = require('../../sensor-catalog');
+const { resolveTimezone, bucketFor } = require('../../timezone');
+const { resolvePrimaryDeviceId } = require('../../device-registry');
+const { loadUserDevices } = require('../cron/check-heartbeat');
+const { loadCalibrationProfiles, loadValidationHistories } = require('../cron/sample-hourly');
+const {
+    readingTimestamp,
+    chunkReadings,
+    commitReadings,
+    syncSensorDocs
+} = require('../worker/ingest-rtdb');
+
+// Readings per request (a device catching up after an outage sends them in several requests)
+const MAX_BATCH_SIZE = 500;
+
+// Receipts only have to outlive a device's retries (expiresAt is meant for a Firestore TTL policy)
+const RECEIPT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function requestError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Request body → list of { tsMs, readings }, oldest first (entries without any sensor value are dropped,
+ * an entry without a usable timestamp fails the request)
+ */
+function parseReadings(body) {
+    const entries = Array.isArray(body.readings) ? body.readings : [body];
+    if (entries.length === 0) {
+        throw requestError('No readings in request', 400);
+    }
+    if (entries.length > MAX_BATCH_SIZE) {
+        throw requestError(`Too many readings (max ${MAX_BATCH_SIZE} per request)`, 413);
+    }
+
+    const parsed = [];
+    entries.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            return;
+        }
+        const readings = {};
+        SENSORS.forEach(sensor => {
+            readings[sensor.id] = readRTDBValue(sensor.id, entry);
+        });
+        if (SENSORS.every(sensor => readings[sensor.id] === null)) {
+            return;
+        }
+        const tsMs = readingTimestamp(entry.timestamp !== undefined ? entry.timestamp : entry.ts);
+        if (tsMs === null) {
+            throw requestError(`Reading ${index} has no valid timestamp (epoch seconds or milliseconds, not ahead of the server clock)`, 400);
+        }
+        parsed.push({ tsMs: tsMs, readings: readings });
+    });
+
+    if (parsed.length === 0) {
+        throw requestError('No known sensor value in request', 400);
+    }
+
+    // Oldest first: validation compares every reading with the ones before it
+    return parsed.sort((a, b) => a.tsMs - b.tsMs);
+}
+
+/**
+ * Record the newest reading time for the heartbeat cron (never moves backwards)
+ */
+async function recordLastSeen(db, uid, deviceId, tsMs) {
+    const statusRef = db.collection('users').doc(uid).collection('deviceStatus').doc(deviceId);
+    await db.runTransaction(async (transaction) => {
+        const statusSnap = await transaction.get(statusRef);
+        const stored = statusSnap.exists ? toNumber(statusSnap.data().lastSeenAt) || 0 : 0;
+        if (tsMs > stored) {
+            transaction.set(statusRef, { deviceId: deviceId, lastSeenAt: tsMs }, { merge: true });
+        }
+    });
+}
+
+/**
+ * Main ingestion handler
+ */
+async function ingestTelemetry(req, res) {
+    try {
+        if (req.method && req.method !== 'POST') {
+            return res.status(405).json({
+                success: false,
+                error: 'Method not allowed. Use POST'
+            });
+        }
+
+        // Verify the device signature
+        const key = await verifyDeviceSignature(req);
+
+        let body = req.body;
+        if (typeof body === 'string' || Buffer.isBuffer(body)) {
+            try {
+                body = JSON.parse(body.toString());
+            } catch (error) {
+                throw requestError('Invalid JSON body', 400);
+            }
+        }
+        if (!body || typeof body !== 'object') {
+            throw requestError('Invalid JSON body', 400);
+        }
+
+        // A key only ever speaks for its own device
+        const deviceId = body.deviceId || key.deviceId;
+        if (deviceId !== key.deviceId) {
+            throw requestError('API key does not belong to this device', 403);
+        }
+
+        const entries = parseReadings(body);
+        const db = FirebaseConfig.getFirestore();
+
+        // Owner through the ownership mapping (same lookup as getOwnerUidFromDevice)
+        const deviceDoc = await db.collection('devices').doc(deviceId).get();
+        const uid = deviceDoc.exists ? deviceDoc.data().ownerUid || null : null;
+        if (!uid) {
+            throw requestError('Device is not registered to a user', 404);
+        }
+
+        const devices = await loadUserDevices(db, uid);
+        if (!devices.some(device => device.id === deviceId)) {
+            throw requestError('Device is disabled', 403);
+        }
+        const isPrimary = resolvePrimaryDeviceId(devices) === deviceId;
+
+        const userDoc = await db.collection('users').doc(uid).get();
+        const userData = userDoc.exists ? userDoc.data() : {};
+        const timezone = resolveTimezone(userData.timezone);
+        const validationConfig = resolveValidationConfig(userData.sensorValidation);
+        const profiles = await loadCalibrationProfiles(db, uid, deviceId);
+
+        let histories = await loadValidationHistories(db, uid, deviceId, entries[0].tsMs, timezone);
+
+        // Validate in order (every reading against the ones before it), then store
+        const readings = entries.map(entry => {
+            const calibrated = calibrateReadings(entry.readings, profiles);
+            const validated = validateReadings(calibrated.readings, entry.tsMs, histories, validationConfig);
+            histories = validated.histories;
+            return {
+                tsMs: entry.tsMs,
+                bucket: bucketFor(entry.tsMs, timezone),
+                values: validated.readings,
+                raw: calibrated.raw,
+                rejected: validated.rejected
+            };
+        });
+
+        let accepted = 0;
+        let rejected = 0;
+        let duplicates = 0;
+        for (const chunk of chunkReadings(readings)) {
+            const result = await commitReadings(db, uid, deviceId, chunk, {
+                source: 'api',
+                timezone: timezone,
+                // Only the primary device feeds hourlyRecords
+                aggregate: isPrimary,
+                receipt: reading => ({
+                    ref: db.collection('ingestReceipts').doc(`${deviceId}_${reading.tsMs}`),
+                    data: {
+                        deviceId: deviceId,
+                        ownerUid: uid,
+                        ts: reading.tsMs,
+                        receivedAt: Date.now(),
+                        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + RECEIPT_TTL_MS)
+                    }
+                })
+            });
+            // Accepted: at least one value passed validation
+            accepted += result.stored.filter(reading => SENSORS.some(sensor => reading.values[sensor.id] !== null)).length;
+            rejected += result.rejected;
+            duplicates += result.duplicates;
+        }
+
+        // Newest value of every sensor in the request (retried ones included - a failed sync is made up for)
+        if (isPrimary) {
+            const latest = { readings: {}, raw: {} };
+            SENSORS.forEach(sensor => {
+                latest.readings[sensor.id] = null;
+                readings.forEach(reading => {
+                    if (reading.values[sensor.id] !== null) {
+                        latest.readings[sensor.id] = reading.values[sensor.id];
+                        latest.raw[sensor.id] = reading.raw[sensor.id];
+                    }
+                });
+            });
+            if (SENSORS.some(sensor => latest.readings[sensor.id] !== null)) {
+                await syncSensorDocs(db, uid, latest.readings, latest.raw);
+            }
+        }
+
+        await recordLastSeen(db, uid, deviceId, entries[entries.length - 1].tsMs);
+
+        res.status(200).json({
+            success: true,
+            deviceId: deviceId,
+            received: entries.length,
+            accepted: accepted,
+            rejected: rejected,
+            duplicates: duplicates,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message || 'Ingestion failed',
+            details: error.details
+        });
+    }
+}
+
+module.exports = { ingestTelemetry };
@@ -0,0 +1,306 @@
+/**
+ * Hourly Records Re-bucketing Migration
+ *
+ * Moves hour documents written before per-user timezones into the user's timezone
+ * (users/{uid}.timezone, default Asia/Manila).
+ * Until then the cron jobs keyed hours in UTC and the dashboard in the browser's zone,
+ * so one reading could land in two different hour documents.
+ *
+ * - Hours already stamped with the user's timezone are left where they are
+ * - Hours stamped with another timezone (the user changed it) are moved from that zone
+ * - Unstamped hours are read as cronTimezone (source 'js-cron') or clientTimezone (anything else)
+ * Hours that meet in the same target are merged (counts, min/max, variance, raw sums, feed, rejections),
+ * then the moved source documents are deleted and the daily reports of every touched date are regenerated.
+ * Safe to re-run: migrated hours carry the timezone stamp.
+ *
+ * Usage (one-off):
+ * node /path/to/api/migrations/rebucket-hourly.js secret=your-secret-key dryRun=true
+ * node /path/to/api/migrations/rebucket-hourly.js secret=your-secret-key uid=USER_ID cronTimezone=UTC clientTimezone=Asia/Manila
+ *
+ * Or as Express endpoint:
+ * GET /api/migrations/rebucket-hourly?secret=your-secret-key&dryRun=true
+ */
+
+const FirebaseConfig = require('../_config/firebase');
+const { verifyCronSecret } = require('../_middleware/verifyToken');
+const admin = require('firebase-admin');
+const { SENSORS, toNumber, emptyStats, mergeStats, statsFromHourly, rawSumFromHourly, hourlyStatsFields } = require('../../sensor-catalog');
+const { isValidTimezone, resolveTimezone, bucketFor, zonedTimeToUtc } = require('../../timezone');
+const { generateDailyReportForUser } = require('../cron/generate-daily');
+
+// Zones the old writers used: the server cron ran in UTC, the dashboard in the farm's browser
+const DEFAULT_CRON_TIMEZONE = 'UTC';
+const DEFAULT_CLIENT_TIMEZONE = 'Asia/Manila';
+
+// Firestore batches allow 500 operations
+const BATCH_LIMIT = 450;
+
+/**
+ * Zone an existing hour document was keyed in
+ */
+function sourceTimezone(record, cronTimezone, clientTimezone) {
+    if (isValidTimezone(record.timezone)) {
+        return record.timezone;
+    }
+    return record.source === 'js-cron' ? cronTimezone : clientTimezone;
+}
+
+/**
+ * Merge hour documents that fall into the same target hour
+ */
+function mergeHourRecords(records, hourStr, timezone) {
+    const merged = {
+        hour: hourStr,
+        timezone: timezone
+    };
+
+    SENSORS.forEach(sensor => {
+        let stats = emptyStats();
+        let rawSum = 0;
+
+        records.forEach(record => {
+            stats = mergeStats(stats, statsFromHourly(sensor.id, record));
+            rawSum += rawSumFromHourly(sensor.id, record);
+        });
+
+        Object.assign(merged, hourlyStatsFields(sensor.id, stats, rawSum));
+    });
+
+    let feedUsedKg = 0;
+    let rejectedCount = 0;
+    const rejectedReasons = {};
+    records.forEach(record => {
+        feedUsedKg += toNumber(record.feedUsedKg) || 0;
+        rejectedCount += toNumber(record.rejectedCount) || 0;
+        Object.entries(record.rejectedReasons || {}).forEach(([reason, count]) => {
+            rejectedReasons[reason] = (rejectedReasons[reason] || 0) + (toNumber(count) || 0);
+        });
+    });
+
+    Object.assign(merged, {
+        feedUsedKg: feedUsedKg,
+        rejectedCount: rejectedCount,
+        rejectedReasons: rejectedReasons,
+        isSeed: false,
+        source: records.length === 1 ? (records[0].source || 'rebucket') : 'rebucket',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return merged;
+}
+
+/**
+ * Re-bucket every hour document of a user
+ *
+ * @returns {Promise<{moved: number, merged: number, dates: Array<string>}>}
+ */
+async function rebucketHourlyForUser(db, uid, timezone, options) {
+    const { cronTimezone, clientTimezone, dryRun } = options;
+    const hourlyRef = db.collection('users').doc(uid).collection('hourlyRecords');
+
+    // listDocuments() also returns date docs that only exist as a parent of hours
+    const dateRefs = await hourlyRef.listDocuments();
+
+    // target key "YYYY-MM-DD/HH" → { date, hour, sources: [{ ref, record, moved }] }
+    const targets = new Map();
+
+    for (const dateRef of dateRefs) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateRef.id)) {
+            continue;
+        }
+
+        const hoursSnap = await dateRef.collection('hours').get();
+        hoursSnap.forEach(hourDoc => {
+            const record = hourDoc.data();
+            const hour = parseInt(hourDoc.id, 10);
+
+            // Seed placeholders hold no readings; they are overwritten if a moved hour lands on them
+            if (record.isSeed === true || isNaN(hour)) {
+                return;
+            }
+
+            const fromZone = sourceTimezone(record, cronTimezone, clientTimezone);
+            const target = bucketFor(zonedTimeToUtc(dateRef.id, hour, fromZone), timezone);
+            const key = `${target.date}/${target.hour}`;
+
+            if (!targets.has(key)) {
+                targets.set(key, { date: target.date, hour: target.hour, sources: [] });
+            }
+            targets.get(key).sources.push({
+                ref: hourDoc.ref,
+                record: record,
+                moved: key !== `${dateRef.id}/${hourDoc.id}`,
+                stamped: record.timezone === timezone
+            });
+        });
+    }
+
+    const operations = [];
+    const dates = new Set();
+    let moved = 0;
+    let merged = 0;
+
+    targets.forEach(target => {
+        const untouched = target.sources.length === 1 && !target.sources[0].moved && target.sources[0].stamped;
+        if (untouched) {
+            return;
+        }
+
+        const targetRef = hourlyRef.doc(target.date).collection('hours').doc(target.hour);
+        const mergedRecord = mergeHourRecords(target.sources.map(source => source.record), target.hour, timezone);
+        mergedRecord.rebucketedFrom = target.sources.map(source => `${source.ref.parent.parent.id}/${source.ref.id}`);
+
+        operations.push(batch => batch.set(hourlyRef.doc(target.date), { date: target.date }, { merge: true }));
+        operations.push(batch => batch.set(targetRef, mergedRecord));
+        dates.add(target.date);
+
+        target.sources.forEach(source => {
+            if (source.moved) {
+                dates.add(source.ref.parent.parent.id);
+                moved++;
+            }
+        });
+        if (target.sources.length > 1) {
+            merged++;
+        }
+    });
+
+    // Delete moved sources after every target is written (a source can also be another hour's target)
+    const targetPaths = new Set(Array.from(targets.values())
+        .map(target => hourlyRef.doc(target.date).collection('hours').doc(target.hour).path));
+    targets.forEach(target => {
+        target.sources.forEach(source => {
+            if (source.moved && !targetPaths.has(source.ref.path)) {
+                operations.push(batch => batch.delete(source.ref));
+            }
+        });
+    });
+
+    if (!dryRun) {
+        for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+            const batch = db.batch();
+            operations.slice(i, i + BATCH_LIMIT).forEach(apply => apply(batch));
+            await batch.commit();
+        }
+
+        // Daily reports of the touched dates were built from the old buckets
+        for (const date of dates) {
+            await generateDailyReportForUser(db, uid, date);
+        }
+    }
+
+    return { moved, merged, dates: Array.from(dates).sort() };
+}
+
+/**
+ * Main function to re-bucket hourly records
+ */
+async function rebucketHourlyRecords(req, res) {
+    // Verify cron secret
+    const secret = req.query?.secret || req.headers?.['x-cron-secret'] || null;
+    if (!verifyCronSecret(secret)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid cron secret'
+        });
+    }
+
+    const cronTimezone = req.query?.cronTimezone || DEFAULT_CRON_TIMEZONE;
+    const clientTimezone = req.query?.clientTimezone || DEFAULT_CLIENT_TIMEZONE;
+    const dryRun = req.query?.dryRun === true || req.query?.dryRun === 'true';
+
+    if (!isValidTimezone(cronTimezone) || !isValidTimezone(clientTimezone)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid timezone. Expected an IANA name such as UTC or Asia/Manila'
+        });
+    }
+
+    try {
+        const db = FirebaseConfig.getFirestore();
+
+        // One user, or all active users
+        let userDocs;
+        if (req.query?.uid) {
+            const userDoc = await db.collection('users').doc(req.query.uid).get();
+            userDocs = userDoc.exists ? [userDoc] : [];
+        } else {
+            const usersSnapshot = await db.collection('users').where('isActive', '==', true).get();
+            userDocs = usersSnapshot.docs;
+        }
+
+        let processed = 0;
+        let moved = 0;
+        let merged = 0;
+        let errors = 0;
+        const users = {};
+
+        for (const userDoc of userDocs) {
+            const uid = userDoc.id;
+            const timezone = resolveTimezone(userDoc.data().timezone);
+
+            try {
+                const result = await rebucketHourlyForUser(db, uid, timezone, { cronTimezone, clientTimezone, dryRun });
+                moved += result.moved;
+                merged += result.merged;
+                users[uid] = { timezone, ...result };
+                processed++;
+            } catch (error) {
+                console.error(`[MIGRATION] Error re-bucketing hourly records for user ${uid}:`, error.message);
+                errors++;
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            dryRun: dryRun,
+            cronTimezone: cronTimezone,
+            clientTimezone: clientTimezone,
+            processed: processed,
+            moved: moved,
+            merged: merged,
+            errors: errors,
+            users: users,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+// If running as standalone script
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const arg = (name) => args.find(value => value.startsWith(`${name}=`))?.split('=')[1];
+
+    const mockReq = {
+        query: {
+            secret: arg('secret') || process.env.CRON_SECRET,
+            uid: arg('uid'),
+            cronTimezone: arg('cronTimezone'),
+            clientTimezone: arg('clientTimezone'),
+            dryRun: arg('dryRun')
+        },
+        headers: {}
+    };
+
+    const mockRes = {
+        status: (code) => ({
+            json: (data) => {
+                console.log(JSON.stringify(data, null, 2));
+                process.exit(code === 200 ? 0 : 1);
+            }
+        })
+    };
+
+    rebucketHourlyRecords(mockReq, mockRes).catch(error => {
+        console.error('Error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { rebucketHourlyRecords, rebucketHourlyForUser, mergeHourRecords };
@@ -0,0 +1,51 @@
+/**
+ * Email Channel (SMTP)
+ *
+ * Sends through any SMTP server with nodemailer.
+ * Local testing: node api/tools/smtp-sink.js (listens on 1025) and SMTP_HOST=127.0.0.1 SMTP_PORT=1025.
+ *
+ * Environment:
+ *   SMTP_HOST / SMTP_PORT (default 587) / SMTP_SECURE (true for port 465)
+ *   SMTP_USER / SMTP_PASSWORD (optional - the local sink needs none)
+ *   SMTP_FROM (default "AquaSense <no-reply@aquasense.local>")
+ */
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+function getTransporter() {
+    if (transporter) {
+        return transporter;
+    }
+    if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is not configured');
+    }
+    const options = {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        secure: process.env.SMTP_SECURE === 'true'
+    };
+    if (process.env.SMTP_USER) {
+        options.auth = { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD || '' };
+    }
+    transporter = nodemailer.createTransport(options);
+    return transporter;
+}
+
+/**
+ * @param {string} address - Recipient email
+ * @param {{subject: string, text: string}} message
+ * @returns {Promise<{providerId: string|null}>}
+ */
+async function send(address, message) {
+    const info = await getTransporter().sendMail({
+        from: process.env.SMTP_FROM || 'AquaSense <no-reply@aquasense.local>',
+        to: address,
+        subject: message.subject,
+        text: message.text
+    });
+    return { providerId: info.messageId || null };
+}
+
+module.exports = { send };
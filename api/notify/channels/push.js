@@ -0,0 +1,131 @@
+/**
+ * Browser Push Channel (Web Push)
+ *
+ * Sends the notification to every browser the user subscribed (users/{uid}/pushSubscriptions, written by
+ * api/notify/push.js) through the browsers' push services, encrypted and VAPID-signed by the web-push package.
+ * sw.js shows it and opens the dashboard on click.
+ *   VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY   key pair (npx web-push generate-vapid-keys)
+ *   VAPID_SUBJECT                          mailto: or https: contact for the push services
+ * A subscription the push service answers 404 / 410 for is gone (browser unsubscribed) and is deleted.
+ * Other failures are recorded as the status code only (lastError is readable by the user).
+ * Delivered when at least one browser accepted it; otherwise the dispatcher retries.
+ * Local testing: node api/tools/mock-push-service.js prints a subscription to subscribe with.
+ */
+
+const admin = require('firebase-admin');
+const FirebaseConfig = require('../../_config/firebase');
+const { pushPayload } = require('../../../notification-channels');
+
+// Push services drop messages a phone did not pick up within this time
+const TTL_SECONDS = parseInt(process.env.PUSH_TTL_SECONDS || '86400', 10);
+
+let webpush = null;
+
+function vapidDetails() {
+    if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+        throw new Error('VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY are not configured');
+    }
+    return {
+        subject: process.env.VAPID_SUBJECT || 'mailto:admin@aquasense.local',
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY
+    };
+}
+
+/**
+ * Public key browsers subscribe with (null when push is not configured)
+ */
+function publicKey() {
+    return process.env.VAPID_PUBLIC_KEY || null;
+}
+
+/**
+ * Point the push channel's address at the current subscriptions ("2 browsers"; '' and unverified when none)
+ */
+async function syncPushChannel(db, uid) {
+    const userRef = db.collection('users').doc(uid);
+    const snapshot = await userRef.collection('pushSubscriptions').get();
+    await userRef.collection('notificationChannels').doc('push').set({
+        channel: 'push',
+        address: snapshot.size > 0 ? `${snapshot.size} browser${snapshot.size === 1 ? '' : 's'}` : '',
+        verified: snapshot.size > 0,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    return snapshot.size;
+}
+
+/**
+ * Send one payload to one subscription
+ *
+ * @param {{endpoint: string, keys: {p256dh: string, auth: string}}} subscription
+ * @returns {Promise<{statusCode: number}>}
+ */
+async function pushTo(subscription, payload, options = {}) {
+    if (!webpush) {
+        webpush = require('web-push');
+    }
+    const response = await webpush.sendNotification(subscription, JSON.stringify(payload), {
+        vapidDetails: vapidDetails(),
+        TTL: TTL_SECONDS,
+        urgency: options.urgency || 'normal'
+    });
+    return { statusCode: response.statusCode };
+}
+
+/**
+ * @param {string} address - "N browsers" (display only - the subscriptions are read from Firestore)
+ * @param {{subject: string, text: string}} message
+ * @param {Object} context - { notification, notificationId, uid }
+ * @returns {Promise<{providerId: string|null}>}
+ */
+async function send(address, message, context = {}) {
+    if (!context.uid) {
+        throw new Error('Push needs the recipient uid');
+    }
+    const notification = context.notification || {};
+    const payload = pushPayload({
+        ...notification,
+        title: notification.title || message.subject,
+        message: notification.message || message.text
+    }, context.notificationId);
+    const options = { urgency: notification.severity === 'critical' ? 'high' : 'normal' };
+
+    const db = FirebaseConfig.getFirestore();
+    const subscriptionsRef = db.collection('users').doc(context.uid).collection('pushSubscriptions');
+    const snapshot = await subscriptionsRef.get();
+    if (snapshot.empty) {
+        throw new Error('No browser is subscribed');
+    }
+
+    let delivered = 0;
+    let removed = 0;
+    const problems = [];
+    for (const subscriptionDoc of snapshot.docs) {
+        const subscription = subscriptionDoc.data();
+        try {
+            await pushTo({ endpoint: subscription.endpoint, keys: subscription.keys }, payload, options);
+            delivered++;
+            await subscriptionDoc.ref.update({ lastPushAt: Date.now(), lastError: null });
+        } catch (error) {
+            if (error.statusCode === 404 || error.statusCode === 410) {
+                console.log(`[PUSH] Subscription ${subscriptionDoc.id} of ${context.uid} is gone, removing it`);
+                await subscriptionDoc.ref.delete();
+                removed++;
+                continue;
+            }
+            const text = error.statusCode ? `HTTP ${error.statusCode}` : 'No answer from the push service';
+            problems.push(`${subscription.label || subscriptionDoc.id}: ${text}`);
+            await subscriptionDoc.ref.update({ lastError: text, lastErrorAt: Date.now() });
+        }
+    }
+
+    if (removed > 0) {
+        await syncPushChannel(db, context.uid);
+    }
+    if (delivered === 0) {
+        throw new Error(problems.length > 0 ? problems.join('; ') : 'Every subscription had expired');
+    }
+    return { providerId: `${delivered}/${snapshot.size} browsers` };
+}
+
+module.exports = { send, pushTo, publicKey, syncPushChannel };
@@ -0,0 +1,59 @@
+/**
+ * SMS Channel
+ *
+ * Gateways implement send(to, text) -> { providerId }. Pick one with SMS_GATEWAY:
+ *   http  POST { to, message } as JSON to SMS_GATEWAY_URL (Authorization: Bearer SMS_GATEWAY_TOKEN when set)
+ *         and read the message id from the answer's `id` / `messageId`.
+ *         Local testing: node api/tools/mock-sms-gateway.js and SMS_GATEWAY_URL=http://127.0.0.1:8025/messages
+ *   log   print the message instead of sending it (development)
+ * Providers with another API get their own entry in GATEWAYS.
+ */
+
+const { postJson } = require('../http');
+
+const GATEWAYS = {
+    http: {
+        async send(to, text) {
+            if (!process.env.SMS_GATEWAY_URL) {
+                throw new Error('SMS_GATEWAY_URL is not configured');
+            }
+            const headers = process.env.SMS_GATEWAY_TOKEN
+                ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` }
+                : {};
+            const response = await postJson(process.env.SMS_GATEWAY_URL, { to, message: text }, headers);
+            let answer = {};
+            try {
+                answer = JSON.parse(response.body || '{}');
+            } catch (error) {
+                // Gateways answering plain text are fine - there is just no id to log
+            }
+            return { providerId: answer.id || answer.messageId || null };
+        }
+    },
+    log: {
+        async send(to, text) {
+            console.log(`[SMS] to ${to}: ${text}`);
+            return { providerId: null };
+        }
+    }
+};
+
+function getGateway() {
+    const name = process.env.SMS_GATEWAY || 'http';
+    const gateway = GATEWAYS[name];
+    if (!gateway) {
+        throw new Error(`Unknown SMS_GATEWAY "${name}". Must be: ${Object.keys(GATEWAYS).join(', ')}`);
+    }
+    return gateway;
+}
+
+/**
+ * @param {string} address - E.164 number
+ * @param {{subject: string, text: string}} message
+ * @returns {Promise<{providerId: string|null}>}
+ */
+async function send(address, message) {
+    return getGateway().send(address, message.text);
+}
+
+module.exports = { GATEWAYS, send };
@@ -0,0 +1,41 @@
+/**
+ * Webhook Channel
+ *
+ * POSTs the notification as JSON to the user's URL, signed like device requests to /api/ingest:
+ *   X-AquaSense-Timestamp: Unix time in seconds
+ *   X-AquaSense-Signature: hex HMAC-SHA256 of "{timestamp}.{raw body}" with the channel secret
+ * The secret is created with the channel (users/{uid}/notificationChannels/webhook.secret) and shown in the dashboard.
+ * Any 2xx answer counts as delivered. The URL must resolve to a public address (see ../http.js).
+ */
+
+const { postJson } = require('../http');
+const { signPayload } = require('../../_middleware/verifyDeviceKey');
+
+/**
+ * @param {string} address - Webhook URL
+ * @param {{subject: string, text: string}} message
+ * @param {Object} context - { notification, notificationId, secret }
+ * @returns {Promise<{providerId: string|null}>}
+ */
+async function send(address, message, context = {}) {
+    const notification = context.notification || {};
+    const body = JSON.stringify({
+        id: context.notificationId || null,
+        type: notification.type || 'general',
+        title: notification.title || message.subject,
+        message: notification.message || message.text,
+        severity: notification.severity || null,
+        deviceId: notification.deviceId || null,
+        alertId: notification.alertId || null,
+        timestamp: notification.timestamp || Date.now()
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = { 'X-AquaSense-Timestamp': String(timestamp) };
+    if (context.secret) {
+        headers['X-AquaSense-Signature'] = signPayload(context.secret, timestamp, body);
+    }
+    await postJson(address, body, headers, { publicOnly: true });
+    return { providerId: null };
+}
+
+module.exports = { send };
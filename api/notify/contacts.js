@@ -0,0 +1,329 @@
+/**
+ * Notification Contacts Endpoint
+ *
+ * Sets and verifies the contact details of a user's outbound channels (email, SMS, webhook).
+ * A new address starts unverified: a code is sent to it and the channel only delivers once the user
+ * types the code back. The dashboard edits everything else (enabled, types, minSeverity) directly.
+ * Codes are stored hashed in contactVerifications/{uid}_{channel} (no client access).
+ *
+ * Farm workers of the escalation policy (users/{uid}.alertEscalation) go through the same check before
+ * api/alerts/escalation.js pings them: "set" with a worker id sends the code to the address saved in the
+ * policy, the worker passes it on and the owner types it back. Verified worker addresses are kept in
+ * users/{uid}/workerContacts/{workerId} (Admin SDK only), codes in contactVerifications/{uid}_worker_{workerId}.
+ * Requires Firebase ID token authentication.
+ *
+ * Usage:
+ * POST /api/notify/contacts
+ * Body: { "action": "set", "channel": "email", "address": "name@example.com" }   → sends a code
+ *       { "action": "verify", "channel": "email", "code": "123456" }
+ *       { "action": "test", "channel": "email" }                                → sends a test message
+ *       { "action": "remove", "channel": "email" }
+ *       { "action": "set", "worker": "w1" }                  → sends a code to the worker's saved address
+ *       { "action": "verify", "worker": "w1", "code": "123456" }
+ */
+
+const crypto = require('crypto');
+const FirebaseConfig = require('../_config/firebase');
+const { verifyFirebaseToken } = require('../_middleware/verifyToken');
+const admin = require('firebase-admin');
+const {
+    CHANNELS,
+    CODE_LENGTH,
+    CODE_TTL_MINUTES,
+    MAX_CODE_ATTEMPTS,
+    normalizeAddress,
+    validateAddress,
+    maskAddress,
+    verificationMessage
+} = require('../../notification-channels');
+const { normalizeEscalationPolicy } = require('../../alert-rules');
+const { sendNow } = require('./dispatcher');
+const { allowLoopback } = require('./http');
+
+// A new code can be requested this long after the previous one
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const ACTIONS = ['set', 'verify', 'test', 'remove'];
+const WORKER_ACTIONS = ['set', 'verify'];
+
+function requestError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// key: the channel, or worker:{workerId} for a farm worker
+function hashCode(uid, key, code) {
+    return crypto.createHash('sha256').update(`${uid}:${key}:${code}`).digest('hex');
+}
+
+/**
+ * Where a contact and its pending code live -> { contactRef, verificationRef, key }
+ */
+function contactTarget(db, uid, channel, workerId) {
+    const userRef = db.collection('users').doc(uid);
+    if (workerId) {
+        return {
+            contactRef: userRef.collection('workerContacts').doc(workerId),
+            verificationRef: db.collection('contactVerifications').doc(`${uid}_worker_${workerId}`),
+            key: `worker:${workerId}`
+        };
+    }
+    return {
+        contactRef: userRef.collection('notificationChannels').doc(channel),
+        verificationRef: db.collection('contactVerifications').doc(`${uid}_${channel}`),
+        key: channel
+    };
+}
+
+function randomCode() {
+    return String(crypto.randomInt(0, Math.pow(10, CODE_LENGTH))).padStart(CODE_LENGTH, '0');
+}
+
+/**
+ * Send through a channel adapter; a refused send is reported as a gateway error.
+ * Webhook failures only say the status code: whatever the URL answered stays on the server.
+ */
+async function sendThrough(channel, address, notification, secret) {
+    try {
+        await sendNow(channel, address, notification, secret);
+    } catch (error) {
+        const label = CHANNELS[channel].label.toLowerCase();
+        if (error.code === 'ADDRESS_NOT_ALLOWED') {
+            throw requestError(`Could not send to this ${label} address: it is on a local or private network`, 400);
+        }
+        let reason = error.message;
+        if (error.httpStatus) {
+            reason = `HTTP ${error.httpStatus}`;
+        } else if (channel === 'webhook') {
+            reason = 'no answer';
+        }
+        throw requestError(`Could not send to this ${label} address: ${reason}`, 502);
+    }
+}
+
+/**
+ * Save a new address (unverified) and send it a code
+ */
+async function setContact(db, uid, channel, address) {
+    const problem = validateAddress(channel, address, { allowLoopback: allowLoopback() });
+    if (problem) {
+        throw requestError(problem, 400);
+    }
+    const normalized = normalizeAddress(channel, address);
+    const { contactRef: channelRef, verificationRef } = contactTarget(db, uid, channel, null);
+
+    const [channelSnap, verificationSnap] = await Promise.all([channelRef.get(), verificationRef.get()]);
+    const current = channelSnap.exists ? channelSnap.data() : {};
+    const pending = verificationSnap.exists ? verificationSnap.data() : null;
+    if (pending && Date.now() - pending.sentAt < RESEND_INTERVAL_MS) {
+        throw requestError('A code was just sent. Wait a minute before asking for another one', 429);
+    }
+
+    // Webhook receivers check signatures with this secret; it survives address changes
+    const secret = channel === 'webhook' ? current.secret || crypto.randomBytes(24).toString('hex') : null;
+
+    const code = randomCode();
+    const now = Date.now();
+    await sendThrough(channel, normalized, verificationMessage(code), secret);
+
+    await Promise.all([
+        channelRef.set({
+            channel: channel,
+            address: normalized,
+            verified: current.address === normalized && current.verified === true,
+            verifiedAt: current.address === normalized ? current.verifiedAt || null : null,
+            enabled: current.enabled !== undefined ? current.enabled : true,
+            types: Array.isArray(current.types) ? current.types : [],
+            minSeverity: current.minSeverity || 'warning',
+            secret: secret,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }),
+        verificationRef.set({
+            uid: uid,
+            channel: channel,
+            address: normalized,
+            codeHash: hashCode(uid, channel, code),
+            attempts: 0,
+            sentAt: now,
+            expiresAt: now + CODE_TTL_MINUTES * 60 * 1000
+        })
+    ]);
+
+    return { address: maskAddress(channel, normalized), expiresAt: now + CODE_TTL_MINUTES * 60 * 1000 };
+}
+
+/**
+ * Send a code to a farm worker's address as saved in the escalation policy (the worker must be listed there)
+ */
+async function setWorkerContact(db, uid, workerId) {
+    const userSnap = await db.collection('users').doc(uid).get();
+    const policy = normalizeEscalationPolicy(userSnap.exists ? userSnap.data().alertEscalation : null);
+    const worker = policy.workers.find(candidate => candidate.id === workerId);
+    if (!worker) {
+        throw requestError('Save the worker in the escalation policy first', 400);
+    }
+    const problem = validateAddress(worker.channel, worker.address, { allowLoopback: allowLoopback() });
+    if (problem) {
+        throw requestError(problem, 400);
+    }
+    const normalized = normalizeAddress(worker.channel, worker.address);
+    const { contactRef, verificationRef, key } = contactTarget(db, uid, worker.channel, workerId);
+
+    const [contactSnap, verificationSnap] = await Promise.all([contactRef.get(), verificationRef.get()]);
+    const current = contactSnap.exists ? contactSnap.data() : {};
+    const pending = verificationSnap.exists ? verificationSnap.data() : null;
+    if (pending && Date.now() - pending.sentAt < RESEND_INTERVAL_MS) {
+        throw requestError('A code was just sent. Wait a minute before asking for another one', 429);
+    }
+
+    const code = randomCode();
+    const now = Date.now();
+    await sendThrough(worker.channel, normalized, verificationMessage(code), null);
+
+    const same = current.address === normalized && current.channel === worker.channel;
+    await Promise.all([
+        contactRef.set({
+            workerId: workerId,
+            channel: worker.channel,
+            address: normalized,
+            verified: same && current.verified === true,
+            verifiedAt: same ? current.verifiedAt || null : null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }),
+        verificationRef.set({
+            uid: uid,
+            channel: worker.channel,
+            workerId: workerId,
+            address: normalized,
+            codeHash: hashCode(uid, key, code),
+            attempts: 0,
+            sentAt: now,
+            expiresAt: now + CODE_TTL_MINUTES * 60 * 1000
+        })
+    ]);
+
+    return { address: maskAddress(worker.channel, normalized), expiresAt: now + CODE_TTL_MINUTES * 60 * 1000 };
+}
+
+/**
+ * Check a code and mark the channel (or farm worker) verified
+ */
+async function verifyContact(db, uid, channel, code, workerId = null) {
+    const { contactRef: channelRef, verificationRef, key } = contactTarget(db, uid, channel, workerId);
+
+    return db.runTransaction(async (transaction) => {
+        const [channelSnap, verificationSnap] = await Promise.all([
+            transaction.get(channelRef),
+            transaction.get(verificationRef)
+        ]);
+        const pending = verificationSnap.exists ? verificationSnap.data() : null;
+        const current = channelSnap.exists ? channelSnap.data() : null;
+        if (!pending || !current || pending.address !== current.address) {
+            throw requestError('No code pending for this channel. Save the address again', 400);
+        }
+        if (Date.now() > pending.expiresAt || pending.attempts >= MAX_CODE_ATTEMPTS) {
+            transaction.delete(verificationRef);
+            throw requestError('Code expired. Save the address again for a new one', 410);
+        }
+
+        const expected = Buffer.from(pending.codeHash, 'hex');
+        const provided = Buffer.from(hashCode(uid, key, String(code || '').trim()), 'hex');
+        if (!crypto.timingSafeEqual(expected, provided)) {
+            transaction.update(verificationRef, { attempts: pending.attempts + 1 });
+            return false;
+        }
+
+        transaction.update(channelRef, {
+            verified: true,
+            verifiedAt: Date.now(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.delete(verificationRef);
+        return true;
+    });
+}
+
+/**
+ * Main contacts handler
+ */
+async function manageContacts(req, res) {
+    try {
+        // Verify authentication
+        const uid = await verifyFirebaseToken(req);
+
+        const body = req.body || {};
+        const action = body.action;
+        const channel = body.channel;
+        if (!ACTIONS.includes(action)) {
+            throw requestError(`Invalid action. Must be: ${ACTIONS.join(', ')}`, 400);
+        }
+
+        if (body.worker !== undefined) {
+            const workerId = String(body.worker);
+            if (!WORKER_ACTIONS.includes(action)) {
+                throw requestError(`Invalid action for a worker. Must be: ${WORKER_ACTIONS.join(', ')}`, 400);
+            }
+            if (!/^[A-Za-z0-9_-]{1,40}$/.test(workerId)) {
+                throw requestError('Invalid worker', 400);
+            }
+            const db = FirebaseConfig.getFirestore();
+            const result = { success: true, action: action, worker: workerId };
+            if (action === 'set') {
+                Object.assign(result, await setWorkerContact(db, uid, workerId));
+            } else {
+                result.verified = await verifyContact(db, uid, null, body.code, workerId);
+                if (!result.verified) {
+                    throw requestError('Wrong code', 400);
+                }
+            }
+            res.status(200).json({ ...result, timestamp: new Date().toISOString() });
+            return;
+        }
+
+        const contactChannels = Object.keys(CHANNELS).filter(key => !CHANNELS[key].managed);
+        if (!contactChannels.includes(channel)) {
+            // Browser push subscriptions go through /api/notify/push
+            throw requestError(`Invalid channel. Must be: ${contactChannels.join(', ')}`, 400);
+        }
+
+        const db = FirebaseConfig.getFirestore();
+        const result = { success: true, action: action, channel: channel };
+
+        if (action === 'set') {
+            Object.assign(result, await setContact(db, uid, channel, body.address));
+        } else if (action === 'verify') {
+            result.verified = await verifyContact(db, uid, channel, body.code);
+            if (!result.verified) {
+                throw requestError('Wrong code', 400);
+            }
+        } else if (action === 'test') {
+            const channelSnap = await db.collection('users').doc(uid).collection('notificationChannels').doc(channel).get();
+            const current = channelSnap.exists ? channelSnap.data() : null;
+            if (!current || !current.verified) {
+                throw requestError('Verify the channel before sending a test', 400);
+            }
+            await sendThrough(channel, current.address, {
+                type: 'general',
+                title: 'Test notification',
+                message: `This is a test of your AquaSense ${CHANNELS[channel].label} notifications.`,
+                timestamp: Date.now()
+            }, current.secret);
+        } else {
+            await Promise.all([
+                db.collection('users').doc(uid).collection('notificationChannels').doc(channel).delete(),
+                db.collection('contactVerifications').doc(`${uid}_${channel}`).delete()
+            ]);
+        }
+
+        res.status(200).json({ ...result, timestamp: new Date().toISOString() });
+
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message || 'Request failed'
+        });
+    }
+}
+
+module.exports = { manageContacts };
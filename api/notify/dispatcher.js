@@ -0,0 +1,250 @@
+/**
+ * Notification Dispatcher
+ *
+ * Sends Firestore notifications (notifications/{id}) out on the channels each user set up
+ * (email, SMS, webhook, browser push - see notification-channels.js for the preferences).
+ *
+ * 1. queue:   every new notification gets one delivery per matching channel and is stamped dispatchedAt
+ * 2. deliver: due deliveries are claimed in a transaction, sent, and either marked sent or
+ *             rescheduled with exponential backoff until NOTIFY_MAX_ATTEMPTS is reached
+ *
+ * Delivery log: users/{uid}/notificationDeliveries/{notificationId}_{channel}
+ *   { notificationId, channel, type, title, address (masked), status: pending | sent | failed | skipped,
+ *     attempts, nextAttemptAt (null once finished), lastAttemptAt, lastError, sentAt, providerId,
+ *     log: [{ at, ok, error }], createdAt }
+ * Deterministic ids: a notification queued twice (overlapping cron runs) still has one delivery per channel.
+ */
+
+const admin = require('firebase-admin');
+const { CHANNELS, maskAddress, wantsNotification, formatMessage } = require('../../notification-channels');
+
+// Notifications newer than this are picked up (older ones predate the dispatcher or were already queued)
+const QUEUE_LOOKBACK_MS = 15 * 60 * 1000;
+
+// Retry: 1, 2, 4, 8, 16 min ... capped at an hour
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS || '6', 10);
+
+// A claimed delivery is left alone this long (a run that died mid-send is retried afterwards)
+const CLAIM_MS = 2 * 60 * 1000;
+
+// Deliveries sent per user and run
+const DELIVERIES_PER_RUN = 50;
+
+// Adapters load on first use (a server without SMTP never needs nodemailer)
+const adapters = {};
+
+function getAdapter(channel) {
+    if (!CHANNELS[channel]) {
+        throw new Error(`Unknown channel: ${channel}`);
+    }
+    if (!adapters[channel]) {
+        adapters[channel] = require(`./channels/${channel}`);
+    }
+    return adapters[channel];
+}
+
+function retryDelayMs(attempts) {
+    return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_MS);
+}
+
+/**
+ * Channel preferences of a user keyed by channel
+ */
+async function loadChannelPreferences(db, uid) {
+    const snapshot = await db.collection('users').doc(uid).collection('notificationChannels').get();
+    const preferences = {};
+    snapshot.forEach(channelDoc => {
+        if (CHANNELS[channelDoc.id]) {
+            preferences[channelDoc.id] = channelDoc.data();
+        }
+    });
+    return preferences;
+}
+
+/**
+ * Send one message right away, without a delivery log (verification codes, test messages)
+ *
+ * @param {string|null} uid - Recipient (needed by push, which looks up the user's browsers)
+ */
+async function sendNow(channel, address, notification, secret, uid) {
+    return getAdapter(channel).send(address, formatMessage(channel, notification), {
+        notification: notification,
+        notificationId: null,
+        secret: secret || null,
+        uid: uid || null
+    });
+}
+
+/**
+ * Create the deliveries of one notification
+ *
+ * @returns {Promise<number>} Deliveries created (0 when already queued or no channel wants it)
+ */
+async function queueNotification(db, notificationRef, preferences) {
+    const usersRef = db.collection('users');
+
+    return db.runTransaction(async (transaction) => {
+        const notificationSnap = await transaction.get(notificationRef);
+        const notification = notificationSnap.exists ? notificationSnap.data() : null;
+        if (!notification || notification.dispatchedAt) {
+            return 0;
+        }
+
+        const now = Date.now();
+        const channels = Object.keys(preferences).filter(channel => wantsNotification(preferences[channel], notification));
+        channels.forEach(channel => {
+            const deliveryRef = usersRef.doc(notification.targetUid)
+                .collection('notificationDeliveries').doc(`${notificationRef.id}_${channel}`);
+            transaction.set(deliveryRef, {
+                notificationId: notificationRef.id,
+                channel: channel,
+                type: notification.type || 'general',
+                title: notification.title || '',
+                address: maskAddress(channel, preferences[channel].address),
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: now,
+                lastAttemptAt: null,
+                lastError: null,
+                sentAt: null,
+                providerId: null,
+                log: [],
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+        transaction.update(notificationRef, { dispatchedAt: now, dispatchedChannels: channels });
+        return channels.length;
+    });
+}
+
+/**
+ * Queue every recent notification not dispatched yet
+ *
+ * @returns {Promise<{notifications: number, deliveries: number}>}
+ */
+async function queueRecentNotifications(db, now = Date.now()) {
+    const snapshot = await db.collection('notifications')
+        .where('timestamp', '>=', now - QUEUE_LOOKBACK_MS)
+        .get();
+
+    const preferencesByUid = {};
+    const counts = { notifications: 0, deliveries: 0 };
+    for (const notificationDoc of snapshot.docs) {
+        const notification = notificationDoc.data();
+        if (notification.dispatchedAt || !notification.targetUid) {
+            continue;
+        }
+        if (!preferencesByUid[notification.targetUid]) {
+            preferencesByUid[notification.targetUid] = await loadChannelPreferences(db, notification.targetUid);
+        }
+        counts.deliveries += await queueNotification(db, notificationDoc.ref, preferencesByUid[notification.targetUid]);
+        counts.notifications++;
+    }
+    return counts;
+}
+
+/**
+ * Claim, send and record one delivery
+ *
+ * @returns {Promise<string|null>} 'sent', 'retry', 'failed', 'skipped' or null (not due / claimed elsewhere)
+ */
+async function attemptDelivery(db, uid, deliveryRef) {
+    const claimed = await db.runTransaction(async (transaction) => {
+        const deliverySnap = await transaction.get(deliveryRef);
+        const delivery = deliverySnap.exists ? deliverySnap.data() : null;
+        const now = Date.now();
+        if (!delivery || delivery.status !== 'pending' || delivery.nextAttemptAt === null || delivery.nextAttemptAt > now) {
+            return null;
+        }
+        const attempts = (delivery.attempts || 0) + 1;
+        transaction.update(deliveryRef, { attempts: attempts, lastAttemptAt: now, nextAttemptAt: now + CLAIM_MS });
+        return { ...delivery, attempts };
+    });
+    if (!claimed) {
+        return null;
+    }
+
+    const userRef = db.collection('users').doc(uid);
+    const [channelSnap, notificationSnap] = await Promise.all([
+        userRef.collection('notificationChannels').doc(claimed.channel).get(),
+        db.collection('notifications').doc(claimed.notificationId).get()
+    ]);
+    const preferences = channelSnap.exists ? channelSnap.data() : null;
+    const notification = notificationSnap.exists ? notificationSnap.data() : null;
+    const now = Date.now();
+
+    // Channel switched off (or its address changed and is unverified) since the delivery was queued
+    if (!notification || !wantsNotification(preferences, notification)) {
+        await deliveryRef.update({
+            status: 'skipped',
+            nextAttemptAt: null,
+            lastError: notification ? 'Channel disabled or unverified' : 'Notification deleted',
+            log: admin.firestore.FieldValue.arrayUnion({ at: now, ok: false, error: 'skipped' })
+        });
+        return 'skipped';
+    }
+
+    try {
+        const result = await getAdapter(claimed.channel).send(
+            preferences.address,
+            formatMessage(claimed.channel, notification),
+            { notification, notificationId: claimed.notificationId, secret: preferences.secret || null, uid: uid }
+        );
+        await deliveryRef.update({
+            status: 'sent',
+            sentAt: Date.now(),
+            nextAttemptAt: null,
+            lastError: null,
+            providerId: result.providerId || null,
+            log: admin.firestore.FieldValue.arrayUnion({ at: now, ok: true, error: null })
+        });
+        return 'sent';
+    } catch (error) {
+        const finalAttempt = claimed.attempts >= MAX_ATTEMPTS;
+        const message = String(error.message || error).slice(0, 300);
+        console.warn(`[NOTIFY] ${claimed.channel} delivery ${deliveryRef.id} attempt ${claimed.attempts} failed: ${message}`);
+        await deliveryRef.update({
+            status: finalAttempt ? 'failed' : 'pending',
+            nextAttemptAt: finalAttempt ? null : Date.now() + retryDelayMs(claimed.attempts),
+            lastError: message,
+            log: admin.firestore.FieldValue.arrayUnion({ at: now, ok: false, error: message })
+        });
+        return finalAttempt ? 'failed' : 'retry';
+    }
+}
+
+/**
+ * Send the due deliveries of a user
+ *
+ * @returns {Promise<{sent: number, retrying: number, failed: number, skipped: number}>}
+ */
+async function deliverDue(db, uid, now = Date.now()) {
+    const snapshot = await db.collection('users').doc(uid).collection('notificationDeliveries')
+        .where('nextAttemptAt', '<=', now)
+        .orderBy('nextAttemptAt', 'asc')
+        .limit(DELIVERIES_PER_RUN)
+        .get();
+
+    const counts = { sent: 0, retrying: 0, failed: 0, skipped: 0 };
+    for (const deliveryDoc of snapshot.docs) {
+        const outcome = await attemptDelivery(db, uid, deliveryDoc.ref);
+        if (outcome === 'sent') counts.sent++;
+        else if (outcome === 'retry') counts.retrying++;
+        else if (outcome === 'failed') counts.failed++;
+        else if (outcome === 'skipped') counts.skipped++;
+    }
+    return counts;
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    retryDelayMs,
+    loadChannelPreferences,
+    sendNow,
+    queueNotification,
+    queueRecentNotifications,
+    attemptDelivery,
+    deliverDue
+};
@@ -0,0 +1,53 @@
+/**
+ * Low Feed Stock Notifications
+ *
+ * Announces feed types whose stock reached the reorder level without a notification (type 'feed_low_stock'):
+ * the feeding executor announces the feedings it books, but the dashboard only announces for the signed-in
+ * owner - a stock change by anyone else, or from before the executor moved server-side, leaves
+ * lowStockNotifiedAt null (see feed-inventory.js). The dispatcher then sends them out like any other.
+ * The id is fixed per low-stock episode (lowStockNotificationId), the same one the dashboard and the
+ * executor use, so a feed is announced once however many runs see it.
+ */
+
+const { resolveTimezone, dateKey } = require('../../timezone');
+const { lowStockNotificationId, lowStockNotification } = require('../../feed-inventory');
+
+/**
+ * Announce the unannounced low-stock feeds of one user
+ *
+ * @param {string} timezone - User timezone (the forecast counts days in it)
+ * @returns {Promise<number>} Notifications created by this run
+ */
+async function announceLowStock(db, uid, timezone, now = Date.now()) {
+    const snapshot = await db.collection('users').doc(uid).collection('feedTypes')
+        .where('lowStockNotifiedAt', '==', null)
+        .get();
+    const todayKey = dateKey(now, resolveTimezone(timezone));
+
+    let announced = 0;
+    for (const feedTypeDoc of snapshot.docs) {
+        if (!feedTypeDoc.data().lowStockSince) {
+            continue;
+        }
+        const created = await db.runTransaction(async (transaction) => {
+            const feedTypeSnap = await transaction.get(feedTypeDoc.ref);
+            const feedType = feedTypeSnap.exists ? feedTypeSnap.data() : null;
+            if (!feedType || !feedType.lowStockSince || feedType.lowStockNotifiedAt) {
+                return false;
+            }
+            const notificationRef = db.collection('notifications').doc(lowStockNotificationId(uid, feedTypeDoc.id, feedType.lowStockSince));
+            const notificationSnap = await transaction.get(notificationRef);
+            if (!notificationSnap.exists) {
+                transaction.create(notificationRef, lowStockNotification(uid, feedTypeDoc.id, feedType, todayKey, now));
+            }
+            transaction.update(feedTypeDoc.ref, { lowStockNotifiedAt: now });
+            return !notificationSnap.exists;
+        });
+        if (created) {
+            announced++;
+        }
+    }
+    return announced;
+}
+
+module.exports = { announceLowStock };
@@ -0,0 +1,122 @@
+/**
+ * Feeding Event Notifications
+ *
+ * Turns feeding starts, stops and guard skips logged in users/{uid}/feedingLogs into notifications (type 'feeding'),
+ * which the dispatcher then sends out like any other - in practice as browser pushes, the only channel
+ * that selects feeding by default.
+ *   start: a log whose startedAt is recent        → feeding_{uid}_{logId}_start
+ *   stop:  a completed log whose endedAt is recent → feeding_{uid}_{logId}_stop
+ *   skip:  a log whose skippedAt is recent         → feeding_{uid}_{logId}_skip
+ * Deterministic ids and create() mean overlapping cron runs announce each event once.
+ */
+
+const admin = require('firebase-admin');
+const { formatRunTime, formatKg } = require('../../feeding-schedules');
+
+// Events older than this are not announced any more (the dispatcher was down - the news is stale)
+const EVENT_LOOKBACK_MS = 10 * 60 * 1000;
+
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    return typeof value === 'number' ? value : new Date(value).getTime();
+}
+
+/**
+ * Notification of one feeding event
+ *
+ * @param {'start'|'stop'|'skip'} event
+ */
+function feedingNotification(uid, logId, log, event, context) {
+    const deviceName = context.deviceName || log.deviceId || 'Feeder';
+    const when = context.scheduleTime ? `${context.scheduleTime} schedule` : 'feeding';
+    const at = toMillis({ start: log.startedAt, stop: log.endedAt, skip: log.skippedAt }[event]);
+    // Logs from before feed quantity tracking only have duration (minutes)
+    const runSeconds = log.runSeconds || (log.duration ? log.duration * 60 : null);
+    const amount = log.targetKg ? ` to feed ${formatKg(log.targetKg)}` : '';
+    const reduced = log.guard && log.guard.action === 'reduce'
+        ? ` Reduced by ${log.guard.reducePercent}%: ${log.reason}.`
+        : '';
+    const titles = {
+        start: `Feeding started on ${deviceName}`,
+        stop: `Feeding finished on ${deviceName}`,
+        skip: `Feeding skipped on ${deviceName}`
+    };
+    const messages = {
+        start: `The ${when} started${runSeconds ? ` and runs for ${formatRunTime(runSeconds)}${amount}` : ''}.${reduced}`,
+        stop: `The ${when} finished and the motor is off${log.dispensedKg ? ` - ${formatKg(log.dispensedKg)} of feed dispensed` : ''}.`,
+        skip: `The ${when} was skipped and the motor stays off: ${log.reason || 'a feeding condition held'}.`
+    };
+    return {
+        targetUid: uid,
+        type: 'feeding',
+        event: event,
+        feedingLogId: logId,
+        scheduleId: log.scheduleId || null,
+        deviceId: log.deviceId || null,
+        title: titles[event],
+        message: messages[event],
+        link: { section: 'feeding', target: 'recentFeedingList', deviceId: log.deviceId || null },
+        timestamp: at,
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+}
+
+/**
+ * Announce the recent feeding starts, stops and skips of one user
+ *
+ * @returns {Promise<{started: number, stopped: number, skipped: number}>} Notifications created by this run
+ */
+async function announceFeedingEvents(db, uid, now = Date.now()) {
+    const userRef = db.collection('users').doc(uid);
+    const since = admin.firestore.Timestamp.fromMillis(now - EVENT_LOOKBACK_MS);
+    const [startedSnap, endedSnap, skippedSnap] = await Promise.all([
+        userRef.collection('feedingLogs').where('startedAt', '>=', since).get(),
+        userRef.collection('feedingLogs').where('endedAt', '>=', since).get(),
+        userRef.collection('feedingLogs').where('skippedAt', '>=', since).get()
+    ]);
+
+    const events = [];
+    startedSnap.forEach(logDoc => events.push({ logDoc, event: 'start' }));
+    endedSnap.forEach(logDoc => {
+        if (logDoc.data().status === 'completed') {
+            events.push({ logDoc, event: 'stop' });
+        }
+    });
+    skippedSnap.forEach(logDoc => events.push({ logDoc, event: 'skip' }));
+
+    const counts = { started: 0, stopped: 0, skipped: 0 };
+    const countKeys = { start: 'started', stop: 'stopped', skip: 'skipped' };
+    const names = {};
+    const times = {};
+    for (const { logDoc, event } of events) {
+        const log = logDoc.data();
+        if (log.deviceId && names[log.deviceId] === undefined) {
+            const deviceSnap = await db.collection('devices').doc(log.deviceId).get();
+            const device = deviceSnap.exists ? deviceSnap.data() : {};
+            names[log.deviceId] = device.name || device.deviceName || log.deviceId;
+        }
+        if (log.scheduleId && times[log.scheduleId] === undefined) {
+            const scheduleSnap = await userRef.collection('schedules').doc(log.scheduleId).get();
+            times[log.scheduleId] = scheduleSnap.exists ? scheduleSnap.data().time || null : null;
+        }
+
+        const notification = feedingNotification(uid, logDoc.id, log, event, {
+            deviceName: names[log.deviceId],
+            scheduleTime: times[log.scheduleId]
+        });
+        try {
+            await db.collection('notifications').doc(`feeding_${uid}_${logDoc.id}_${event}`).create(notification);
+            counts[countKeys[event]]++;
+        } catch (error) {
+            // 6 = ALREADY_EXISTS: announced by an earlier run
+            if (error.code !== 6) {
+                throw error;
+            }
+        }
+    }
+    return counts;
+}
+
+module.exports = { feedingNotification, announceFeedingEvents };
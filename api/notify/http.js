@@ -0,0 +1,108 @@
+/**
+ * Outbound HTTP helper for notification channels
+ *
+ * Plain http/https (no global fetch before Node 18; engines allow 16). Any status outside 2xx is an error,
+ * so the dispatcher retries it. Errors carry the status code only, never the answer: they end up in
+ * delivery logs and API responses the user reads, and the URL may be one the user typed in.
+ *
+ * User-supplied URLs (webhooks) are posted with publicOnly: the host must resolve to a public address,
+ * checked on the address actually connected to, so a name that resolves into the server's own network
+ * is refused too. NOTIFY_ALLOW_LOOPBACK=true lets localhost through, for development only.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { isPrivateAddress, isLoopbackHost } = require('../../notification-channels');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.NOTIFY_HTTP_TIMEOUT_MS || '10000', 10);
+
+/**
+ * Development flag: webhook and push endpoints on localhost
+ */
+function allowLoopback() {
+    return process.env.NOTIFY_ALLOW_LOOPBACK === 'true';
+}
+
+function addressNotAllowed(host) {
+    const error = new Error(`${host} is on a local or private network`);
+    error.code = 'ADDRESS_NOT_ALLOWED';
+    return error;
+}
+
+/**
+ * dns.lookup that refuses private and loopback results (loopback allowed with NOTIFY_ALLOW_LOOPBACK)
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address) &&
+            !(allowLoopback() && isLoopbackHost(entry.address)));
+        if (blocked) {
+            callback(addressNotAllowed(hostname));
+            return;
+        }
+        if (options && options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+}
+
+/**
+ * POST a JSON body
+ *
+ * @param {string} url - http(s) URL
+ * @param {Object} body - Serialised as JSON (or a ready string)
+ * @param {Object} headers - Extra request headers
+ * @param {Object} options - { publicOnly: refuse private and loopback targets (user-supplied URLs) }
+ * @returns {Promise<{statusCode: number, body: string}>}
+ */
+function postJson(url, body, headers = {}, options = {}) {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    if (options.publicOnly && isPrivateAddress(target.hostname) && !(allowLoopback() && isLoopbackHost(target.hostname))) {
+        return Promise.reject(addressNotAllowed(target.hostname));
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = client.request(target, {
+            method: 'POST',
+            lookup: options.publicOnly ? publicLookup : undefined,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                'User-Agent': 'AquaSense-Notifier/1.0',
+                ...headers
+            },
+            timeout: REQUEST_TIMEOUT_MS
+        }, (response) => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                // Only the start of the answer is kept for the delivery log
+                if (text.length < 1000) text += chunk;
+            });
+            response.on('end', () => {
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    resolve({ statusCode: response.statusCode, body: text });
+                } else {
+                    const error = new Error(`HTTP ${response.statusCode}`);
+                    error.httpStatus = response.statusCode;
+                    reject(error);
+                }
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS} ms`)));
+        request.on('error', reject);
+        request.end(payload);
+    });
+}
+
+module.exports = { postJson, allowLoopback };
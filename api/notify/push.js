@@ -0,0 +1,179 @@
+/**
+ * Browser Push Subscriptions Endpoint
+ *
+ * Registers the browsers a user wants push notifications on. The dashboard subscribes through the browser's
+ * PushManager with the VAPID public key ("key") and posts the subscription here. One doc per browser:
+ * users/{uid}/pushSubscriptions/{sha256(endpoint)} { endpoint, keys: { p256dh, auth }, label, userAgent,
+ * createdAt, lastPushAt, lastError } (read-only for the owner). The push channel preferences
+ * (users/{uid}/notificationChannels/push) are created with the first browser and its address counts them.
+ * Requires Firebase ID token authentication.
+ *
+ * Usage:
+ * POST /api/notify/push
+ * Body: { "action": "key" }                                                       → { publicKey }
+ *       { "action": "subscribe", "subscription": { endpoint, keys }, "label": "Chrome on Android" }
+ *       { "action": "unsubscribe", "endpoint": "https://..." }                   (or "id")
+ *       { "action": "test" }                                                      → pushes to every browser
+ */
+
+const crypto = require('crypto');
+const FirebaseConfig = require('../_config/firebase');
+const { verifyFirebaseToken } = require('../_middleware/verifyToken');
+const admin = require('firebase-admin');
+const { NOTIFICATION_TYPES, validatePublicUrl } = require('../../notification-channels');
+const { sendNow } = require('./dispatcher');
+const { allowLoopback } = require('./http');
+const { publicKey, syncPushChannel } = require('./channels/push');
+
+// Browsers per user (phones, laptops, the office PC ...)
+const MAX_SUBSCRIPTIONS = 10;
+
+const ACTIONS = ['key', 'subscribe', 'unsubscribe', 'test'];
+
+// Base64url of a P-256 public key (65 bytes) and of the 16 byte auth secret
+const P256DH_PATTERN = /^[A-Za-z0-9_-]{86,88}={0,2}$/;
+const AUTH_PATTERN = /^[A-Za-z0-9_-]{21,24}={0,2}$/;
+
+function requestError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function subscriptionId(endpoint) {
+    return crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 32);
+}
+
+/**
+ * -> problem text, or null when the subscription can be pushed to
+ */
+function validateSubscription(subscription) {
+    if (!subscription || typeof subscription.endpoint !== 'string' || !subscription.keys) {
+        return 'subscription must have an endpoint and keys';
+    }
+    // Loopback only for a local push service stub (api/tools/mock-push-service.js, NOTIFY_ALLOW_LOOPBACK=true)
+    const problem = validatePublicUrl(subscription.endpoint, { allowLoopback: allowLoopback() });
+    if (problem) {
+        return `subscription endpoint: ${problem.charAt(0).toLowerCase()}${problem.slice(1)}`;
+    }
+    if (!P256DH_PATTERN.test(subscription.keys.p256dh || '') || !AUTH_PATTERN.test(subscription.keys.auth || '')) {
+        return 'subscription keys are not valid';
+    }
+    return null;
+}
+
+/**
+ * Store (or refresh) one browser's subscription
+ */
+async function subscribe(db, uid, subscription, label, userAgent) {
+    const problem = validateSubscription(subscription);
+    if (problem) {
+        throw requestError(`Invalid ${problem}`, 400);
+    }
+    const userRef = db.collection('users').doc(uid);
+    const subscriptionsRef = userRef.collection('pushSubscriptions');
+    const id = subscriptionId(subscription.endpoint);
+
+    const [existing, channelSnap] = await Promise.all([
+        subscriptionsRef.get(),
+        userRef.collection('notificationChannels').doc('push').get()
+    ]);
+    if (!existing.docs.some(subscriptionDoc => subscriptionDoc.id === id) && existing.size >= MAX_SUBSCRIPTIONS) {
+        throw requestError(`At most ${MAX_SUBSCRIPTIONS} browsers can be subscribed. Remove one first`, 400);
+    }
+
+    await subscriptionsRef.doc(id).set({
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+        label: String(label || 'Browser').slice(0, 60),
+        userAgent: String(userAgent || '').slice(0, 300),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastPushAt: null,
+        lastError: null
+    });
+
+    // First browser: the channel starts on, with every type (feeding included - push is where it is wanted)
+    if (!channelSnap.exists) {
+        await userRef.collection('notificationChannels').doc('push').set({
+            channel: 'push',
+            enabled: true,
+            types: Object.keys(NOTIFICATION_TYPES),
+            minSeverity: 'warning',
+            secret: null,
+            verifiedAt: Date.now()
+        });
+    }
+    const browsers = await syncPushChannel(db, uid);
+    return { id: id, browsers: browsers };
+}
+
+/**
+ * Forget one browser (by endpoint or id)
+ */
+async function unsubscribe(db, uid, body) {
+    const id = typeof body.endpoint === 'string' && body.endpoint ? subscriptionId(body.endpoint) : String(body.id || '');
+    if (!/^[0-9a-f]{32}$/.test(id)) {
+        throw requestError('endpoint or id is required', 400);
+    }
+    await db.collection('users').doc(uid).collection('pushSubscriptions').doc(id).delete();
+    const browsers = await syncPushChannel(db, uid);
+    return { id: id, browsers: browsers };
+}
+
+/**
+ * Main push subscriptions handler
+ */
+async function managePush(req, res) {
+    try {
+        // Verify authentication
+        const uid = await verifyFirebaseToken(req);
+
+        const body = req.body || {};
+        const action = body.action;
+        if (!ACTIONS.includes(action)) {
+            throw requestError(`Invalid action. Must be: ${ACTIONS.join(', ')}`, 400);
+        }
+        if (!publicKey()) {
+            throw requestError('Browser push is not configured on this server', 503);
+        }
+
+        const db = FirebaseConfig.getFirestore();
+        const result = { success: true, action: action };
+
+        if (action === 'key') {
+            result.publicKey = publicKey();
+        } else if (action === 'subscribe') {
+            const userAgent = req.headers?.['user-agent'] || '';
+            Object.assign(result, await subscribe(db, uid, body.subscription, body.label, userAgent));
+        } else if (action === 'unsubscribe') {
+            Object.assign(result, await unsubscribe(db, uid, body));
+        } else {
+            const channelSnap = await db.collection('users').doc(uid).collection('notificationChannels').doc('push').get();
+            const current = channelSnap.exists ? channelSnap.data() : null;
+            if (!current || !current.verified) {
+                throw requestError('Subscribe a browser before sending a test', 400);
+            }
+            try {
+                const sent = await sendNow('push', current.address, {
+                    type: 'general',
+                    title: 'Test notification',
+                    message: 'This is a test of your AquaSense browser push notifications.',
+                    timestamp: Date.now()
+                }, null, uid);
+                result.delivered = sent.providerId;
+            } catch (error) {
+                throw requestError(`Could not push to your browsers: ${error.message}`, 502);
+            }
+        }
+
+        res.status(200).json({ ...result, timestamp: new Date().toISOString() });
+
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message || 'Request failed'
+        });
+    }
+}
+
+module.exports = { managePush };
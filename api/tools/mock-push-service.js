@@ -0,0 +1,238 @@
+/**
+ * Mock Push Service
+ *
+ * Local stand-in for a browser's push service (FCM, Mozilla autopush ...), so browser push can be tested
+ * without a browser. It plays the browser's part too: it creates the subscription keys, prints a
+ * subscription to register with /api/notify/push, and decrypts every push it receives (RFC 8291,
+ * aes128gcm) to show the payload sw.js would get. The VAPID JWT is checked against the k= key.
+ * GET /messages lists what was received.
+ *
+ * Usage:
+ * node /path/to/api/tools/mock-push-service.js port=8030 keyfile=/tmp/mock-push.json
+ * curl -X POST http://localhost:3000/api/notify/push -H "Authorization: Bearer <ID token>" \
+ *      -H "Content-Type: application/json" -d '{"action":"subscribe","label":"Mock","subscription":<printed>}'
+ * node api/cron/dispatch-notifications.js
+ *
+ * Arguments (all optional):
+ *   port=8030        Port to listen on (127.0.0.1 only)
+ *   fail=0           Share of pushes answered with 503 (0..1), to watch the dispatcher's retries
+ *   gone=0           Answer 410 Gone (1 = always), as for a browser that unsubscribed - the subscription is removed
+ *   keyfile=PATH     Keep the subscription keys in this file, so a restart does not need a new subscription
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+
+// Messages kept for GET /messages
+const MAX_KEPT = 200;
+
+/**
+ * Parse key=value arguments (no Firebase here - the tool runs without credentials)
+ */
+function parseArgs(argv) {
+    const args = {};
+    argv.forEach(arg => {
+        const index = arg.indexOf('=');
+        if (index > 0) {
+            args[arg.slice(0, index)] = arg.slice(index + 1);
+        }
+    });
+    return args;
+}
+
+function toBase64Url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    return Buffer.from(String(text).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * The "browser" side of the subscription: P-256 key pair and auth secret
+ */
+function loadKeys(keyfile) {
+    if (keyfile && fs.existsSync(keyfile)) {
+        const saved = JSON.parse(fs.readFileSync(keyfile, 'utf8'));
+        const ecdh = crypto.createECDH('prime256v1');
+        ecdh.setPrivateKey(fromBase64Url(saved.privateKey));
+        return { id: saved.id, ecdh: ecdh, auth: fromBase64Url(saved.auth) };
+    }
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    const keys = { id: crypto.randomBytes(8).toString('hex'), ecdh: ecdh, auth: crypto.randomBytes(16) };
+    if (keyfile) {
+        fs.writeFileSync(keyfile, JSON.stringify({
+            id: keys.id,
+            privateKey: toBase64Url(ecdh.getPrivateKey()),
+            auth: toBase64Url(keys.auth)
+        }, null, 2));
+    }
+    return keys;
+}
+
+/**
+ * Decrypt an aes128gcm push body (RFC 8188 record, RFC 8291 keys) -> plaintext
+ */
+function decryptPush(body, keys) {
+    const salt = body.subarray(0, 16);
+    const idLength = body.readUInt8(20);
+    const serverPublicKey = body.subarray(21, 21 + idLength);
+    const record = body.subarray(21 + idLength);
+    if (idLength !== 65 || record.length < 17) {
+        throw new Error('Not an aes128gcm push message');
+    }
+
+    const userAgentPublicKey = keys.ecdh.getPublicKey();
+    const ecdhSecret = keys.ecdh.computeSecret(serverPublicKey);
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey, Buffer.from([1])]);
+    const ikm = hmac(hmac(keys.auth, ecdhSecret), keyInfo);
+    const prk = hmac(salt, ikm);
+    const contentKey = hmac(prk, Buffer.from('Content-Encoding: aes128gcm\0\x01')).subarray(0, 16);
+    const nonce = hmac(prk, Buffer.from('Content-Encoding: nonce\0\x01')).subarray(0, 12);
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(record.subarray(record.length - 16));
+    const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+
+    // Last record: data, 0x02, zero padding
+    let end = padded.length - 1;
+    while (end >= 0 && padded[end] === 0) {
+        end--;
+    }
+    if (end < 0 || padded[end] !== 2) {
+        throw new Error('Bad record padding');
+    }
+    return padded.subarray(0, end).toString('utf8');
+}
+
+/**
+ * Read "vapid t=<jwt>, k=<key>" -> { claims, verified }
+ */
+function checkVapid(header, expectedAudience) {
+    const match = /^vapid\s+t=([^,\s]+),\s*k=([^,\s]+)$/i.exec(header || '');
+    if (!match) {
+        return { claims: null, problem: 'no VAPID Authorization header' };
+    }
+    const [headerPart, claimsPart, signature] = match[1].split('.');
+    const claims = JSON.parse(fromBase64Url(claimsPart).toString('utf8'));
+
+    let verified = null;
+    try {
+        const point = fromBase64Url(match[2]);
+        const publicKey = crypto.createPublicKey({
+            key: { kty: 'EC', crv: 'P-256', x: toBase64Url(point.subarray(1, 33)), y: toBase64Url(point.subarray(33, 65)) },
+            format: 'jwk'
+        });
+        verified = crypto.verify('sha256', Buffer.from(`${headerPart}.${claimsPart}`), { key: publicKey, dsaEncoding: 'ieee-p1363' }, fromBase64Url(signature));
+    } catch (error) {
+        // JWK keys need Node 15.12+ - the claims are still shown
+    }
+
+    let problem = null;
+    if (verified === false) problem = 'VAPID signature does not match k=';
+    else if (claims.aud !== expectedAudience) problem = `aud is ${claims.aud}, expected ${expectedAudience}`;
+    else if (!claims.exp || claims.exp * 1000 < Date.now()) problem = 'JWT expired';
+    return { claims, verified, problem };
+}
+
+function startPushService(argv) {
+    const args = parseArgs(argv);
+    const port = parseInt(args.port || '8030', 10);
+    const failRate = Math.min(Math.max(parseFloat(args.fail || '0') || 0, 0), 1);
+    const goneRate = Math.min(Math.max(parseFloat(args.gone || '0') || 0, 0), 1);
+    const keys = loadKeys(args.keyfile || null);
+    const origin = `http://127.0.0.1:${port}`;
+    const received = [];
+
+    const subscription = {
+        endpoint: `${origin}/push/${keys.id}`,
+        keys: { p256dh: toBase64Url(keys.ecdh.getPublicKey()), auth: toBase64Url(keys.auth) }
+    };
+
+    const server = http.createServer((req, res) => {
+        const answer = (statusCode, body) => {
+            res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method === 'GET' && req.url === '/messages') {
+            return answer(200, { subscription, messages: received });
+        }
+        if (req.method !== 'POST' || !req.url.startsWith('/push/')) {
+            return answer(405, { error: 'Method not allowed' });
+        }
+
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            if (req.url !== `/push/${keys.id}` || Math.random() < goneRate) {
+                console.log(`[MOCK PUSH] ${req.url} -> 410 (subscription gone)`);
+                return answer(410, { error: 'Subscription expired' });
+            }
+            if (Math.random() < failRate) {
+                console.log(`[MOCK PUSH] ${req.url} -> 503 (simulated failure)`);
+                return answer(503, { error: 'Simulated outage' });
+            }
+            if (req.headers['content-encoding'] !== 'aes128gcm') {
+                return answer(400, { error: 'Content-Encoding must be aes128gcm' });
+            }
+
+            const vapid = checkVapid(req.headers.authorization, origin);
+            if (vapid.problem) {
+                console.log(`[MOCK PUSH] ${req.url} -> 403 (${vapid.problem})`);
+                return answer(403, { error: vapid.problem });
+            }
+
+            let payload;
+            try {
+                const text = decryptPush(Buffer.concat(chunks), keys);
+                try {
+                    payload = JSON.parse(text);
+                } catch (error) {
+                    payload = text;
+                }
+            } catch (error) {
+                console.log(`[MOCK PUSH] ${req.url} -> 400 (${error.message})`);
+                return answer(400, { error: `Could not decrypt: ${error.message}` });
+            }
+
+            const id = `push_${Date.now()}_${received.length}`;
+            received.push({
+                id,
+                ttl: req.headers.ttl || null,
+                urgency: req.headers.urgency || null,
+                subject: vapid.claims.sub || null,
+                payload,
+                receivedAt: new Date().toISOString()
+            });
+            if (received.length > MAX_KEPT) {
+                received.shift();
+            }
+            console.log(`[MOCK PUSH] ${id} (urgency ${req.headers.urgency || 'normal'}, ${vapid.claims.sub}): ${payload && payload.title ? `${payload.title} - ${payload.body} → ${payload.url}` : JSON.stringify(payload)}`);
+            res.writeHead(201, { Location: `${origin}/messages/${id}` });
+            res.end();
+        });
+    });
+
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`[MOCK PUSH] Listening on ${origin} (fail rate ${failRate}, gone rate ${goneRate})`);
+        console.log(`[MOCK PUSH] Subscription: ${JSON.stringify(subscription)}`);
+    });
+    return server;
+}
+
+// If running as standalone script
+if (require.main === module) {
+    const server = startPushService(process.argv.slice(2));
+    const stop = () => server.close(() => process.exit(0));
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+}
+
+module.exports = { startPushService, decryptPush };
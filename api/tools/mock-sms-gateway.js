@@ -0,0 +1,102 @@
+/**
+ * Mock SMS Gateway
+ *
+ * Local stand-in for an SMS provider (and any webhook receiver), so the notification dispatcher
+ * can be tested without sending real messages.
+ * Every POST is printed and kept; GET /messages lists what was received.
+ * fail= makes a share of requests answer 503, to watch the dispatcher's retries and backoff.
+ *
+ * Usage:
+ * node /path/to/api/tools/mock-sms-gateway.js port=8025 fail=0.3
+ * SMS_GATEWAY=http SMS_GATEWAY_URL=http://127.0.0.1:8025/messages node api/cron/dispatch-notifications.js
+ * (a webhook channel can point at http://127.0.0.1:8025/webhook as well)
+ *
+ * Arguments (all optional):
+ *   port=8025      Port to listen on (127.0.0.1 only)
+ *   fail=0         Share of POSTs answered with 503 (0..1)
+ *   token=SECRET   Require Authorization: Bearer SECRET (SMS_GATEWAY_TOKEN)
+ */
+
+const http = require('http');
+
+// Messages kept for GET /messages
+const MAX_KEPT = 200;
+
+/**
+ * Parse key=value arguments (no Firebase here - the tool runs without credentials)
+ */
+function parseArgs(argv) {
+    const args = {};
+    argv.forEach(arg => {
+        const index = arg.indexOf('=');
+        if (index > 0) {
+            args[arg.slice(0, index)] = arg.slice(index + 1);
+        }
+    });
+    return args;
+}
+
+function startGateway(argv) {
+    const args = parseArgs(argv);
+    const port = parseInt(args.port || '8025', 10);
+    const failRate = Math.min(Math.max(parseFloat(args.fail || '0') || 0, 0), 1);
+    const token = args.token || null;
+    const received = [];
+
+    const server = http.createServer((req, res) => {
+        const answer = (statusCode, body) => {
+            res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method === 'GET' && req.url === '/messages') {
+            return answer(200, { messages: received });
+        }
+        if (req.method !== 'POST') {
+            return answer(405, { error: 'Method not allowed' });
+        }
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            return answer(401, { error: 'Invalid token' });
+        }
+
+        let text = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            text += chunk;
+        });
+        req.on('end', () => {
+            if (Math.random() < failRate) {
+                console.log(`[MOCK GATEWAY] ${req.url} -> 503 (simulated failure)`);
+                return answer(503, { error: 'Simulated outage' });
+            }
+            let body = text;
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                // Kept as text
+            }
+            const id = `mock_${Date.now()}_${received.length}`;
+            received.push({ id, path: req.url, headers: req.headers, body, receivedAt: new Date().toISOString() });
+            if (received.length > MAX_KEPT) {
+                received.shift();
+            }
+            console.log(`[MOCK GATEWAY] ${req.url} ${id}: ${body && body.to ? `to ${body.to}: ${body.message}` : text}`);
+            answer(200, { id, status: 'queued' });
+        });
+    });
+
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`[MOCK GATEWAY] Listening on http://127.0.0.1:${port} (fail rate ${failRate})`);
+    });
+    return server;
+}
+
+// If running as standalone script
+if (require.main === module) {
+    const server = startGateway(process.argv.slice(2));
+    const stop = () => server.close(() => process.exit(0));
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+}
+
+module.exports = { startGateway };
@@ -0,0 +1,367 @@
+/**
+ * Device Simulator
+ *
+ * Emulates one or many ESP feeders against the Firebase emulator, so ingestion, alerts and feeding
+ * can be tested without hardware.
+ *
+ * Each simulated device:
+ * - publishes readings to devices/{deviceId}/status/feeder every interval seconds
+ *   ({ temperature, ph, ..., timestamp } - the same payload the firmware sends; `state` is left alone)
+ * - follows devices/{deviceId}/commands/feeder like the firmware: "on" starts the motor
+ *   (status/feeder/state = "online"), "off" stops it ("offline"), and the command is acknowledged
+ * - reports motor runs started by the schedule executor (which writes status/feeder/state directly)
+ *
+ * Reading patterns (combine with pattern=diurnal,drift,spikes,dropouts; default all):
+ *   diurnal   daily sine around the middle of the sensor's optimal range (warmest / highest pH mid-afternoon)
+ *   drift     slow probe drift that keeps growing (driftPerHour × a quarter of the optimal range width per hour)
+ *   spikes    single wild readings (spikeRate per reading) - validation should quarantine them
+ *   dropouts  the device goes silent for dropoutSeconds (dropoutRate per reading) - heartbeat should flag it
+ * Small noise is always added.
+ *
+ * Usage:
+ * FIREBASE_DATABASE_EMULATOR_HOST=127.0.0.1:9000 FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 \
+ *     node /path/to/api/tools/simulate-devices.js count=3 owner=USER_ID interval=5
+ * node /path/to/api/tools/simulate-devices.js devices=DEVICE_A,DEVICE_B pattern=diurnal,spikes dayMinutes=10 seed=42
+ *
+ * Arguments (all optional):
+ *   devices=ID,ID        Device ids (default sim-device-1 .. sim-device-{count})
+ *   count=1              Number of devices when devices= is not given
+ *   owner=UID            Register the devices to this user (devices/{id} mapping + users/{uid}/devices, first is primary)
+ *   sensors=temperature,ph   Catalog sensors to publish (default temperature,ph)
+ *   interval=5           Seconds between readings
+ *   pattern=diurnal,drift,spikes,dropouts
+ *   dayMinutes=1440      Length of a simulated day (shorter = faster diurnal cycle)
+ *   driftPerHour=0.05    Drift speed (see above)
+ *   spikeRate=0.02       Chance of a spike per reading
+ *   dropoutRate=0.005    Chance of a dropout per reading
+ *   dropoutSeconds=900   Length of a dropout
+ *   noise=0.02           Noise as a fraction of the optimal range width
+ *   timestamps=seconds   seconds (older firmware) or millis
+ *   duration=MINUTES     Stop after this long (default: until Ctrl+C)
+ *   seed=N               Reproducible readings
+ *   production=true      Allow running against the real project (refused by default)
+ */
+
+const FirebaseConfig = require('../_config/firebase');
+const { SENSORS, getSensor } = require('../../sensor-catalog');
+
+const DEFAULT_SENSORS = ['temperature', 'ph'];
+const DEFAULT_PATTERNS = ['diurnal', 'drift', 'spikes', 'dropouts'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Warmest / highest pH at 15:00 (photosynthesis peak)
+const DIURNAL_PEAK_HOUR = 15;
+
+/**
+ * Parse key=value arguments
+ */
+function parseArgs(argv) {
+    const args = {};
+    argv.forEach(arg => {
+        const index = arg.indexOf('=');
+        if (index > 0) {
+            args[arg.slice(0, index)] = arg.slice(index + 1);
+        }
+    });
+    return args;
+}
+
+function numberArg(args, name, fallback) {
+    if (args[name] === undefined) {
+        return fallback;
+    }
+    const value = parseFloat(args[name]);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid ${name}: ${args[name]}`);
+    }
+    return value;
+}
+
+function listArg(args, name, fallback) {
+    return args[name] ? args[name].split(',').map(item => item.trim()).filter(Boolean) : fallback;
+}
+
+/**
+ * Random source: Math.random, or mulberry32 when a seed is given
+ */
+function createRandom(seed) {
+    if (seed === undefined) {
+        return Math.random;
+    }
+    let state = parseInt(seed, 10) >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function gaussian(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Resolve the simulator settings from the command line
+ */
+function buildConfig(args) {
+    const count = Math.max(1, Math.floor(numberArg(args, 'count', 1)));
+    const deviceIds = listArg(args, 'devices', Array.from({ length: count }, (_, i) => `sim-device-${i + 1}`));
+
+    const sensorIds = listArg(args, 'sensors', DEFAULT_SENSORS);
+    sensorIds.forEach(sensorId => {
+        if (!getSensor(sensorId)) {
+            throw new Error(`Unknown sensor: ${sensorId}. Expected one of ${SENSORS.map(sensor => sensor.id).join(', ')}`);
+        }
+    });
+
+    const patterns = listArg(args, 'pattern', DEFAULT_PATTERNS);
+    patterns.forEach(pattern => {
+        if (!DEFAULT_PATTERNS.includes(pattern)) {
+            throw new Error(`Unknown pattern: ${pattern}. Expected ${DEFAULT_PATTERNS.join(', ')}`);
+        }
+    });
+
+    const timestamps = args.timestamps || 'seconds';
+    if (!['seconds', 'millis'].includes(timestamps)) {
+        throw new Error(`Invalid timestamps: ${timestamps}. Expected seconds or millis`);
+    }
+
+    return {
+        deviceIds,
+        owner: args.owner || null,
+        sensorIds,
+        patterns,
+        intervalMs: Math.max(numberArg(args, 'interval', 5), 0.5) * 1000,
+        dayMs: Math.max(numberArg(args, 'dayMinutes', 1440), 1) * 60 * 1000,
+        driftPerHour: numberArg(args, 'driftPerHour', 0.05),
+        spikeRate: numberArg(args, 'spikeRate', 0.02),
+        dropoutRate: numberArg(args, 'dropoutRate', 0.005),
+        dropoutMs: numberArg(args, 'dropoutSeconds', 900) * 1000,
+        noise: numberArg(args, 'noise', 0.02),
+        timestamps,
+        durationMs: args.duration !== undefined ? numberArg(args, 'duration', 0) * 60 * 1000 : null,
+        random: createRandom(args.seed),
+        production: args.production === 'true'
+    };
+}
+
+/**
+ * Next reading of one sensor
+ * Starts from the middle of the optimal range; the patterns are scaled by the range width
+ */
+function simulateReading(sensor, device, config, now) {
+    const range = sensor.optimalRange;
+    const center = (range.min + range.max) / 2;
+    const width = range.max - range.min;
+    const random = config.random;
+    let value = center + device.offsets[sensor.id];
+
+    if (config.patterns.includes('diurnal')) {
+        // Simulated time of day (dayMinutes compresses the cycle)
+        const dayFraction = ((now - device.startedAt) % config.dayMs) / config.dayMs;
+        const hour = (device.startHour + dayFraction * 24) % 24;
+        value += (width / 2) * Math.cos(2 * Math.PI * (hour - DIURNAL_PEAK_HOUR) / 24);
+    }
+
+    if (config.patterns.includes('drift')) {
+        const simulatedHours = (now - device.startedAt) / HOUR_MS * (DAY_MS / config.dayMs);
+        value += device.driftDirection[sensor.id] * config.driftPerHour * (width / 4) * simulatedHours;
+    }
+
+    value += gaussian(random) * config.noise * width;
+
+    if (config.patterns.includes('spikes') && random() < config.spikeRate) {
+        // Far outside what the rate-of-change and Hampel checks accept, sometimes outside validRange
+        const span = sensor.validRange.max - sensor.validRange.min;
+        value += (random() < 0.5 ? -1 : 1) * span * (0.2 + random() * 0.6);
+        console.log(`[SIMULATOR] ${device.id} spike on ${sensor.id}`);
+    }
+
+    const factor = Math.pow(10, sensor.decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Register simulated devices to a user (ownership mapping and per-user registry)
+ */
+async function registerDevices(db, owner, deviceIds) {
+    const admin = FirebaseConfig.getFactory();
+    const batch = db.batch();
+    deviceIds.forEach((deviceId, index) => {
+        batch.set(db.collection('devices').doc(deviceId), {
+            ownerUid: owner,
+            deviceName: deviceId,
+            isActive: true,
+            simulated: true,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        batch.set(db.collection('users').doc(owner).collection('devices').doc(deviceId), {
+            name: `Simulator ${index + 1}`,
+            type: 'feeder',
+            enabled: true,
+            isPrimary: index === 0,
+            simulated: true
+        }, { merge: true });
+    });
+    await batch.commit();
+    console.log(`[SIMULATOR] Registered ${deviceIds.length} device(s) to user ${owner}`);
+}
+
+/**
+ * Start one simulated device
+ *
+ * @returns {Function} stop function
+ */
+function startDevice(rtdb, deviceId, config) {
+    const random = config.random;
+    const device = {
+        id: deviceId,
+        startedAt: Date.now(),
+        startHour: new Date().getHours() + new Date().getMinutes() / 60,
+        offsets: {},
+        driftDirection: {},
+        silentUntil: 0,
+        motor: null,
+        motorStartedAt: null
+    };
+
+    // Every device differs a little, so multi-device views are distinguishable
+    SENSORS.forEach(sensor => {
+        const width = sensor.optimalRange.max - sensor.optimalRange.min;
+        device.offsets[sensor.id] = (random() - 0.5) * width * 0.2;
+        device.driftDirection[sensor.id] = random() < 0.5 ? -1 : 1;
+    });
+
+    const statusRef = rtdb.ref(`devices/${deviceId}/status/feeder`);
+    const stateRef = statusRef.child('state');
+    const commandRef = rtdb.ref(`devices/${deviceId}/commands/feeder`);
+
+    const publish = async () => {
+        const now = Date.now();
+        if (now < device.silentUntil) {
+            return;
+        }
+        if (config.patterns.includes('dropouts') && random() < config.dropoutRate) {
+            device.silentUntil = now + config.dropoutMs;
+            console.log(`[SIMULATOR] ${deviceId} dropout for ${config.dropoutMs / 1000}s`);
+            return;
+        }
+
+        const payload = {
+            timestamp: config.timestamps === 'seconds' ? Math.floor(now / 1000) : now
+        };
+        config.sensorIds.forEach(sensorId => {
+            const sensor = getSensor(sensorId);
+            payload[sensor.rtdbKeys[0]] = simulateReading(sensor, device, config, now);
+        });
+
+        // update() keeps `state`, which belongs to the motor
+        await statusRef.update(payload);
+        console.log(`[SIMULATOR] ${deviceId} ${config.sensorIds.map(sensorId => `${sensorId}=${payload[getSensor(sensorId).rtdbKeys[0]]}`).join(' ')}`);
+    };
+
+    // Motor state: written by the firmware on a command, or directly by the schedule executor
+    const onState = (snapshot) => {
+        const state = snapshot.val();
+        if (state === device.motor) {
+            return;
+        }
+        if (state === 'online') {
+            device.motorStartedAt = Date.now();
+            console.log(`[SIMULATOR] ${deviceId} motor ON`);
+        } else if (device.motor === 'online') {
+            const seconds = device.motorStartedAt ? ((Date.now() - device.motorStartedAt) / 1000).toFixed(1) : '?';
+            console.log(`[SIMULATOR] ${deviceId} motor OFF after ${seconds}s`);
+            device.motorStartedAt = null;
+        }
+        device.motor = state;
+    };
+
+    // Firmware behaviour: act on the command, mirror it in status/feeder/state, acknowledge it
+    const onCommand = (snapshot) => {
+        const command = snapshot.val();
+        if (!command || !command.state || command.ackedAt >= command.updatedAt) {
+            return;
+        }
+        if (command.state !== 'on' && command.state !== 'off') {
+            console.warn(`[SIMULATOR] ${deviceId} ignoring unknown command:`, command.state);
+            return;
+        }
+        const state = command.state === 'on' ? 'online' : 'offline';
+        Promise.all([
+            stateRef.set(state),
+            commandRef.update({ ackedAt: Date.now(), ackedBy: 'simulator' })
+        ]).then(() => {
+            console.log(`[SIMULATOR] ${deviceId} command "${command.state}" from ${command.source || 'unknown'} applied`);
+        }).catch(error => {
+            console.error(`[SIMULATOR] ${deviceId} command error:`, error.message);
+        });
+    };
+
+    stateRef.on('value', onState);
+    commandRef.on('value', onCommand);
+
+    const tick = () => publish().catch(error => console.error(`[SIMULATOR] ${deviceId} publish error:`, error.message));
+    tick();
+    const timer = setInterval(tick, config.intervalMs);
+
+    console.log(`[SIMULATOR] ${deviceId} publishing every ${config.intervalMs / 1000}s`);
+
+    return () => {
+        clearInterval(timer);
+        stateRef.off('value', onState);
+        commandRef.off('value', onCommand);
+    };
+}
+
+/**
+ * Run the simulator until stopped (or for duration minutes)
+ */
+async function runSimulator(argv) {
+    const config = buildConfig(parseArgs(argv));
+
+    if (!FirebaseConfig.isEmulator() && !config.production) {
+        throw new Error('Refusing to simulate devices against the real project. Set FIREBASE_DATABASE_EMULATOR_HOST (and FIRESTORE_EMULATOR_HOST), or pass production=true');
+    }
+
+    const rtdb = FirebaseConfig.getFactory().database();
+
+    if (config.owner) {
+        await registerDevices(FirebaseConfig.getFirestore(), config.owner, config.deviceIds);
+    }
+
+    const stops = config.deviceIds.map(deviceId => startDevice(rtdb, deviceId, config));
+
+    return new Promise(resolve => {
+        const stop = (reason) => {
+            stops.forEach(stopDevice => stopDevice());
+            console.log(`[SIMULATOR] Stopped (${reason})`);
+            resolve();
+        };
+        process.once('SIGINT', () => stop('SIGINT'));
+        process.once('SIGTERM', () => stop('SIGTERM'));
+        if (config.durationMs) {
+            setTimeout(() => stop('duration reached'), config.durationMs);
+        }
+    });
+}
+
+// If running as standalone script
+if (require.main === module) {
+    runSimulator(process.argv.slice(2))
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Error:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { runSimulator, simulateReading, buildConfig, parseArgs };
@@ -0,0 +1,127 @@
+/**
+ * Local SMTP Sink
+ *
+ * Minimal SMTP server that accepts every message and prints it instead of delivering it,
+ * so the email channel can be tested without a mail provider (MailHog / MailPit work as well).
+ * No TLS and no authentication - point the email channel at it with SMTP_HOST=127.0.0.1 SMTP_PORT=1025.
+ * Messages are also written to dir= as .eml files when given.
+ *
+ * Usage:
+ * node /path/to/api/tools/smtp-sink.js port=1025 dir=/tmp/aquasense-mail
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+/**
+ * Parse key=value arguments (no Firebase here - the tool runs without credentials)
+ */
+function parseArgs(argv) {
+    const args = {};
+    argv.forEach(arg => {
+        const index = arg.indexOf('=');
+        if (index > 0) {
+            args[arg.slice(0, index)] = arg.slice(index + 1);
+        }
+    });
+    return args;
+}
+
+function startSmtpSink(argv) {
+    const args = parseArgs(argv);
+    const port = parseInt(args.port || '1025', 10);
+    const dir = args.dir || null;
+    if (dir) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    let count = 0;
+
+    const server = net.createServer(socket => {
+        const reply = line => socket.write(`${line}\r\n`);
+        let envelope = { from: null, to: [] };
+        let data = null;
+        let buffer = '';
+
+        const saveMessage = () => {
+            count++;
+            const subject = (data.match(/^Subject: (.*)$/mi) || [])[1] || '(no subject)';
+            console.log(`[SMTP SINK] #${count} from ${envelope.from} to ${envelope.to.join(', ')}: ${subject}`);
+            console.log(data.split('\r\n\r\n').slice(1).join('\r\n\r\n').trim());
+            if (dir) {
+                fs.writeFileSync(path.join(dir, `${Date.now()}-${count}.eml`), data);
+            }
+            envelope = { from: null, to: [] };
+            data = null;
+        };
+
+        const handleLine = line => {
+            if (data !== null) {
+                if (line === '.') {
+                    saveMessage();
+                    return reply('250 OK: queued');
+                }
+                // Dot-stuffing
+                data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+                return;
+            }
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'HELO' || command === 'EHLO') {
+                reply('250-aquasense-smtp-sink');
+                return reply('250 8BITMIME');
+            }
+            if (command === 'MAIL') {
+                envelope.from = (line.match(/<(.*)>/) || [])[1] || '';
+                return reply('250 OK');
+            }
+            if (command === 'RCPT') {
+                envelope.to.push((line.match(/<(.*)>/) || [])[1] || '');
+                return reply('250 OK');
+            }
+            if (command === 'DATA') {
+                data = '';
+                return reply('354 End data with <CR><LF>.<CR><LF>');
+            }
+            if (command === 'QUIT') {
+                reply('221 Bye');
+                return socket.end();
+            }
+            if (command === 'RSET') {
+                envelope = { from: null, to: [] };
+                return reply('250 OK');
+            }
+            if (command === 'NOOP') {
+                return reply('250 OK');
+            }
+            reply('502 Command not implemented');
+        };
+
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                handleLine(line);
+            }
+        });
+        socket.on('error', () => socket.destroy());
+        reply('220 aquasense-smtp-sink ESMTP');
+    });
+
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`[SMTP SINK] Listening on 127.0.0.1:${port}${dir ? `, saving to ${dir}` : ''}`);
+    });
+    return server;
+}
+
+// If running as standalone script
+if (require.main === module) {
+    const server = startSmtpSink(process.argv.slice(2));
+    const stop = () => server.close(() => process.exit(0));
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+}
+
+module.exports = { startSmtpSink };
@@ -0,0 +1,707 @@
+/**
+ * RTDB Ingestion Worker
+ *
+ * Long-running process that does server-side what the dashboard runtime only does while a tab is open:
+ * subscribes to devices/{deviceId}/status/feeder of every registered device and
+ * - appends every reading to users/{uid}/rawReadings (all devices)
+ * - quarantines readings rejected by validation (all devices)
+ * - syncs users/{uid}/sensors/* and folds every reading into hourlyRecords (primary device only)
+ * - rolls up today's daily report and this week's / month's reports
+ * Readings are calibrated and validated exactly like the dashboard and sample-hourly.js,
+ * and bucketed in the user's timezone.
+ *
+ * Each device is ingested by one worker at a time: the worker holds workerLeases/ingest_{deviceId}
+ * (see leases.js) and renews it while it listens. Several workers can run side by side; a device whose
+ * worker dies is picked up by another one once the lease expires. While a lease is live the dashboard
+ * stops writing that device's readings and sample-hourly.js skips it.
+ * Every reading is written only while the lease is still this worker's, and only once: its raw point,
+ * quarantine entries and hour stats are written in one transaction that checks the lease (see commitReadings).
+ * The listener replays the last reading whenever a device is attached, so a reading whose raw point already
+ * exists has been counted by whoever wrote it and is skipped. Readings without a device timestamp are skipped.
+ *
+ * Usage:
+ * node /path/to/api/worker/ingest-rtdb.js
+ *
+ * Environment:
+ * WORKER_ID               Lease holder name (default hostname-pid)
+ * INGEST_LEASE_SECONDS    Lease lifetime, renewed every third of it (default 60)
+ * INGEST_REFRESH_SECONDS  How often users, devices and calibration profiles are reloaded (default 60)
+ */
+
+const os = require('os');
+const FirebaseConfig = require('../_config/firebase');
+const admin = require('firebase-admin');
+const {
+    SENSORS,
+    toNumber,
+    readRTDBValue,
+    emptyStats,
+    addReading,
+    mergeStats,
+    statsFromHourly,
+    rawSumFromHourly,
+    hourlyStatsFields,
+    calibrateReadings,
+    resolveValidationConfig,
+    validateReadings
+} = require('../../sensor-catalog');
+const { resolveTimezone, bucketFor, dateKey, addDays, monthKey, isoWeekKey } = require('../../timezone');
+const { INGEST_LEASE_KIND, leaseRef, isLeaseActive, acquireLease, releaseLease } = require('./leases');
+const { resolvePrimaryDeviceId } = require('../../device-registry');
+const { loadUserDevices } = require('../cron/check-heartbeat');
+const { loadCalibrationProfiles, loadValidationHistories } = require('../cron/sample-hourly');
+const { generateDailyReportForUser } = require('../cron/generate-daily');
+const { generateWeeklyReportForUser } = require('../cron/generate-weekly');
+const { generateMonthlyReportForUser } = require('../cron/generate-monthly');
+
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+const LEASE_TTL_MS = parseInt(process.env.INGEST_LEASE_SECONDS || '60', 10) * 1000;
+const LEASE_RENEW_MS = Math.floor(LEASE_TTL_MS / 3);
+const REFRESH_MS = parseInt(process.env.INGEST_REFRESH_SECONDS || '60', 10) * 1000;
+
+// Same cadence as the dashboard rollups (runRollupsForCurrentContext)
+const ROLLUP_CHECK_MS = 60 * 1000;
+const ROLLUP_COOLDOWN_MS = {
+    daily: 10 * 60 * 1000,
+    weekly: 60 * 60 * 1000,
+    monthly: 60 * 60 * 1000
+};
+
+// Earlier timestamps are uptime counters or an unsynced clock, not wall time
+const MIN_VALID_READING_MS = Date.UTC(2020, 0, 1);
+// Device clocks running ahead by more than this are not trusted either
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Writes per commitReadings transaction (Firestore allows 500)
+const MAX_COMMIT_WRITES = 450;
+
+// deviceId → device state (only devices this worker holds the lease for)
+const activeDevices = new Map();
+// uid → { timezone, validationConfig, lastRollupAt, lastRollupDate }
+const users = new Map();
+
+let db = null;
+let rtdb = null;
+let timers = [];
+let stopping = false;
+
+
+/**
+ * Reading time in ms from the device timestamp (seconds or milliseconds)
+ * Null when it is missing or not wall time: the timestamp keys the reading's raw point and receipt, so a
+ * made-up one (the receipt time) would store a retried reading twice
+ */
+function readingTimestamp(timestamp) {
+    let tsMs = toNumber(timestamp);
+    if (tsMs === null) {
+        return null;
+    }
+    if (tsMs < 1e12) {
+        tsMs *= 1000;
+    }
+    return tsMs >= MIN_VALID_READING_MS && tsMs <= Date.now() + MAX_CLOCK_SKEW_MS ? tsMs : null;
+}
+
+/**
+ * Empty in-memory buffer for one hour document
+ */
+function emptyHourBuffer(date, hour) {
+    const stats = {};
+    const rawSums = {};
+    SENSORS.forEach(sensor => {
+        stats[sensor.id] = emptyStats();
+        rawSums[sensor.id] = 0;
+    });
+    return { date, hour, stats, rawSums, rejectedCount: 0, rejectedReasons: {} };
+}
+
+/**
+ * Fold one reading's accepted values and newly rejected reasons into an hour buffer
+ * (raw sums fall back to the value when the raw reading is unknown)
+ */
+function addToHourBuffer(buffer, values, raw, reasons) {
+    SENSORS.forEach(sensor => {
+        const value = values[sensor.id];
+        if (value === null) {
+            return;
+        }
+        buffer.stats[sensor.id] = addReading(buffer.stats[sensor.id], value);
+        const rawValue = toNumber(raw[sensor.id]);
+        buffer.rawSums[sensor.id] += rawValue !== null ? rawValue : value;
+    });
+    reasons.forEach(reason => {
+        buffer.rejectedCount++;
+        buffer.rejectedReasons[reason] = (buffer.rejectedReasons[reason] || 0) + 1;
+    });
+    return buffer;
+}
+
+/**
+ * Split readings (oldest first) into groups that each fit in one commitReadings transaction
+ */
+function chunkReadings(readings) {
+    const chunks = [];
+    let chunk = [];
+    let writes = 0;
+    let hours = new Set();
+
+    readings.forEach(reading => {
+        // Receipt, raw point, quarantine entries, and the hour document when it is new to the chunk
+        const hourKey = `${reading.bucket.date}/${reading.bucket.hour}`;
+        if (chunk.length > 0 && writes + 3 + reading.rejected.length > MAX_COMMIT_WRITES) {
+            chunks.push(chunk);
+            chunk = [];
+            writes = 0;
+            hours = new Set();
+        }
+        chunk.push(reading);
+        writes += 2 + reading.rejected.length + (hours.has(hourKey) ? 0 : 1);
+        hours.add(hourKey);
+    });
+    if (chunk.length > 0) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+/**
+ * Store validated readings of one device in a single transaction, so every reading is counted exactly once:
+ * its raw point, its newly rejected values (quarantine log) and - with options.aggregate - its share of the
+ * hour documents are written together with its dedupe marker.
+ * The marker is the reading's receipt when options.receipt(reading) gives one ({ ref, data }, created), its raw
+ * point otherwise; a reading whose marker exists was stored before and is skipped whole. A reading without
+ * either (every value rejected, no receipt) is only counted for the quarantine entries it adds.
+ * options.guard(transaction) runs the caller's own check first (reads only); false aborts the commit.
+ *
+ * @param {Array<Object>} readings - { tsMs, bucket, values, raw, rejected } (see chunkReadings)
+ * @param {Object} options - { source, timezone, aggregate, receipt, guard }
+ * @returns {Promise<{status: 'committed'|'guard-failed', stored: Array<Object>, duplicates: number, rejected: number}>}
+ */
+async function commitReadings(db, uid, deviceId, readings, options) {
+    const userRef = db.collection('users').doc(uid);
+    const source = options.source;
+
+    // Everything but the reads is known up front
+    const plans = readings.map(reading => {
+        let point = null;
+        let pointRef = null;
+        if (SENSORS.some(sensor => reading.values[sensor.id] !== null)) {
+            point = {
+                ts: reading.tsMs,
+                deviceId: deviceId,
+                resolution: 'raw',
+                source: source,
+                recordedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+            SENSORS.forEach(sensor => {
+                point[sensor.id] = reading.values[sensor.id];
+                point[`${sensor.id}Raw`] = reading.raw[sensor.id] ?? null;
+            });
+            pointRef = userRef.collection('rawReadings').doc(reading.bucket.date)
+                .collection('points').doc(`${deviceId}_${reading.tsMs}`);
+        }
+        const receipt = options.receipt ? options.receipt(reading) : null;
+        const quarantine = reading.rejected.map(entry => ({
+            entry,
+            ref: userRef.collection('quarantine').doc(`${deviceId}_${entry.sensorId}_${reading.tsMs}`)
+        }));
+        return { reading, point, pointRef, receipt, markerRef: receipt ? receipt.ref : pointRef, quarantine };
+    });
+    const hourRefs = new Map();
+    if (options.aggregate) {
+        readings.forEach(reading => {
+            const key = `${reading.bucket.date}/${reading.bucket.hour}`;
+            if (!hourRefs.has(key)) {
+                hourRefs.set(key, userRef.collection('hourlyRecords').doc(reading.bucket.date)
+                    .collection('hours').doc(reading.bucket.hour));
+            }
+        });
+    }
+    const readAll = (transaction, refs) => refs.length > 0 ? transaction.getAll(...refs) : Promise.resolve([]);
+
+    return db.runTransaction(async (transaction) => {
+        const result = { status: 'committed', stored: [], duplicates: 0, rejected: 0 };
+        if (options.guard && !(await options.guard(transaction))) {
+            return { ...result, status: 'guard-failed' };
+        }
+
+        // Reads before the first write
+        const markerRefs = plans.filter(plan => plan.markerRef).map(plan => plan.markerRef);
+        const quarantineRefs = plans.flatMap(plan => plan.quarantine.map(item => item.ref));
+        const [markerSnaps, quarantineSnaps, hourSnaps] = await Promise.all([
+            readAll(transaction, markerRefs),
+            readAll(transaction, quarantineRefs),
+            readAll(transaction, Array.from(hourRefs.values()))
+        ]);
+        const existing = new Set();
+        [...markerSnaps, ...quarantineSnaps].forEach(snap => {
+            if (snap.exists) {
+                existing.add(snap.ref.path);
+            }
+        });
+
+        const buffers = new Map();
+        plans.forEach(plan => {
+            const { reading } = plan;
+            // A timestamp repeated within the commit counts as stored too
+            if (plan.markerRef && existing.has(plan.markerRef.path)) {
+                result.duplicates++;
+                return;
+            }
+            const fresh = plan.quarantine.filter(item => !existing.has(item.ref.path));
+            if (!plan.markerRef && fresh.length === 0) {
+                result.duplicates++;
+                return;
+            }
+
+            if (plan.receipt) {
+                transaction.create(plan.receipt.ref, plan.receipt.data);
+            }
+            if (plan.pointRef) {
+                transaction.set(plan.pointRef, plan.point);
+            }
+            fresh.forEach(({ entry, ref }) => {
+                transaction.create(ref, {
+                    deviceId: deviceId,
+                    sensorId: entry.sensorId,
+                    value: entry.value,
+                    rawValue: reading.raw[entry.sensorId] ?? null,
+                    reason: entry.reason,
+                    detail: entry.detail ?? null,
+                    ts: reading.tsMs,
+                    date: reading.bucket.date,
+                    hour: reading.bucket.hour,
+                    source: source,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            });
+            [plan.markerRef, ...fresh.map(item => item.ref)].forEach(ref => {
+                if (ref) {
+                    existing.add(ref.path);
+                }
+            });
+
+            if (options.aggregate) {
+                const key = `${reading.bucket.date}/${reading.bucket.hour}`;
+                if (!buffers.has(key)) {
+                    buffers.set(key, emptyHourBuffer(reading.bucket.date, reading.bucket.hour));
+                }
+                addToHourBuffer(buffers.get(key), reading.values, reading.raw, fresh.map(item => item.entry.reason));
+            }
+            result.stored.push(reading);
+            result.rejected += fresh.length;
+        });
+
+        const hourKeys = Array.from(hourRefs.keys());
+        buffers.forEach((buffer, key) => {
+            const index = hourKeys.indexOf(key);
+            applyHourBuffer(transaction, hourRefs.get(key), hourSnaps[index], buffer, options.timezone, source);
+        });
+        return result;
+    });
+}
+
+/**
+ * Sync the primary device's readings to users/{uid}/sensors/{sensorId}
+ */
+async function syncSensorDocs(db, uid, readings, raw) {
+    const sensorsRef = db.collection('users').doc(uid).collection('sensors');
+    const batch = db.batch();
+    let writes = 0;
+
+    SENSORS.forEach(sensor => {
+        if (readings[sensor.id] === null) {
+            return;
+        }
+        batch.set(sensorsRef.doc(sensor.id), {
+            value: readings[sensor.id],
+            rawValue: raw[sensor.id] ?? readings[sensor.id],
+            unit: sensor.unit,
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        writes++;
+    });
+
+    if (writes > 0) {
+        await batch.commit();
+    }
+}
+
+/**
+ * Process one RTDB snapshot of a device (calls are serialized per device)
+ */
+async function processReading(state, data) {
+    if (!data) {
+        return;
+    }
+
+    // The listener also fires for feeder state changes - only a new timestamp is a new reading
+    if (data.timestamp !== undefined && data.timestamp === state.lastTimestamp) {
+        return;
+    }
+    state.lastTimestamp = data.timestamp;
+
+    const readings = {};
+    SENSORS.forEach(sensor => {
+        readings[sensor.id] = readRTDBValue(sensor.id, data);
+    });
+    if (SENSORS.every(sensor => readings[sensor.id] === null)) {
+        return;
+    }
+
+    const tsMs = readingTimestamp(data.timestamp);
+    if (tsMs === null) {
+        console.warn(`[WORKER] Skipping a reading of ${state.deviceId} without a valid timestamp (${data.timestamp})`);
+        return;
+    }
+    const user = users.get(state.uid);
+    const bucket = bucketFor(tsMs, user.timezone);
+    const calibrated = calibrateReadings(readings, state.profiles);
+
+    // Spike rejection needs the recent history; rebuilt from storage when the device is (re)attached
+    if (!state.histories) {
+        state.histories = await loadValidationHistories(db, state.uid, state.deviceId, tsMs, user.timezone);
+    }
+    const validated = validateReadings(calibrated.readings, tsMs, state.histories, user.validationConfig);
+    state.histories = validated.histories;
+
+    // Raw point and quarantine entries (every device), hour stats (primary device only) in one transaction,
+    // and only while this worker still holds the lease
+    const result = await commitReadings(db, state.uid, state.deviceId, [{
+        tsMs: tsMs,
+        bucket: bucket,
+        values: validated.readings,
+        raw: calibrated.raw,
+        rejected: validated.rejected
+    }], {
+        source: 'worker',
+        timezone: user.timezone,
+        aggregate: state.isPrimary,
+        guard: async (transaction) => {
+            const leaseSnap = await transaction.get(leaseRef(db, INGEST_LEASE_KIND, state.deviceId));
+            const lease = leaseSnap.exists ? leaseSnap.data() : null;
+            return isLeaseActive(lease) && lease.workerId === WORKER_ID;
+        }
+    });
+    if (result.status === 'guard-failed') {
+        // Not awaited: detaching waits for this device's queue, which is running this reading
+        console.warn(`[WORKER] Lease of ${state.deviceId} lost, dropping the device`);
+        detachDevice(state.deviceId, false).catch(error => {
+            console.error(`[WORKER] Error detaching ${state.deviceId}:`, error.message);
+        });
+        return;
+    }
+    if (result.stored.length === 0) {
+        // Replayed on attach - already stored and counted
+        return;
+    }
+
+    // Only the primary device feeds sensors/*
+    if (state.isPrimary) {
+        await syncSensorDocs(db, state.uid, validated.readings, calibrated.raw);
+    }
+}
+
+/**
+ * Fold one hour buffer into its hour document within a transaction (hourSnap: the document, read in it)
+ */
+function applyHourBuffer(transaction, hourRef, hourSnap, buffer, timezone, source) {
+    const hourData = hourSnap.exists ? hourSnap.data() : {};
+    const update = {};
+
+    // Buffered stats merge exactly into the stored running stats (count-weighted, Welford M2)
+    SENSORS.forEach(sensor => {
+        const pending = buffer.stats[sensor.id];
+        if (pending.count === 0) {
+            return;
+        }
+        const stats = mergeStats(statsFromHourly(sensor.id, hourData), pending);
+        const rawSum = rawSumFromHourly(sensor.id, hourData) + buffer.rawSums[sensor.id];
+        Object.assign(update, hourlyStatsFields(sensor.id, stats, rawSum));
+    });
+
+    const rejectedReasons = { ...(hourData.rejectedReasons || {}) };
+    Object.entries(buffer.rejectedReasons).forEach(([reason, count]) => {
+        rejectedReasons[reason] = (rejectedReasons[reason] || 0) + count;
+    });
+    update.rejectedCount = (hourData.rejectedCount || 0) + buffer.rejectedCount;
+    update.rejectedReasons = rejectedReasons;
+
+    update.isSeed = false;
+    update.timezone = resolveTimezone(timezone);
+    update.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+
+    if (!hourSnap.exists) {
+        transaction.set(hourRef, {
+            hour: buffer.hour,
+            ...update,
+            feedUsedKg: 0,
+            source: source
+        });
+    } else {
+        transaction.update(hourRef, update);
+    }
+}
+
+/**
+ * Start listening to a device this worker now holds the lease for
+ */
+async function attachDevice(deviceId, info) {
+    const state = {
+        deviceId: deviceId,
+        uid: info.uid,
+        isPrimary: info.isPrimary,
+        profiles: await loadCalibrationProfiles(db, info.uid, deviceId),
+        histories: null,
+        lastTimestamp: undefined,
+        queue: Promise.resolve(),
+        leaseExpiresAt: Date.now() + LEASE_TTL_MS,
+        ref: rtdb.ref(`devices/${deviceId}/status/feeder`),
+        listener: null
+    };
+
+    state.listener = state.ref.on('value', (snapshot) => {
+        const data = snapshot.val();
+        state.queue = state.queue
+            .then(() => processReading(state, data))
+            .catch(error => {
+                console.error(`[WORKER] Error processing reading of ${deviceId}:`, error.message);
+            });
+    }, (error) => {
+        console.error(`[WORKER] RTDB listener error for ${deviceId}:`, error.message);
+    });
+
+    activeDevices.set(deviceId, state);
+    console.log(`[WORKER] Ingesting ${deviceId} (user ${info.uid}${info.isPrimary ? ', primary' : ''})`);
+}
+
+/**
+ * Stop listening to a device and give the lease back
+ */
+async function detachDevice(deviceId, release = true) {
+    const state = activeDevices.get(deviceId);
+    if (!state) {
+        return;
+    }
+    activeDevices.delete(deviceId);
+
+    state.ref.off('value', state.listener);
+    await state.queue;
+
+    if (release) {
+        try {
+            await releaseLease(db, INGEST_LEASE_KIND, deviceId, WORKER_ID);
+        } catch (error) {
+            console.error(`[WORKER] Error releasing lease of ${deviceId}:`, error.message);
+        }
+    }
+    console.log(`[WORKER] Stopped ingesting ${deviceId}`);
+}
+
+/**
+ * Reload users and devices, drop devices that went away and claim unclaimed ones
+ */
+async function refreshDevices() {
+    const usersSnapshot = await db.collection('users').where('isActive', '==', true).get();
+    const wanted = new Map();
+
+    for (const userDoc of usersSnapshot.docs) {
+        const uid = userDoc.id;
+        const userData = userDoc.data();
+
+        try {
+            const previous = users.get(uid) || { lastRollupAt: { daily: 0, weekly: 0, monthly: 0 }, lastRollupDate: null };
+            users.set(uid, {
+                ...previous,
+                timezone: resolveTimezone(userData.timezone),
+                validationConfig: resolveValidationConfig(userData.sensorValidation)
+            });
+
+            const devices = await loadUserDevices(db, uid);
+            const primaryDeviceId = resolvePrimaryDeviceId(devices);
+            devices.forEach(device => {
+                wanted.set(device.id, { uid, isPrimary: device.id === primaryDeviceId });
+            });
+        } catch (error) {
+            console.error(`[WORKER] Error loading devices for user ${uid}:`, error.message);
+        }
+    }
+
+    for (const [deviceId, state] of activeDevices) {
+        const info = wanted.get(deviceId);
+        if (!info || info.uid !== state.uid) {
+            await detachDevice(deviceId);
+        }
+    }
+
+    for (const [deviceId, info] of wanted) {
+        if (stopping) {
+            return;
+        }
+        try {
+            const state = activeDevices.get(deviceId);
+            if (state) {
+                // Primary flag and calibration profiles can change while the device is attached
+                state.isPrimary = info.isPrimary;
+                state.profiles = await loadCalibrationProfiles(db, info.uid, deviceId);
+                continue;
+            }
+            const acquired = await acquireLease(db, INGEST_LEASE_KIND, deviceId, WORKER_ID, LEASE_TTL_MS, { ownerUid: info.uid });
+            if (acquired) {
+                await attachDevice(deviceId, info);
+            }
+        } catch (error) {
+            console.error(`[WORKER] Error claiming ${deviceId}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Renew every held lease; a device whose lease was taken over (or could not be renewed in time) is dropped
+ */
+async function renewLeases() {
+    for (const [deviceId, state] of activeDevices) {
+        try {
+            const renewed = await acquireLease(db, INGEST_LEASE_KIND, deviceId, WORKER_ID, LEASE_TTL_MS, { ownerUid: state.uid });
+            if (renewed) {
+                state.leaseExpiresAt = Date.now() + LEASE_TTL_MS;
+            } else {
+                console.warn(`[WORKER] Lease of ${deviceId} taken over by another worker`);
+                await detachDevice(deviceId, false);
+            }
+        } catch (error) {
+            console.error(`[WORKER] Error renewing lease of ${deviceId}:`, error.message);
+            if (Date.now() >= state.leaseExpiresAt) {
+                await detachDevice(deviceId, false);
+            }
+        }
+    }
+}
+
+/**
+ * Roll hourly records up into today's daily report and this week's / month's reports
+ * (users whose primary device this worker ingests)
+ */
+async function runRollups() {
+    const uids = new Set();
+    activeDevices.forEach(state => {
+        if (state.isPrimary) {
+            uids.add(state.uid);
+        }
+    });
+
+    for (const uid of uids) {
+        const user = users.get(uid);
+        if (!user) {
+            continue;
+        }
+
+        const now = Date.now();
+        const today = dateKey(now, user.timezone);
+
+        try {
+            // Finish yesterday once the day has turned (its last readings came after the previous rollup)
+            if (user.lastRollupDate && user.lastRollupDate !== today) {
+                await generateDailyReportForUser(db, uid, addDays(today, -1));
+                user.lastRollupAt = { daily: 0, weekly: 0, monthly: 0 };
+            }
+
+            if (now - user.lastRollupAt.daily >= ROLLUP_COOLDOWN_MS.daily) {
+                await generateDailyReportForUser(db, uid, today);
+                user.lastRollupAt.daily = now;
+                user.lastRollupDate = today;
+            }
+            if (now - user.lastRollupAt.weekly >= ROLLUP_COOLDOWN_MS.weekly) {
+                await generateWeeklyReportForUser(db, uid, isoWeekKey(today));
+                user.lastRollupAt.weekly = now;
+            }
+            if (now - user.lastRollupAt.monthly >= ROLLUP_COOLDOWN_MS.monthly) {
+                await generateMonthlyReportForUser(db, uid, monthKey(now, user.timezone));
+                user.lastRollupAt.monthly = now;
+            }
+        } catch (error) {
+            console.error(`[WORKER] Rollup error for user ${uid}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Run fn every intervalMs, never overlapping with itself
+ */
+function every(intervalMs, name, fn) {
+    let running = false;
+    const timer = setInterval(() => {
+        if (running || stopping) {
+            return;
+        }
+        running = true;
+        fn()
+            .catch(error => console.error(`[WORKER] ${name} error:`, error.message))
+            .finally(() => {
+                running = false;
+            });
+    }, intervalMs);
+    timers.push(timer);
+}
+
+/**
+ * Start the worker
+ */
+async function startIngestWorker() {
+    db = FirebaseConfig.getFirestore();
+    rtdb = FirebaseConfig.getFactory().database();
+
+    console.log(`[WORKER] ${WORKER_ID} starting (lease ${LEASE_TTL_MS / 1000}s)`);
+    await refreshDevices();
+
+    every(LEASE_RENEW_MS, 'Lease renewal', renewLeases);
+    every(REFRESH_MS, 'Device refresh', refreshDevices);
+    every(ROLLUP_CHECK_MS, 'Rollup', runRollups);
+
+    console.log(`[WORKER] Ingesting ${activeDevices.size} device(s)`);
+}
+
+/**
+ * Stop the worker: finish the readings in progress and release every lease
+ */
+async function stopIngestWorker() {
+    stopping = true;
+    timers.forEach(timer => clearInterval(timer));
+    timers = [];
+
+    for (const deviceId of Array.from(activeDevices.keys())) {
+        await detachDevice(deviceId);
+    }
+    console.log(`[WORKER] ${WORKER_ID} stopped`);
+}
+
+// If running as standalone script
+if (require.main === module) {
+    const shutdown = (signal) => {
+        console.log(`[WORKER] ${signal} received, shutting down`);
+        stopIngestWorker()
+            .then(() => process.exit(0))
+            .catch(error => {
+                console.error('Error:', error);
+                process.exit(1);
+            });
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+    startIngestWorker().catch(error => {
+        console.error('Error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    startIngestWorker,
+    stopIngestWorker,
+    processReading,
+    readingTimestamp,
+    chunkReadings,
+    commitReadings,
+    syncSensorDocs
+};
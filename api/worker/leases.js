@@ -0,0 +1,85 @@
+/**
+ * Worker Leases
+ *
+ * A lease gives one worker process exclusive ownership of a resource (e.g. one device's RTDB feed)
+ * for a short time. The holder renews it well before it expires; a worker that crashes or loses
+ * its connection simply stops renewing and another worker takes over once the lease has expired.
+ *
+ * Firestore: workerLeases/{kind}_{resourceId}
+ *   { kind, resourceId, workerId, expiresAt (ms), acquiredAt (ms), renewedAt, ...metadata }
+ *
+ * The dashboard reads these documents to stop ingesting a device a worker already handles.
+ */
+
+const admin = require('firebase-admin');
+
+const LEASE_COLLECTION = 'workerLeases';
+
+// One device's RTDB feed (api/worker/ingest-rtdb.js)
+const INGEST_LEASE_KIND = 'ingest';
+
+function leaseRef(db, kind, resourceId) {
+    return db.collection(LEASE_COLLECTION).doc(`${kind}_${resourceId}`);
+}
+
+/**
+ * Lease document still held by someone
+ */
+function isLeaseActive(lease, now = Date.now()) {
+    return !!lease && !!lease.workerId && typeof lease.expiresAt === 'number' && lease.expiresAt > now;
+}
+
+/**
+ * Acquire or renew a lease
+ *
+ * @returns {Promise<boolean>} true when this worker holds the lease afterwards
+ */
+async function acquireLease(db, kind, resourceId, workerId, ttlMs, metadata = {}) {
+    const ref = leaseRef(db, kind, resourceId);
+
+    return db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(ref);
+        const lease = snap.exists ? snap.data() : null;
+        const now = Date.now();
+
+        if (isLeaseActive(lease, now) && lease.workerId !== workerId) {
+            return false;
+        }
+
+        const renewing = !!lease && lease.workerId === workerId && isLeaseActive(lease, now);
+        transaction.set(ref, {
+            ...metadata,
+            kind: kind,
+            resourceId: resourceId,
+            workerId: workerId,
+            expiresAt: now + ttlMs,
+            acquiredAt: renewing ? lease.acquiredAt : now,
+            renewedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    });
+}
+
+/**
+ * Give a lease up (only if this worker still holds it)
+ */
+async function releaseLease(db, kind, resourceId, workerId) {
+    const ref = leaseRef(db, kind, resourceId);
+
+    await db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(ref);
+        if (snap.exists && snap.data().workerId === workerId) {
+            transaction.delete(ref);
+        }
+    });
+}
+
+/**
+ * Whether any worker currently holds the lease
+ */
+async function hasActiveLease(db, kind, resourceId) {
+    const snap = await leaseRef(db, kind, resourceId).get();
+    return snap.exists && isLeaseActive(snap.data());
+}
+
+module.exports = { LEASE_COLLECTION, INGEST_LEASE_KIND, leaseRef, isLeaseActive, acquireLease, releaseLease, hasActiveLease };
@@ -0,0 +1,335 @@
+// this is csv-import.js
+// csv-import.js - Historical sensor CSV import (files from older data loggers)
+// Shared by the reports section import flow (imported as a module) and api/import/csv.js (require),
+// so the browser preview shows exactly what the endpoint will write.
+//
+// Flow: parseCsv -> guessColumnMapping (the user adjusts it) -> prepareImport (timestamps, values, validation)
+// Timestamps without an offset are wall-clock time in the user's timezone (users/{uid}.timezone).
+// Mapping: { timestamp, date, time, [sensorId] } -> column index or null
+//   one timestamp column, or separate date and time columns
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        // Node (api/import/csv.js)
+        module.exports = factory(require('./sensor-catalog'), require('./timezone'));
+    } else {
+        // Browser: dashboard.js imports sensor-catalog.js and timezone.js first, then this file
+        root.AquaSenseCsvImport = factory(root.AquaSenseSensorCatalog, root.AquaSenseTimezone);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (catalog, timezone) {
+    'use strict';
+
+    const { SENSORS, toNumber, resolveValidationConfig, validateReadings } = catalog;
+
+    // Day/month order of slash dates (2024-06-20 style dates are always year-month-day)
+    const DATE_FORMATS = ['ymd', 'mdy', 'dmy'];
+
+    // Header names loggers use for the time columns (compared after normalizeHeader)
+    const TIME_COLUMN_ALIASES = {
+        timestamp: ['timestamp', 'datetime', 'datetimeutc', 'recordedat', 'ts', 'epoch', 'unixtime'],
+        date: ['date', 'day'],
+        time: ['time', 'clock']
+    };
+
+    // Earlier timestamps are uptime counters or an unset logger clock, not wall time
+    const MIN_VALID_READING_MS = Date.UTC(2000, 0, 1);
+
+    // "Temperature (°C)" -> "temperature", "Dissolved O2 [mg/L]" -> "dissolvedo2"
+    function normalizeHeader(header) {
+        return String(header || '')
+            .toLowerCase()
+            .replace(/\(.*?\)|\[.*?\]/g, '')
+            .replace(/[^a-z0-9]/g, '');
+    }
+
+    // Header aliases of a sensor: id, RTDB keys, labels
+    function sensorAliases(sensor) {
+        const aliases = [sensor.id, sensor.label, sensor.shortLabel, ...sensor.rtdbKeys].map(normalizeHeader);
+        if (sensor.id === 'temperature') aliases.push('temp', 'watertemp', 'watertemperature');
+        if (sensor.id === 'dissolvedOxygen') aliases.push('do2', 'dissolvedo2', 'oxygen');
+        if (sensor.id === 'ammonia') aliases.push('nh4', 'tan', 'totalammonia');
+        return aliases;
+    }
+
+    // Most frequent of , ; tab outside quotes in the first line
+    function detectDelimiter(line) {
+        const counts = { ',': 0, ';': 0, '\t': 0 };
+        let quoted = false;
+        for (const char of line) {
+            if (char === '"') quoted = !quoted;
+            else if (!quoted && counts[char] !== undefined) counts[char]++;
+        }
+        return Object.keys(counts).reduce((best, delimiter) => counts[delimiter] > counts[best] ? delimiter : best, ',');
+    }
+
+    // RFC 4180 CSV -> { headers, rows, delimiter } (quoted fields, "" escapes, CRLF, UTF-8 BOM)
+    // rows keep their file line number (1-based, header is line 1) for error messages
+    function parseCsv(text, delimiter) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const sep = delimiter || detectDelimiter(source.split(/\r?\n/, 1)[0] || '');
+        const records = [];
+        let field = '';
+        let record = [];
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === sep) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                record.push(field);
+                records.push({ line: recordLine, cells: record });
+                record = [];
+                field = '';
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push({ line: recordLine, cells: record });
+        }
+
+        const nonEmpty = records.filter(entry => entry.cells.some(cell => cell.trim() !== ''));
+        if (nonEmpty.length === 0) {
+            return { headers: [], rows: [], delimiter: sep };
+        }
+        return {
+            headers: nonEmpty[0].cells.map(cell => cell.trim()),
+            rows: nonEmpty.slice(1).map(entry => ({ line: entry.line, cells: entry.cells.map(cell => cell.trim()) })),
+            delimiter: sep
+        };
+    }
+
+    // First guess of the column mapping from the header names
+    function guessColumnMapping(headers) {
+        const normalized = headers.map(normalizeHeader);
+        const mapping = {};
+        const used = new Set();
+        const find = (aliases) => {
+            const index = normalized.findIndex((header, i) => !used.has(i) && aliases.includes(header));
+            if (index === -1) return null;
+            used.add(index);
+            return index;
+        };
+
+        mapping.timestamp = find(TIME_COLUMN_ALIASES.timestamp);
+        mapping.date = find(TIME_COLUMN_ALIASES.date);
+        mapping.time = find(TIME_COLUMN_ALIASES.time);
+        // A lone "date" or "time" column usually holds the full date and time
+        if (mapping.timestamp === null && (mapping.date === null) !== (mapping.time === null)) {
+            mapping.timestamp = mapping.date !== null ? mapping.date : mapping.time;
+            mapping.date = null;
+            mapping.time = null;
+        }
+        SENSORS.forEach(sensor => {
+            mapping[sensor.id] = find(sensorAliases(sensor));
+        });
+        return mapping;
+    }
+
+    // Check a mapping before preparing rows; returns a list of problems (empty = usable)
+    function validateMapping(mapping, headers) {
+        const problems = [];
+        const valid = (index) => index === null || index === undefined || (Number.isInteger(index) && index >= 0 && index < headers.length);
+        Object.keys(mapping || {}).forEach(key => {
+            if (!valid(mapping[key])) problems.push(`Column for ${key} does not exist`);
+        });
+        const hasTimestamp = Number.isInteger(mapping.timestamp);
+        const hasDateTime = Number.isInteger(mapping.date) && Number.isInteger(mapping.time);
+        if (!hasTimestamp && !hasDateTime) {
+            problems.push('Map a timestamp column, or a date and a time column');
+        }
+        if (!SENSORS.some(sensor => Number.isInteger(mapping[sensor.id]))) {
+            problems.push('Map at least one sensor column');
+        }
+        return problems;
+    }
+
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    // Logger timestamp -> epoch ms, or null
+    //   epoch seconds / milliseconds, ISO 8601 with Z or an offset (absolute),
+    //   "2024-06-20 14:05[:30]", "06/20/2024 2:05 PM" (dateFormat decides day/month order) - wall clock in timeZone
+    function parseTimestamp(value, options) {
+        const text = String(value === undefined || value === null ? '' : value).trim();
+        if (text === '') return null;
+        const dateFormat = (options && options.dateFormat) || 'ymd';
+        const timeZone = timezone.resolveTimezone(options && options.timezone);
+
+        if (/^\d{9,13}(\.\d+)?$/.test(text)) {
+            const num = Number(text);
+            return num < 1e12 ? Math.round(num * 1000) : Math.round(num);
+        }
+
+        if (/T.*(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+            const parsed = Date.parse(text);
+            return isNaN(parsed) ? null : parsed;
+        }
+
+        const match = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*([AaPp][Mm])?)?$/.exec(text);
+        if (!match) return null;
+
+        let year;
+        let month;
+        let day;
+        const [a, b, c] = [match[1], match[2], match[3]].map(Number);
+        if (match[1].length === 4 || dateFormat === 'ymd') {
+            [year, month, day] = [a, b, c];
+        } else if (dateFormat === 'mdy') {
+            [month, day, year] = [a, b, c];
+        } else {
+            [day, month, year] = [a, b, c];
+        }
+        if (year < 100) year += 2000;
+
+        let hour = match[4] !== undefined ? Number(match[4]) : 0;
+        const minute = match[5] !== undefined ? Number(match[5]) : 0;
+        const second = match[6] !== undefined ? Number(match[6]) : 0;
+        if (match[7]) {
+            const pm = match[7].toLowerCase() === 'pm';
+            if (hour < 1 || hour > 12) return null;
+            hour = (hour % 12) + (pm ? 12 : 0);
+        }
+
+        if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) return null;
+        const dateStr = `${year}-${pad(month)}-${pad(day)}`;
+        // Rejects 2024-02-31 and the like
+        if (timezone.addDays(dateStr, 0) !== dateStr) return null;
+
+        return timezone.zonedTimeToUtc(dateStr, hour, timeZone) + minute * 60 * 1000 + second * 1000;
+    }
+
+    // Rows -> readings ready to write
+    // options: { timezone, dateFormat, validation (users/{uid}.sensorValidation), histories, now }
+    //   histories: validation histories to carry on from (api/import/csv.js passes the readings stored before a chunk,
+    //   so a file sent in several requests is validated as one)
+    // Returns {
+    //   readings: [{ line, tsMs, values (validated, null = missing or rejected), raw (as in the file) }] oldest first,
+    //   rejected: [{ line, tsMs, sensorId, value, reason, detail }] - values validation refused (out_of_range, rate_of_change, hampel),
+    //   errors:   [{ line, message }] - rows that cannot be imported at all,
+    //   from, to (ms), dates: ['YYYY-MM-DD'] in the user's timezone
+    // }
+    function prepareImport(table, mapping, options) {
+        const opts = options || {};
+        const timeZone = timezone.resolveTimezone(opts.timezone);
+        const now = opts.now || Date.now();
+        const errors = [];
+        const parsed = [];
+        const seen = new Set();
+
+        table.rows.forEach(row => {
+            const cell = (index) => Number.isInteger(index) ? (row.cells[index] || '') : '';
+            const stamp = Number.isInteger(mapping.timestamp)
+                ? cell(mapping.timestamp)
+                : `${cell(mapping.date)} ${cell(mapping.time)}`.trim();
+            const tsMs = parseTimestamp(stamp, { dateFormat: opts.dateFormat, timezone: timeZone });
+
+            if (tsMs === null) {
+                errors.push({ line: row.line, message: stamp ? `Unrecognized timestamp "${stamp}"` : 'Missing timestamp' });
+                return;
+            }
+            if (tsMs < MIN_VALID_READING_MS || tsMs > now) {
+                errors.push({ line: row.line, message: `Timestamp "${stamp}" is outside the importable range` });
+                return;
+            }
+            if (seen.has(tsMs)) {
+                errors.push({ line: row.line, message: `Duplicate timestamp "${stamp}"` });
+                return;
+            }
+
+            const raw = {};
+            const problems = [];
+            SENSORS.forEach(sensor => {
+                const text = cell(mapping[sensor.id]);
+                if (text === '' || /^(na|n\/a|nan|null|-+)$/i.test(text)) {
+                    raw[sensor.id] = null;
+                    return;
+                }
+                // Decimal commas ("26,4") from semicolon-separated files
+                const value = toNumber(text.replace(/^(-?\d+),(\d+)$/, '$1.$2'));
+                if (value === null) problems.push(`${sensor.label} "${text}" is not a number`);
+                raw[sensor.id] = value;
+            });
+
+            if (problems.length > 0) {
+                errors.push({ line: row.line, message: problems.join('; ') });
+                return;
+            }
+            if (SENSORS.every(sensor => raw[sensor.id] === null)) {
+                errors.push({ line: row.line, message: 'No sensor values' });
+                return;
+            }
+
+            seen.add(tsMs);
+            parsed.push({ line: row.line, tsMs, raw });
+        });
+
+        // Validation compares every reading with the ones before it
+        parsed.sort((a, b) => a.tsMs - b.tsMs);
+
+        const config = resolveValidationConfig(opts.validation);
+        let histories = opts.histories || {};
+        const rejected = [];
+        const readings = parsed.map(entry => {
+            const validated = validateReadings(entry.raw, entry.tsMs, histories, config);
+            histories = validated.histories;
+            validated.rejected.forEach(item => {
+                rejected.push({ line: entry.line, tsMs: entry.tsMs, ...item });
+            });
+            return { line: entry.line, tsMs: entry.tsMs, values: validated.readings, raw: entry.raw };
+        });
+
+        const dates = [...new Set(readings.map(reading => timezone.dateKey(reading.tsMs, timeZone)))].sort();
+
+        return {
+            readings,
+            rejected,
+            errors: errors.sort((a, b) => a.line - b.line),
+            from: readings.length > 0 ? readings[0].tsMs : null,
+            to: readings.length > 0 ? readings[readings.length - 1].tsMs : null,
+            dates
+        };
+    }
+
+    // Weeks and months to regenerate after importing these dates
+    function affectedPeriods(dates) {
+        return {
+            dates: dates.slice(),
+            weeks: [...new Set(dates.map(date => timezone.isoWeekKey(date)))].sort(),
+            months: [...new Set(dates.map(date => date.slice(0, 7)))].sort()
+        };
+    }
+
+    return {
+        DATE_FORMATS,
+        normalizeHeader,
+        detectDelimiter,
+        parseCsv,
+        guessColumnMapping,
+        validateMapping,
+        parseTimestamp,
+        prepareImport,
+        affectedPeriods
+    };
+});
@@ -2,10 +2,41 @@
 // dashboard.js - Dashboard-specific functionality
 console.log('[BOOT] dashboard.js started');
 
-import { db, rtdb, doc, getDoc, setDoc, collection, getDocs, updateDoc, deleteDoc, addDoc, auth, serverTimestamp, query, orderBy, limit, onSnapshot, onAuthStateChanged, runTransaction, increment, ref, set, get, update, onValue, off } from './firebase-init.js';
+import { db, rtdb, doc, getDoc, setDoc, collection, getDocs, updateDoc, deleteDoc, addDoc, auth, serverTimestamp, query, where, orderBy, limit, onSnapshot, onAuthStateChanged, runTransaction, increment, startAfter, writeBatch, collectionGroup, ref, set, get, update, onValue, off } from './firebase-init.js';
 import { updateUserDisplayName, verifyRoleOrRedirect } from './auth.js';
 import { formatDate } from './utils.js';
 import { showNotification } from './notifications.js';
+import './sensor-catalog.js';
+import './timezone.js';
+import './csv-import.js';
+import './alert-rules.js';
+import './notification-channels.js';
+import './feeding-schedules.js';
+import './feed-inventory.js';
+import './device-registry.js';
+
+// Shared sensor definitions (labels, units, precision, ranges) - see sensor-catalog.js
+const SensorCatalog = window.AquaSenseSensorCatalog;
+
+// Shared calendar bucketing in the user's timezone - see timezone.js
+const Timezone = window.AquaSenseTimezone;
+
+// Historical CSV parsing, mapping and validation (shared with POST /api/import/csv) - see csv-import.js
+const CsvImport = window.AquaSenseCsvImport;
+
+// Water quality alert rules (shared with api/alerts/evaluate.js) - see alert-rules.js
+const AlertRules = window.AquaSenseAlertRules;
+
+// Outbound notification channel preferences (shared with api/notify/) - see notification-channels.js
+const NotificationChannels = window.AquaSenseNotificationChannels;
+// Feeding schedule recurrence (days of week, date range, every N days, once), amounts and water-condition guards - see feeding-schedules.js
+const FeedingSchedules = window.AquaSenseFeedingSchedules;
+
+// Feed stock, purchases and stock-out forecast (shared with api/notify/feed-stock.js) - see feed-inventory.js
+const FeedInventory = window.AquaSenseFeedInventory;
+
+// Default device and primary device rule (shared with api/ worker, ingest and feeding executor) - see device-registry.js
+const DeviceRegistry = window.AquaSenseDeviceRegistry;
 
 // ============================================================
 // RUNTIME CODE CHECKER & SAFETY GUARDS
@@ -207,16 +238,31 @@ const IS_REPORT_FETCH_ONLY = true;
 // This prevents 429 errors from multiple code paths writing to the same hourly document
 const HOURLY_TEST_MODE = true;
 
+// ============================================================
+// HTML ESCAPING
+// ============================================================
+// Every stored or user-typed text put into innerHTML goes through this (alert titles, device names,
+// addresses, labels ...): Firestore fields are client-writable and end up in other users' sessions
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
 // ============================================================
 // RUNTIME STATE (CORE - DOM-FREE)
 // ============================================================
 // Global runtime state that persists regardless of UI or auth
+// Top-level fields mirror the currently selected device
+// Per-device readings are kept in RUNTIME_STATE.devices[deviceId]
 window.RUNTIME_STATE = window.RUNTIME_STATE || {
     temperature: null,
     ph: null,
+    dissolvedOxygen: null,
+    ammonia: null,
     feederState: null,
-    lastUpdateAt: null
+    lastUpdateAt: null,
+    devices: {}
 };
+window.RUNTIME_STATE.devices = window.RUNTIME_STATE.devices || {};
 
 // ============================================================
 // RUNTIME EVENT BUS (CORE - DOM-FREE)
@@ -255,7 +301,10 @@ window.RuntimeEvents = window.RuntimeEvents || {
 // The single hourly writer reads from these values
 let latestTemperature = null;
 let latestPH = null;
+let latestDissolvedOxygen = null;
+let latestAmmonia = null;
 let latestTimestamp = null;
+let latestRawReadings = {}; // uncalibrated readings of the primary device, keyed by sensor id
 
 // Rate-limiting gate for hourly writes (prevents write storms)
 let lastWrittenHourKey = null;
@@ -263,6 +312,61 @@ let LAST_HOURLY_WRITE_KEY = null;  // `${dateStr}-${hourStr}`
 let LAST_HOURLY_WRITE_AT = 0;
 const HOURLY_WRITE_COOLDOWN_MS = 60_000; // 1 minute (testing safe)
 
+// ============================================================
+// USER TIMEZONE (HOURLY / DAILY BUCKETING)
+// ============================================================
+// Hour, day, week and month keys follow users/{uid}.timezone (default Asia/Manila), not the
+// browser's zone, so the dashboard and the cron jobs put a reading in the same hourlyRecords document
+let userTimezone = Timezone.DEFAULT_TIMEZONE;
+let userTimezoneUid = null;
+
+// Load the user's timezone
+// The unauthenticated runtime can't read users/{uid}; the device ownership mapping carries a copy
+async function loadUserTimezone(uid) {
+    if (!uid || userTimezoneUid === uid) return userTimezone;
+    userTimezoneUid = uid;
+    
+    let stored = null;
+    try {
+        const userSnap = await getDoc(doc(db, 'users', uid));
+        stored = userSnap.exists() ? userSnap.data().timezone : null;
+    } catch (error) {
+        const device = (window.RUNTIME_CONTEXT?.devices || []).find(entry => entry.timezone);
+        stored = device ? device.timezone : null;
+    }
+    
+    userTimezone = Timezone.resolveTimezone(stored);
+    console.log('[TIMEZONE] Bucketing in ' + userTimezone + ' for uid=' + uid);
+    return userTimezone;
+}
+
+export function getUserTimezone() {
+    return userTimezone;
+}
+
+// "Now" as a calendar-only Date in the user's zone (read its getters, never getTime())
+function getUserNow() {
+    return Timezone.toZonedDate(Date.now(), userTimezone);
+}
+
+// Calendar-only Date of an instant in the user's zone
+function toUserDate(tsMs) {
+    return Timezone.toZonedDate(tsMs, userTimezone);
+}
+
+// Hourly bucket of an instant in the user's zone: { date: 'YYYY-MM-DD', hour: 'HH' }
+function getUserBucket(tsMs = Date.now()) {
+    return Timezone.bucketFor(tsMs, userTimezone);
+}
+
+// Real start/end instants of a YYYY-MM-DD day in the user's zone
+function getUserDayRange(dateStr) {
+    return {
+        start: new Date(Timezone.zonedTimeToUtc(dateStr, 0, userTimezone)),
+        end: new Date(Timezone.zonedTimeToUtc(Timezone.addDays(dateStr, 1), 0, userTimezone) - 1)
+    };
+}
+
 // ============================================================
 // ROLLUP THROTTLING (DAILY/WEEKLY/MONTHLY)
 // ============================================================
@@ -312,7 +416,9 @@ const liveSensorData = {
 const chartInstances = {
     daily: {
         temperature: null,
-        ph: null
+        ph: null,
+        dissolvedOxygen: null,
+        ammonia: null
     },
     weekly: {
         temperature: null,
@@ -324,8 +430,12 @@ const chartInstances = {
     },
     hourly: {
         temperature: null,
-        ph: null
-    }
+        ph: null,
+        dissolvedOxygen: null,
+        ammonia: null
+    },
+    // Raw readings for one hour (opened by clicking an hourly chart point)
+    hourlyDrilldown: null
 };
 
 // User Dashboard specific functions
@@ -337,7 +447,7 @@ const chartInstances = {
 
 // Helper: Get current ISO week string (YYYY-WW)
 function getCurrentIsoWeek() {
-    const now = new Date();
+    const now = getUserNow();
     const jan4 = new Date(now.getFullYear(), 0, 4);
     const jan4Day = jan4.getDay();
     const jan4Monday = new Date(jan4);
@@ -352,7 +462,7 @@ function getCurrentIsoWeek() {
 
 // Helper: Get current month string (YYYY-MM)
 function getCurrentMonthString() {
-    const now = new Date();
+    const now = getUserNow();
     const year = now.getFullYear();
     const month = String(now.getMonth() + 1).padStart(2, '0');
     return `${year}-${month}`;
@@ -443,8 +553,8 @@ async function ensureDailyReports(uid) {
             return;
         }
         
-        // Get today's date string
-        const today = new Date();
+        // Get today's date string (user's timezone)
+        const today = getUserNow();
             const todayStr = formatDateString(today);
         
         // Check if hourly records exist for today
@@ -545,8 +655,8 @@ async function ensureMonthlyReports(uid) {
             return;
         }
         
-        // Get current month
-        const now = new Date();
+        // Get current month (user's timezone)
+        const now = getUserNow();
         const currentYear = now.getFullYear();
         const currentMonth = now.getMonth() + 1;
         
@@ -775,9 +885,7 @@ async function sampleCurrentHour(uid) {
     console.warn('[HOURLY WRITE] sampleCurrentHour DISABLED (quota-safe mode)');
     return;
     try {
-        const now = new Date();
-        const dateStr = formatDateString(now);
-        const hourStr = String(now.getHours()).padStart(2, '0');
+        const { date: dateStr, hour: hourStr } = getUserBucket();
         
         // Read latest sensor values
         const tempRef = doc(db, `users/${uid}/sensors/temperature`);
@@ -920,6 +1028,9 @@ export async function initializeUserDashboard() {
         window.RUNTIME_CONTEXT = await resolveRuntimeContext();
         console.log('[INIT] Runtime context resolved:', window.RUNTIME_CONTEXT);
         
+        // Hourly/daily keys and report pickers follow the user's timezone
+        await loadUserTimezone(window.RUNTIME_CONTEXT?.runtimeUid || null);
+        
         // Update user name in navigation
         await updateUserDisplayName();
         
@@ -936,8 +1047,8 @@ export async function initializeUserDashboard() {
                 
                 console.log('[REPORT INIT] Starting hierarchical aggregation initialization for user:', uid);
                 
-                // Compute date strings for today
-                const today = new Date();
+                // Compute date strings for today (user's timezone)
+                const today = getUserNow();
                 const todayStr = formatDateString(today);
                 const weekStr = getCurrentIsoWeek();
                 const monthStr = getCurrentMonthString();
@@ -1013,6 +1124,12 @@ export async function initializeUserDashboard() {
                 window.RUNTIME_CONTEXT = await resolveRuntimeContext();
                 console.log('[AUTH STATE] Runtime context re-resolved:', window.RUNTIME_CONTEXT);
                 
+                // Device list may have changed - attach listeners for new devices
+                if (window.__RUNTIME_CORE_STARTED__) {
+                    setupSensorRealtimeUpdatesCore();
+                }
+                renderDeviceSwitchers();
+                
                 if (!user) {
                     console.log('[REPORT INIT] No authenticated user, skipping report initialization');
                     // [FIX] Do NOT cleanup sensor listeners on logout - runtime must persist
@@ -1020,7 +1137,7 @@ export async function initializeUserDashboard() {
                     console.log('[AUTH STATE] user logged out; device runtime remains active');
                     console.log('[AUTH STATE] Runtime context:', window.RUNTIME_CONTEXT);
                     console.log('[AUTH STATE] RTDB listener active:', !!(window.sensorUnsubscribes && window.sensorUnsubscribes.rtdb));
-                    console.log('[AUTH STATE] Feeding schedule interval active:', !!feedingScheduleInterval);
+                    console.log('[AUTH STATE] Feeding status listener active:', !!window.__FEEDING_STATUS_UNSUBSCRIBE__);
                     console.log('[AUTH STATE] Rollup interval active:', !!window.rollupIntervalId);
                     return;
                 }
@@ -1044,6 +1161,31 @@ export async function initializeUserDashboard() {
     // Only attach UI bindings here
     attachSensorUIBindings();
     
+    // Populate device switchers (sensor, feeder and schedule views)
+    renderDeviceSwitchers();
+    
+    // Calibration wizard (monitoring section) and feeder calibration (feeding section)
+    renderCalibrationWizard();
+    renderFeederCalibration();
+    
+    // Last seen and stale badges (refreshed on every heartbeat check)
+    renderHeartbeatStatus();
+    
+    // Active alerts and the alert rules card
+    attachAlertUIBindings();
+    
+    // Email / SMS / webhook notification channels
+    attachNotificationChannelBindings();
+    
+    // Bell menu (in-app notifications)
+    attachNotificationCenter();
+    
+    // Farm workers / owner / admin escalation of unacknowledged alerts
+    attachEscalationPolicyBindings();
+    
+    // Report timezone picker
+    renderTimezoneSelector();
+    
     // Update next feeding alert message
     await updateNextFeedingAlert();
     
@@ -1145,8 +1287,9 @@ export async function initializeUserDashboard() {
 // Load sensor data from RTDB (initial load)
 async function loadSensorData() {
     try {
-        // Device ID for RTDB path (hardcoded as per requirements)
-        const rtdbPath = `devices/${DEVICE_ID}/status/feeder`;
+        // Device ID for RTDB path (selected device)
+        const deviceId = getSelectedDeviceId();
+        const rtdbPath = `devices/${deviceId}/status/feeder`;
         
         console.log('Loading sensor data from RTDB:', rtdbPath);
         
@@ -1180,10 +1323,20 @@ async function loadSensorData() {
                 console.warn('pH not available in RTDB');
             }
             
-            // Feeder state is now read from Firestore, not RTDB
-            // Load feeder state from Firestore instead
+            // Update dissolved oxygen and ammonia from RTDB
+            const dissolvedOxygen = SensorCatalog.readRTDBValue('dissolvedOxygen', data);
+            updateSensorDisplay('dissolvedOxygen', dissolvedOxygen ?? '--', ' mg/L');
+            const ammonia = SensorCatalog.readRTDBValue('ammonia', data);
+            updateSensorDisplay('ammonia', ammonia ?? '--', ' mg/L');
+            
+            // Primary feeder state is read from Firestore, not RTDB
+            // Secondary devices report their feeder state through RTDB
             const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
-            if (uid) {
+            if (deviceId !== getPrimaryDeviceId()) {
+                const isOnline = data.state ? data.state === 'online' : null;
+                updateFeederStatusDisplay(isOnline);
+                updateMotorToggleButton(isOnline);
+            } else if (uid) {
                 await loadFeederStateFromFirestore(uid);
             } else {
                 updateFeederStatusDisplay(null);
@@ -1205,6 +1358,8 @@ async function loadSensorData() {
             console.warn('RTDB sensor data not available at:', rtdbPath);
             updateSensorDisplay('temperature', '--', '°C');
             updateSensorDisplay('ph', '--', '');
+            updateSensorDisplay('dissolvedOxygen', '--', ' mg/L');
+            updateSensorDisplay('ammonia', '--', ' mg/L');
             updateFeederStatusDisplay(null);
             updateMotorToggleButton(null);
         }
@@ -1215,7 +1370,9 @@ async function loadSensorData() {
         // Load feeder state from Firestore (not RTDB)
         const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
         if (uid) {
-            await loadFeederStateFromFirestore(uid);
+            if (deviceId === getPrimaryDeviceId()) {
+                await loadFeederStateFromFirestore(uid);
+            }
             // Set up Firestore listener for feeder state updates
             setupFeederStateListener(uid);
         }
@@ -1225,6 +1382,8 @@ async function loadSensorData() {
         // Set default values on error
         updateSensorDisplay('temperature', '--', '°C');
         updateSensorDisplay('ph', '--', '');
+        updateSensorDisplay('dissolvedOxygen', '--', ' mg/L');
+        updateSensorDisplay('ammonia', '--', ' mg/L');
         updateFeederStatusDisplay(null);
         updateMotorToggleButton(null);
     }
@@ -1285,80 +1444,56 @@ async function mirrorFeederStatusToRTDB(deviceId, isOnline) {
     }
 }
 
+// Key metric cards on the dashboard overview (only some sensors have one)
+const SENSOR_STAT_ELEMENTS = {
+    temperature: { value: 'waterTempStat', status: 'waterTempStatus' },
+    ph: { value: 'phLevelStat', status: 'phLevelStatus' }
+};
+
+const SENSOR_STATUS_LABELS = {
+    optimal: 'Optimal',
+    normal: 'Normal',
+    warning: 'Warning'
+};
+
 // Update sensor display in the UI
 function updateSensorDisplay(sensorType, value, unit = '') {
+    const isMissing = value === '--' || value === null || value === undefined;
+    
     // Update monitoring section
     const sensorElement = document.getElementById(`sensor${sensorType.charAt(0).toUpperCase() + sensorType.slice(1)}`);
     if (sensorElement) {
-        if (value === '--' || value === null || value === undefined) {
+        if (isMissing) {
             sensorElement.textContent = '--' + unit;
+        } else if (SensorCatalog.getSensor(sensorType) && SensorCatalog.toNumber(value) !== null) {
+            // Format with the sensor's precision from the catalog
+            sensorElement.textContent = SensorCatalog.formatReading(sensorType, value) + unit;
         } else {
-            // Format the value appropriately
-            if (typeof value === 'number') {
-                if (sensorType === 'temperature') {
-                    sensorElement.textContent = value.toFixed(1) + unit;
-                } else if (sensorType === 'ph') {
-                    sensorElement.textContent = value.toFixed(2) + unit;
-                } else {
-                    sensorElement.textContent = value + unit;
-                }
-            } else {
-                sensorElement.textContent = value + unit;
-            }
+            sensorElement.textContent = value + unit;
         }
     }
     
     // Update key metrics section (dashboard stats)
-    if (sensorType === 'temperature') {
-        const tempStat = document.getElementById('waterTempStat');
-        const tempStatus = document.getElementById('waterTempStatus');
-        if (tempStat) {
-            if (value === '--' || value === null || value === undefined) {
-                tempStat.textContent = '--°C';
-                if (tempStatus) tempStatus.textContent = '--';
-            } else {
-                const numValue = typeof value === 'number' ? value : parseFloat(value);
-                tempStat.textContent = numValue.toFixed(1) + '°C';
-                // Update status based on temperature range
-                if (tempStatus) {
-                    if (numValue >= 24 && numValue <= 28) {
-                        tempStatus.textContent = 'Optimal';
-                        tempStatus.className = 'stat-status optimal';
-                    } else if (numValue >= 20 && numValue < 24 || numValue > 28 && numValue <= 30) {
-                        tempStatus.textContent = 'Normal';
-                        tempStatus.className = 'stat-status normal';
-                    } else {
-                        tempStatus.textContent = 'Warning';
-                        tempStatus.className = 'stat-status warning';
-                    }
-                }
-            }
-        }
-    } else if (sensorType === 'ph') {
-        const phStat = document.getElementById('phLevelStat');
-        const phStatus = document.getElementById('phLevelStatus');
-        if (phStat) {
-            if (value === '--' || value === null || value === undefined) {
-                phStat.textContent = '--';
-                if (phStatus) phStatus.textContent = '--';
-            } else {
-                const numValue = typeof value === 'number' ? value : parseFloat(value);
-                phStat.textContent = numValue.toFixed(2);
-                // Update status based on pH range
-                if (phStatus) {
-                    if (numValue >= 7.0 && numValue <= 7.5) {
-                        phStatus.textContent = 'Optimal';
-                        phStatus.className = 'stat-status optimal';
-                    } else if (numValue >= 6.5 && numValue < 7.0 || numValue > 7.5 && numValue <= 8.5) {
-                        phStatus.textContent = 'Normal';
-                        phStatus.className = 'stat-status normal';
-                    } else {
-                        phStatus.textContent = 'Warning';
-                        phStatus.className = 'stat-status warning';
-                    }
-                }
-            }
-        }
+    const statIds = SENSOR_STAT_ELEMENTS[sensorType];
+    if (!statIds) return;
+    
+    const statElement = document.getElementById(statIds.value);
+    const statusElement = document.getElementById(statIds.status);
+    if (!statElement) return;
+    
+    if (isMissing) {
+        statElement.textContent = '--' + SensorCatalog.unitSuffix(sensorType);
+        if (statusElement) statusElement.textContent = '--';
+        return;
+    }
+    
+    statElement.textContent = SensorCatalog.formatReading(sensorType, value, { withUnit: true });
+    // Update status based on the sensor's optimal/acceptable ranges
+    if (statusElement) {
+        const status = SensorCatalog.classifyReading(sensorType, value);
+        const statusKey = SENSOR_STATUS_LABELS[status] ? status : 'warning';
+        statusElement.textContent = SENSOR_STATUS_LABELS[statusKey];
+        statusElement.className = `stat-status ${statusKey}`;
     }
 }
 
@@ -1380,9 +1515,7 @@ async function recordSensorDataToFirestore(uid, temperature, ph) {
             return;
         }
         
-        const now = new Date();
-        const dateStr = formatDateString(now);
-        const hourStr = String(now.getHours()).padStart(2, '0');
+        const { date: dateStr, hour: hourStr } = getUserBucket();
         
         // Use transaction to atomically update hourly record
         const hourRef = doc(db, `users/${uid}/hourlyRecords/${dateStr}/hours/${hourStr}`);
@@ -1453,6 +1586,21 @@ async function recordSensorDataToFirestore(uid, temperature, ph) {
     }
 }
 
+// Summarize an ingest write for the console, e.g. temperature: "27.4 (n=3, avg 27.3, min 26.9, max 27.8, std 0.370)"
+function formatIngestLog(readings, hourlyRecord) {
+    const summary = {};
+    SensorCatalog.SENSORS.forEach(sensor => {
+        if (readings[sensor.id] === null) {
+            summary[sensor.id] = 'null';
+            return;
+        }
+        const fields = SensorCatalog.hourlyFields(sensor.id);
+        const fmt = (value) => SensorCatalog.formatReading(sensor.id, value, { placeholder: 'null' });
+        summary[sensor.id] = `${fmt(readings[sensor.id])} (n=${hourlyRecord[fields.count]}, avg ${fmt(hourlyRecord[fields.avg])}, min ${fmt(hourlyRecord[fields.min])}, max ${fmt(hourlyRecord[fields.max])}, std ${hourlyRecord[fields.std]?.toFixed(3) ?? 'null'})`;
+    });
+    return summary;
+}
+
 // ============================================================
 // RTDB TO FIRESTORE HOURLY INGESTION
 // ============================================================
@@ -1478,28 +1626,37 @@ export async function ingestHourlyFromRTDB(uid, deviceId) {
         
         const sensorData = snapshot.val();
         
-        // Extract temperature and pH values
-        const temperature = sensorData.temperature !== undefined && sensorData.temperature !== null 
-            ? parseFloat(sensorData.temperature) 
-            : null;
-        const ph = sensorData.ph !== undefined && sensorData.ph !== null 
-            ? parseFloat(sensorData.ph) 
-            : null;
+        // Extract every catalog sensor (temperature, pH, DO, ammonia) and apply the device's calibration
+        const rtdbReadings = {};
+        SensorCatalog.SENSORS.forEach(sensor => {
+            rtdbReadings[sensor.id] = SensorCatalog.readRTDBValue(sensor.id, sensorData);
+        });
+        await ensureCalibrationProfiles(uid, deviceId);
+        const calibrated = calibrateDeviceReadings(deviceId, rtdbReadings);
+        const raw = calibrated.raw;
         
-        // Skip if both values are missing
-        if (temperature === null && ph === null) {
-            console.log('[INGEST] No valid sensor values (temperature and pH both null)');
+        // Reject spikes before they reach the hourly sums (see READING VALIDATION)
+        const readingTs = normalizeReadingTimestamp(sensorData.timestamp);
+        await loadValidationConfig(uid);
+        const validated = validateDeviceReadings(deviceId, calibrated.readings, readingTs);
+        const readings = validated.readings;
+        if (validated.rejected.length > 0) {
+            const quarantined = validated.rejected.map(entry => ({ ...entry, rawValue: raw[entry.sensorId] }));
+            await quarantineReadings(uid, deviceId, quarantined, readingTs, 'rtdb');
+        }
+        
+        // Skip if all values are missing
+        if (SensorCatalog.SENSORS.every(sensor => readings[sensor.id] === null)) {
+            console.log('[INGEST] No valid sensor values (all sensors null)');
             return { success: false, reason: 'no_values' };
         }
         
-        // 2. Determine current date and hour from RTDB timestamp or current time (using LOCAL time)
+        // 2. Determine date and hour from RTDB timestamp or current time (in the user's timezone)
         let timestamp = sensorData.timestamp || Date.now() / 1000; // RTDB timestamp is in seconds
         const tsMs = timestamp * 1000; // Convert to milliseconds
-        const d = new Date(tsMs);
         
-        // Use local time methods (NOT UTC) to match UI date picker
-        const dateStr = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-        const hourStr = String(d.getHours()).padStart(2, '0');
+        // Same bucket as the cron jobs and the report date picker (see USER TIMEZONE)
+        const { date: dateStr, hour: hourStr } = getUserBucket(tsMs);
         
         const writePath = `users/${uid}/hourlyRecords/${dateStr}/hours/${hourStr}`;
         
@@ -1510,86 +1667,26 @@ export async function ingestHourlyFromRTDB(uid, deviceId) {
         const hourRef = doc(db, writePath);
         const hourSnap = await getDoc(hourRef);
         
-        // 4. Calculate aggregated values using sum/count
-        let temperatureSum, temperatureCount, temperatureAvg;
-        let phSum, phCount, phAvg;
-        
-        if (hourSnap.exists()) {
-            // Update existing document - add to existing sums/counts
-            const existing = hourSnap.data();
-            
-            // Temperature aggregation
-            const currentTempSum = existing.temperatureSum || 0;
-            const currentTempCount = existing.temperatureCount || 0;
-            
-            if (temperature !== null) {
-                temperatureSum = currentTempSum + temperature;
-                temperatureCount = currentTempCount + 1;
-                temperatureAvg = temperatureSum / temperatureCount;
-            } else {
-                // Keep existing values if no new temperature reading
-                temperatureSum = currentTempSum;
-                temperatureCount = currentTempCount;
-                temperatureAvg = currentTempCount > 0 ? currentTempSum / currentTempCount : null;
-            }
-            
-            // pH aggregation
-            const currentPhSum = existing.phSum || 0;
-            const currentPhCount = existing.phCount || 0;
-            
-            if (ph !== null) {
-                phSum = currentPhSum + ph;
-                phCount = currentPhCount + 1;
-                phAvg = phSum / phCount;
-            } else {
-                // Keep existing values if no new pH reading
-                phSum = currentPhSum;
-                phCount = currentPhCount;
-                phAvg = currentPhCount > 0 ? currentPhSum / currentPhCount : null;
-            }
-        } else {
-            // Create new document - initialize sums/counts
-            if (temperature !== null) {
-                temperatureSum = temperature;
-                temperatureCount = 1;
-                temperatureAvg = temperature;
-            } else {
-                temperatureSum = 0;
-                temperatureCount = 0;
-                temperatureAvg = null;
-            }
-            
-            if (ph !== null) {
-                phSum = ph;
-                phCount = 1;
-                phAvg = ph;
-            } else {
-                phSum = 0;
-                phCount = 0;
-                phAvg = null;
-            }
-        }
+        // 4. Fold the readings into running sum/count/min/max/variance (Welford), raw sum alongside
+        const existing = hourSnap.exists() ? hourSnap.data() : {};
+        const hourlyRecord = {
+            hour: hourStr
+        };
+        SensorCatalog.SENSORS.forEach(sensor => {
+            Object.assign(hourlyRecord, SensorCatalog.hourlyStatsUpdate(sensor.id, existing, readings[sensor.id], raw[sensor.id]));
+        });
         
         // 5. Write to Firestore using merge (updates existing or creates new)
-        const hourlyRecord = {
-            hour: hourStr,
-            temperatureSum: temperatureSum,
-            temperatureCount: temperatureCount,
-            temperatureAvg: temperatureAvg,
-            phSum: phSum,
-            phCount: phCount,
-            phAvg: phAvg,
+        Object.assign(hourlyRecord, {
             source: "rtdb",
+            timezone: userTimezone,
             isSeed: false,
             updatedAt: serverTimestamp()
-        };
+        });
         
         await setDoc(hourRef, hourlyRecord, { merge: true });
         
-        console.log(`[INGEST] ✅ Wrote hourly record: ${dateStr}/hours/${hourStr}`, {
-            temperature: temperature !== null ? `${temperature}°C (sum: ${temperatureSum}, count: ${temperatureCount}, avg: ${temperatureAvg?.toFixed(2)})` : 'null',
-            ph: ph !== null ? `${ph} (sum: ${phSum}, count: ${phCount}, avg: ${phAvg?.toFixed(2)})` : 'null'
-        });
+        console.log(`[INGEST] ✅ Wrote hourly record: ${dateStr}/hours/${hourStr}`, formatIngestLog(readings, hourlyRecord));
         
         return { 
             success: true, 
@@ -1621,11 +1718,11 @@ export async function ingestHourlyFromRTDB(uid, deviceId) {
 //          setInterval(() => writeHourlyFromRTDB(uid), 60000); // Safe - gate prevents duplicates
 export async function writeHourlyFromRTDB(uid) {
     // Check if we have any sensor values
-    if (latestTemperature === null && latestPH === null) {
+    if (latestTemperature === null && latestPH === null && latestDissolvedOxygen === null && latestAmmonia === null) {
         return { skipped: true, reason: 'no_values' };
     }
     
-    // Determine LOCAL date and hour from latest timestamp
+    // Determine date and hour from latest timestamp (in the user's timezone)
     let ts = latestTimestamp;
     if (!ts) {
         ts = Date.now();
@@ -1634,11 +1731,8 @@ export async function writeHourlyFromRTDB(uid) {
         ts = ts < 1e12 ? ts * 1000 : ts;
     }
     
-    const d = new Date(ts);
-    
-    // Use LOCAL time methods (NOT UTC) to match UI date picker
-    const dateStr = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-    const hourStr = String(d.getHours()).padStart(2, '0');
+    // Same bucket as the cron jobs and the report date picker (see USER TIMEZONE)
+    const { date: dateStr, hour: hourStr } = getUserBucket(ts);
     
     const hourKey = `${dateStr}-${hourStr}`;
     
@@ -1660,6 +1754,12 @@ export async function writeHourlyFromRTDB(uid) {
     LAST_HOURLY_WRITE_KEY = hourKey;
     LAST_HOURLY_WRITE_AT = nowMs;
     
+    // Uncalibrated readings next to the corrected averages
+    const rawAverages = {};
+    SensorCatalog.SENSORS.forEach(sensor => {
+        rawAverages[SensorCatalog.hourlyFields(sensor.id).rawAvg] = latestRawReadings[sensor.id] ?? null;
+    });
+    
     // Write to Firestore
     const docRef = doc(db, `users/${uid}/hourlyRecords/${dateStr}/hours/${hourStr}`);
     
@@ -1669,7 +1769,11 @@ export async function writeHourlyFromRTDB(uid) {
             hour: hourStr,
             temperatureAvg: latestTemperature,
             phAvg: latestPH,
+            dissolvedOxygenAvg: latestDissolvedOxygen,
+            ammoniaAvg: latestAmmonia,
+            ...rawAverages,
             source: 'rtdb',
+            timezone: userTimezone,
             isSeed: false,
             updatedAt: serverTimestamp()
         },
@@ -1682,7 +1786,9 @@ export async function writeHourlyFromRTDB(uid) {
         date: dateStr,
         hour: hourStr,
         temperatureAvg: latestTemperature,
-        phAvg: latestPH
+        phAvg: latestPH,
+        dissolvedOxygenAvg: latestDissolvedOxygen,
+        ammoniaAvg: latestAmmonia
     });
     
     return { success: true, date: dateStr, hour: hourStr };
@@ -1706,6 +1812,19 @@ function hasSignificantChange(oldVal, newVal, epsilon = 0.001) {
     return Math.abs(oldVal - newVal) >= epsilon;
 }
 
+// Feed booked on hours (feedUsedKg) or days (totalFeedKg) → total kg, null when none was booked
+// (same rule as api/cron/generate-*.js; seed documents carry no feed)
+function sumFeedKg(records) {
+    let total = null;
+    records.forEach(record => {
+        const kg = parseFloat(record.totalFeedKg ?? record.feedUsedKg);
+        if (record.isSeed !== true && kg > 0) {
+            total = (total || 0) + kg;
+        }
+    });
+    return total === null ? null : Math.round(total * 1000) / 1000;
+}
+
 // Helper: Get ISO week string from date (local time)
 function getISOWeekStringFromDate(date) {
     return getISOWeekString(date);
@@ -1741,6 +1860,10 @@ export async function computeAndWriteDailyReport(uid, dateStr) {
         let temperatureCount = 0;
         let phSum = 0;
         let phCount = 0;
+        let dissolvedOxygenSum = 0;
+        let dissolvedOxygenCount = 0;
+        let ammoniaSum = 0;
+        let ammoniaCount = 0;
         
         hoursSnapshot.forEach(hourDoc => {
             const record = hourDoc.data();
@@ -1750,11 +1873,13 @@ export async function computeAndWriteDailyReport(uid, dateStr) {
                 return;
             }
             
-            // Include only docs with valid temperatureAvg OR phAvg
+            // Include only docs with at least one valid sensor average
             const hasTemp = record.temperatureAvg !== null && record.temperatureAvg !== undefined && !isNaN(parseFloat(record.temperatureAvg));
             const hasPh = record.phAvg !== null && record.phAvg !== undefined && !isNaN(parseFloat(record.phAvg));
+            const hasDo = record.dissolvedOxygenAvg !== null && record.dissolvedOxygenAvg !== undefined && !isNaN(parseFloat(record.dissolvedOxygenAvg));
+            const hasAmmonia = record.ammoniaAvg !== null && record.ammoniaAvg !== undefined && !isNaN(parseFloat(record.ammoniaAvg));
             
-            if (!hasTemp && !hasPh) {
+            if (!hasTemp && !hasPh && !hasDo && !hasAmmonia) {
                 return; // Skip invalid records
             }
             
@@ -1769,6 +1894,16 @@ export async function computeAndWriteDailyReport(uid, dateStr) {
                 phSum += parseFloat(record.phAvg);
                 phCount += 1;
             }
+            
+            if (hasDo) {
+                dissolvedOxygenSum += parseFloat(record.dissolvedOxygenAvg);
+                dissolvedOxygenCount += 1;
+            }
+            
+            if (hasAmmonia) {
+                ammoniaSum += parseFloat(record.ammoniaAvg);
+                ammoniaCount += 1;
+            }
         });
         
         if (validHours.length === 0) {
@@ -1779,7 +1914,10 @@ export async function computeAndWriteDailyReport(uid, dateStr) {
         // Calculate averages
         const temperatureAvg = temperatureCount > 0 ? temperatureSum / temperatureCount : null;
         const phAvg = phCount > 0 ? phSum / phCount : null;
+        const dissolvedOxygenAvg = dissolvedOxygenCount > 0 ? dissolvedOxygenSum / dissolvedOxygenCount : null;
+        const ammoniaAvg = ammoniaCount > 0 ? ammoniaSum / ammoniaCount : null;
         const hourCount = validHours.length;
+        const totalFeedKg = sumFeedKg(hoursSnapshot.docs.map(hourDoc => hourDoc.data()));
         
         // Check existing document for change detection
         const reportRef = doc(db, `users/${uid}/dailyReports/${dateStr}`);
@@ -1789,9 +1927,12 @@ export async function computeAndWriteDailyReport(uid, dateStr) {
             const existing = existingSnap.data();
             const tempChanged = hasSignificantChange(existing.temperatureAvg, temperatureAvg);
             const phChanged = hasSignificantChange(existing.phAvg, phAvg);
+            const doChanged = hasSignificantChange(existing.dissolvedOxygenAvg ?? null, dissolvedOxygenAvg);
+            const ammoniaChanged = hasSignificantChange(existing.ammoniaAvg ?? null, ammoniaAvg);
             const countChanged = existing.hourCount !== hourCount;
+            const feedChanged = hasSignificantChange(existing.totalFeedKg ?? null, totalFeedKg);
             
-            if (!tempChanged && !phChanged && !countChanged) {
+            if (!tempChanged && !phChanged && !doChanged && !ammoniaChanged && !countChanged && !feedChanged) {
                 console.log(`[ROLLUP-DAILY] Unchanged, no write for ${dateStr}`);
                 return { skipped: true, reason: 'unchanged', date: dateStr };
             }
@@ -1802,7 +1943,10 @@ export async function computeAndWriteDailyReport(uid, dateStr) {
             date: dateStr,
             temperatureAvg: temperatureAvg,
             phAvg: phAvg,
+            dissolvedOxygenAvg: dissolvedOxygenAvg,
+            ammoniaAvg: ammoniaAvg,
             hourCount: hourCount,
+            totalFeedKg: totalFeedKg,
             source: "derived-from-hourly",
             updatedAt: serverTimestamp()
         };
@@ -1811,7 +1955,7 @@ export async function computeAndWriteDailyReport(uid, dateStr) {
         
         console.log(`[ROLLUP-DAILY] wrote users/${uid}/dailyReports/${dateStr} hourCount=${hourCount} temp=${temperatureAvg?.toFixed(2) || 'null'} ph=${phAvg?.toFixed(2) || 'null'}`);
         
-        return { success: true, date: dateStr, hourCount, temperatureAvg, phAvg };
+        return { success: true, date: dateStr, hourCount, temperatureAvg, phAvg, dissolvedOxygenAvg, ammoniaAvg };
         
     } catch (error) {
         console.error(`[ROLLUP-DAILY] Error computing daily report for ${dateStr}:`, error);
@@ -1893,6 +2037,10 @@ export async function computeAndWriteWeeklyReport(uid, weekKey) {
         let temperatureCount = 0;
         let phSum = 0;
         let phCount = 0;
+        let dissolvedOxygenSum = 0;
+        let dissolvedOxygenCount = 0;
+        let ammoniaSum = 0;
+        let ammoniaCount = 0;
         
         weekDailyReports.forEach(report => {
             if (report.temperatureAvg !== null && report.temperatureAvg !== undefined) {
@@ -1910,12 +2058,31 @@ export async function computeAndWriteWeeklyReport(uid, weekKey) {
                     phCount += 1;
                 }
             }
+            
+            if (report.dissolvedOxygenAvg !== null && report.dissolvedOxygenAvg !== undefined) {
+                const doValue = parseFloat(report.dissolvedOxygenAvg);
+                if (!isNaN(doValue)) {
+                    dissolvedOxygenSum += doValue;
+                    dissolvedOxygenCount += 1;
+                }
+            }
+            
+            if (report.ammoniaAvg !== null && report.ammoniaAvg !== undefined) {
+                const ammoniaValue = parseFloat(report.ammoniaAvg);
+                if (!isNaN(ammoniaValue)) {
+                    ammoniaSum += ammoniaValue;
+                    ammoniaCount += 1;
+                }
+            }
         });
         
         // Calculate averages
         const temperatureAvg = temperatureCount > 0 ? temperatureSum / temperatureCount : null;
         const phAvg = phCount > 0 ? phSum / phCount : null;
+        const dissolvedOxygenAvg = dissolvedOxygenCount > 0 ? dissolvedOxygenSum / dissolvedOxygenCount : null;
+        const ammoniaAvg = ammoniaCount > 0 ? ammoniaSum / ammoniaCount : null;
         const dayCount = weekDailyReports.length;
+        const totalFeedKg = sumFeedKg(weekDailyReports);
         
         // Check existing document for change detection
         const reportRef = doc(db, `users/${uid}/weeklyReports/${weekKey}`);
@@ -1925,9 +2092,12 @@ export async function computeAndWriteWeeklyReport(uid, weekKey) {
             const existing = existingSnap.data();
             const tempChanged = hasSignificantChange(existing.temperatureAvg, temperatureAvg);
             const phChanged = hasSignificantChange(existing.phAvg, phAvg);
+            const doChanged = hasSignificantChange(existing.dissolvedOxygenAvg ?? null, dissolvedOxygenAvg);
+            const ammoniaChanged = hasSignificantChange(existing.ammoniaAvg ?? null, ammoniaAvg);
             const countChanged = existing.dayCount !== dayCount;
+            const feedChanged = hasSignificantChange(existing.totalFeedKg ?? null, totalFeedKg);
             
-            if (!tempChanged && !phChanged && !countChanged) {
+            if (!tempChanged && !phChanged && !doChanged && !ammoniaChanged && !countChanged && !feedChanged) {
                 console.log(`[ROLLUP-WEEKLY] Unchanged, no write for ${weekKey}`);
                 return { skipped: true, reason: 'unchanged', week: weekKey };
             }
@@ -1938,7 +2108,10 @@ export async function computeAndWriteWeeklyReport(uid, weekKey) {
             week: weekKey,
             temperatureAvg: temperatureAvg,
             phAvg: phAvg,
+            dissolvedOxygenAvg: dissolvedOxygenAvg,
+            ammoniaAvg: ammoniaAvg,
             dayCount: dayCount,
+            totalFeedKg: totalFeedKg,
             source: "derived-from-daily",
             updatedAt: serverTimestamp()
         };
@@ -1947,7 +2120,7 @@ export async function computeAndWriteWeeklyReport(uid, weekKey) {
         
         console.log(`[ROLLUP-WEEKLY] wrote users/${uid}/weeklyReports/${weekKey} dayCount=${dayCount} temp=${temperatureAvg?.toFixed(2) || 'null'} ph=${phAvg?.toFixed(2) || 'null'}`);
         
-        return { success: true, week: weekKey, dayCount, temperatureAvg, phAvg };
+        return { success: true, week: weekKey, dayCount, temperatureAvg, phAvg, dissolvedOxygenAvg, ammoniaAvg };
         
     } catch (error) {
         console.error(`[ROLLUP-WEEKLY] Error computing weekly report for ${weekKey}:`, error);
@@ -2001,6 +2174,10 @@ export async function computeAndWriteMonthlyReport(uid, monthKey) {
         let temperatureCount = 0;
         let phSum = 0;
         let phCount = 0;
+        let dissolvedOxygenSum = 0;
+        let dissolvedOxygenCount = 0;
+        let ammoniaSum = 0;
+        let ammoniaCount = 0;
         
         monthDailyReports.forEach(report => {
             if (report.temperatureAvg !== null && report.temperatureAvg !== undefined) {
@@ -2018,12 +2195,31 @@ export async function computeAndWriteMonthlyReport(uid, monthKey) {
                     phCount += 1;
                 }
             }
+            
+            if (report.dissolvedOxygenAvg !== null && report.dissolvedOxygenAvg !== undefined) {
+                const doValue = parseFloat(report.dissolvedOxygenAvg);
+                if (!isNaN(doValue)) {
+                    dissolvedOxygenSum += doValue;
+                    dissolvedOxygenCount += 1;
+                }
+            }
+            
+            if (report.ammoniaAvg !== null && report.ammoniaAvg !== undefined) {
+                const ammoniaValue = parseFloat(report.ammoniaAvg);
+                if (!isNaN(ammoniaValue)) {
+                    ammoniaSum += ammoniaValue;
+                    ammoniaCount += 1;
+                }
+            }
         });
         
         // Calculate averages
         const temperatureAvg = temperatureCount > 0 ? temperatureSum / temperatureCount : null;
         const phAvg = phCount > 0 ? phSum / phCount : null;
+        const dissolvedOxygenAvg = dissolvedOxygenCount > 0 ? dissolvedOxygenSum / dissolvedOxygenCount : null;
+        const ammoniaAvg = ammoniaCount > 0 ? ammoniaSum / ammoniaCount : null;
         const dayCount = monthDailyReports.length;
+        const totalFeedKg = sumFeedKg(monthDailyReports);
         
         // Check existing document for change detection
         const reportRef = doc(db, `users/${uid}/monthlyReports/${monthKey}`);
@@ -2033,9 +2229,12 @@ export async function computeAndWriteMonthlyReport(uid, monthKey) {
             const existing = existingSnap.data();
             const tempChanged = hasSignificantChange(existing.temperatureAvg, temperatureAvg);
             const phChanged = hasSignificantChange(existing.phAvg, phAvg);
+            const doChanged = hasSignificantChange(existing.dissolvedOxygenAvg ?? null, dissolvedOxygenAvg);
+            const ammoniaChanged = hasSignificantChange(existing.ammoniaAvg ?? null, ammoniaAvg);
             const countChanged = existing.dayCount !== dayCount;
+            const feedChanged = hasSignificantChange(existing.totalFeedKg ?? null, totalFeedKg);
             
-            if (!tempChanged && !phChanged && !countChanged) {
+            if (!tempChanged && !phChanged && !doChanged && !ammoniaChanged && !countChanged && !feedChanged) {
                 console.log(`[ROLLUP-MONTHLY] Unchanged, no write for ${monthKey}`);
                 return { skipped: true, reason: 'unchanged', month: monthKey };
             }
@@ -2046,7 +2245,10 @@ export async function computeAndWriteMonthlyReport(uid, monthKey) {
             month: monthKey,
             temperatureAvg: temperatureAvg,
             phAvg: phAvg,
+            dissolvedOxygenAvg: dissolvedOxygenAvg,
+            ammoniaAvg: ammoniaAvg,
             dayCount: dayCount,
+            totalFeedKg: totalFeedKg,
             source: "derived-from-daily",
             updatedAt: serverTimestamp()
         };
@@ -2055,7 +2257,7 @@ export async function computeAndWriteMonthlyReport(uid, monthKey) {
         
         console.log(`[ROLLUP-MONTHLY] wrote users/${uid}/monthlyReports/${monthKey} dayCount=${dayCount} temp=${temperatureAvg?.toFixed(2) || 'null'} ph=${phAvg?.toFixed(2) || 'null'}`);
         
-        return { success: true, month: monthKey, dayCount, temperatureAvg, phAvg };
+        return { success: true, month: monthKey, dayCount, temperatureAvg, phAvg, dissolvedOxygenAvg, ammoniaAvg };
         
     } catch (error) {
         console.error(`[ROLLUP-MONTHLY] Error computing monthly report for ${monthKey}:`, error);
@@ -2076,10 +2278,16 @@ export async function runRollupsForCurrentContext() {
             return { skipped: true, reason: 'no_uid' };
         }
         
-        const now = new Date(); // LOCAL TIME
+        // The ingestion worker rolls up the primary device's user server-side
+        if (isDeviceIngestedByWorker(getPrimaryDeviceId())) {
+            console.log('[CORE] rollup skipped (server worker)');
+            return { skipped: true, reason: 'worker' };
+        }
+        
+        const now = getUserNow(); // USER TIMEZONE (calendar only)
         const nowMs = Date.now();
         
-        // Compute current date/week/month keys (LOCAL TIME)
+        // Compute current date/week/month keys (user's timezone)
         const dateStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
         const weekKey = getISOWeekStringFromDate(now);
         const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
@@ -2183,6 +2391,12 @@ export async function fetchHourlyReport(uid, dateStr) {
                 phAvg: data.phAvg !== undefined && data.phAvg !== null 
                     ? parseFloat(data.phAvg) 
                     : null,
+                dissolvedOxygenAvg: data.dissolvedOxygenAvg !== undefined && data.dissolvedOxygenAvg !== null 
+                    ? parseFloat(data.dissolvedOxygenAvg) 
+                    : null,
+                ammoniaAvg: data.ammoniaAvg !== undefined && data.ammoniaAvg !== null 
+                    ? parseFloat(data.ammoniaAvg) 
+                    : null,
                 source: data.source || null,
                 updatedAt: data.updatedAt || null
             };
@@ -2237,6 +2451,10 @@ export async function computeDailyReport(uid, dateStr) {
         let temperatureCount = 0;
         let phSum = 0;
         let phCount = 0;
+        let dissolvedOxygenSum = 0;
+        let dissolvedOxygenCount = 0;
+        let ammoniaSum = 0;
+        let ammoniaCount = 0;
         let coverageHours = 0;
         
         hoursSnapshot.forEach(hourDoc => {
@@ -2265,9 +2483,29 @@ export async function computeDailyReport(uid, dateStr) {
                 }
             }
             
+            // Process dissolved oxygen (each hourly record counts as 1)
+            if (record.dissolvedOxygenAvg !== null && record.dissolvedOxygenAvg !== undefined) {
+                const doValue = parseFloat(record.dissolvedOxygenAvg);
+                if (!isNaN(doValue)) {
+                    dissolvedOxygenSum += doValue;
+                    dissolvedOxygenCount += 1;
+                }
+            }
+            
+            // Process ammonia (each hourly record counts as 1)
+            if (record.ammoniaAvg !== null && record.ammoniaAvg !== undefined) {
+                const ammoniaValue = parseFloat(record.ammoniaAvg);
+                if (!isNaN(ammoniaValue)) {
+                    ammoniaSum += ammoniaValue;
+                    ammoniaCount += 1;
+                }
+            }
+            
             // Count hours with at least one valid reading
             if ((record.temperatureAvg !== null && record.temperatureAvg !== undefined) ||
-                (record.phAvg !== null && record.phAvg !== undefined)) {
+                (record.phAvg !== null && record.phAvg !== undefined) ||
+                (record.dissolvedOxygenAvg !== null && record.dissolvedOxygenAvg !== undefined) ||
+                (record.ammoniaAvg !== null && record.ammoniaAvg !== undefined)) {
                 coverageHours += 1;
             }
         });
@@ -2281,6 +2519,8 @@ export async function computeDailyReport(uid, dateStr) {
         // Calculate weighted averages
         const avgTemperature = temperatureCount > 0 ? temperatureSum / temperatureCount : null;
         const avgPh = phCount > 0 ? phSum / phCount : null;
+        const avgDissolvedOxygen = dissolvedOxygenCount > 0 ? dissolvedOxygenSum / dissolvedOxygenCount : null;
+        const avgAmmonia = ammoniaCount > 0 ? ammoniaSum / ammoniaCount : null;
         
         // Write to Firestore
         const reportRef = doc(db, `users/${uid}/dailyReports/${dateStr}`);
@@ -2288,7 +2528,10 @@ export async function computeDailyReport(uid, dateStr) {
             date: dateStr,
             avgTemperature: avgTemperature,
             avgPh: avgPh,
+            avgDissolvedOxygen: avgDissolvedOxygen,
+            avgAmmonia: avgAmmonia,
             coverageHours: coverageHours,
+            totalFeedKg: sumFeedKg(hoursSnapshot.docs.map(hourDoc => hourDoc.data())),
             source: "computed",
             isSeed: false,
             updatedAt: serverTimestamp()
@@ -2377,6 +2620,10 @@ export async function computeWeeklyReport(uid, isoWeekStr) {
         let temperatureCount = 0;
         let phSum = 0;
         let phCount = 0;
+        let dissolvedOxygenSum = 0;
+        let dissolvedOxygenCount = 0;
+        let ammoniaSum = 0;
+        let ammoniaCount = 0;
         
         weekDailyReports.forEach(report => {
             // Each daily report counts as 1 (weighted by coverageHours if needed, but simplified)
@@ -2395,19 +2642,40 @@ export async function computeWeeklyReport(uid, isoWeekStr) {
                     phCount += 1;
                 }
             }
+            
+            if (report.avgDissolvedOxygen !== null && report.avgDissolvedOxygen !== undefined) {
+                const doValue = parseFloat(report.avgDissolvedOxygen);
+                if (!isNaN(doValue)) {
+                    dissolvedOxygenSum += doValue;
+                    dissolvedOxygenCount += 1;
+                }
+            }
+            
+            if (report.avgAmmonia !== null && report.avgAmmonia !== undefined) {
+                const ammoniaValue = parseFloat(report.avgAmmonia);
+                if (!isNaN(ammoniaValue)) {
+                    ammoniaSum += ammoniaValue;
+                    ammoniaCount += 1;
+                }
+            }
         });
         
         // Calculate weighted averages
         const avgTemperature = temperatureCount > 0 ? temperatureSum / temperatureCount : null;
         const avgPh = phCount > 0 ? phSum / phCount : null;
+        const avgDissolvedOxygen = dissolvedOxygenCount > 0 ? dissolvedOxygenSum / dissolvedOxygenCount : null;
+        const avgAmmonia = ammoniaCount > 0 ? ammoniaSum / ammoniaCount : null;
         const coverageDays = weekDailyReports.length;
         
         // Write to Firestore
         const reportRef = doc(db, `users/${uid}/weeklyReports/${isoWeekStr}`);
         const weeklyReport = {
             week: isoWeekStr,
+            totalFeedKg: sumFeedKg(weekDailyReports),
             avgTemperature: avgTemperature,
             avgPh: avgPh,
+            avgDissolvedOxygen: avgDissolvedOxygen,
+            avgAmmonia: avgAmmonia,
             coverageDays: coverageDays,
             source: "computed",
             isSeed: false,
@@ -2474,6 +2742,10 @@ export async function computeMonthlyReport(uid, monthStr) {
         let temperatureCount = 0;
         let phSum = 0;
         let phCount = 0;
+        let dissolvedOxygenSum = 0;
+        let dissolvedOxygenCount = 0;
+        let ammoniaSum = 0;
+        let ammoniaCount = 0;
         
         monthDailyReports.forEach(report => {
             // Each daily report counts as 1
@@ -2492,19 +2764,40 @@ export async function computeMonthlyReport(uid, monthStr) {
                     phCount += 1;
                 }
             }
+            
+            if (report.avgDissolvedOxygen !== null && report.avgDissolvedOxygen !== undefined) {
+                const doValue = parseFloat(report.avgDissolvedOxygen);
+                if (!isNaN(doValue)) {
+                    dissolvedOxygenSum += doValue;
+                    dissolvedOxygenCount += 1;
+                }
+            }
+            
+            if (report.avgAmmonia !== null && report.avgAmmonia !== undefined) {
+                const ammoniaValue = parseFloat(report.avgAmmonia);
+                if (!isNaN(ammoniaValue)) {
+                    ammoniaSum += ammoniaValue;
+                    ammoniaCount += 1;
+                }
+            }
         });
         
         // Calculate weighted averages
         const avgTemperature = temperatureCount > 0 ? temperatureSum / temperatureCount : null;
         const avgPh = phCount > 0 ? phSum / phCount : null;
+        const avgDissolvedOxygen = dissolvedOxygenCount > 0 ? dissolvedOxygenSum / dissolvedOxygenCount : null;
+        const avgAmmonia = ammoniaCount > 0 ? ammoniaSum / ammoniaCount : null;
         const coverageDays = monthDailyReports.length;
         
         // Write to Firestore
         const reportRef = doc(db, `users/${uid}/monthlyReports/${monthStr}`);
         const monthlyReport = {
             month: monthStr,
+            totalFeedKg: sumFeedKg(monthDailyReports),
             avgTemperature: avgTemperature,
             avgPh: avgPh,
+            avgDissolvedOxygen: avgDissolvedOxygen,
+            avgAmmonia: avgAmmonia,
             coverageDays: coverageDays,
             source: "computed",
             isSeed: false,
@@ -2558,28 +2851,37 @@ export function ingestHourlyFromRTDBLive(uid, deviceId) {
             
             const sensorData = snapshot.val();
             
-            // Extract temperature and pH values
-            const temperature = sensorData.temperature !== undefined && sensorData.temperature !== null 
-                ? parseFloat(sensorData.temperature) 
-                : null;
-            const ph = sensorData.ph !== undefined && sensorData.ph !== null 
-                ? parseFloat(sensorData.ph) 
-                : null;
-            
-            // Skip if both values are missing
-            if (temperature === null && ph === null) {
+            // Extract every catalog sensor (temperature, pH, DO, ammonia) and apply the device's calibration
+            const rtdbReadings = {};
+            SensorCatalog.SENSORS.forEach(sensor => {
+                rtdbReadings[sensor.id] = SensorCatalog.readRTDBValue(sensor.id, sensorData);
+            });
+            await ensureCalibrationProfiles(uid, deviceId);
+            const calibrated = calibrateDeviceReadings(deviceId, rtdbReadings);
+            const raw = calibrated.raw;
+            
+            // Reject spikes before they reach the hourly sums (see READING VALIDATION)
+            const readingTs = normalizeReadingTimestamp(sensorData.timestamp);
+            await loadValidationConfig(uid);
+            const validated = validateDeviceReadings(deviceId, calibrated.readings, readingTs);
+            const readings = validated.readings;
+            if (validated.rejected.length > 0) {
+                const quarantined = validated.rejected.map(entry => ({ ...entry, rawValue: raw[entry.sensorId] }));
+                await quarantineReadings(uid, deviceId, quarantined, readingTs, 'rtdb-test');
+            }
+            
+            // Skip if all values are missing
+            if (SensorCatalog.SENSORS.every(sensor => readings[sensor.id] === null)) {
                 console.log('[INGEST-LIVE] Skipping: no valid sensor values');
                 return;
             }
             
-            // Determine current date and hour from RTDB timestamp or current time (using LOCAL time)
+            // Determine date and hour from RTDB timestamp or current time (in the user's timezone)
             let timestamp = sensorData.timestamp || Date.now() / 1000; // RTDB timestamp is in seconds
             const tsMs = timestamp * 1000; // Convert to milliseconds
-            const d = new Date(tsMs);
             
-            // Use local time methods (NOT UTC) to match UI date picker
-            const dateStr = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-            const hourStr = String(d.getHours()).padStart(2, '0');
+            // Same bucket as the cron jobs and the report date picker (see USER TIMEZONE)
+            const { date: dateStr, hour: hourStr } = getUserBucket(tsMs);
             
             const writePath = `users/${uid}/hourlyRecords/${dateStr}/hours/${hourStr}`;
             
@@ -2590,86 +2892,26 @@ export function ingestHourlyFromRTDBLive(uid, deviceId) {
             const hourRef = doc(db, writePath);
             const hourSnap = await getDoc(hourRef);
             
-            // Calculate aggregated values using sum/count
-            let temperatureSum, temperatureCount, temperatureAvg;
-            let phSum, phCount, phAvg;
-            
-            if (hourSnap.exists()) {
-                // Update existing document - add to existing sums/counts
-                const existing = hourSnap.data();
-                
-                // Temperature aggregation
-                const currentTempSum = existing.temperatureSum || 0;
-                const currentTempCount = existing.temperatureCount || 0;
-                
-                if (temperature !== null) {
-                    temperatureSum = currentTempSum + temperature;
-                    temperatureCount = currentTempCount + 1;
-                    temperatureAvg = temperatureSum / temperatureCount;
-                } else {
-                    // Keep existing values if no new temperature reading
-                    temperatureSum = currentTempSum;
-                    temperatureCount = currentTempCount;
-                    temperatureAvg = currentTempCount > 0 ? currentTempSum / currentTempCount : null;
-                }
-                
-                // pH aggregation
-                const currentPhSum = existing.phSum || 0;
-                const currentPhCount = existing.phCount || 0;
-                
-                if (ph !== null) {
-                    phSum = currentPhSum + ph;
-                    phCount = currentPhCount + 1;
-                    phAvg = phSum / phCount;
-                } else {
-                    // Keep existing values if no new pH reading
-                    phSum = currentPhSum;
-                    phCount = currentPhCount;
-                    phAvg = currentPhCount > 0 ? currentPhSum / currentPhCount : null;
-                }
-            } else {
-                // Create new document - initialize sums/counts
-                if (temperature !== null) {
-                    temperatureSum = temperature;
-                    temperatureCount = 1;
-                    temperatureAvg = temperature;
-                } else {
-                    temperatureSum = 0;
-                    temperatureCount = 0;
-                    temperatureAvg = null;
-                }
-                
-                if (ph !== null) {
-                    phSum = ph;
-                    phCount = 1;
-                    phAvg = ph;
-                } else {
-                    phSum = 0;
-                    phCount = 0;
-                    phAvg = null;
-                }
-            }
+            // Fold the readings into running sum/count/min/max/variance (Welford), raw sum alongside
+            const existing = hourSnap.exists() ? hourSnap.data() : {};
+            const hourlyRecord = {
+                hour: hourStr
+            };
+            SensorCatalog.SENSORS.forEach(sensor => {
+                Object.assign(hourlyRecord, SensorCatalog.hourlyStatsUpdate(sensor.id, existing, readings[sensor.id], raw[sensor.id]));
+            });
             
             // Write to Firestore using merge (updates existing or creates new)
-            const hourlyRecord = {
-                hour: hourStr,
-                temperatureSum: temperatureSum,
-                temperatureCount: temperatureCount,
-                temperatureAvg: temperatureAvg,
-                phSum: phSum,
-                phCount: phCount,
-                phAvg: phAvg,
+            Object.assign(hourlyRecord, {
                 source: "rtdb-test",
+                timezone: userTimezone,
                 isSeed: false,
                 updatedAt: serverTimestamp()
-            };
+            });
             
             await setDoc(hourRef, hourlyRecord, { merge: true });
             
-            console.log(`[INGEST-LIVE] ✅ Wrote hourly record: ${dateStr}/hours/${hourStr}`, {
-                temperature: temperature !== null ? `${temperature}°C (sum: ${temperatureSum}, count: ${temperatureCount}, avg: ${temperatureAvg?.toFixed(2)})` : 'null',
-                ph: ph !== null ? `${ph} (sum: ${phSum}, count: ${phCount}, avg: ${phAvg?.toFixed(2)})` : 'null'
-            });
+            console.log(`[INGEST-LIVE] ✅ Wrote hourly record: ${dateStr}/hours/${hourStr}`, formatIngestLog(readings, hourlyRecord));
             
         } catch (error) {
             console.error('[INGEST-LIVE] ❌ Error ingesting hourly data from RTDB:', error);
@@ -2745,14 +2987,23 @@ function setupFeederStateListener(uid) {
                     }
                     
                     // State has changed - update runtime state
+                    // users/{uid}/sensors/feeder holds the primary device's feeder state
+                    const deviceId = getPrimaryDeviceId();
+                    const isSelected = deviceId === getSelectedDeviceId();
                     lastFeederState = feederState;
-                    window.RUNTIME_STATE.feederState = feederState;
-                    window.RUNTIME_STATE.lastUpdateAt = Date.now();
+                    window.RUNTIME_STATE.devices[deviceId] = {
+                        ...(window.RUNTIME_STATE.devices[deviceId] || {}),
+                        feederState: feederState,
+                        lastUpdateAt: Date.now()
+                    };
+                    if (isSelected) {
+                        window.RUNTIME_STATE.feederState = feederState;
+                        window.RUNTIME_STATE.lastUpdateAt = Date.now();
+                    }
                     
                     // CRITICAL: Sync Firestore value to RTDB (Firestore is source of truth)
                     // This ensures RTDB always matches Firestore, regardless of source
                     if (feederState !== null) {
-                        const deviceId = window.RUNTIME_CONTEXT?.deviceId || DEVICE_ID;
                         const feederStateRef = ref(rtdb, `devices/${deviceId}/status/feeder/state`);
                         
                         try {
@@ -2766,11 +3017,15 @@ function setupFeederStateListener(uid) {
                     }
                     
                     // Emit event for UI bindings
+                    const deviceState = window.RUNTIME_STATE.devices[deviceId];
                     window.RuntimeEvents.emit('sensor:update', {
-                        temperature: window.RUNTIME_STATE.temperature,
-                        ph: window.RUNTIME_STATE.ph,
+                        deviceId,
+                        temperature: deviceState.temperature ?? null,
+                        ph: deviceState.ph ?? null,
+                        dissolvedOxygen: deviceState.dissolvedOxygen ?? null,
+                        ammonia: deviceState.ammonia ?? null,
                         feederState: feederState,
-                        timestamp: window.RUNTIME_STATE.lastUpdateAt
+                        timestamp: deviceState.lastUpdateAt
                     });
                     
                     console.log('[FEEDER LISTENER] Feeder state changed from Firestore:', feederState);
@@ -2779,7 +3034,13 @@ function setupFeederStateListener(uid) {
                     if (lastFeederState !== null) {
                         // Only update if we had a previous state
                         lastFeederState = null;
-                        window.RUNTIME_STATE.feederState = null;
+                        const deviceId = getPrimaryDeviceId();
+                        if (window.RUNTIME_STATE.devices[deviceId]) {
+                            window.RUNTIME_STATE.devices[deviceId].feederState = null;
+                        }
+                        if (deviceId === getSelectedDeviceId()) {
+                            window.RUNTIME_STATE.feederState = null;
+                        }
                         console.log('[FEEDER LISTENER] Feeder document removed');
                     }
                 }
@@ -2832,6 +3093,33 @@ async function loadFeederStateFromFirestore(uid) {
     }
 }
 
+// Read the current feeder state for a device
+// Primary device: Firestore users/{uid}/sensors/feeder (source of truth)
+// Other devices (or no uid): runtime state from the per-device RTDB listener, then RTDB directly
+// Returns "online", "offline" or null - never throws
+async function readDeviceFeederState(uid, deviceId) {
+    try {
+        if (deviceId === getPrimaryDeviceId() && uid) {
+            const snapshot = await getDoc(doc(db, `users/${uid}/sensors/feeder`));
+            if (snapshot.exists() && snapshot.data().value) {
+                return String(snapshot.data().value).toLowerCase();
+            }
+            return null;
+        }
+        
+        const cachedState = window.RUNTIME_STATE?.devices?.[deviceId]?.feederState;
+        if (cachedState) {
+            return cachedState;
+        }
+        
+        const stateSnap = await get(ref(rtdb, `devices/${deviceId}/status/feeder/state`));
+        return stateSnap.exists() ? String(stateSnap.val()).toLowerCase() : null;
+    } catch (error) {
+        console.warn('[FEEDER STATE] Error reading feeder state for device:', deviceId, error);
+        return window.RUNTIME_STATE?.devices?.[deviceId]?.feederState || null;
+    }
+}
+
 // ============================================================
 // PRIMARY MOTOR CONTROL WRITE (FIRESTORE FIRST, THEN RTDB)
 // ============================================================
@@ -2840,13 +3128,13 @@ async function loadFeederStateFromFirestore(uid) {
 // This ensures Firestore is the source of truth before RTDB is updated
 // 
 // Usage: All motor control should call this function:
-//   - startFeedingSchedule() → writeFeederStateToRTDB()
-//   - stopFeedingSchedule() → writeFeederStateToRTDB()
 //   - toggleMotor() → writeFeederStateToRTDB()
-//   - keepMotorRunning() → writeFeederStateToRTDB()
+//   - runFeederTest() → writeFeederStateToRTDB()
 //   - setFeederCommand() → writeMotorCommandToRTDB() (for commands)
+// Scheduled feedings take the same path server-side (api/cron/execute-feeding.js)
 //
-// Firestore Path: users/{uid}/sensors/feeder
+// Firestore Path: users/{uid}/sensors/feeder (primary device, field: value)
+//                 users/{uid}/devices/{deviceId} (other devices, field: feederState)
 // RTDB Path: devices/{deviceId}/status/feeder/state
 export async function writeFeederStateToRTDB(deviceId, uid, state) {
     // state should be "online" or "offline"
@@ -2857,16 +3145,19 @@ export async function writeFeederStateToRTDB(deviceId, uid, state) {
     
     try {
         let stateChanged = true; // Default to true if we can't check
+        const isPrimary = deviceId === getPrimaryDeviceId();
+        const feederDocPath = isPrimary ? `users/${uid}/sensors/feeder` : `users/${uid}/devices/${deviceId}`;
+        const stateField = isPrimary ? 'value' : 'feederState';
         
         // Check if state has changed before writing to Firestore
         if (uid) {
             try {
-                const feederRef = doc(db, `users/${uid}/sensors/feeder`);
+                const feederRef = doc(db, feederDocPath);
                 const snapshot = await getDoc(feederRef);
                 
                 if (snapshot.exists()) {
                     const currentData = snapshot.data();
-                    const currentState = currentData.value || null;
+                    const currentState = currentData[stateField] || null;
                     
                     // Check if state has changed
                     stateChanged = (currentState !== state);
@@ -2883,14 +3174,25 @@ export async function writeFeederStateToRTDB(deviceId, uid, state) {
         }
         
         // STEP 1: Write to Firestore first (source of truth) - only if state changed
-        if (uid && stateChanged) {
-            const feederRef = doc(db, `users/${uid}/sensors/feeder`);
+        if (uid && stateChanged && isPrimary) {
+            const feederRef = doc(db, feederDocPath);
             await setDoc(feederRef, {
                 type: "device",
                 value: state, // "online" or "offline" as string
                 updatedAt: serverTimestamp()
             }, { merge: true });
             console.log(`[RTDB WRITE] Firestore updated first: ${state}`);
+        } else if (uid && stateChanged) {
+            // Secondary device: per-user device metadata (requires auth - non-fatal)
+            try {
+                await setDoc(doc(db, feederDocPath), {
+                    feederState: state,
+                    feederUpdatedAt: serverTimestamp()
+                }, { merge: true });
+                console.log(`[RTDB WRITE] Firestore updated first: ${state} (${feederDocPath})`);
+            } catch (deviceDocError) {
+                console.warn('[RTDB WRITE] Could not update device feeder state in Firestore (RTDB write will proceed):', deviceDocError.message);
+            }
         } else if (uid && !stateChanged) {
             console.log(`[RTDB WRITE] Firestore state unchanged, skipping Firestore write to avoid timestamp update`);
         } else {
@@ -2917,11 +3219,12 @@ export async function writeFeederStateToRTDB(deviceId, uid, state) {
 // ============================================================
 // RTDB TO FIRESTORE SENSORS SYNC
 // ============================================================
-// Syncs RTDB sensor readings (temperature, pH) to Firestore sensors subcollection
+// Syncs RTDB sensor readings (temperature, pH, dissolved oxygen, ammonia) to Firestore sensors subcollection
 // Updates in real-time as RTDB values change
 // NOTE: Feeder state is NOT synced here - it's managed through writeFeederStateToRTDB() only
 // Firestore Path: users/{uid}/sensors/{sensorType}
-async function syncRTDBToFirestoreSensors(uid, temperature, ph, feederState) {
+// rawReadings: uncalibrated values keyed by sensor id (written as rawValue)
+async function syncRTDBToFirestoreSensors(uid, temperature, ph, feederState, dissolvedOxygen = null, ammonia = null, rawReadings = {}) {
     if (!uid) {
         return; // No UID available, skip sync
     }
@@ -2936,6 +3239,7 @@ async function syncRTDBToFirestoreSensors(uid, temperature, ph, feederState) {
                 name: 'temperature',
                 promise: setDoc(tempRef, {
                     value: temperature,
+                    rawValue: rawReadings.temperature ?? temperature,
                     timestamp: serverTimestamp(),
                     updatedAt: serverTimestamp()
                 }, { merge: true })
@@ -2949,6 +3253,37 @@ async function syncRTDBToFirestoreSensors(uid, temperature, ph, feederState) {
                 name: 'ph',
                 promise: setDoc(phRef, {
                     value: ph,
+                    rawValue: rawReadings.ph ?? ph,
+                    timestamp: serverTimestamp(),
+                    updatedAt: serverTimestamp()
+                }, { merge: true })
+            });
+        }
+        
+        // Update dissolved oxygen sensor document (mg/L)
+        if (dissolvedOxygen !== null && typeof dissolvedOxygen === 'number') {
+            const doRef = doc(db, `users/${uid}/sensors/dissolvedOxygen`);
+            updates.push({
+                name: 'dissolvedOxygen',
+                promise: setDoc(doRef, {
+                    value: dissolvedOxygen,
+                    rawValue: rawReadings.dissolvedOxygen ?? dissolvedOxygen,
+                    unit: 'mg/L',
+                    timestamp: serverTimestamp(),
+                    updatedAt: serverTimestamp()
+                }, { merge: true })
+            });
+        }
+        
+        // Update total ammonia sensor document (mg/L)
+        if (ammonia !== null && typeof ammonia === 'number') {
+            const ammoniaRef = doc(db, `users/${uid}/sensors/ammonia`);
+            updates.push({
+                name: 'ammonia',
+                promise: setDoc(ammoniaRef, {
+                    value: ammonia,
+                    rawValue: rawReadings.ammonia ?? ammonia,
+                    unit: 'mg/L',
                     timestamp: serverTimestamp(),
                     updatedAt: serverTimestamp()
                 }, { merge: true })
@@ -2983,162 +3318,366 @@ async function syncRTDBToFirestoreSensors(uid, temperature, ph, feederState) {
 }
 
 // ============================================================
-// RTDB SENSOR LISTENER CORE (DOM-FREE, AUTH-INDEPENDENT)
+// RAW SENSOR READINGS (FULL-RESOLUTION TIME SERIES)
 // ============================================================
-// Core RTDB listener that updates runtime state and emits events
-// NO DOM access, NO UI dependencies, works on any page
-export function setupSensorRealtimeUpdatesCore() {
+// Every RTDB reading is appended to users/{uid}/rawReadings/{YYYY-MM-DD}/points/{deviceId}_{tsMs}
+// The doc id is deterministic, so repeated listener fires for the same reading (feeder state
+// changes, a second open tab) overwrite instead of duplicating.
+// api/cron/downsample-raw.js folds older days into 5-minute and then hourly points.
+
+// Last RTDB timestamp appended per device (skips listener fires that carry no new reading)
+const lastRawReadingTs = {};
+
+// RTDB timestamps may be in seconds or milliseconds (missing → now)
+function normalizeReadingTimestamp(timestamp) {
+    let tsMs = timestamp ? Number(timestamp) : Date.now();
+    if (!Number.isFinite(tsMs)) tsMs = Date.now();
+    return tsMs < 1e12 ? tsMs * 1000 : tsMs;
+}
+
+// Append one reading to the raw time series
+// readings: { temperature, ph, dissolvedOxygen, ammonia } (calibrated, null = not reported or rejected)
+// rawReadings: the same readings before calibration (stored as {sensor}Raw)
+async function appendRawReading(uid, deviceId, readings, timestamp, rawReadings = readings) {
+    if (!uid || !deviceId) return;
+    if (SensorCatalog.SENSORS.every(sensor => readings[sensor.id] === null || readings[sensor.id] === undefined)) {
+        return;
+    }
+    
+    const tsMs = normalizeReadingTimestamp(timestamp);
+    
+    if (lastRawReadingTs[deviceId] === tsMs) return;
+    lastRawReadingTs[deviceId] = tsMs;
+    
+    const dateStr = getUserBucket(tsMs).date;
+    const point = {
+        ts: tsMs,
+        deviceId: deviceId,
+        resolution: 'raw',
+        source: 'rtdb',
+        recordedAt: serverTimestamp()
+    };
+    SensorCatalog.SENSORS.forEach(sensor => {
+        point[sensor.id] = SensorCatalog.toNumber(readings[sensor.id]);
+        point[`${sensor.id}Raw`] = SensorCatalog.toNumber(rawReadings[sensor.id]);
+    });
+    
     try {
-        // Device ID for RTDB path (uses DEVICE_ID constant)
-        const rtdbPath = `devices/${DEVICE_ID}/status/feeder`;
-        
-        console.log('[CORE] RTDB listener starting:', rtdbPath);
-        
-        // Guard against duplicate listeners
-        if (window.sensorUnsubscribes && window.sensorUnsubscribes.rtdb) {
-            console.log('[CORE] RTDB listener already active, skipping');
-            return;
-        }
-        
-        // Set up RTDB listener for live sensor readings (temperature, pH, motor state)
-        // No auth check - listener works unconditionally
-        // This listener automatically syncs RTDB readings to Firestore sensors subcollection in real-time
-        const statusRef = ref(rtdb, rtdbPath);
-        console.log('[CORE] RTDB listener initialized - sensor sync to Firestore will run automatically in background');
-        onValue(statusRef, (snapshot) => {
-            try {
-                if (snapshot.exists()) {
-                    const data = snapshot.val();
-                    
-                    let temperature = null;
-                    let ph = null;
-                    let feederState = null;
-                    
-                    // Parse temperature from RTDB
-                    if (data.temperature !== undefined && data.temperature !== null) {
-                        temperature = parseFloat(data.temperature);
-                    }
-                    
-                    // Parse pH from RTDB
-                    if (data.ph !== undefined && data.ph !== null) {
-                        ph = parseFloat(data.ph);
-                    }
-                    
-                    // Feeder state is now read from Firestore, not RTDB
-                    // Keep existing feederState from runtime state (updated by Firestore listener)
-                    feederState = window.RUNTIME_STATE.feederState || null;
-                    
-                    // Update runtime state (DOM-free) - only temperature and pH from RTDB
+        await setDoc(doc(db, `users/${uid}/rawReadings/${dateStr}/points/${deviceId}_${tsMs}`), point);
+    } catch (error) {
+        console.error('[RAW] Error appending raw reading:', error);
+        // Fail silently - raw history must never break the live listener
+    }
+}
+
+// Fetch raw points for a day (optionally a single hour, "HH"), sorted by time
+// Returns whatever resolution survived retention: raw, 5min or hourly points
+export async function fetchRawReadings(uid, dateStr, hour = null) {
+    if (!uid || !dateStr) return [];
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return [];
+    
+    // Day and hour boundaries in the user's timezone (same keys the points were stored under)
+    let start;
+    let end;
+    if (hour !== null && hour !== undefined) {
+        start = new Date(Timezone.zonedTimeToUtc(dateStr, parseInt(hour, 10), userTimezone));
+        end = new Date(Timezone.zonedTimeToUtc(dateStr, parseInt(hour, 10) + 1, userTimezone));
+    } else {
+        const range = getUserDayRange(dateStr);
+        start = range.start;
+        end = new Date(range.end.getTime() + 1);
+    }
+    
+    const pointsRef = collection(db, `users/${uid}/rawReadings/${dateStr}/points`);
+    const snapshot = await getDocs(query(
+        pointsRef,
+        where('ts', '>=', start.getTime()),
+        where('ts', '<', end.getTime()),
+        orderBy('ts', 'asc')
+    ));
+    
+    const points = [];
+    snapshot.forEach(pointDoc => points.push(pointDoc.data()));
+    return points;
+}
+
+// ============================================================
+// RTDB SENSOR LISTENER CORE (DOM-FREE, AUTH-INDEPENDENT)
+// ============================================================
+// Core RTDB listeners that update runtime state and emit events
+// One listener per owned device (see DEVICE REGISTRY)
+// NO DOM access, NO UI dependencies, works on any page
+// Safe to call again after the device list changes - only new devices are attached
+export function setupSensorRealtimeUpdatesCore() {
+    try {
+        window.sensorUnsubscribes = window.sensorUnsubscribes || {};
+        window.sensorUnsubscribes.devices = window.sensorUnsubscribes.devices || {};
+        
+        // One RTDB listener per owned device (idempotent - existing listeners are kept)
+        const deviceIds = getRuntimeDeviceIds();
+        deviceIds.forEach(deviceId => watchWorkerLease(deviceId));
+        deviceIds.forEach(deviceId => attachDeviceSensorListener(deviceId));
+        
+        // Calibration profiles per device (readings pass through uncalibrated until loaded)
+        // and the user's validation overrides (catalog defaults until loaded)
+        const calibrationUid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+        if (calibrationUid) {
+            deviceIds.forEach(deviceId => watchCalibrationProfiles(calibrationUid, deviceId));
+            loadValidationConfig(calibrationUid);
+            loadHeartbeatConfig(calibrationUid);
+            loadUserTimezone(calibrationUid);
+            watchAlertRules(calibrationUid);
+        }
+        
+        // Last-seen tracking (see DEVICE HEARTBEAT)
+        startHeartbeatMonitor();
+        
+        // Alert rules run on every reading (see WATER QUALITY ALERTS)
+        startAlertEvaluation();
+        
+        // Aggregate cleanup handle (keeps cleanupSensorListeners() compatible)
+        window.sensorUnsubscribes.rtdb = {
+            refs: Object.values(window.sensorUnsubscribes.devices).map(listener => listener.ref),
+            cleanup: () => {
+                Object.values(window.sensorUnsubscribes?.devices || {}).forEach(listener => listener.cleanup());
+                stopHeartbeatMonitor();
+                stopAlertEvaluation();
+                stopWorkerLeaseWatch();
+                if (window.sensorUnsubscribes) {
+                    window.sensorUnsubscribes.devices = {};
+                }
+            }
+        };
+        
+        console.log('[CORE] RTDB listeners active for devices:', Object.keys(window.sensorUnsubscribes.devices));
+        
+    } catch (error) {
+        console.error('[CORE] Error setting up RTDB listener:', error);
+    }
+}
+
+// Attach the RTDB listener for a single device
+// RTDB Path: devices/{deviceId}/status/feeder
+function attachDeviceSensorListener(deviceId) {
+    // Guard against duplicate listeners
+    if (window.sensorUnsubscribes.devices[deviceId]) {
+        console.log('[CORE] RTDB listener already active, skipping:', deviceId);
+        return;
+    }
+    
+    const rtdbPath = `devices/${deviceId}/status/feeder`;
+    console.log('[CORE] RTDB listener starting:', rtdbPath);
+    
+    // Set up RTDB listener for live sensor readings (temperature, pH, motor state)
+    // No auth check - listener works unconditionally
+    // Only the primary device syncs to the Firestore sensors subcollection and hourly records
+    const statusRef = ref(rtdb, rtdbPath);
+    onValue(statusRef, (snapshot) => {
+        try {
+            const deviceState = window.RUNTIME_STATE.devices[deviceId] || {};
+            const isPrimary = deviceId === getPrimaryDeviceId();
+            const isSelected = deviceId === getSelectedDeviceId();
+            
+            if (snapshot.exists()) {
+                const data = snapshot.val();
+                
+                let feederState = null;
+                
+                // Every snapshot is a sign of life (see DEVICE HEARTBEAT)
+                recordHeartbeat(deviceId, data.timestamp);
+                
+                // Parse temperature, pH, dissolved oxygen and ammonia from RTDB, then apply the
+                // device's calibration profiles (see SENSOR CALIBRATION) - raw values are kept alongside
+                const rtdbReadings = {};
+                SensorCatalog.SENSORS.forEach(sensor => {
+                    rtdbReadings[sensor.id] = SensorCatalog.readRTDBValue(sensor.id, data);
+                });
+                const calibrated = calibrateDeviceReadings(deviceId, rtdbReadings);
+                
+                // Reject spikes before anything is synced or stored (see READING VALIDATION)
+                // validated.readings has null for rejected sensors; the runtime keeps showing the last accepted value
+                const readingTs = normalizeReadingTimestamp(data.timestamp);
+                const validated = validateDeviceReadings(deviceId, calibrated.readings, readingTs);
+                const rejectedIds = validated.rejected.map(entry => entry.sensorId);
+                const current = {};
+                SensorCatalog.SENSORS.forEach(sensor => {
+                    current[sensor.id] = rejectedIds.includes(sensor.id)
+                        ? (deviceState[sensor.id] ?? null)
+                        : validated.readings[sensor.id];
+                });
+                const { temperature, ph, dissolvedOxygen, ammonia } = current;
+                
+                // Primary feeder state is read from Firestore (updated by Firestore listener)
+                // Secondary devices report their feeder state through RTDB
+                if (isPrimary) {
+                    feederState = deviceState.feederState || null;
+                } else {
+                    feederState = data.state || null;
+                }
+                
+                // Update per-device runtime state (DOM-free)
+                window.RUNTIME_STATE.devices[deviceId] = {
+                    temperature,
+                    ph,
+                    dissolvedOxygen,
+                    ammonia,
+                    raw: calibrated.raw,
+                    feederState,
+                    lastUpdateAt: Date.now()
+                };
+                
+                // Mirror the selected device into the top-level runtime state
+                if (isSelected) {
                     window.RUNTIME_STATE.temperature = temperature;
                     window.RUNTIME_STATE.ph = ph;
-                    // feederState is updated by Firestore listener, don't overwrite here
+                    window.RUNTIME_STATE.dissolvedOxygen = dissolvedOxygen;
+                    window.RUNTIME_STATE.ammonia = ammonia;
+                    window.RUNTIME_STATE.feederState = feederState;
                     window.RUNTIME_STATE.lastUpdateAt = Date.now();
-                    
-                    // Update local state for hourly writer (backward compatibility)
+                }
+                
+                // Update local state for hourly writer (primary device only)
+                if (isPrimary) {
                     latestTemperature = typeof temperature === 'number' ? temperature : null;
                     latestPH = typeof ph === 'number' ? ph : null;
+                    latestDissolvedOxygen = dissolvedOxygen;
+                    latestAmmonia = ammonia;
+                    latestRawReadings = calibrated.raw;
                     latestTimestamp = data.timestamp || Date.now();
-                    
-                    // Emit event for UI bindings (if any)
-                    window.RuntimeEvents.emit('sensor:update', {
-                        temperature,
-                        ph,
-                        feederState,
-                        timestamp: window.RUNTIME_STATE.lastUpdateAt
+                }
+                
+                // Emit event for UI bindings (if any)
+                window.RuntimeEvents.emit('sensor:update', {
+                    deviceId,
+                    temperature,
+                    ph,
+                    dissolvedOxygen,
+                    ammonia,
+                    feederState,
+                    timestamp: window.RUNTIME_STATE.devices[deviceId].lastUpdateAt
+                });
+                
+                console.log('[CORE] sensor:update emitted device=' + deviceId + ' temp=' + temperature + ' ph=' + ph + ' do=' + dissolvedOxygen + ' nh3=' + ammonia + ' state=' + feederState);
+                
+                // A server worker ingests this device (see SERVER INGESTION WORKER LEASES)
+                if (isDeviceIngestedByWorker(deviceId)) {
+                    return;
+                }
+                
+                // Append to the raw time series (every device, once the owner UID is known)
+                const rawUid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+                if (rawUid) {
+                    appendRawReading(rawUid, deviceId, validated.readings, data.timestamp, calibrated.raw).catch(err => {
+                        console.error('[CORE] Raw reading append error:', err);
                     });
                     
-                    console.log('[CORE] sensor:update emitted temp=' + temperature + ' ph=' + ph + ' state=' + feederState);
-                    
-                    // Sync RTDB readings to Firestore sensors subcollection in real-time (background, no UI)
-                    // This runs continuously whenever RTDB updates, even without authentication
-                    let uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
-                    
-                    // If UID not available, try to resolve runtime context (device ownership mapping)
-                    if (!uid && window.RUNTIME_CONTEXT) {
-                        // Runtime context exists but no UID - might be resolving, retry on next update
-                        console.log('[CORE] Sensor sync: UID not available yet, will retry on next RTDB update');
-                    } else if (!uid) {
-                        // No runtime context at all - try to resolve it (non-blocking)
-                        resolveRuntimeContext().then(context => {
-                            if (context && context.runtimeUid) {
-                                window.RUNTIME_CONTEXT = context;
-                                uid = context.runtimeUid;
-                                // Retry sync with newly resolved UID
-                                syncRTDBToFirestoreSensors(uid, temperature, ph, feederState).catch(err => {
-                                    console.error('[CORE] Sensor sync error (retry):', err);
-                                });
-                            }
-                        }).catch(err => {
-                            // Non-critical - will retry on next RTDB update
-                            console.log('[CORE] Runtime context resolution failed (non-critical):', err.message);
-                        });
-                    }
-                    
-                    // Sync sensors to Firestore if UID is available
-                    if (uid) {
-                        // Fire and forget - sync sensors to Firestore (updates temperature, pH, and motor status)
-                        // This runs in background without any UI dependencies
-                        syncRTDBToFirestoreSensors(uid, temperature, ph, feederState).catch(err => {
-                            console.error('[CORE] Sensor sync error:', err);
+                    if (validated.rejected.length > 0) {
+                        const quarantined = validated.rejected.map(entry => ({ ...entry, rawValue: calibrated.raw[entry.sensorId] }));
+                        quarantineReadings(rawUid, deviceId, quarantined, readingTs, 'rtdb', isPrimary).catch(err => {
+                            console.error('[CORE] Quarantine write error:', err);
                         });
                     }
-                    
-                    // Trigger hourly writer when new sensor data arrives (respects cooldown)
-                    if (HOURLY_TEST_MODE) {
-                        if (uid && (temperature !== null || ph !== null)) {
-                            // Fire and forget - writeHourlyFromRTDB has built-in cooldown/throttle
-                            writeHourlyFromRTDB(uid).catch(err => {
-                                console.error('[CORE] Hourly write error:', err);
+                }
+                
+                if (!isPrimary) {
+                    return;
+                }
+                
+                // Sync RTDB readings to Firestore sensors subcollection in real-time (background, no UI)
+                // This runs continuously whenever RTDB updates, even without authentication
+                let uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+                
+                // If UID not available, try to resolve runtime context (device ownership mapping)
+                if (!uid && window.RUNTIME_CONTEXT) {
+                    // Runtime context exists but no UID - might be resolving, retry on next update
+                    console.log('[CORE] Sensor sync: UID not available yet, will retry on next RTDB update');
+                } else if (!uid) {
+                    // No runtime context at all - try to resolve it (non-blocking)
+                    resolveRuntimeContext().then(context => {
+                        if (context && context.runtimeUid) {
+                            window.RUNTIME_CONTEXT = context;
+                            uid = context.runtimeUid;
+                            // Retry sync with newly resolved UID
+                            syncRTDBToFirestoreSensors(uid, validated.readings.temperature, validated.readings.ph, feederState, validated.readings.dissolvedOxygen, validated.readings.ammonia, calibrated.raw).catch(err => {
+                                console.error('[CORE] Sensor sync error (retry):', err);
                             });
-                        } else if (!uid) {
-                            // Optional logging if no UID (non-blocking)
-                            // console.log('[CORE] Hourly write skipped (no runtime UID)');
                         }
-                    } else {
-                        // Legacy behavior (disabled in test mode)
-                        if (uid && (temperature !== null || ph !== null)) {
-                            const tempChanged = hasSignificantChange(lastRecordedValues.temperature, temperature, CHANGE_THRESHOLDS.temperature);
-                            const phChanged = hasSignificantChange(lastRecordedValues.ph, ph, CHANGE_THRESHOLDS.ph);
-                            if (tempChanged || phChanged) {
-                                const now = Date.now();
-                                if (now - lastFirestoreWrite > FIRESTORE_WRITE_THROTTLE_MS) {
-                                    lastFirestoreWrite = now;
-                                    if (temperature !== null) lastRecordedValues.temperature = temperature;
-                                    if (ph !== null) lastRecordedValues.ph = ph;
-                                    recordSensorDataToFirestore(uid, temperature, ph).catch(err => {
-                                        console.error('[CORE] Firestore write error:', err);
-                                    });
-                                }
+                    }).catch(err => {
+                        // Non-critical - will retry on next RTDB update
+                        console.log('[CORE] Runtime context resolution failed (non-critical):', err.message);
+                    });
+                }
+                
+                // Sync sensors to Firestore if UID is available
+                if (uid) {
+                    // Fire and forget - sync sensors to Firestore (updates temperature, pH, and motor status)
+                    // This runs in background without any UI dependencies
+                    syncRTDBToFirestoreSensors(uid, validated.readings.temperature, validated.readings.ph, feederState, validated.readings.dissolvedOxygen, validated.readings.ammonia, calibrated.raw).catch(err => {
+                        console.error('[CORE] Sensor sync error:', err);
+                    });
+                }
+                
+                // Trigger hourly writer when new sensor data arrives (respects cooldown)
+                if (HOURLY_TEST_MODE) {
+                    if (uid && (temperature !== null || ph !== null || dissolvedOxygen !== null || ammonia !== null)) {
+                        // Fire and forget - writeHourlyFromRTDB has built-in cooldown/throttle
+                        writeHourlyFromRTDB(uid).catch(err => {
+                            console.error('[CORE] Hourly write error:', err);
+                        });
+                    }
+                } else {
+                    // Legacy behavior (disabled in test mode)
+                    if (uid && (temperature !== null || ph !== null)) {
+                        const tempChanged = hasSignificantChange(lastRecordedValues.temperature, temperature, CHANGE_THRESHOLDS.temperature);
+                        const phChanged = hasSignificantChange(lastRecordedValues.ph, ph, CHANGE_THRESHOLDS.ph);
+                        if (tempChanged || phChanged) {
+                            const now = Date.now();
+                            if (now - lastFirestoreWrite > FIRESTORE_WRITE_THROTTLE_MS) {
+                                lastFirestoreWrite = now;
+                                if (temperature !== null) lastRecordedValues.temperature = temperature;
+                                if (ph !== null) lastRecordedValues.ph = ph;
+                                recordSensorDataToFirestore(uid, temperature, ph).catch(err => {
+                                    console.error('[CORE] Firestore write error:', err);
+                                });
                             }
                         }
                     }
-                } else {
-                    // No data available
+                }
+            } else {
+                // No data available
+                window.RUNTIME_STATE.devices[deviceId] = {
+                    temperature: null,
+                    ph: null,
+                    dissolvedOxygen: null,
+                    ammonia: null,
+                    // Primary feederState is managed by Firestore listener, don't reset here
+                    feederState: isPrimary ? (deviceState.feederState || null) : null,
+                    lastUpdateAt: Date.now()
+                };
+                if (isSelected) {
                     window.RUNTIME_STATE.temperature = null;
                     window.RUNTIME_STATE.ph = null;
-                    // feederState is managed by Firestore listener, don't reset here
+                    window.RUNTIME_STATE.dissolvedOxygen = null;
+                    window.RUNTIME_STATE.ammonia = null;
                     window.RUNTIME_STATE.lastUpdateAt = Date.now();
-                    console.warn('[CORE] RTDB sensor data not available at:', rtdbPath);
                 }
-            } catch (error) {
-                console.error('[CORE] Error processing RTDB sensor update:', error);
+                console.warn('[CORE] RTDB sensor data not available at:', rtdbPath);
             }
-        }, (error) => {
-            console.error('[CORE] Error in RTDB sensor listener:', error);
-        });
-        
-        // Store reference and cleanup function for RTDB listener
-        window.sensorUnsubscribes = window.sensorUnsubscribes || {};
-        window.sensorUnsubscribes.rtdb = {
-            ref: statusRef,
-            cleanup: () => off(statusRef)
-        };
-        
-        console.log('[CORE] RTDB listener started');
-        
-    } catch (error) {
-        console.error('[CORE] Error setting up RTDB listener:', error);
-    }
+        } catch (error) {
+            console.error('[CORE] Error processing RTDB sensor update:', error);
+        }
+    }, (error) => {
+        console.error('[CORE] Error in RTDB sensor listener:', rtdbPath, error);
+    });
+    
+    // Store reference and cleanup function for this device's listener
+    window.sensorUnsubscribes.devices[deviceId] = {
+        ref: statusRef,
+        cleanup: () => off(statusRef)
+    };
+    
+    console.log('[CORE] RTDB listener started:', rtdbPath);
 }
 
 // ============================================================
@@ -3161,6 +3700,11 @@ export function attachSensorUIBindings() {
         // Subscribe to sensor updates
         window.RuntimeEvents.on('sensor:update', (state) => {
             try {
+                // Only render updates for the selected device
+                if (state.deviceId && state.deviceId !== getSelectedDeviceId()) {
+                    return;
+                }
+                
                 // Update sensor displays
                 if (state.temperature !== null) {
                     updateSensorDisplay('temperature', state.temperature, '°C');
@@ -3174,6 +3718,9 @@ export function attachSensorUIBindings() {
                     updateSensorDisplay('ph', '--', '');
                 }
                 
+                updateSensorDisplay('dissolvedOxygen', state.dissolvedOxygen ?? '--', ' mg/L');
+                updateSensorDisplay('ammonia', state.ammonia ?? '--', ' mg/L');
+                
                 // Update feeder status
                 const isOnline = state.feederState === 'online';
                 updateFeederStatusDisplay(isOnline);
@@ -3186,6 +3733,17 @@ export function attachSensorUIBindings() {
             }
         });
         
+        // Last seen / stale badges (the heartbeat monitor re-checks every 30s)
+        window.RuntimeEvents.on('device:heartbeat', (heartbeat) => {
+            try {
+                if (heartbeat.deviceId === getSelectedDeviceId()) {
+                    renderHeartbeatStatus();
+                }
+            } catch (uiError) {
+                console.warn('[UI] Heartbeat update error (non-critical):', uiError);
+            }
+        });
+        
         console.log('[UI] bindings attached');
     } catch (error) {
         console.warn('[UI] Failed to attach bindings (non-critical):', error);
@@ -3193,100 +3751,1572 @@ export function attachSensorUIBindings() {
 }
 
 // ============================================================
-// LEGACY WRAPPER (BACKWARD COMPATIBILITY)
+// DEVICE SWITCHER (UI)
 // ============================================================
-// Maintains backward compatibility with existing code
-// Calls core + UI bindings
-export function setupSensorRealtimeUpdates() {
+// Populates every <select class="device-switcher"> with the owned devices
+// Sensor, feeder and schedule views all follow the selected device
+function renderDeviceSwitchers() {
+    const switchers = document.querySelectorAll('select.device-switcher');
+    if (switchers.length === 0) return;
+    
+    const devices = window.RUNTIME_CONTEXT?.devices || [];
+    const selectedDeviceId = getSelectedDeviceId();
+    const primaryDeviceId = getPrimaryDeviceId();
+    
+    // Options built through the DOM: device names are user-edited text
+    switchers.forEach(select => {
+        select.replaceChildren(...devices.map(device =>
+            new Option(device.id === primaryDeviceId ? `${device.name} (primary)` : device.name, device.id)));
+        select.value = selectedDeviceId;
+        select.disabled = devices.length <= 1;
+    });
+}
+
+// Switch the selected device (persists across reloads)
+window.selectDevice = async function(deviceId) {
     try {
-        // Device ID for RTDB path (uses DEVICE_ID constant)
-        const rtdbPath = `devices/${DEVICE_ID}/status/feeder`;
+        const devices = window.RUNTIME_CONTEXT?.devices || [];
+        if (!devices.some(device => device.id === deviceId)) {
+            showNotification('Unknown device', 'error');
+            return;
+        }
         
-        console.log('[RTDB] Setting up real-time sensor updates from RTDB:', rtdbPath);
-        console.log('[RTDB] RTDB listener will work without authentication');
+        window.RUNTIME_CONTEXT.deviceId = deviceId;
+        try {
+            localStorage.setItem(SELECTED_DEVICE_STORAGE_KEY, deviceId);
+        } catch (storageError) {
+            // localStorage unavailable - selection lasts for this page only
+        }
+        console.log('[DEVICE SWITCH] Selected device:', deviceId);
         
-        // Set up RTDB listener for live sensor readings (temperature, pH, motor state)
-        // No auth check - listener works unconditionally
-        const statusRef = ref(rtdb, rtdbPath);
-        console.log('[RTDB] Attaching listener to:', rtdbPath);
-        onValue(statusRef, (snapshot) => {
-            try {
-                if (snapshot.exists()) {
-                    const data = snapshot.val();
-                    
-                    let temperature = null;
-                    let ph = null;
-                    
-                    // Update temperature from RTDB
-                    if (data.temperature !== undefined && data.temperature !== null) {
-                        temperature = parseFloat(data.temperature);
-                        // [FIX] Wrap UI updates in try/catch - runtime must not fail if DOM missing
-                        try {
-                            updateSensorDisplay('temperature', temperature, '°C');
-                        } catch (uiError) {
-                            // UI update failed - non-critical, continue runtime
-                        }
-                        console.log('[RTDB] Temperature updated (RTDB):', temperature);
-                    } else {
-                        try {
-                            updateSensorDisplay('temperature', '--', '°C');
-                        } catch (uiError) {
-                            // UI update failed - non-critical
-                        }
-                    }
-                    
-                    // Update pH from RTDB
-                    if (data.ph !== undefined && data.ph !== null) {
-                        ph = parseFloat(data.ph);
-                        // [FIX] Wrap UI updates in try/catch - runtime must not fail if DOM missing
-                        try {
-                            updateSensorDisplay('ph', ph, '');
-                        } catch (uiError) {
-                            // UI update failed - non-critical, continue runtime
-                        }
-                        console.log('[RTDB] pH updated (RTDB):', ph);
-                    } else {
-                        try {
-                            updateSensorDisplay('ph', '--', '');
-                        } catch (uiError) {
-                            // UI update failed - non-critical
-                        }
-                    }
-                    
-                    // Feeder state is now read from Firestore, not RTDB
-                    // Feeder state updates come from Firestore listener, not RTDB
-                    // Keep existing feeder state from runtime state (updated by Firestore listener)
-                    
-                    // Add to live chart data (always update chart for real-time display)
-                    // [FIX] Wrap UI updates in try/catch - runtime must not fail if DOM missing
-                    try {
-                        addLiveSensorReading(temperature, ph);
-                    } catch (uiError) {
-                        // UI update failed - non-critical, continue runtime
-                    }
-                    
-                    // Update local state (READ-ONLY from RTDB - no Firestore writes here)
-                    latestTemperature = typeof temperature === 'number' ? temperature : null;
-                    latestPH = typeof ph === 'number' ? ph : null;
-                    latestTimestamp = data.timestamp || Date.now();
-                    
-                    // In HOURLY_TEST_MODE, RTDB listeners are read-only
-                    // Firestore writes are handled by writeHourlyFromRTDB() only
-                    if (HOURLY_TEST_MODE) {
-                        // Trigger hourly writer when new sensor data arrives (respects cooldown)
-                        const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
-                        if (uid && (temperature !== null || ph !== null)) {
-                            // Fire and forget - writeHourlyFromRTDB has built-in cooldown/throttle
-                            writeHourlyFromRTDB(uid).catch(err => {
-                                console.error('[RTDB→HOURLY WRITE] Error in writeHourlyFromRTDB:', err);
-                            });
-                        }
-                    } else {
-                        // Legacy behavior (disabled in test mode)
-                        // Record sensor data to Firestore ONLY if significant change detected
-                        const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
-                        if (uid && (temperature !== null || ph !== null)) {
-                            // Check if there's a significant change using canonical helper
+        renderDeviceSwitchers();
+        
+        // A half-finished calibration belongs to the previous device
+        showCalibrationStep(1);
+        renderCalibrationStatus();
+        renderFeederCalibration();
+        renderHeartbeatStatus();
+        
+        // Make sure the device has a listener, then replay its last known state
+        setupSensorRealtimeUpdatesCore();
+        const deviceState = window.RUNTIME_STATE.devices[deviceId] || {};
+        window.RUNTIME_STATE.temperature = deviceState.temperature ?? null;
+        window.RUNTIME_STATE.ph = deviceState.ph ?? null;
+        window.RUNTIME_STATE.dissolvedOxygen = deviceState.dissolvedOxygen ?? null;
+        window.RUNTIME_STATE.ammonia = deviceState.ammonia ?? null;
+        window.RUNTIME_STATE.feederState = deviceState.feederState ?? null;
+        window.RUNTIME_STATE.lastUpdateAt = deviceState.lastUpdateAt || Date.now();
+        
+        // Reset the live chart so readings from different devices don't mix
+        liveSensorData.temperature = [];
+        liveSensorData.ph = [];
+        liveSensorData.timestamps = [];
+        
+        window.RuntimeEvents.emit('sensor:update', {
+            deviceId,
+            temperature: window.RUNTIME_STATE.temperature,
+            ph: window.RUNTIME_STATE.ph,
+            dissolvedOxygen: window.RUNTIME_STATE.dissolvedOxygen,
+            ammonia: window.RUNTIME_STATE.ammonia,
+            feederState: window.RUNTIME_STATE.feederState,
+            timestamp: window.RUNTIME_STATE.lastUpdateAt
+        });
+        
+        // Reload device-scoped views
+        await loadSensorData();
+        await loadFeedingSchedules();
+        
+        showNotification(`Switched to ${getDeviceName(deviceId)}`, 'info');
+    } catch (error) {
+        console.error('[DEVICE SWITCH] Error switching device:', error);
+        showNotification('Failed to switch device', 'error');
+    }
+};
+
+// Register a new device for the current user (Monitoring section form)
+window.registerNewDevice = async function() {
+    try {
+        const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+        if (!uid) {
+            showNotification('User not authenticated', 'error');
+            return;
+        }
+        
+        const idInput = document.getElementById('newDeviceId');
+        const nameInput = document.getElementById('newDeviceName');
+        const deviceId = idInput ? idInput.value.trim() : '';
+        const name = nameInput ? nameInput.value.trim() : '';
+        
+        if (!deviceId) {
+            showNotification('Please enter a device ID', 'error');
+            if (idInput) idInput.focus();
+            return;
+        }
+        
+        const result = await registerDevice(uid, deviceId, { name });
+        if (!result.success) {
+            showNotification(result.error || 'Failed to register device', 'error');
+            return;
+        }
+        
+        // Refresh the registry, keep the current selection and start listening to the new device
+        const selectedDeviceId = getSelectedDeviceId();
+        window.RUNTIME_CONTEXT = await resolveRuntimeContext();
+        if (window.RUNTIME_CONTEXT.devices.some(device => device.id === selectedDeviceId)) {
+            window.RUNTIME_CONTEXT.deviceId = selectedDeviceId;
+        }
+        setupSensorRealtimeUpdatesCore();
+        renderDeviceSwitchers();
+        
+        if (idInput) idInput.value = '';
+        if (nameInput) nameInput.value = '';
+        showNotification('Device registered successfully!', 'success');
+    } catch (error) {
+        console.error('[DEVICE REGISTRY] Error registering device:', error);
+        showNotification('Failed to register device', 'error');
+    }
+};
+
+// ============================================================
+// CALIBRATION WIZARD (UI)
+// ============================================================
+// Guided calibration of the selected device (monitoring section):
+//   1. pick sensor and method
+//   2. put the probe in each reference solution and capture the raw reading
+//   3. review the fitted slope/offset and save (see SENSOR CALIBRATION)
+const calibrationWizard = { step: 1, sensorId: null, method: null, points: [], manual: {} };
+
+// Slope outside this band usually means a wrong buffer or a worn probe
+const CALIBRATION_SLOPE_WARNING = { min: 0.85, max: 1.15 };
+
+// Latest uncalibrated reading of the selected device (null when none yet)
+function getSelectedRawReading(sensorId) {
+    const deviceState = window.RUNTIME_STATE.devices[getSelectedDeviceId()] || {};
+    return deviceState.raw ? (deviceState.raw[sensorId] ?? null) : null;
+}
+
+function showCalibrationStep(step) {
+    calibrationWizard.step = step;
+    [1, 2, 3].forEach(n => {
+        const stepEl = document.getElementById(`calibrationStep${n}`);
+        if (stepEl) stepEl.classList.toggle('hidden', n !== step);
+    });
+}
+
+// Populate the sensor/method pickers once, then show the active profile
+function renderCalibrationWizard() {
+    const sensorSelect = document.getElementById('calibrationSensor');
+    const methodSelect = document.getElementById('calibrationMethod');
+    if (!sensorSelect || !methodSelect) return;
+    
+    if (sensorSelect.options.length === 0) {
+        sensorSelect.innerHTML = SensorCatalog.SENSORS.map(sensor => `<option value="${sensor.id}">${sensor.label}</option>`).join('');
+        sensorSelect.value = 'ph';
+        methodSelect.innerHTML = Object.entries(SensorCatalog.CALIBRATION_METHODS)
+            .map(([methodId, method]) => `<option value="${methodId}">${method.label}</option>`)
+            .join('');
+        methodSelect.value = 'two-point';
+        
+        // Profiles arrive asynchronously (and change from other tabs)
+        window.RuntimeEvents.on('calibration:update', (update) => {
+            if (update.deviceId === getSelectedDeviceId()) {
+                renderCalibrationStatus();
+                renderFeederCalibration();
+            }
+        });
+    }
+    
+    renderCalibrationStatus();
+}
+
+// Active profile summary for the selected device and sensor
+function renderCalibrationStatus() {
+    const statusEl = document.getElementById('calibrationCurrentProfile');
+    const sensorSelect = document.getElementById('calibrationSensor');
+    if (!statusEl || !sensorSelect) return;
+    
+    const deviceId = getSelectedDeviceId();
+    const profile = getCalibrationProfile(deviceId, sensorSelect.value);
+    if (!profile) {
+        statusEl.textContent = `${getDeviceName(deviceId)}: not calibrated (raw readings)`;
+        return;
+    }
+    
+    const method = SensorCatalog.CALIBRATION_METHODS[profile.method];
+    const calibratedAt = timestampToDate(profile.calibratedAt);
+    statusEl.textContent = `${getDeviceName(deviceId)}: ${method ? method.label : profile.method}, ` +
+        `slope ${Number(profile.slope).toFixed(4)}, offset ${Number(profile.offset).toFixed(4)} - ` +
+        `by ${profile.calibratedByName || profile.calibratedBy || 'unknown'} on ${calibratedAt ? calibratedAt.toLocaleString() : '--'}`;
+}
+
+window.onCalibrationSensorChange = function() {
+    renderCalibrationStatus();
+};
+
+// Step 1 → 2: one row per reference (or slope/offset inputs for the manual method)
+window.startCalibrationPoints = function() {
+    const sensorId = document.getElementById('calibrationSensor')?.value;
+    const methodId = document.getElementById('calibrationMethod')?.value;
+    const sensor = SensorCatalog.getSensor(sensorId);
+    const method = SensorCatalog.CALIBRATION_METHODS[methodId];
+    const container = document.getElementById('calibrationPoints');
+    const hintEl = document.getElementById('calibrationPointsHint');
+    if (!sensor || !method || !container) return;
+    
+    calibrationWizard.sensorId = sensorId;
+    calibrationWizard.method = methodId;
+    
+    if (methodId === 'slope') {
+        if (hintEl) hintEl.textContent = 'Enter the slope and offset from the meter or lab certificate (corrected = raw × slope + offset).';
+        container.innerHTML = `
+            <div class="form-group">
+                <label for="calibrationManualSlope">Slope</label>
+                <input type="number" step="any" id="calibrationManualSlope" class="form-input" value="1">
+            </div>
+            <div class="form-group">
+                <label for="calibrationManualOffset">Offset${sensor.unit ? ` (${sensor.unit})` : ''}</label>
+                <input type="number" step="any" id="calibrationManualOffset" class="form-input" value="0">
+            </div>`;
+        showCalibrationStep(2);
+        return;
+    }
+    
+    // Suggested references: the sensor's buffers (middle one for a single-point offset)
+    const buffers = sensor.calibrationBuffers;
+    const suggested = method.points === 1
+        ? [buffers[Math.floor(buffers.length / 2)]]
+        : buffers.slice(0, method.points);
+    
+    if (hintEl) hintEl.textContent = `Place the ${sensor.label} probe in each reference, wait for the reading to settle, then press Capture.`;
+    container.innerHTML = Array.from({ length: method.points }, (_, index) => `
+        <div class="calibration-point">
+            <div class="form-group">
+                <label for="calibrationReference${index}">Reference ${index + 1}${sensor.unit ? ` (${sensor.unit})` : ''}</label>
+                <input type="number" step="any" id="calibrationReference${index}" class="form-input" value="${suggested[index] ?? ''}">
+            </div>
+            <div class="form-group">
+                <label for="calibrationRaw${index}">Raw reading</label>
+                <input type="number" step="any" id="calibrationRaw${index}" class="form-input" placeholder="Capture or type">
+            </div>
+            <button type="button" class="btn-secondary" onclick="captureCalibrationReading(${index})">
+                <i class="fas fa-crosshairs"></i>
+                Capture
+            </button>
+        </div>`).join('');
+    showCalibrationStep(2);
+};
+
+// Copy the live raw reading of the selected device into a point
+window.captureCalibrationReading = function(index) {
+    const input = document.getElementById(`calibrationRaw${index}`);
+    const value = getSelectedRawReading(calibrationWizard.sensorId);
+    if (!input) return;
+    if (value === null) {
+        showNotification('No live reading from this device yet', 'error');
+        return;
+    }
+    input.value = value;
+};
+
+// Step 2 → 3: fit and show the result before saving
+window.reviewCalibration = function() {
+    const method = SensorCatalog.CALIBRATION_METHODS[calibrationWizard.method];
+    const summaryEl = document.getElementById('calibrationSummary');
+    if (!method || !summaryEl) return;
+    
+    const points = Array.from({ length: method.points }, (_, index) => ({
+        raw: document.getElementById(`calibrationRaw${index}`)?.value,
+        reference: document.getElementById(`calibrationReference${index}`)?.value
+    }));
+    const manual = {
+        slope: document.getElementById('calibrationManualSlope')?.value,
+        offset: document.getElementById('calibrationManualOffset')?.value
+    };
+    
+    let fit;
+    try {
+        fit = SensorCatalog.fitCalibration(calibrationWizard.method, points, manual);
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    
+    calibrationWizard.points = points;
+    calibrationWizard.manual = manual;
+    
+    const sensorId = calibrationWizard.sensorId;
+    const format = (value) => SensorCatalog.formatReading(sensorId, value, { withUnit: true });
+    const rows = points.map(point => {
+        const corrected = SensorCatalog.applyCalibration(point.raw, fit);
+        return `<li>Raw ${format(point.raw)} → ${format(corrected)} (reference ${format(point.reference)})</li>`;
+    });
+    const liveRaw = getSelectedRawReading(sensorId);
+    if (liveRaw !== null) {
+        rows.push(`<li>Live reading: ${format(liveRaw)} → ${format(SensorCatalog.applyCalibration(liveRaw, fit))}</li>`);
+    }
+    const slopeWarning = calibrationWizard.method !== 'slope' &&
+        (fit.slope < CALIBRATION_SLOPE_WARNING.min || fit.slope > CALIBRATION_SLOPE_WARNING.max)
+        ? `<p class="calibration-warning"><i class="fas fa-exclamation-triangle"></i> Slope is outside ${CALIBRATION_SLOPE_WARNING.min * 100}-${CALIBRATION_SLOPE_WARNING.max * 100}% - check the references or replace the probe.</p>`
+        : '';
+    
+    summaryEl.innerHTML = `
+        <p><strong>${method.label}</strong>: slope ${fit.slope.toFixed(4)}, offset ${fit.offset.toFixed(4)}</p>
+        <ul>${rows.join('')}</ul>
+        ${slopeWarning}`;
+    showCalibrationStep(3);
+};
+
+window.calibrationWizardBack = function() {
+    showCalibrationStep(Math.max(1, calibrationWizard.step - 1));
+};
+
+window.saveCalibration = async function() {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid) {
+        showNotification('User not authenticated', 'error');
+        return;
+    }
+    
+    const result = await saveCalibrationProfile(
+        uid,
+        getSelectedDeviceId(),
+        calibrationWizard.sensorId,
+        calibrationWizard.method,
+        calibrationWizard.points,
+        calibrationWizard.manual
+    );
+    if (!result.success) {
+        showNotification(result.error || 'Failed to save calibration', 'error');
+        return;
+    }
+    
+    showNotification('Calibration saved', 'success');
+    renderCalibrationStatus();
+    showCalibrationStep(1);
+};
+
+// Drop the active profile of the selected sensor (back to raw readings)
+window.clearCalibration = async function() {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    const sensorId = document.getElementById('calibrationSensor')?.value;
+    if (!uid) {
+        showNotification('User not authenticated', 'error');
+        return;
+    }
+    if (!getCalibrationProfile(getSelectedDeviceId(), sensorId)) {
+        showNotification('This sensor is not calibrated', 'info');
+        return;
+    }
+    if (!confirm('Remove this calibration? Readings will be stored uncorrected.')) {
+        return;
+    }
+    
+    const result = await clearCalibrationProfile(uid, getSelectedDeviceId(), sensorId);
+    if (!result.success) {
+        showNotification(result.error || 'Failed to remove calibration', 'error');
+        return;
+    }
+    
+    showNotification('Calibration removed', 'success');
+    renderCalibrationStatus();
+};
+
+// ============================================================
+// DEVICE HEARTBEAT (UI)
+// ============================================================
+// Last-seen line, stale badges on the sensor cards and the threshold setting
+
+// "45s", "12m", "3h 5m", "2d 4h"
+function formatElapsed(diffMs) {
+    const totalSeconds = Math.max(Math.floor(diffMs / 1000), 0);
+    if (totalSeconds < 60) return `${totalSeconds}s`;
+    
+    const totalMinutes = Math.floor(totalSeconds / 60);
+    if (totalMinutes < 60) return `${totalMinutes}m`;
+    
+    const totalHours = Math.floor(totalMinutes / 60);
+    if (totalHours < 24) {
+        const minutes = totalMinutes % 60;
+        return minutes > 0 ? `${totalHours}h ${minutes}m` : `${totalHours}h`;
+    }
+    
+    const days = Math.floor(totalHours / 24);
+    const hours = totalHours % 24;
+    return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+}
+
+// Render the selected device's heartbeat
+function renderHeartbeatStatus() {
+    const deviceId = getSelectedDeviceId();
+    const lastSeenAt = getDeviceLastSeen(deviceId);
+    const stale = isDeviceStale(deviceId);
+    const staleAfterMinutes = getStaleAfterMinutes(deviceId);
+    
+    const badgeEl = document.getElementById('deviceHeartbeatBadge');
+    if (badgeEl) {
+        if (lastSeenAt === null) {
+            badgeEl.textContent = '--';
+            badgeEl.className = 'status-badge';
+        } else if (stale) {
+            badgeEl.textContent = 'Offline';
+            badgeEl.className = 'status-badge offline';
+        } else {
+            badgeEl.textContent = 'Online';
+            badgeEl.className = 'status-badge online';
+        }
+    }
+    
+    const lastSeenEl = document.getElementById('deviceLastSeen');
+    if (lastSeenEl) {
+        lastSeenEl.textContent = lastSeenAt === null
+            ? 'Last seen: --'
+            : `Last seen: ${formatElapsed(Date.now() - lastSeenAt)} ago (${new Date(lastSeenAt).toLocaleString()})`;
+    }
+    
+    const title = stale
+        ? `No reading for ${formatElapsed(Date.now() - lastSeenAt)} (offline after ${staleAfterMinutes} min)`
+        : '';
+    document.querySelectorAll('[data-stale-badge]').forEach(badge => {
+        badge.classList.toggle('hidden', !stale);
+        badge.title = title;
+        const card = badge.closest('.sensor-item, .stat-card');
+        if (card) card.classList.toggle('is-stale', stale);
+    });
+    
+    // Don't overwrite a value the user is typing
+    const thresholdInput = document.getElementById('deviceStaleMinutesInput');
+    if (thresholdInput && document.activeElement !== thresholdInput) {
+        thresholdInput.value = deviceStaleMinutes;
+    }
+}
+
+// Save the user's staleness threshold (users/{uid}.deviceStaleMinutes)
+window.saveDeviceStaleMinutes = async function() {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid) {
+        showNotification('User not authenticated', 'error');
+        return;
+    }
+    
+    const input = document.getElementById('deviceStaleMinutesInput');
+    const minutes = parseInt(input?.value, 10);
+    if (isNaN(minutes) || minutes < 1 || minutes > 1440) {
+        showNotification('Enter a threshold between 1 and 1440 minutes', 'error');
+        return;
+    }
+    
+    try {
+        await updateDoc(doc(db, 'users', uid), { deviceStaleMinutes: minutes });
+        setDeviceStaleMinutes(minutes);
+        renderHeartbeatStatus();
+        showNotification(`Devices are marked offline after ${minutes} min without a reading`, 'success');
+    } catch (error) {
+        console.error('[HEARTBEAT] Error saving stale threshold:', error);
+        showNotification('Failed to save threshold', 'error');
+    }
+};
+
+// ============================================================
+// WATER QUALITY ALERTS (UI)
+// ============================================================
+// Active alerts in the monitoring section's Alerts card and the Alert Rules card (add / edit / enable / delete)
+
+const ALERT_SEVERITY_ICONS = {
+    info: 'fa-info-circle',
+    warning: 'fa-exclamation-triangle',
+    critical: 'fa-exclamation-circle'
+};
+
+// Rule being edited in the form (null = adding a new rule)
+let editingAlertRuleId = null;
+
+function renderActiveAlerts() {
+    const list = document.getElementById('activeAlertsList');
+    if (!list) return;
+    
+    const alerts = getActiveAlerts();
+    list.innerHTML = alerts.map(alert => {
+        const opened = alert.openedAt ? `${formatElapsed(Date.now() - alert.openedAt)} ago` : '';
+        const action = alert.status === 'acknowledged'
+            ? `<span class="alert-ack-note">Acknowledged${alert.acknowledgedByName ? ` by ${escapeHtml(alert.acknowledgedByName)}` : ''} ${alert.acknowledgedAt ? new Date(alert.acknowledgedAt).toLocaleString() : ''}</span>`
+            : `<button type="button" class="btn-secondary" onclick="acknowledgeAlert(${escapeHtml(JSON.stringify(alert.id))})">Acknowledge</button>`;
+        const escalation = alert.status === 'open' && alert.escalationLevel > 0
+            ? `<span class="alert-escalation-note">Escalated to ${AlertRules.ESCALATION_LEVELS[alert.escalationLevel].label.toLowerCase()}</span>`
+            : '';
+        const severity = AlertRules.SEVERITIES.includes(alert.severity) ? alert.severity : 'warning';
+        return `
+            <div class="alert-item user-alert-item alert-${severity}">
+                <i class="fas ${ALERT_SEVERITY_ICONS[severity] || ALERT_SEVERITY_ICONS.warning}"></i>
+                <p>
+                    ${escapeHtml(alert.title)}
+                    <span class="alert-detail">${escapeHtml(alert.message)} ${opened}</span>
+                    ${escalation}
+                </p>
+                ${action}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderAlertRules() {
+    const list = document.getElementById('alertRulesList');
+    if (!list) return;
+    
+    const rules = getAlertRules();
+    if (rules.length === 0) {
+        list.innerHTML = `
+            <p class="alert-rules-empty">No alert rules yet.</p>
+            <button type="button" class="btn-secondary" onclick="addSuggestedAlertRules()">
+                <i class="fas fa-magic"></i>
+                Add recommended rules
+            </button>
+        `;
+        return;
+    }
+    
+    list.innerHTML = rules.map(rule => `
+        <div class="alert-rule-item ${rule.enabled ? '' : 'is-disabled'}">
+            <label class="alert-rule-toggle">
+                <input type="checkbox" ${rule.enabled ? 'checked' : ''} onchange="toggleAlertRule('${rule.id}', this.checked)">
+                <span>${AlertRules.describeRule(rule)}</span>
+            </label>
+            <span class="alert-rule-meta">
+                <span class="alert-severity alert-severity-${rule.severity}">${rule.severity}</span>
+                ${rule.deviceId ? getDeviceName(rule.deviceId) : 'All devices'}
+            </span>
+            <span class="alert-rule-actions">
+                <button type="button" class="alert-rule-btn" title="Edit" onclick="editAlertRule('${rule.id}')"><i class="fas fa-edit"></i></button>
+                <button type="button" class="alert-rule-btn" title="Delete" onclick="deleteAlertRule('${rule.id}')"><i class="fas fa-trash"></i></button>
+            </span>
+        </div>
+    `).join('');
+}
+
+// Fill the rule form's selects (types, sensors, comparisons, directions, severities, devices)
+function renderAlertRuleForm() {
+    const metricSelect = document.getElementById('alertRuleMetric');
+    if (!metricSelect) return;
+    
+    document.getElementById('alertRuleType').innerHTML = Object.entries(AlertRules.RULE_TYPES).map(([key, type]) =>
+        `<option value="${key}">${type.label}</option>`).join('');
+    metricSelect.innerHTML = SensorCatalog.SENSORS.map(sensor =>
+        `<option value="${sensor.id}">${sensor.label}${sensor.unit ? ` (${sensor.unit})` : ''}</option>`).join('');
+    document.getElementById('alertRuleComparator').innerHTML = Object.entries(AlertRules.COMPARATORS).map(([key, comparator]) =>
+        `<option value="${key}">${comparator.label} (${comparator.symbol})</option>`).join('');
+    document.getElementById('alertRuleDirection').innerHTML = Object.entries(AlertRules.DIRECTIONS).map(([key, direction]) =>
+        `<option value="${key}">${direction.label}</option>`).join('');
+    document.getElementById('alertRuleSeverity').innerHTML = AlertRules.SEVERITIES.map(severity =>
+        `<option value="${severity}" ${severity === 'warning' ? 'selected' : ''}>${severity}</option>`).join('');
+    document.getElementById('alertRuleDevice').innerHTML = '<option value="">All devices</option>' +
+        (window.RUNTIME_CONTEXT?.devices || []).map(device => `<option value="${escapeHtml(device.id)}">${escapeHtml(device.name)}</option>`).join('');
+    
+    const durationInput = document.getElementById('alertRuleDuration');
+    if (durationInput && durationInput.value === '') durationInput.value = AlertRules.DEFAULT_MIN_DURATION_MINUTES;
+    updateAlertRuleFormFields();
+}
+
+// Show the fields of the selected rule type (groups list their types in data-alert-rule-types)
+function updateAlertRuleFormFields() {
+    const type = document.getElementById('alertRuleType')?.value || 'threshold';
+    document.querySelectorAll('#alertRuleForm [data-alert-rule-types]').forEach(group => {
+        group.style.display = group.dataset.alertRuleTypes.split(' ').includes(type) ? '' : 'none';
+    });
+    
+    const label = document.getElementById('alertRuleThresholdLabel');
+    if (label) label.textContent = AlertRules.isTrendType(type) ? 'By at least' : 'Threshold';
+    const windowInput = document.getElementById('alertRuleWindow');
+    if (windowInput && windowInput.value === '') windowInput.value = AlertRules.DEFAULT_SLOPE_WINDOW_MINUTES;
+    const hoursInput = document.getElementById('alertRuleHours');
+    if (hoursInput && hoursInput.value === '') hoursInput.value = AlertRules.DEFAULT_DRIFT_HOURS;
+}
+window.updateAlertRuleFormFields = updateAlertRuleFormFields;
+
+function attachAlertUIBindings() {
+    renderAlertRuleForm();
+    renderAlertRules();
+    renderActiveAlerts();
+    window.RuntimeEvents.on('alerts:rules', () => renderAlertRules());
+    window.RuntimeEvents.on('alerts:update', () => renderActiveAlerts());
+}
+
+function readAlertRuleForm() {
+    return {
+        type: document.getElementById('alertRuleType')?.value || 'threshold',
+        metric: document.getElementById('alertRuleMetric')?.value,
+        comparator: document.getElementById('alertRuleComparator')?.value,
+        direction: document.getElementById('alertRuleDirection')?.value,
+        windowMinutes: document.getElementById('alertRuleWindow')?.value,
+        hours: document.getElementById('alertRuleHours')?.value,
+        threshold: document.getElementById('alertRuleThreshold')?.value,
+        minDurationMinutes: document.getElementById('alertRuleDuration')?.value,
+        hysteresis: document.getElementById('alertRuleHysteresis')?.value,
+        severity: document.getElementById('alertRuleSeverity')?.value,
+        deviceId: document.getElementById('alertRuleDevice')?.value || null
+    };
+}
+
+window.resetAlertRuleForm = function() {
+    editingAlertRuleId = null;
+    document.getElementById('alertRuleForm')?.reset();
+    renderAlertRuleForm();
+    const saveButton = document.getElementById('alertRuleSaveButton');
+    if (saveButton) saveButton.innerHTML = '<i class="fas fa-plus"></i> Add Rule';
+};
+
+window.editAlertRule = function(ruleId) {
+    const rule = getAlertRules().find(entry => entry.id === ruleId);
+    if (!rule) return;
+    
+    editingAlertRuleId = ruleId;
+    document.getElementById('alertRuleType').value = rule.type;
+    document.getElementById('alertRuleMetric').value = rule.metric;
+    document.getElementById('alertRuleComparator').value = rule.comparator;
+    document.getElementById('alertRuleDirection').value = rule.direction || 'either';
+    document.getElementById('alertRuleWindow').value = rule.windowMinutes || AlertRules.DEFAULT_SLOPE_WINDOW_MINUTES;
+    document.getElementById('alertRuleHours').value = rule.hours || AlertRules.DEFAULT_DRIFT_HOURS;
+    document.getElementById('alertRuleThreshold').value = rule.threshold;
+    document.getElementById('alertRuleDuration').value = rule.minDurationMinutes;
+    document.getElementById('alertRuleHysteresis').value = rule.hysteresis || '';
+    document.getElementById('alertRuleSeverity').value = rule.severity;
+    document.getElementById('alertRuleDevice').value = rule.deviceId || '';
+    updateAlertRuleFormFields();
+    const saveButton = document.getElementById('alertRuleSaveButton');
+    if (saveButton) saveButton.innerHTML = '<i class="fas fa-save"></i> Save Rule';
+};
+
+window.saveAlertRule = async function() {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid) {
+        showNotification('User not authenticated', 'error');
+        return;
+    }
+    
+    const form = readAlertRuleForm();
+    const problems = AlertRules.validateRule(form);
+    if (problems.length > 0) {
+        showNotification(problems[0], 'error');
+        return;
+    }
+    
+    const trend = AlertRules.isTrendType(form.type);
+    const data = {
+        type: form.type,
+        metric: form.metric,
+        comparator: trend ? 'gte' : form.comparator,
+        direction: trend ? form.direction : null,
+        windowMinutes: form.type === 'slope' ? parseFloat(form.windowMinutes) : null,
+        hours: form.type === 'drift' ? parseInt(form.hours, 10) : null,
+        threshold: parseFloat(form.threshold),
+        minDurationMinutes: parseFloat(form.minDurationMinutes),
+        hysteresis: form.hysteresis === '' ? 0 : parseFloat(form.hysteresis),
+        severity: form.severity,
+        deviceId: form.deviceId,
+        updatedAt: serverTimestamp()
+    };
+    
+    try {
+        if (editingAlertRuleId) {
+            await updateDoc(doc(db, `users/${uid}/alertRules/${editingAlertRuleId}`), data);
+            // Alerts opened under the old settings no longer describe the rule
+            await closeAlertsOfRule(uid, editingAlertRuleId, 'rule_changed');
+        } else {
+            await addDoc(collection(db, `users/${uid}/alertRules`), { ...data, enabled: true, createdAt: serverTimestamp() });
+        }
+        showNotification(`Alert rule saved: ${AlertRules.describeRule(AlertRules.normalizeRule(null, data))}`, 'success');
+        window.resetAlertRuleForm();
+    } catch (error) {
+        console.error('[ALERTS] Error saving rule:', error);
+        showNotification('Failed to save alert rule', 'error');
+    }
+};
+
+window.toggleAlertRule = async function(ruleId, enabled) {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid) return;
+    
+    try {
+        await updateDoc(doc(db, `users/${uid}/alertRules/${ruleId}`), { enabled: enabled, updatedAt: serverTimestamp() });
+        if (!enabled) {
+            await closeAlertsOfRule(uid, ruleId, 'rule_disabled');
+        }
+    } catch (error) {
+        console.error('[ALERTS] Error toggling rule:', error);
+        showNotification('Failed to update alert rule', 'error');
+    }
+};
+
+window.deleteAlertRule = async function(ruleId) {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid || !confirm('Delete this alert rule? Its open alerts are closed.')) return;
+    
+    try {
+        await deleteDoc(doc(db, `users/${uid}/alertRules/${ruleId}`));
+        await closeAlertsOfRule(uid, ruleId, 'rule_deleted');
+        if (editingAlertRuleId === ruleId) window.resetAlertRuleForm();
+        showNotification('Alert rule deleted', 'success');
+    } catch (error) {
+        console.error('[ALERTS] Error deleting rule:', error);
+        showNotification('Failed to delete alert rule', 'error');
+    }
+};
+
+// One rule per edge of each water quality sensor's acceptable range, plus a pH swing rule
+window.addSuggestedAlertRules = async function() {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid) {
+        showNotification('User not authenticated', 'error');
+        return;
+    }
+    
+    try {
+        const rules = AlertRules.suggestedRules();
+        await Promise.all(rules.map(rule => addDoc(collection(db, `users/${uid}/alertRules`), {
+            type: 'threshold',
+            ...rule,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        })));
+        showNotification(`Added ${rules.length} alert rules`, 'success');
+    } catch (error) {
+        console.error('[ALERTS] Error adding suggested rules:', error);
+        showNotification('Failed to add alert rules', 'error');
+    }
+};
+
+// Name recorded on acknowledgements and in the alert audit trail
+function currentUserLabel() {
+    return auth.currentUser?.displayName || auth.currentUser?.email || null;
+}
+
+// Only an open alert can be acknowledged (it may have resolved meanwhile); stops the escalation pings
+// Goes through POST /api/alerts/acknowledge/dashboard: the rules keep clients off the acknowledgement fields,
+// so the server records who acknowledged from the ID token ('dashboard' for the farm's own account, 'admin' otherwise)
+async function acknowledgeAlertOf(uid, alertId) {
+    const token = await auth.currentUser.getIdToken();
+    const response = await fetch('/api/alerts/acknowledge/dashboard', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ uid: uid, alert: alertId })
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Request failed');
+    }
+    return result.acknowledged;
+}
+
+window.acknowledgeAlert = async function(alertId) {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid) return;
+    
+    try {
+        const acknowledged = await acknowledgeAlertOf(uid, alertId);
+        showNotification(acknowledged ? 'Alert acknowledged' : 'Alert is no longer open', acknowledged ? 'success' : 'info');
+    } catch (error) {
+        console.error('[ALERTS] Error acknowledging alert:', error);
+        showNotification('Failed to acknowledge alert', 'error');
+    }
+};
+
+// ============================================================
+// NOTIFICATION CHANNELS (UI)
+// ============================================================
+// Email / SMS / webhook / browser push delivery of notifications (api/notify/dispatcher.js sends them, every minute)
+// Preferences: users/{uid}/notificationChannels/{channel} - address, verified and secret are set by
+// POST /api/notify/contacts (which sends the verification code); enabled, types and minSeverity are edited here
+// Browser push: this browser subscribes through sw.js and POST /api/notify/push; users/{uid}/pushSubscriptions lists them
+// Delivery log: users/{uid}/notificationDeliveries (newest 10 shown)
+
+let notificationChannelPrefs = {};
+let notificationDeliveries = [];
+let notificationChannelsUid = null;
+let notificationChannelsUnsubscribe = null;
+let notificationDeliveriesUnsubscribe = null;
+let pushSubscriptions = [];
+let pushSubscriptionsUnsubscribe = null;
+// Endpoint of this browser's push subscription (null = not subscribed here)
+let pushSubscriptionEndpoint = null;
+
+function attachNotificationChannelBindings() {
+    const uid = auth.currentUser?.uid || window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid || notificationChannelsUid === uid || !document.getElementById('notificationChannelsList')) return;
+    if (notificationChannelsUnsubscribe) notificationChannelsUnsubscribe();
+    if (notificationDeliveriesUnsubscribe) notificationDeliveriesUnsubscribe();
+    if (pushSubscriptionsUnsubscribe) pushSubscriptionsUnsubscribe();
+    notificationChannelsUid = uid;
+    
+    notificationChannelsUnsubscribe = onSnapshot(collection(db, `users/${uid}/notificationChannels`), (snapshot) => {
+        notificationChannelPrefs = {};
+        snapshot.forEach(channelDoc => {
+            notificationChannelPrefs[channelDoc.id] = channelDoc.data();
+        });
+        renderNotificationChannels();
+    }, (error) => {
+        console.warn('[NOTIFY] Could not watch channels:', error.message);
+    });
+    
+    const deliveriesQuery = query(collection(db, `users/${uid}/notificationDeliveries`), orderBy('createdAt', 'desc'), limit(10));
+    notificationDeliveriesUnsubscribe = onSnapshot(deliveriesQuery, (snapshot) => {
+        notificationDeliveries = snapshot.docs.map(deliveryDoc => ({ id: deliveryDoc.id, ...deliveryDoc.data() }));
+        renderNotificationDeliveries();
+    }, (error) => {
+        console.warn('[NOTIFY] Could not watch deliveries:', error.message);
+    });
+    
+    pushSubscriptionsUnsubscribe = onSnapshot(collection(db, `users/${uid}/pushSubscriptions`), (snapshot) => {
+        pushSubscriptions = snapshot.docs.map(subscriptionDoc => ({ id: subscriptionDoc.id, ...subscriptionDoc.data() }));
+        renderNotificationChannels();
+    }, (error) => {
+        console.warn('[PUSH] Could not watch push subscriptions:', error.message);
+    });
+    
+    renderNotificationChannels();
+    refreshPushSubscriptionState();
+}
+
+function renderNotificationChannels() {
+    const list = document.getElementById('notificationChannelsList');
+    if (!list) return;
+    
+    list.innerHTML = Object.entries(NotificationChannels.CHANNELS).map(([channel, info]) => {
+        const prefs = notificationChannelPrefs[channel] || null;
+        if (info.managed) {
+            return renderPushChannel(channel, info, prefs);
+        }
+        const status = !prefs ? { label: 'Not set', className: '' }
+            : prefs.verified ? { label: 'Verified', className: 'is-verified' }
+            : { label: 'Awaiting code', className: 'is-pending' };
+        
+        const settings = prefs ? `
+            ${notificationChannelSettings(channel, prefs)}
+            ${channel === 'webhook' && prefs.secret ? `<p class="notification-channel-secret">Signing secret: ${prefs.secret}</p>` : ''}
+            <div class="notification-channel-row">
+                ${prefs.verified
+                    ? `<button type="button" class="btn-secondary" onclick="testNotificationChannel('${channel}')">Send test</button>`
+                    : `<input type="text" id="notificationCode_${channel}" class="form-input" inputmode="numeric" maxlength="${NotificationChannels.CODE_LENGTH}" placeholder="Verification code">
+                       <button type="button" class="btn-primary" onclick="verifyNotificationChannel('${channel}')">Verify</button>`}
+                <button type="button" class="alert-rule-btn" title="Remove" onclick="removeNotificationChannel('${channel}')"><i class="fas fa-trash"></i></button>
+            </div>
+        ` : '';
+        
+        return `
+            <div class="notification-channel">
+                <div class="notification-channel-header">
+                    <span>${info.label}</span>
+                    <span class="notification-channel-status ${status.className}">${status.label}</span>
+                </div>
+                <div class="notification-channel-row">
+                    <input type="text" id="notificationAddress_${channel}" class="form-input" placeholder="${info.placeholder}"
+                        value="${prefs ? prefs.address : ''}" aria-label="${info.addressLabel}">
+                    <button type="button" class="btn-secondary" onclick="setNotificationContact('${channel}')">${prefs ? 'Change' : 'Send code'}</button>
+                </div>
+                ${settings}
+            </div>
+        `;
+    }).join('');
+}
+
+// Enabled / severity / type controls shared by every channel
+function notificationChannelSettings(channel, prefs) {
+    const types = Array.isArray(prefs.types) ? prefs.types : [];
+    return `
+        <div class="notification-channel-row">
+            <label><input type="checkbox" ${prefs.enabled ? 'checked' : ''} onchange="updateNotificationChannel('${channel}', { enabled: this.checked })"> Send notifications</label>
+            <select class="form-input" onchange="updateNotificationChannel('${channel}', { minSeverity: this.value })" title="Lowest alert severity sent">
+                ${NotificationChannels.SEVERITY_ORDER.map(severity =>
+                    `<option value="${severity}" ${prefs.minSeverity === severity ? 'selected' : ''}>Alerts: ${severity} and up</option>`).join('')}
+            </select>
+        </div>
+        <div class="notification-channel-row notification-channel-types">
+            ${Object.entries(NotificationChannels.NOTIFICATION_TYPES).map(([type, typeInfo]) => `
+                <label><input type="checkbox" ${(types.length === 0 ? !typeInfo.optIn : types.includes(type)) ? 'checked' : ''}
+                    onchange="toggleNotificationChannelType('${channel}', '${type}', this.checked)"> ${typeInfo.label}</label>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Browser push: no address - browsers subscribe themselves and are listed instead
+function renderPushChannel(channel, info, prefs) {
+    const subscribedHere = pushSubscriptionEndpoint && pushSubscriptions.some(subscription => subscription.endpoint === pushSubscriptionEndpoint);
+    const status = prefs && prefs.verified
+        ? { label: prefs.address, className: 'is-verified' }
+        : { label: 'Not subscribed', className: '' };
+    
+    const actions = !pushSupported()
+        ? '<p class="notification-channels-hint">This browser cannot receive push notifications (or the page is not served over https).</p>'
+        : `
+            <div class="notification-channel-row">
+                ${subscribedHere
+                    ? '<button type="button" class="btn-secondary" onclick="unsubscribePushNotifications()">Unsubscribe this browser</button>'
+                    : '<button type="button" class="btn-primary" onclick="subscribePushNotifications()">Subscribe this browser</button>'}
+                ${prefs && prefs.verified ? '<button type="button" class="btn-secondary" onclick="testPushNotifications()">Send test push</button>' : ''}
+            </div>
+        `;
+    const browsers = pushSubscriptions.map(subscription => `
+        <div class="push-subscription" title="${escapeHtml(subscription.lastError ? `Last error: ${subscription.lastError}` : subscription.userAgent || '')}">
+            <span>
+                ${escapeHtml(subscription.label || 'Browser')}${subscription.endpoint === pushSubscriptionEndpoint ? ' (this browser)' : ''}
+                ${subscription.lastError ? '<i class="fas fa-exclamation-triangle" title="Last push failed"></i>' : ''}
+            </span>
+            <span class="push-subscription-meta">
+                ${subscription.lastPushAt ? `last push ${formatElapsed(Date.now() - subscription.lastPushAt)} ago` : 'no push yet'}
+                <button type="button" class="alert-rule-btn" title="Remove" onclick="removePushSubscription(${escapeHtml(JSON.stringify(subscription.id))})"><i class="fas fa-trash"></i></button>
+            </span>
+        </div>
+    `).join('');
+    
+    return `
+        <div class="notification-channel">
+            <div class="notification-channel-header">
+                <span>${info.label}</span>
+                <span class="notification-channel-status ${status.className}">${status.label}</span>
+            </div>
+            ${actions}
+            ${browsers ? `<div class="push-subscriptions">${browsers}</div>` : ''}
+            ${prefs && prefs.verified ? notificationChannelSettings(channel, prefs) : ''}
+        </div>
+    `;
+}
+
+function renderNotificationDeliveries() {
+    const list = document.getElementById('notificationDeliveriesList');
+    if (!list) return;
+    
+    if (notificationDeliveries.length === 0) {
+        list.innerHTML = '<p class="alert-rules-empty">Nothing sent yet.</p>';
+        return;
+    }
+    list.innerHTML = notificationDeliveries.map(delivery => {
+        const channel = NotificationChannels.CHANNELS[delivery.channel];
+        const when = delivery.sentAt || delivery.lastAttemptAt;
+        const detail = delivery.status === 'pending' && delivery.attempts > 0
+            ? `retry ${delivery.attempts + 1}${delivery.nextAttemptAt ? ` at ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}` : ''}`
+            : delivery.status;
+        return `
+            <div class="notification-delivery" title="${escapeHtml(delivery.lastError || '')}">
+                <span>${escapeHtml(channel ? channel.label : delivery.channel)} → ${escapeHtml(delivery.address)}: ${escapeHtml(delivery.title)}</span>
+                <span class="delivery-status-${escapeHtml(delivery.status)}">${escapeHtml(detail)}${when ? ` · ${new Date(when).toLocaleString()}` : ''}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// POST /api/notify/contacts (or /api/notify/push) with the user's ID token
+async function callNotificationContacts(body, endpoint = '/api/notify/contacts') {
+    const token = await auth.currentUser.getIdToken();
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Request failed');
+    }
+    return result;
+}
+
+window.setNotificationContact = async function(channel) {
+    const address = document.getElementById(`notificationAddress_${channel}`)?.value || '';
+    // Local webhook receivers are only accepted by a development API (NOTIFY_ALLOW_LOOPBACK); the API checks again
+    const problem = NotificationChannels.validateAddress(channel, address, {
+        allowLoopback: ['localhost', '127.0.0.1'].includes(location.hostname)
+    });
+    if (problem) {
+        showNotification(problem, 'error');
+        return;
+    }
+    
+    try {
+        const result = await callNotificationContacts({ action: 'set', channel, address });
+        showNotification(`Verification code sent to ${result.address}`, 'success');
+    } catch (error) {
+        console.error('[NOTIFY] Error setting contact:', error);
+        showNotification(error.message, 'error');
+    }
+};
+
+window.verifyNotificationChannel = async function(channel) {
+    const code = document.getElementById(`notificationCode_${channel}`)?.value || '';
+    if (!code.trim()) {
+        showNotification('Enter the code you received', 'error');
+        return;
+    }
+    
+    try {
+        await callNotificationContacts({ action: 'verify', channel, code });
+        showNotification(`${NotificationChannels.CHANNELS[channel].label} verified`, 'success');
+    } catch (error) {
+        console.error('[NOTIFY] Error verifying contact:', error);
+        showNotification(error.message, 'error');
+    }
+};
+
+window.testNotificationChannel = async function(channel) {
+    try {
+        await callNotificationContacts({ action: 'test', channel });
+        showNotification('Test notification sent', 'success');
+    } catch (error) {
+        console.error('[NOTIFY] Error sending test:', error);
+        showNotification(error.message, 'error');
+    }
+};
+
+window.removeNotificationChannel = async function(channel) {
+    if (!confirm(`Stop ${NotificationChannels.CHANNELS[channel].label} notifications and forget this address?`)) return;
+    
+    try {
+        await callNotificationContacts({ action: 'remove', channel });
+        showNotification(`${NotificationChannels.CHANNELS[channel].label} removed`, 'success');
+    } catch (error) {
+        console.error('[NOTIFY] Error removing contact:', error);
+        showNotification(error.message, 'error');
+    }
+};
+
+// enabled / minSeverity / types (the rest belongs to the contacts endpoint)
+window.updateNotificationChannel = async function(channel, changes) {
+    const uid = notificationChannelsUid;
+    if (!uid) return;
+    
+    try {
+        await updateDoc(doc(db, `users/${uid}/notificationChannels/${channel}`), { ...changes, updatedAt: serverTimestamp() });
+    } catch (error) {
+        console.error('[NOTIFY] Error updating channel:', error);
+        showNotification('Failed to update notification channel', 'error');
+    }
+};
+
+// No type stored = every type except the opt-in ones; any other choice stores the explicit list
+window.toggleNotificationChannelType = function(channel, type, checked) {
+    const prefs = notificationChannelPrefs[channel] || {};
+    const defaultTypes = Object.keys(NotificationChannels.NOTIFICATION_TYPES)
+        .filter(entry => !NotificationChannels.NOTIFICATION_TYPES[entry].optIn);
+    const current = Array.isArray(prefs.types) && prefs.types.length > 0 ? prefs.types : defaultTypes;
+    let types = checked ? [...new Set([...current, type])] : current.filter(entry => entry !== type);
+    if (types.length === 0) {
+        showNotification('Keep at least one notification type, or untick "Send notifications"', 'info');
+        renderNotificationChannels();
+        return;
+    }
+    if (types.length === defaultTypes.length && defaultTypes.every(entry => types.includes(entry))) types = [];
+    window.updateNotificationChannel(channel, { types });
+};
+
+// Service workers and push need a secure context (https or localhost)
+function pushSupported() {
+    return window.isSecureContext && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+// "Chrome on Android" - tells the subscribed browsers apart in the list
+function pushBrowserLabel() {
+    const ua = navigator.userAgent;
+    const browser = /Edg\//.test(ua) ? 'Edge' : /OPR\//.test(ua) ? 'Opera' : /Firefox\//.test(ua) ? 'Firefox'
+        : /Chrome\//.test(ua) ? 'Chrome' : /Safari\//.test(ua) ? 'Safari' : 'Browser';
+    const system = /Android/.test(ua) ? 'Android' : /iPhone|iPad/.test(ua) ? 'iOS' : /Windows/.test(ua) ? 'Windows'
+        : /Mac OS X/.test(ua) ? 'macOS' : /Linux/.test(ua) ? 'Linux' : '';
+    return system ? `${browser} on ${system}` : browser;
+}
+
+// VAPID keys travel base64url-encoded; PushManager wants the bytes
+function pushKeyBytes(base64url) {
+    const base64 = (base64url + '='.repeat((4 - base64url.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Which subscription (if any) this browser holds
+async function refreshPushSubscriptionState() {
+    if (!pushSupported()) return;
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        const subscription = registration ? await registration.pushManager.getSubscription() : null;
+        pushSubscriptionEndpoint = subscription ? subscription.endpoint : null;
+        renderNotificationChannels();
+    } catch (error) {
+        console.warn('[PUSH] Could not read this browser\'s push subscription:', error.message);
+    }
+}
+
+window.subscribePushNotifications = async function() {
+    if (!pushSupported()) {
+        showNotification('This browser cannot receive push notifications', 'error');
+        return;
+    }
+    
+    try {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            showNotification('Notifications are blocked for this site. Allow them in the browser settings first', 'error');
+            return;
+        }
+        const registration = await navigator.serviceWorker.register('sw.js');
+        await navigator.serviceWorker.ready;
+        
+        const { publicKey } = await callNotificationContacts({ action: 'key' }, '/api/notify/push');
+        let subscription = await registration.pushManager.getSubscription();
+        if (subscription) {
+            // Subscribed under an older server key: start over
+            const currentKey = subscription.options && subscription.options.applicationServerKey;
+            const expected = pushKeyBytes(publicKey);
+            if (currentKey && !new Uint8Array(currentKey).every((byte, index) => byte === expected[index])) {
+                await subscription.unsubscribe();
+                subscription = null;
+            }
+        }
+        if (!subscription) {
+            subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: pushKeyBytes(publicKey)
+            });
+        }
+        
+        await callNotificationContacts({ action: 'subscribe', subscription: subscription.toJSON(), label: pushBrowserLabel() }, '/api/notify/push');
+        pushSubscriptionEndpoint = subscription.endpoint;
+        renderNotificationChannels();
+        showNotification('This browser will receive push notifications', 'success');
+    } catch (error) {
+        console.error('[PUSH] Error subscribing:', error);
+        showNotification(`Could not subscribe: ${error.message}`, 'error');
+    }
+};
+
+window.unsubscribePushNotifications = async function() {
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        const subscription = registration ? await registration.pushManager.getSubscription() : null;
+        if (subscription) {
+            await callNotificationContacts({ action: 'unsubscribe', endpoint: subscription.endpoint }, '/api/notify/push');
+            await subscription.unsubscribe();
+        }
+        pushSubscriptionEndpoint = null;
+        renderNotificationChannels();
+        showNotification('This browser will no longer receive push notifications', 'success');
+    } catch (error) {
+        console.error('[PUSH] Error unsubscribing:', error);
+        showNotification(error.message, 'error');
+    }
+};
+
+// Another browser (a lost phone): it stops getting pushes, its own subscription just goes unused
+window.removePushSubscription = async function(subscriptionId) {
+    const subscription = pushSubscriptions.find(entry => entry.id === subscriptionId);
+    if (subscription && subscription.endpoint === pushSubscriptionEndpoint) {
+        await window.unsubscribePushNotifications();
+        return;
+    }
+    if (!confirm(`Stop push notifications to ${subscription ? subscription.label : 'this browser'}?`)) return;
+    
+    try {
+        await callNotificationContacts({ action: 'unsubscribe', id: subscriptionId }, '/api/notify/push');
+        showNotification('Browser removed', 'success');
+    } catch (error) {
+        console.error('[PUSH] Error removing subscription:', error);
+        showNotification(error.message, 'error');
+    }
+};
+
+window.testPushNotifications = async function() {
+    try {
+        const result = await callNotificationContacts({ action: 'test' }, '/api/notify/push');
+        showNotification(`Test push sent (${result.delivered})`, 'success');
+    } catch (error) {
+        console.error('[PUSH] Error sending test push:', error);
+        showNotification(error.message, 'error');
+    }
+};
+
+// ============================================================
+// ALERT ESCALATION (UI)
+// ============================================================
+// Farm policy in users/{uid}.alertEscalation - see alert-rules.js; api/cron/escalate-alerts.js runs it every minute
+// Workers are contacts, not accounts: their pings carry a signed acknowledge link (api/alerts/acknowledge.js)
+// and only go to addresses verified with a code (POST /api/notify/contacts with the worker id, after saving)
+
+// Workers being edited (saved with the rest of the form)
+let escalationWorkers = [];
+let escalationPolicyUid = null;
+// Workers as last saved, and workerId -> users/{uid}/workerContacts doc (verified addresses, written by the API)
+let savedEscalationWorkers = [];
+let escalationWorkerContacts = {};
+
+async function attachEscalationPolicyBindings() {
+    const uid = auth.currentUser?.uid || window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid || escalationPolicyUid === uid || !document.getElementById('escalationForm')) return;
+    escalationPolicyUid = uid;
+    
+    const severitySelect = document.getElementById('escalationMinSeverity');
+    severitySelect.innerHTML = AlertRules.SEVERITIES.map(severity =>
+        `<option value="${severity}">${severity.charAt(0).toUpperCase() + severity.slice(1)} and up</option>`).join('');
+    
+    let policy = AlertRules.normalizeEscalationPolicy(null);
+    try {
+        const userSnap = await getDoc(doc(db, 'users', uid));
+        if (userSnap.exists()) {
+            policy = AlertRules.normalizeEscalationPolicy(userSnap.data().alertEscalation);
+        }
+    } catch (error) {
+        console.warn('[ESCALATE] Could not load escalation policy:', error.message);
+    }
+    
+    document.getElementById('escalationEnabled').checked = policy.enabled;
+    severitySelect.value = policy.minSeverity;
+    document.getElementById('escalationRepeatMinutes').value = policy.repeatMinutes;
+    document.getElementById('escalationOwnerAfter').value = policy.ownerAfterMinutes;
+    document.getElementById('escalationAdminAfter').value = policy.adminAfterMinutes;
+    escalationWorkers = policy.workers.map(worker => ({ ...worker }));
+    savedEscalationWorkers = policy.workers.map(worker => ({ ...worker }));
+    await loadEscalationWorkerContacts(uid);
+    renderEscalationWorkers();
+}
+
+async function loadEscalationWorkerContacts(uid) {
+    escalationWorkerContacts = {};
+    try {
+        const contactsSnap = await getDocs(collection(db, `users/${uid}/workerContacts`));
+        contactsSnap.forEach(contactDoc => {
+            escalationWorkerContacts[contactDoc.id] = contactDoc.data();
+        });
+    } catch (error) {
+        console.warn('[ESCALATE] Could not load worker verifications:', error.message);
+    }
+}
+
+// unsaved (edited since the last save), verified (this exact address) or unverified
+function escalationWorkerStatus(worker) {
+    const address = NotificationChannels.normalizeAddress(worker.channel, worker.address);
+    const saved = savedEscalationWorkers.find(candidate => candidate.id === worker.id);
+    if (!saved || saved.channel !== worker.channel || NotificationChannels.normalizeAddress(saved.channel, saved.address) !== address) {
+        return { key: 'unsaved', label: 'Save to verify', className: '' };
+    }
+    const contact = escalationWorkerContacts[worker.id];
+    if (contact && contact.verified === true && contact.channel === worker.channel && contact.address === address) {
+        return { key: 'verified', label: 'Verified', className: 'is-verified' };
+    }
+    return { key: 'unverified', label: 'Not verified', className: 'is-pending' };
+}
+
+function renderEscalationWorkers() {
+    const list = document.getElementById('escalationWorkersList');
+    if (!list) return;
+    
+    if (escalationWorkers.length === 0) {
+        list.innerHTML = '<p class="alert-rules-empty">No workers yet - alerts go straight to you and the admins.</p>';
+        return;
+    }
+    list.innerHTML = escalationWorkers.map((worker, index) => {
+        const status = escalationWorkerStatus(worker);
+        const verifyRow = status.key === 'unverified' ? `
+            <div class="escalation-worker-verify">
+                <button type="button" class="btn-secondary" onclick="sendEscalationWorkerCode(${index})">Send code</button>
+                <input type="text" class="form-input" id="escalationWorkerCode_${index}" inputmode="numeric" placeholder="Code from the worker" aria-label="Verification code">
+                <button type="button" class="btn-secondary" onclick="verifyEscalationWorker(${index})">Verify</button>
+            </div>` : '';
+        return `
+        <div class="escalation-worker">
+            <input type="text" class="form-input" placeholder="Name" value="${escapeHtml(worker.name)}"
+                oninput="updateEscalationWorker(${index}, 'name', this.value)" aria-label="Worker name">
+            <select class="form-input" onchange="updateEscalationWorker(${index}, 'channel', this.value)" aria-label="Channel">
+                ${AlertRules.WORKER_CHANNELS.map(channel =>
+                    `<option value="${channel}" ${worker.channel === channel ? 'selected' : ''}>${NotificationChannels.CHANNELS[channel].label}</option>`).join('')}
+            </select>
+            <input type="text" class="form-input" placeholder="${NotificationChannels.CHANNELS[worker.channel].placeholder}" value="${escapeHtml(worker.address)}"
+                oninput="updateEscalationWorker(${index}, 'address', this.value)" aria-label="${NotificationChannels.CHANNELS[worker.channel].addressLabel}">
+            <span class="notification-channel-status ${status.className}" title="Workers are only pinged at verified addresses">${status.label}</span>
+            <button type="button" class="alert-rule-btn" title="Remove" onclick="removeEscalationWorker(${index})"><i class="fas fa-trash"></i></button>
+            ${verifyRow}
+        </div>
+    `;
+    }).join('');
+}
+
+window.addEscalationWorker = function() {
+    if (escalationWorkers.length >= AlertRules.MAX_ESCALATION_WORKERS) {
+        showNotification(`At most ${AlertRules.MAX_ESCALATION_WORKERS} workers`, 'error');
+        return;
+    }
+    // The id signs the worker's acknowledge links, so it never changes while the worker stays listed
+    escalationWorkers.push({ id: `w${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name: '', channel: 'sms', address: '' });
+    renderEscalationWorkers();
+};
+
+window.updateEscalationWorker = function(index, field, value) {
+    if (!escalationWorkers[index]) return;
+    escalationWorkers[index][field] = value;
+    // The address placeholder follows the channel
+    if (field === 'channel') renderEscalationWorkers();
+};
+
+window.removeEscalationWorker = function(index) {
+    escalationWorkers.splice(index, 1);
+    renderEscalationWorkers();
+};
+
+window.saveEscalationPolicy = async function() {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid) {
+        showNotification('User not authenticated', 'error');
+        return;
+    }
+    
+    const source = {
+        enabled: document.getElementById('escalationEnabled').checked,
+        minSeverity: document.getElementById('escalationMinSeverity').value,
+        workers: escalationWorkers.map(worker => ({
+            ...worker,
+            address: NotificationChannels.normalizeAddress(worker.channel, worker.address)
+        })),
+        repeatMinutes: document.getElementById('escalationRepeatMinutes').value,
+        ownerAfterMinutes: document.getElementById('escalationOwnerAfter').value,
+        adminAfterMinutes: document.getElementById('escalationAdminAfter').value
+    };
+    const problems = AlertRules.validateEscalationPolicy(source);
+    source.workers.forEach(worker => {
+        const problem = NotificationChannels.validateAddress(worker.channel, worker.address, {
+            allowLoopback: ['localhost', '127.0.0.1'].includes(location.hostname)
+        });
+        if (problem) problems.push(`${worker.name || 'Worker'}: ${problem}`);
+    });
+    if (problems.length > 0) {
+        showNotification(problems[0], 'error');
+        return;
+    }
+    
+    try {
+        const policy = AlertRules.normalizeEscalationPolicy(source);
+        await updateDoc(doc(db, 'users', uid), { alertEscalation: { ...policy, updatedAt: Date.now() } });
+        escalationWorkers = policy.workers.map(worker => ({ ...worker }));
+        savedEscalationWorkers = policy.workers.map(worker => ({ ...worker }));
+        renderEscalationWorkers();
+        const unverified = policy.workers.some(worker => escalationWorkerStatus(worker).key !== 'verified');
+        showNotification((policy.enabled ? 'Escalation policy saved' : 'Escalation policy saved (off)') +
+            (unverified ? ' - send a code to each unverified worker, they are not pinged until verified' : ''), 'success');
+    } catch (error) {
+        console.error('[ESCALATE] Error saving escalation policy:', error);
+        showNotification('Failed to save escalation policy', 'error');
+    }
+};
+
+// Send a code to a saved worker's address; the worker passes it on and the owner types it in
+window.sendEscalationWorkerCode = async function(index) {
+    const worker = escalationWorkers[index];
+    if (!worker) return;
+    try {
+        const result = await callNotificationContacts({ action: 'set', worker: worker.id });
+        showNotification(`Verification code sent to ${result.address} - ask ${worker.name || 'the worker'} for it`, 'success');
+    } catch (error) {
+        console.error('[ESCALATE] Error sending worker code:', error);
+        showNotification(error.message, 'error');
+    }
+};
+
+window.verifyEscalationWorker = async function(index) {
+    const worker = escalationWorkers[index];
+    const code = document.getElementById(`escalationWorkerCode_${index}`)?.value.trim() || '';
+    if (!worker) return;
+    if (!code) {
+        showNotification('Enter the code the worker received', 'error');
+        return;
+    }
+    try {
+        await callNotificationContacts({ action: 'verify', worker: worker.id, code });
+        await loadEscalationWorkerContacts(escalationPolicyUid);
+        renderEscalationWorkers();
+        showNotification(`${worker.name || 'Worker'} verified`, 'success');
+    } catch (error) {
+        console.error('[ESCALATE] Error verifying worker:', error);
+        showNotification(error.message, 'error');
+    }
+};
+
+// ============================================================
+// USER TIMEZONE (UI)
+// ============================================================
+// Reports section picker for users/{uid}.timezone
+
+// Zones offered in the picker (the full IANA list where the browser exposes it)
+function listTimezones() {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return Array.from(new Set([...zones, Timezone.DEFAULT_TIMEZONE, 'UTC', userTimezone, browserZone].filter(Boolean))).sort();
+}
+
+function renderTimezoneSelector() {
+    const select = document.getElementById('userTimezoneSelect');
+    if (!select) return;
+    
+    if (select.options.length === 0) {
+        select.innerHTML = listTimezones().map(zone => `<option value="${zone}">${zone}</option>`).join('');
+    }
+    select.value = userTimezone;
+}
+
+// Save the timezone on the user profile and on the owned device mappings (read by the unauthenticated runtime)
+window.saveUserTimezone = async function() {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid) {
+        showNotification('User not authenticated', 'error');
+        return;
+    }
+    
+    const timezone = document.getElementById('userTimezoneSelect')?.value;
+    if (!Timezone.isValidTimezone(timezone)) {
+        showNotification('Unknown timezone', 'error');
+        return;
+    }
+    if (timezone === userTimezone) {
+        showNotification(`Reports already use ${timezone}`, 'info');
+        return;
+    }
+    if (!confirm(`Bucket hours and days in ${timezone}? Records already stored keep their old hours until they are migrated.`)) {
+        renderTimezoneSelector();
+        return;
+    }
+    
+    try {
+        await updateDoc(doc(db, 'users', uid), { timezone: timezone });
+        
+        const ownedDevices = (window.RUNTIME_CONTEXT?.devices || []).filter(device => device.ownerUid === uid);
+        await Promise.all(ownedDevices.map(device => updateDoc(doc(db, 'devices', device.id), { timezone: timezone }).catch(error => {
+            console.warn('[TIMEZONE] Could not copy timezone to device mapping:', device.id, error.message);
+        })));
+        
+        userTimezone = timezone;
+        console.log('[TIMEZONE] Bucketing in ' + userTimezone);
+        
+        // Today may be a different date in the new zone
+        selectedHourlyDate = formatDateString(getUserNow());
+        const dateSelector = document.getElementById('hourlyDateSelector');
+        if (dateSelector) dateSelector.value = selectedHourlyDate;
+        await loadHourlyReport();
+        
+        showNotification(`Reports now use ${timezone}`, 'success');
+    } catch (error) {
+        console.error('[TIMEZONE] Error saving timezone:', error);
+        showNotification('Failed to save timezone', 'error');
+    }
+};
+
+// ============================================================
+// LEGACY WRAPPER (BACKWARD COMPATIBILITY)
+// ============================================================
+// Maintains backward compatibility with existing code
+// Calls core + UI bindings
+export function setupSensorRealtimeUpdates() {
+    try {
+        // Device ID for RTDB path (selected device)
+        const rtdbPath = `devices/${getSelectedDeviceId()}/status/feeder`;
+        
+        console.log('[RTDB] Setting up real-time sensor updates from RTDB:', rtdbPath);
+        console.log('[RTDB] RTDB listener will work without authentication');
+        
+        // Set up RTDB listener for live sensor readings (temperature, pH, motor state)
+        // No auth check - listener works unconditionally
+        const statusRef = ref(rtdb, rtdbPath);
+        console.log('[RTDB] Attaching listener to:', rtdbPath);
+        onValue(statusRef, (snapshot) => {
+            try {
+                if (snapshot.exists()) {
+                    const data = snapshot.val();
+                    
+                    let temperature = null;
+                    let ph = null;
+                    
+                    // Update temperature from RTDB
+                    if (data.temperature !== undefined && data.temperature !== null) {
+                        temperature = applyDeviceCalibration(getSelectedDeviceId(), 'temperature', data.temperature);
+                        // [FIX] Wrap UI updates in try/catch - runtime must not fail if DOM missing
+                        try {
+                            updateSensorDisplay('temperature', temperature, '°C');
+                        } catch (uiError) {
+                            // UI update failed - non-critical, continue runtime
+                        }
+                        console.log('[RTDB] Temperature updated (RTDB):', temperature);
+                    } else {
+                        try {
+                            updateSensorDisplay('temperature', '--', '°C');
+                        } catch (uiError) {
+                            // UI update failed - non-critical
+                        }
+                    }
+                    
+                    // Update pH from RTDB
+                    if (data.ph !== undefined && data.ph !== null) {
+                        ph = applyDeviceCalibration(getSelectedDeviceId(), 'ph', data.ph);
+                        // [FIX] Wrap UI updates in try/catch - runtime must not fail if DOM missing
+                        try {
+                            updateSensorDisplay('ph', ph, '');
+                        } catch (uiError) {
+                            // UI update failed - non-critical, continue runtime
+                        }
+                        console.log('[RTDB] pH updated (RTDB):', ph);
+                    } else {
+                        try {
+                            updateSensorDisplay('ph', '--', '');
+                        } catch (uiError) {
+                            // UI update failed - non-critical
+                        }
+                    }
+                    
+                    // Update dissolved oxygen and ammonia from RTDB
+                    const dissolvedOxygen = applyDeviceCalibration(getSelectedDeviceId(), 'dissolvedOxygen', SensorCatalog.readRTDBValue('dissolvedOxygen', data));
+                    const ammonia = applyDeviceCalibration(getSelectedDeviceId(), 'ammonia', SensorCatalog.readRTDBValue('ammonia', data));
+                    try {
+                        updateSensorDisplay('dissolvedOxygen', dissolvedOxygen ?? '--', ' mg/L');
+                        updateSensorDisplay('ammonia', ammonia ?? '--', ' mg/L');
+                    } catch (uiError) {
+                        // UI update failed - non-critical
+                    }
+                    
+                    // Feeder state is now read from Firestore, not RTDB
+                    // Feeder state updates come from Firestore listener, not RTDB
+                    // Keep existing feeder state from runtime state (updated by Firestore listener)
+                    
+                    // Add to live chart data (always update chart for real-time display)
+                    // [FIX] Wrap UI updates in try/catch - runtime must not fail if DOM missing
+                    try {
+                        addLiveSensorReading(temperature, ph);
+                    } catch (uiError) {
+                        // UI update failed - non-critical, continue runtime
+                    }
+                    
+                    // Update local state (READ-ONLY from RTDB - no Firestore writes here)
+                    // Rejected spikes keep the previous value (see READING VALIDATION)
+                    const validated = validateDeviceReadings(getSelectedDeviceId(), { temperature, ph, dissolvedOxygen, ammonia }, normalizeReadingTimestamp(data.timestamp));
+                    const isRejected = (sensorId) => validated.rejected.some(entry => entry.sensorId === sensorId);
+                    latestTemperature = isRejected('temperature') ? latestTemperature : (typeof temperature === 'number' ? temperature : null);
+                    latestPH = isRejected('ph') ? latestPH : (typeof ph === 'number' ? ph : null);
+                    latestDissolvedOxygen = isRejected('dissolvedOxygen') ? latestDissolvedOxygen : dissolvedOxygen;
+                    latestAmmonia = isRejected('ammonia') ? latestAmmonia : ammonia;
+                    latestRawReadings = {};
+                    SensorCatalog.SENSORS.forEach(sensor => {
+                        latestRawReadings[sensor.id] = SensorCatalog.readRTDBValue(sensor.id, data);
+                    });
+                    latestTimestamp = data.timestamp || Date.now();
+                    
+                    // In HOURLY_TEST_MODE, RTDB listeners are read-only
+                    // Firestore writes are handled by writeHourlyFromRTDB() only
+                    if (HOURLY_TEST_MODE) {
+                        // Trigger hourly writer when new sensor data arrives (respects cooldown)
+                        const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+                        if (uid && (temperature !== null || ph !== null || dissolvedOxygen !== null || ammonia !== null)) {
+                            // Fire and forget - writeHourlyFromRTDB has built-in cooldown/throttle
+                            writeHourlyFromRTDB(uid).catch(err => {
+                                console.error('[RTDB→HOURLY WRITE] Error in writeHourlyFromRTDB:', err);
+                            });
+                        }
+                    } else {
+                        // Legacy behavior (disabled in test mode)
+                        // Record sensor data to Firestore ONLY if significant change detected
+                        const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+                        if (uid && (temperature !== null || ph !== null)) {
+                            // Check if there's a significant change using canonical helper
                             const tempChanged = hasSignificantChange(lastRecordedValues.temperature, temperature, CHANGE_THRESHOLDS.temperature);
                             const phChanged = hasSignificantChange(lastRecordedValues.ph, ph, CHANGE_THRESHOLDS.ph);
                             if (tempChanged || phChanged) {
@@ -3329,303 +5359,1211 @@ export function setupSensorRealtimeUpdates() {
             } catch (error) {
                 console.error('Error processing RTDB sensor update:', error);
             }
-        }, (error) => {
-            console.error('Error in RTDB sensor listener:', error);
-            // Set default values on error
-            // [FIX] Wrap UI updates in try/catch - runtime must not fail if DOM missing
-            try {
-                updateSensorDisplay('temperature', '--', '°C');
-                updateSensorDisplay('ph', '--', '');
-                updateFeederStatusDisplay(null);
-                updateMotorToggleButton(null);
-            } catch (uiError) {
-                // UI update failed - non-critical
+        }, (error) => {
+            console.error('Error in RTDB sensor listener:', error);
+            // Set default values on error
+            // [FIX] Wrap UI updates in try/catch - runtime must not fail if DOM missing
+            try {
+                updateSensorDisplay('temperature', '--', '°C');
+                updateSensorDisplay('ph', '--', '');
+                updateFeederStatusDisplay(null);
+                updateMotorToggleButton(null);
+            } catch (uiError) {
+                // UI update failed - non-critical
+            }
+        });
+        
+        // Store reference and cleanup function for RTDB listener
+        window.sensorUnsubscribes = {
+            rtdb: {
+                ref: statusRef,
+                cleanup: () => off(statusRef)
+            }
+        };
+        
+        console.log('[RTDB] Real-time RTDB sensor listener set up successfully');
+        console.log('[RTDB] Listener attached, guard check:', !window.sensorUnsubscribes || !window.sensorUnsubscribes.rtdb ? 'PASSED' : 'ALREADY EXISTS');
+        
+    } catch (error) {
+        console.error('Error setting up real-time sensor updates:', error);
+        // Set default values on error
+        // [FIX] Wrap UI updates in try/catch - runtime must not fail if DOM missing
+        try {
+            updateSensorDisplay('temperature', '--', '°C');
+            updateSensorDisplay('ph', '--', '');
+            updateFeederStatusDisplay(null);
+            updateMotorToggleButton(null);
+        } catch (uiError) {
+            // UI update failed - non-critical
+        }
+    }
+}
+
+// Cleanup sensor listeners (call on logout)
+function cleanupSensorListeners() {
+    try {
+        if (window.sensorUnsubscribes) {
+            // Cleanup RTDB listener
+            if (window.sensorUnsubscribes.rtdb) {
+                if (window.sensorUnsubscribes.rtdb.cleanup && typeof window.sensorUnsubscribes.rtdb.cleanup === 'function') {
+                    window.sensorUnsubscribes.rtdb.cleanup();
+                } else if (window.sensorUnsubscribes.rtdb.ref) {
+                    // Fallback: use off() directly with reference
+                    off(window.sensorUnsubscribes.rtdb.ref);
+                }
+            }
+            // Legacy Firestore listener cleanup (for backward compatibility)
+            if (window.sensorUnsubscribes.temperature && typeof window.sensorUnsubscribes.temperature === 'function') {
+                window.sensorUnsubscribes.temperature();
+            }
+            if (window.sensorUnsubscribes.ph && typeof window.sensorUnsubscribes.ph === 'function') {
+                window.sensorUnsubscribes.ph();
+            }
+            if (window.sensorUnsubscribes.feeder && typeof window.sensorUnsubscribes.feeder === 'function') {
+                window.sensorUnsubscribes.feeder();
+            }
+            window.sensorUnsubscribes = null;
+            console.log('Sensor listeners cleaned up');
+        }
+        // Reset status cache on logout
+        lastMirroredFeederStatus = null;
+    } catch (error) {
+        console.error('Error cleaning up sensor listeners:', error);
+    }
+}
+
+// Helper function to create schedule item HTML (for new schema with execution-based status)
+// todayLog: today's feedingLogs entry, if any (carries the reason when a water condition skipped or reduced it)
+function createScheduleItemHTML(schedule, executionStatus = 'PENDING', scheduleId = '', todayLog = null) {
+    const title = schedule.title || 'Untitled Schedule';
+    const time = schedule.time || '--:--';
+    // Recurrence and amount instead of the stored description (older schedules all say "One-time feeding")
+    const gramsPerSecond = getFeederGramsPerSecond(schedule.deviceId || getPrimaryDeviceId());
+    const feedName = getFeedTypeName(schedule.feedTypeId);
+    const description = `${FeedingSchedules.describeRecurrence(schedule.recurrence)} · ${FeedingSchedules.describeAmount(schedule, gramsPerSecond)}` +
+        (feedName ? ` · ${escapeHtml(feedName)}` : '');
+    const isEnabled = schedule.isEnabled !== false; // Default to true if not specified
+    const guardNote = isEnabled ? describeScheduleGuardState(schedule, executionStatus, todayLog) : '';
+    
+    // Format time for display (HH:mm format)
+    let displayTime = time;
+    if (time && time.includes(':')) {
+        const [hours, minutes] = time.split(':');
+        const hour = parseInt(hours);
+        const minute = parseInt(minutes);
+        if (!isNaN(hour) && !isNaN(minute)) {
+            const date = new Date();
+            date.setHours(hour, minute, 0, 0);
+            displayTime = date.toLocaleTimeString('en-US', {
+                hour: 'numeric',
+                minute: '2-digit',
+                hour12: true
+            });
+        }
+    }
+    
+    // Determine status badge based on execution status and enabled state
+    let statusClass, statusText;
+    if (!isEnabled) {
+        statusClass = 'disabled';
+        statusText = 'Disabled';
+    } else {
+        switch (executionStatus) {
+            case 'COMPLETED':
+                statusClass = 'completed';
+                statusText = 'Completed';
+                break;
+            case 'RUNNING':
+                statusClass = 'in-progress';
+                statusText = 'Running';
+                break;
+            case 'OFF_DAY': {
+                // Not a feeding day: show when it feeds next
+                const nextDay = FeedingSchedules.nextFeedingDay(schedule.recurrence, formatDateString(new Date()));
+                statusClass = 'off-day';
+                statusText = nextDay ? `Next ${FeedingSchedules.formatDay(nextDay, false)}` : 'Not today';
+                break;
+            }
+            case 'ENDED':
+                statusClass = 'ended';
+                statusText = 'Ended';
+                break;
+            case 'SKIPPED':
+                statusClass = 'skipped';
+                statusText = 'Skipped';
+                break;
+            case 'PENDING':
+            default:
+                statusClass = 'pending';
+                statusText = 'Pending';
+                break;
+        }
+    }
+    
+    return `
+        <div class="schedule-item user-schedule-item" data-schedule-id="${scheduleId}">
+            <div class="schedule-time">
+                <span class="time">${displayTime}</span>
+            </div>
+            <div class="schedule-details">
+                <div class="schedule-title"><strong>${title}</strong></div>
+                <div class="schedule-description"><i class="fas fa-redo"></i> ${description}</div>
+                ${guardNote}
+            </div>
+            <div class="schedule-actions">
+                <div class="schedule-status">
+                    <span class="status ${statusClass}">${statusText}</span>
+                </div>
+                <button 
+                    class="schedule-delete-btn" 
+                    onclick="deleteFeedingSchedule('${scheduleId}')"
+                    title="Delete schedule"
+                >
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+// Water conditions of a schedule, and what they did today (or would do now, from the live readings)
+function describeScheduleGuardState(schedule, executionStatus, todayLog) {
+    const guards = FeedingSchedules.normalizeGuards(schedule.guards);
+    if (guards.length === 0) return '';
+    let html = `<div class="schedule-guard-note"><i class="fas fa-shield-alt"></i> ${guards.map(FeedingSchedules.describeGuard).join('; ')}</div>`;
+    
+    let outcome = null;
+    if (todayLog && todayLog.guard && todayLog.reason) {
+        // Decided by the executor when the feeding started
+        outcome = todayLog.guard.action === 'skip'
+            ? `Skipped today: ${todayLog.reason}`
+            : `Reduced by ${todayLog.guard.reducePercent}% today: ${todayLog.reason}`;
+    } else if (executionStatus === 'PENDING') {
+        // Not started yet: what the current readings would do (stale readings count as missing, as on the server)
+        const deviceState = window.RUNTIME_STATE.devices[schedule.deviceId || getPrimaryDeviceId()];
+        const fresh = deviceState && deviceState.lastUpdateAt >= Date.now() - FeedingSchedules.GUARD_READING_MAX_AGE_MINUTES * 60 * 1000;
+        const check = FeedingSchedules.checkGuards(guards, fresh ? deviceState : null);
+        if (check.action === 'skip') {
+            outcome = `Would be skipped now: ${check.reason}`;
+        } else if (check.action === 'reduce') {
+            outcome = `Would be reduced by ${check.reducePercent}% now: ${check.reason}`;
+        }
+    }
+    if (outcome) {
+        html += `<div class="schedule-guard-note active"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(outcome)}</div>`;
+    }
+    return html;
+}
+
+// Helper function to render schedules to a container (with execution status)
+function renderSchedulesToContainer(schedulesWithStatus, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        console.warn(`Container with id "${containerId}" not found`);
+        return;
+    }
+    
+    if (schedulesWithStatus.length === 0) {
+        container.innerHTML = '<div class="schedule-item"><p class="no-data-text">No feeding schedules found</p></div>';
+        return;
+    }
+    
+    container.innerHTML = '';
+    schedulesWithStatus.forEach(scheduleData => {
+        const schedule = scheduleData.data;
+        const scheduleId = scheduleData.id || '';
+        const executionStatus = scheduleData.executionStatus || 'PENDING';
+        const scheduleHTML = createScheduleItemHTML(schedule, executionStatus, scheduleId, scheduleData.todayLog || null);
+        container.insertAdjacentHTML('beforeend', scheduleHTML);
+    });
+}
+
+// ============================================================
+// FEEDING SCHEDULE STATUS COMPUTATION (EXECUTION-BASED)
+// ============================================================
+
+// Determine schedule execution status based on daily cycle
+// CORE RULE: A feeding schedule can run ONCE PER DAY, on the days its recurrence allows (feeding-schedules.js)
+// Days and times are the user's (users/{uid}.timezone), like api/cron/execute-feeding.js, not the browser's
+// Status priority (ORDER IS CRITICAL):
+// 0. OFF_DAY / ENDED: Today is not a feeding day (ENDED = no feeding day left, e.g. a one-off that ran)
+// 1. Today's log decides when there is one: COMPLETED, RUNNING (until the executor stops it) or SKIPPED
+// 2. RUNNING: No log yet AND T ≤ now < E (the executor starts it within the minute)
+// 3. PENDING: No log yet AND now < T
+// 4. PENDING: No log AND now ≥ E (missed, no re-run)
+// 
+// Formula: T = scheduled time, D = run time (minutes, see scheduleRunPlan), E = T + D
+// Today's log is users/{uid}/feedingLogs/{scheduleId}_{YYYY-MM-DD} (written by api/cron/execute-feeding.js),
+// read once per schedule by loadFeedingSchedules:
+//   - scheduleId: string (matches schedule document ID)
+//   - status: 'running' | 'completed' | 'skipped' (a water condition held)
+//   - reason?, guard?: set when a water condition skipped or reduced the feeding (see feeding-schedules.js guards)
+//   - startedAt: Timestamp (when motor was turned ON), endsAt: Timestamp (when the run is due to end)
+//   - endedAt?: Timestamp (when motor was turned OFF, only if completed)
+//   - duration: number (minutes), runSeconds, targetKg, gramsPerSecond (rate at the start)
+//   - ranSeconds?, dispensedKg?: set when completed (dispensedKg is also added to hourlyRecords feedUsedKg)
+function determineScheduleStatus(scheduleTime, scheduleDuration, recurrence = null, todayLog = null) {
+    const now = Date.now();
+    const todayKey = getUserBucket(now).date;
+    
+    // Recurrence decides first: no log or time window matters on a day the schedule does not feed
+    if (!FeedingSchedules.feedsOn(recurrence, todayKey)) {
+        return FeedingSchedules.hasEnded(recurrence, todayKey) ? 'ENDED' : 'OFF_DAY';
+    }
+    
+    if (todayLog) {
+        if (todayLog.status === 'completed') return 'COMPLETED';
+        if (todayLog.status === 'skipped') return 'SKIPPED';
+        if (todayLog.status === 'running') return 'RUNNING';
+    }
+    
+    // No log yet: T and E of today in the user's zone
+    const scheduledAt = scheduleTimeOnUserDay(scheduleTime, todayKey);
+    if (scheduledAt === null) {
+        return 'PENDING';
+    }
+    const endsAt = scheduledAt + (scheduleDuration || 30) * 60 * 1000;
+    
+    if (now >= scheduledAt && now < endsAt) {
+        return 'RUNNING';
+    }
+    // Before T, or missed (the schedule resets at 00:00 the next day)
+    return 'PENDING';
+}
+
+// ============================================================
+// AUTOMATIC FEEDING SCHEDULE EXECUTION (Start → Run → Stop)
+// ============================================================
+
+// ============================================================
+// DEVICE OWNERSHIP MAPPING (Part 1)
+// ============================================================
+// Default device ID - comes from ESP firmware, never generated in web app
+// Used as the fallback device when no devices are registered for the runtime user
+export const DEVICE_ID = DeviceRegistry.DEFAULT_DEVICE_ID;
+
+// ============================================================
+// DEVICE REGISTRY (MULTI-DEVICE)
+// ============================================================
+// A user can own several feeders / sensor boxes. Ownership lives in two places:
+//   devices/{deviceId}             → ownerUid mapping (readable without auth)
+//   users/{uid}/devices/{deviceId} → per-user metadata (name, type, enabled, isPrimary)
+// The primary device feeds users/{uid}/sensors and the hourly pipeline.
+// The selected device drives the sensor, feeder and schedule views.
+const SELECTED_DEVICE_STORAGE_KEY = 'aquasense.selectedDeviceId';
+
+// Normalize a device document into a registry entry
+function buildDeviceEntry(deviceId, data = {}) {
+    return {
+        id: deviceId,
+        name: DeviceRegistry.deviceDisplayName({ id: deviceId, name: data.name }),
+        type: data.type || 'feeder',
+        enabled: data.enabled !== false,
+        isPrimary: data.isPrimary === true,
+        ownerUid: data.ownerUid || null,
+        // Minutes of silence before the device counts as offline (null = user default)
+        staleAfterMinutes: SensorCatalog.toNumber(data.staleAfterMinutes),
+        // Copy of users/{uid}.timezone for the unauthenticated runtime
+        timezone: data.timezone || null
+    };
+}
+
+// Load all devices owned by a user
+// Merges devices/{deviceId} (where ownerUid == uid) with users/{uid}/devices
+// Falls back to the default DEVICE_ID so single-device setups keep working
+// Never throws - always returns at least one device
+export async function loadOwnedDevices(uid) {
+    const devicesById = new Map();
+    
+    if (uid) {
+        // Ownership mapping (works without auth)
+        try {
+            const ownedQuery = query(collection(db, 'devices'), where('ownerUid', '==', uid));
+            const ownedSnap = await getDocs(ownedQuery);
+            ownedSnap.forEach(deviceDoc => {
+                devicesById.set(deviceDoc.id, buildDeviceEntry(deviceDoc.id, deviceDoc.data()));
+            });
+        } catch (error) {
+            console.warn('[DEVICE REGISTRY] Could not query device ownership mapping:', error.message);
+        }
+        
+        // Per-user metadata (requires auth - optional)
+        try {
+            const userDevicesSnap = await getDocs(collection(db, `users/${uid}/devices`));
+            userDevicesSnap.forEach(deviceDoc => {
+                const existing = devicesById.get(deviceDoc.id) || {};
+                devicesById.set(deviceDoc.id, buildDeviceEntry(deviceDoc.id, { ...existing, ...deviceDoc.data() }));
+            });
+        } catch (error) {
+            console.log('[DEVICE REGISTRY] users/{uid}/devices not readable (non-critical):', error.message);
+        }
+    }
+    
+    const devices = Array.from(devicesById.values()).filter(device => device.enabled);
+    
+    if (devices.length === 0) {
+        devices.push(buildDeviceEntry(DEVICE_ID, { ownerUid: uid || null }));
+    }
+    
+    // Stable order: default device first, then by name
+    devices.sort(DeviceRegistry.compareDevices);
+    
+    console.log('[DEVICE REGISTRY] Owned devices resolved:', devices.map(d => d.id));
+    return devices;
+}
+
+// Primary device: same rule as api/ (DeviceRegistry.resolvePrimaryDeviceId), DEVICE_ID when there are none
+function resolvePrimaryDeviceId(devices) {
+    return DeviceRegistry.resolvePrimaryDeviceId(devices) || DEVICE_ID;
+}
+
+// Selected device: last selection (localStorage) if still owned, otherwise the primary device
+function resolveSelectedDeviceId(devices, primaryDeviceId) {
+    let storedId = null;
+    try {
+        storedId = localStorage.getItem(SELECTED_DEVICE_STORAGE_KEY);
+    } catch (storageError) {
+        // localStorage unavailable - use primary device
+    }
+    if (storedId && devices.some(device => device.id === storedId)) {
+        return storedId;
+    }
+    return primaryDeviceId;
+}
+
+// Attach the device registry (devices, primaryDeviceId, selected deviceId) to a runtime context
+async function attachDeviceRegistry(context) {
+    try {
+        const devices = await loadOwnedDevices(context.runtimeUid);
+        const primaryDeviceId = resolvePrimaryDeviceId(devices);
+        return {
+            ...context,
+            deviceId: resolveSelectedDeviceId(devices, primaryDeviceId),
+            primaryDeviceId: primaryDeviceId,
+            devices: devices
+        };
+    } catch (error) {
+        console.warn('[DEVICE REGISTRY] Falling back to default device:', error);
+        return {
+            ...context,
+            deviceId: DEVICE_ID,
+            primaryDeviceId: DEVICE_ID,
+            devices: [buildDeviceEntry(DEVICE_ID)]
+        };
+    }
+}
+
+// Currently selected device (sensor, feeder and schedule views)
+export function getSelectedDeviceId() {
+    return window.RUNTIME_CONTEXT?.deviceId || DEVICE_ID;
+}
+
+// Primary device (Firestore sensors + hourly pipeline)
+export function getPrimaryDeviceId() {
+    return window.RUNTIME_CONTEXT?.primaryDeviceId || DEVICE_ID;
+}
+
+// All device IDs known to the runtime context
+export function getRuntimeDeviceIds() {
+    const devices = window.RUNTIME_CONTEXT?.devices || [];
+    const ids = devices.map(device => device.id);
+    return ids.length > 0 ? ids : [getSelectedDeviceId()];
+}
+
+// Display name for a device ID
+function getDeviceName(deviceId) {
+    const device = (window.RUNTIME_CONTEXT?.devices || []).find(d => d.id === deviceId);
+    return device ? device.name : deviceId;
+}
+
+// Register a device for a user (ownership mapping + per-user metadata)
+// Firestore Paths: devices/{deviceId}, users/{uid}/devices/{deviceId}
+export async function registerDevice(uid, deviceId, metadata = {}) {
+    if (!uid || !deviceId) {
+        return { success: false, error: 'Missing uid or deviceId' };
+    }
+    
+    try {
+        const deviceRef = doc(db, 'devices', deviceId);
+        const deviceSnap = await getDoc(deviceRef);
+        
+        if (deviceSnap.exists()) {
+            const existingOwner = deviceSnap.data().ownerUid || null;
+            if (existingOwner && existingOwner !== uid) {
+                console.warn('[DEVICE REGISTRY] Device already owned by another user:', deviceId);
+                return { success: false, error: 'Device is already registered to another user' };
+            }
+            if (!existingOwner) {
+                await updateDoc(deviceRef, { ownerUid: uid, lastSeenAt: serverTimestamp() });
+            }
+        } else {
+            await ensureDeviceOwnershipMapping(deviceId, uid);
+        }
+        
+        await setDoc(doc(db, `users/${uid}/devices/${deviceId}`), {
+            name: metadata.name || `Device ${deviceId.slice(0, 6)}`,
+            type: metadata.type || 'feeder',
+            enabled: true,
+            registeredAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        
+        console.log('[DEVICE REGISTRY] Device registered:', { deviceId, uid });
+        return { success: true, deviceId };
+    } catch (error) {
+        console.error('[DEVICE REGISTRY] Error registering device:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================================
+// SENSOR CALIBRATION (PER DEVICE)
+// ============================================================
+// Probes drift (pH especially), so each device keeps one active profile per sensor:
+//   users/{uid}/devices/{deviceId}/calibrations/{sensorId}                  → active profile
+//   users/{uid}/devices/{deviceId}/calibrations/{sensorId}/history/{autoId} → every calibration (audit trail)
+// Profile math (offset, slope, two-/three-point fit) lives in sensor-catalog.js.
+// Ingestion stores corrected values and keeps the raw reading next to them.
+
+// Active profiles: { [deviceId]: { [sensorId]: profile } } - a device is missing until loaded
+const calibrationProfiles = {};
+const calibrationUnsubscribes = {};
+
+// Build { [sensorId]: profile } from a calibrations snapshot
+function profilesFromSnapshot(snapshot) {
+    const profiles = {};
+    snapshot.forEach(profileDoc => {
+        profiles[profileDoc.id] = profileDoc.data();
+    });
+    return profiles;
+}
+
+// Keep a device's profiles live (idempotent per device)
+function watchCalibrationProfiles(uid, deviceId) {
+    if (!uid || !deviceId || calibrationUnsubscribes[deviceId]) return;
+    
+    const calibrationsRef = collection(db, `users/${uid}/devices/${deviceId}/calibrations`);
+    calibrationUnsubscribes[deviceId] = onSnapshot(calibrationsRef, (snapshot) => {
+        calibrationProfiles[deviceId] = profilesFromSnapshot(snapshot);
+        console.log('[CALIBRATION] Profiles loaded device=' + deviceId + ':', Object.keys(calibrationProfiles[deviceId]));
+        window.RuntimeEvents.emit('calibration:update', { deviceId, profiles: calibrationProfiles[deviceId] });
+    }, (error) => {
+        // Readings pass through uncalibrated - retried on the next setupSensorRealtimeUpdatesCore()
+        console.warn('[CALIBRATION] Could not watch profiles for device ' + deviceId + ':', error.message);
+        delete calibrationUnsubscribes[deviceId];
+    });
+}
+
+// One-off load for ingestion paths that run outside the live listener
+async function ensureCalibrationProfiles(uid, deviceId) {
+    if (calibrationProfiles[deviceId] || !uid || !deviceId) {
+        return calibrationProfiles[deviceId] || {};
+    }
+    
+    try {
+        const snapshot = await getDocs(collection(db, `users/${uid}/devices/${deviceId}/calibrations`));
+        calibrationProfiles[deviceId] = profilesFromSnapshot(snapshot);
+    } catch (error) {
+        console.warn('[CALIBRATION] Could not load profiles for device ' + deviceId + ':', error.message);
+        return {};
+    }
+    return calibrationProfiles[deviceId];
+}
+
+// Active profile for a device sensor (null = uncalibrated)
+export function getCalibrationProfile(deviceId, sensorId) {
+    return calibrationProfiles[deviceId]?.[sensorId] || null;
+}
+
+// Apply a device's profile to one reading (uncalibrated sensors pass through)
+function applyDeviceCalibration(deviceId, sensorId, value) {
+    return SensorCatalog.applyCalibration(value, getCalibrationProfile(deviceId, sensorId));
+}
+
+// Calibrate a readings map keyed by sensor id → { readings (corrected), raw }
+function calibrateDeviceReadings(deviceId, rawReadings) {
+    return SensorCatalog.calibrateReadings(rawReadings, calibrationProfiles[deviceId] || {});
+}
+
+// Who is calibrating (stored on the profile and its history entry)
+function getCalibrationAuthor(uid) {
+    const user = auth.currentUser;
+    return {
+        calibratedBy: user ? user.uid : uid,
+        calibratedByName: user ? (user.displayName || user.email || null) : null
+    };
+}
+
+// Fit and save a new active profile, and append it to the history
+// points: [{ raw, reference }], manual: { slope, offset } (slope method)
+export async function saveCalibrationProfile(uid, deviceId, sensorId, method, points = [], manual = {}) {
+    if (!uid || !deviceId || !SensorCatalog.getSensor(sensorId)) {
+        return { success: false, error: 'Missing uid, device or sensor' };
+    }
+    
+    let fit;
+    try {
+        fit = SensorCatalog.fitCalibration(method, points, manual);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+    
+    try {
+        const profile = {
+            sensorId: sensorId,
+            deviceId: deviceId,
+            method: method,
+            slope: fit.slope,
+            offset: fit.offset,
+            points: method === 'slope' ? [] : points.map(point => ({
+                raw: SensorCatalog.toNumber(point.raw),
+                reference: SensorCatalog.toNumber(point.reference)
+            })),
+            ...getCalibrationAuthor(uid),
+            calibratedAt: serverTimestamp()
+        };
+        
+        const profilePath = `users/${uid}/devices/${deviceId}/calibrations/${sensorId}`;
+        await setDoc(doc(db, profilePath), profile);
+        await addDoc(collection(db, `${profilePath}/history`), profile);
+        
+        // Apply right away - the watcher replaces this once the server timestamp lands
+        const localProfile = { ...profile, calibratedAt: new Date() };
+        calibrationProfiles[deviceId] = { ...(calibrationProfiles[deviceId] || {}), [sensorId]: localProfile };
+        
+        console.log('[CALIBRATION] Saved profile:', { deviceId, sensorId, method, slope: fit.slope, offset: fit.offset });
+        return { success: true, profile: localProfile };
+    } catch (error) {
+        console.error('[CALIBRATION] Error saving profile:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Remove the active profile (readings go back to raw); the history keeps a "cleared" entry
+export async function clearCalibrationProfile(uid, deviceId, sensorId) {
+    if (!uid || !deviceId || !sensorId) {
+        return { success: false, error: 'Missing uid, device or sensor' };
+    }
+    
+    try {
+        const profilePath = `users/${uid}/devices/${deviceId}/calibrations/${sensorId}`;
+        await deleteDoc(doc(db, profilePath));
+        await addDoc(collection(db, `${profilePath}/history`), {
+            sensorId: sensorId,
+            deviceId: deviceId,
+            method: 'cleared',
+            ...getCalibrationAuthor(uid),
+            calibratedAt: serverTimestamp()
+        });
+        
+        if (calibrationProfiles[deviceId]) {
+            delete calibrationProfiles[deviceId][sensorId];
+        }
+        
+        console.log('[CALIBRATION] Cleared profile:', { deviceId, sensorId });
+        return { success: true };
+    } catch (error) {
+        console.error('[CALIBRATION] Error clearing profile:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================================
+// READING VALIDATION (SPIKE / OUTLIER REJECTION)
+// ============================================================
+// Runs on calibrated readings before anything is synced, stored or aggregated:
+// physical range, max rate of change and a Hampel (median) filter - see sensor-catalog.js.
+// Rejected readings go to users/{uid}/quarantine/{deviceId}_{sensorId}_{tsMs} with their reason
+// and are counted on the hour (rejectedCount, rejectedReasons).
+// Per-user overrides: users/{uid}.sensorValidation
+
+// Resolved config (catalog defaults until the user's overrides load)
+let validationConfig = SensorCatalog.resolveValidationConfig(null);
+let validationConfigUid = null;
+
+// Per device: { histories: { [sensorId]: history }, lastTs, lastResult }
+const validationState = {};
+
+// Labels for quarantine reasons (hourly report tooltip)
+const REJECTION_REASON_LABELS = {
+    out_of_range: 'Out of range',
+    rate_of_change: 'Rate of change',
+    hampel: 'Outlier (Hampel)'
+};
+
+// Load the user's overrides once per uid (user doc is not readable without auth → defaults)
+async function loadValidationConfig(uid) {
+    if (!uid || validationConfigUid === uid) return validationConfig;
+    validationConfigUid = uid;
+    
+    try {
+        const userSnap = await getDoc(doc(db, 'users', uid));
+        validationConfig = SensorCatalog.resolveValidationConfig(userSnap.exists() ? userSnap.data().sensorValidation : null);
+        console.log('[VALIDATION] Config loaded for uid=' + uid);
+    } catch (error) {
+        console.log('[VALIDATION] Using default config (user doc not readable):', error.message);
+    }
+    return validationConfig;
+}
+
+// Validate one device's readings → { readings (rejected → null), rejected, histories }
+// Listener fires for the same reading (feeder state changes) reuse the first decision
+function validateDeviceReadings(deviceId, readings, tsMs) {
+    if (!validationState[deviceId]) {
+        validationState[deviceId] = { histories: {}, lastTs: null, lastResult: null };
+    }
+    const state = validationState[deviceId];
+    if (state.lastTs === tsMs && state.lastResult) {
+        return state.lastResult;
+    }
+    
+    const result = SensorCatalog.validateReadings(readings, tsMs, state.histories, validationConfig);
+    state.histories = result.histories;
+    state.lastTs = tsMs;
+    state.lastResult = result;
+    
+    if (result.rejected.length > 0) {
+        console.warn('[VALIDATION] Rejected device=' + deviceId + ':', result.rejected.map(entry => `${entry.sensorId}=${entry.value} (${entry.reason})`).join(', '));
+    }
+    return result;
+}
+
+// Write rejected readings to the quarantine log and count them on the hour
+// rejected: [{ sensorId, value, rawValue, reason, detail }]
+// countInHour: false for secondary devices (only the primary device feeds hourlyRecords)
+// A reading already in quarantine (second tab, cron) is not counted twice
+export async function quarantineReadings(uid, deviceId, rejected, tsMs, source, countInHour = true) {
+    if (!uid || !deviceId || !rejected || rejected.length === 0) return;
+    
+    const { date: dateStr, hour: hourStr } = getUserBucket(tsMs);
+    const hourRef = doc(db, `users/${uid}/hourlyRecords/${dateStr}/hours/${hourStr}`);
+    
+    try {
+        await runTransaction(db, async (transaction) => {
+            const entries = rejected.map(entry => ({
+                entry,
+                docRef: doc(db, `users/${uid}/quarantine/${deviceId}_${entry.sensorId}_${tsMs}`)
+            }));
+            const snaps = await Promise.all(entries.map(item => transaction.get(item.docRef)));
+            const fresh = entries.filter((item, index) => !snaps[index].exists());
+            if (fresh.length === 0) return;
+            
+            const reasonCounts = {};
+            fresh.forEach(({ entry, docRef }) => {
+                transaction.set(docRef, {
+                    deviceId: deviceId,
+                    sensorId: entry.sensorId,
+                    value: entry.value,
+                    rawValue: entry.rawValue ?? null,
+                    reason: entry.reason,
+                    detail: entry.detail || null,
+                    ts: tsMs,
+                    date: dateStr,
+                    hour: hourStr,
+                    source: source,
+                    createdAt: serverTimestamp()
+                });
+                reasonCounts[entry.reason] = (reasonCounts[entry.reason] || 0) + 1;
+            });
+            
+            if (countInHour) {
+                const reasonIncrements = {};
+                Object.entries(reasonCounts).forEach(([reason, count]) => {
+                    reasonIncrements[reason] = increment(count);
+                });
+                transaction.set(hourRef, {
+                    hour: hourStr,
+                    timezone: userTimezone,
+                    rejectedCount: increment(fresh.length),
+                    rejectedReasons: reasonIncrements
+                }, { merge: true });
             }
         });
-        
-        // Store reference and cleanup function for RTDB listener
-        window.sensorUnsubscribes = {
-            rtdb: {
-                ref: statusRef,
-                cleanup: () => off(statusRef)
-            }
-        };
-        
-        console.log('[RTDB] Real-time RTDB sensor listener set up successfully');
-        console.log('[RTDB] Listener attached, guard check:', !window.sensorUnsubscribes || !window.sensorUnsubscribes.rtdb ? 'PASSED' : 'ALREADY EXISTS');
-        
     } catch (error) {
-        console.error('Error setting up real-time sensor updates:', error);
-        // Set default values on error
-        // [FIX] Wrap UI updates in try/catch - runtime must not fail if DOM missing
-        try {
-            updateSensorDisplay('temperature', '--', '°C');
-            updateSensorDisplay('ph', '--', '');
-            updateFeederStatusDisplay(null);
-            updateMotorToggleButton(null);
-        } catch (uiError) {
-            // UI update failed - non-critical
-        }
+        console.error('[VALIDATION] Error writing quarantine log:', error);
+        // Fail silently - rejected readings are already kept out of the aggregates
     }
 }
 
-// Cleanup sensor listeners (call on logout)
-function cleanupSensorListeners() {
+// ============================================================
+// DEVICE HEARTBEAT
+// ============================================================
+// Last-seen tracking from the `timestamp` the device publishes with every RTDB reading
+// A device is stale (offline) once it has been silent longer than its threshold:
+//   users/{uid}/devices/{deviceId}.staleAfterMinutes → users/{uid}.deviceStaleMinutes → DEFAULT_STALE_AFTER_MINUTES
+// Online/offline transitions are logged to users/{uid}/deviceStatus/{deviceId}/events
+// (api/cron/check-heartbeat.js applies the same rule server-side and sends the offline notification)
+
+const DEFAULT_STALE_AFTER_MINUTES = 10;
+const HEARTBEAT_CHECK_INTERVAL_MS = 30 * 1000;
+
+// Earlier timestamps are uptime counters or an unsynced clock, not wall time
+const MIN_VALID_HEARTBEAT_MS = Date.UTC(2020, 0, 1);
+
+let deviceStaleMinutes = DEFAULT_STALE_AFTER_MINUTES;
+let heartbeatConfigUid = null;
+let heartbeatInterval = null;
+
+// deviceId -> { lastSeenAt, status: 'online' | 'offline' | null }
+const heartbeatState = {};
+
+// Load the user's staleness threshold (users/{uid}.deviceStaleMinutes)
+async function loadHeartbeatConfig(uid) {
+    if (!uid || heartbeatConfigUid === uid) return deviceStaleMinutes;
+    heartbeatConfigUid = uid;
+    
     try {
-        if (window.sensorUnsubscribes) {
-            // Cleanup RTDB listener
-            if (window.sensorUnsubscribes.rtdb) {
-                if (window.sensorUnsubscribes.rtdb.cleanup && typeof window.sensorUnsubscribes.rtdb.cleanup === 'function') {
-                    window.sensorUnsubscribes.rtdb.cleanup();
-                } else if (window.sensorUnsubscribes.rtdb.ref) {
-                    // Fallback: use off() directly with reference
-                    off(window.sensorUnsubscribes.rtdb.ref);
-                }
-            }
-            // Legacy Firestore listener cleanup (for backward compatibility)
-            if (window.sensorUnsubscribes.temperature && typeof window.sensorUnsubscribes.temperature === 'function') {
-                window.sensorUnsubscribes.temperature();
-            }
-            if (window.sensorUnsubscribes.ph && typeof window.sensorUnsubscribes.ph === 'function') {
-                window.sensorUnsubscribes.ph();
-            }
-            if (window.sensorUnsubscribes.feeder && typeof window.sensorUnsubscribes.feeder === 'function') {
-                window.sensorUnsubscribes.feeder();
-            }
-            window.sensorUnsubscribes = null;
-            console.log('Sensor listeners cleaned up');
-        }
-        // Reset status cache on logout
-        lastMirroredFeederStatus = null;
+        const userSnap = await getDoc(doc(db, 'users', uid));
+        const minutes = userSnap.exists() ? SensorCatalog.toNumber(userSnap.data().deviceStaleMinutes) : null;
+        deviceStaleMinutes = minutes && minutes > 0 ? minutes : DEFAULT_STALE_AFTER_MINUTES;
+        console.log('[HEARTBEAT] Stale threshold for uid=' + uid + ': ' + deviceStaleMinutes + ' min');
     } catch (error) {
-        console.error('Error cleaning up sensor listeners:', error);
+        console.log('[HEARTBEAT] Using default stale threshold (user doc not readable):', error.message);
     }
+    return deviceStaleMinutes;
 }
 
-// Helper function to create schedule item HTML (for new schema with execution-based status)
-function createScheduleItemHTML(schedule, executionStatus = 'PENDING', scheduleId = '') {
-    const title = schedule.title || 'Untitled Schedule';
-    const time = schedule.time || '--:--';
-    const description = schedule.description || '';
-    const isEnabled = schedule.isEnabled !== false; // Default to true if not specified
+// Staleness threshold in minutes (per-device override first)
+export function getStaleAfterMinutes(deviceId) {
+    const device = (window.RUNTIME_CONTEXT?.devices || []).find(entry => entry.id === deviceId);
+    const override = device ? SensorCatalog.toNumber(device.staleAfterMinutes) : null;
+    return override && override > 0 ? override : deviceStaleMinutes;
+}
+
+// Last reading time of a device in ms (null until the first reading arrives)
+export function getDeviceLastSeen(deviceId) {
+    return heartbeatState[deviceId]?.lastSeenAt ?? null;
+}
+
+// True when the device has been silent longer than its threshold
+export function isDeviceStale(deviceId, now = Date.now()) {
+    const lastSeenAt = getDeviceLastSeen(deviceId);
+    if (lastSeenAt === null) return false;
+    return now - lastSeenAt > getStaleAfterMinutes(deviceId) * 60 * 1000;
+}
+
+// Record a reading from the RTDB listener
+// The device's own timestamp is used when it looks like wall time; otherwise the time we received it
+function recordHeartbeat(deviceId, timestamp) {
+    const now = Date.now();
+    let seenAt = timestamp ? normalizeReadingTimestamp(timestamp) : now;
+    if (seenAt < MIN_VALID_HEARTBEAT_MS) seenAt = now;
+    seenAt = Math.min(seenAt, now);
     
-    // Format time for display (HH:mm format)
-    let displayTime = time;
-    if (time && time.includes(':')) {
-        const [hours, minutes] = time.split(':');
-        const hour = parseInt(hours);
-        const minute = parseInt(minutes);
-        if (!isNaN(hour) && !isNaN(minute)) {
-            const date = new Date();
-            date.setHours(hour, minute, 0, 0);
-            displayTime = date.toLocaleTimeString('en-US', {
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
+    const state = heartbeatState[deviceId] || (heartbeatState[deviceId] = { lastSeenAt: null, status: null });
+    state.lastSeenAt = Math.max(state.lastSeenAt || 0, seenAt);
+    evaluateHeartbeat(deviceId);
+}
+
+// Re-check one device and log online/offline transitions
+function evaluateHeartbeat(deviceId) {
+    const state = heartbeatState[deviceId];
+    if (!state || state.lastSeenAt === null) return;
+    
+    const status = isDeviceStale(deviceId) ? 'offline' : 'online';
+    const changed = state.status !== status;
+    state.status = status;
+    
+    window.RuntimeEvents.emit('device:heartbeat', {
+        deviceId,
+        status,
+        lastSeenAt: state.lastSeenAt,
+        changed
+    });
+    
+    if (changed) {
+        console.log('[HEARTBEAT] device=' + deviceId + ' is ' + status + ' (last seen ' + new Date(state.lastSeenAt).toISOString() + ')');
+        const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+        if (uid) {
+            logDeviceStatusChange(uid, deviceId, status, state.lastSeenAt).catch(err => {
+                console.error('[HEARTBEAT] Status log error:', err);
             });
         }
     }
+}
+
+// Write a transition to users/{uid}/deviceStatus/{deviceId} and its events history
+// The status doc is checked inside a transaction, so other tabs and the cron never log the same transition twice
+async function logDeviceStatusChange(uid, deviceId, status, lastSeenAt) {
+    const statusRef = doc(db, `users/${uid}/deviceStatus/${deviceId}`);
+    const eventRef = doc(collection(db, `users/${uid}/deviceStatus/${deviceId}/events`));
+    const staleAfterMinutes = getStaleAfterMinutes(deviceId);
     
-    // Determine status badge based on execution status and enabled state
-    let statusClass, statusText;
-    if (!isEnabled) {
-        statusClass = 'disabled';
-        statusText = 'Disabled';
-    } else {
-        switch (executionStatus) {
-            case 'COMPLETED':
-                statusClass = 'completed';
-                statusText = 'Completed';
-                break;
-            case 'RUNNING':
-                statusClass = 'in-progress';
-                statusText = 'Running';
-                break;
-            case 'PENDING':
-            default:
-                statusClass = 'pending';
-                statusText = 'Pending';
-                break;
+    return runTransaction(db, async (transaction) => {
+        const statusSnap = await transaction.get(statusRef);
+        const stored = statusSnap.exists() ? statusSnap.data() : {};
+        if (stored.status === status) {
+            // Already recorded - only move lastSeenAt forward
+            if (status === 'online' && (stored.lastSeenAt || 0) < lastSeenAt) {
+                transaction.update(statusRef, { lastSeenAt: lastSeenAt });
+            }
+            return false;
         }
+        
+        // offlineNotified is left to the cron (it sends the offline / back online notifications)
+        const update = {
+            deviceId: deviceId,
+            status: status,
+            lastSeenAt: lastSeenAt,
+            staleAfterMinutes: staleAfterMinutes,
+            changedAt: Date.now(),
+            updatedAt: serverTimestamp()
+        };
+        transaction.set(statusRef, update, { merge: true });
+        transaction.set(eventRef, {
+            deviceId: deviceId,
+            status: status,
+            lastSeenAt: lastSeenAt,
+            staleAfterMinutes: staleAfterMinutes,
+            detectedAt: Date.now(),
+            source: 'dashboard',
+            createdAt: serverTimestamp()
+        });
+        return true;
+    });
+}
+
+// Periodic re-check - a device that stops publishing never fires the RTDB listener again
+function startHeartbeatMonitor() {
+    if (heartbeatInterval) return;
+    heartbeatInterval = setInterval(() => {
+        Object.keys(heartbeatState).forEach(deviceId => evaluateHeartbeat(deviceId));
+    }, HEARTBEAT_CHECK_INTERVAL_MS);
+}
+
+// Apply a new user threshold and re-check every device right away
+function setDeviceStaleMinutes(minutes) {
+    deviceStaleMinutes = minutes;
+    Object.keys(heartbeatState).forEach(deviceId => evaluateHeartbeat(deviceId));
+}
+
+function stopHeartbeatMonitor() {
+    if (heartbeatInterval) {
+        clearInterval(heartbeatInterval);
+        heartbeatInterval = null;
     }
+}
+
+// ============================================================
+// WATER QUALITY ALERTS
+// ============================================================
+// Per-user rules (users/{uid}/alertRules) evaluated on every sensor:update - see alert-rules.js
+// Debounce state lives in users/{uid}/alertState/{ruleId}_{deviceId} and every transition is a transaction on it,
+// so other tabs and api/cron/sample-hourly.js (api/alerts/evaluate.js) never open or resolve the same alert twice
+// Alerts: users/{uid}/alerts/{alertId} with openedAt / acknowledgedAt / resolvedAt
+// Trend rules: slope uses the readings this tab has seen (kept for MAX_SLOPE_WINDOW_MINUTES),
+// drift and same-hour-yesterday read hourlyRecords of the primary device
+
+// Rules of the user (disabled ones included - the settings card lists them)
+let alertRules = [];
+let alertRulesUid = null;
+let alertRulesUnsubscribe = null;
+let activeAlertsUnsubscribe = null;
+let alertEvaluationListener = null;
+
+// Open and acknowledged alerts, newest first
+let activeAlerts = [];
+
+// stateId -> last debounce state seen (readings that move nothing skip the transaction)
+const alertStates = {};
+
+// stateId -> true while its transaction runs
+const alertTransitionsInFlight = {};
+
+// deviceId -> sensorId -> [{ ts, value }] (slope rules)
+const alertReadingHistory = {};
+
+// "date/hour" -> { record, fetchedAt } (drift / same-hour-yesterday rules)
+const alertHourRecords = {};
+// The running hour is re-read at most this often (closed hours are kept)
+const ALERT_HOUR_REFRESH_MS = 5 * 60 * 1000;
+const ALERT_HOUR_CACHE_SIZE = 64;
+
+// Live rules and active alerts of the user
+function watchAlertRules(uid) {
+    if (!uid || alertRulesUid === uid) return;
+    stopAlertRulesWatch();
+    alertRulesUid = uid;
     
-    return `
-        <div class="schedule-item user-schedule-item" data-schedule-id="${scheduleId}">
-            <div class="schedule-time">
-                <span class="time">${displayTime}</span>
-            </div>
-            <div class="schedule-details">
-                <div class="schedule-title"><strong>${title}</strong></div>
-                ${description ? `<div class="schedule-description"><i class="fas fa-info-circle"></i> ${description}</div>` : ''}
-            </div>
-            <div class="schedule-actions">
-                <div class="schedule-status">
-                    <span class="status ${statusClass}">${statusText}</span>
-                </div>
-                <button 
-                    class="schedule-delete-btn" 
-                    onclick="deleteFeedingSchedule('${scheduleId}')"
-                    title="Delete schedule"
-                >
-                    <i class="fas fa-trash"></i>
-                </button>
-            </div>
-        </div>
-    `;
+    alertRulesUnsubscribe = onSnapshot(collection(db, `users/${uid}/alertRules`), (snapshot) => {
+        alertRules = [];
+        snapshot.forEach(ruleDoc => {
+            const rule = AlertRules.normalizeRule(ruleDoc.id, ruleDoc.data());
+            if (rule) alertRules.push(rule);
+        });
+        console.log('[ALERTS] Rules loaded: ' + alertRules.length);
+        window.RuntimeEvents.emit('alerts:rules', { rules: alertRules });
+    }, (error) => {
+        // No rules evaluated in this tab - retried on the next setupSensorRealtimeUpdatesCore()
+        console.warn('[ALERTS] Could not watch rules:', error.message);
+        stopAlertRulesWatch();
+    });
+    
+    const activeQuery = query(collection(db, `users/${uid}/alerts`), where('status', 'in', ['open', 'acknowledged']));
+    activeAlertsUnsubscribe = onSnapshot(activeQuery, (snapshot) => {
+        activeAlerts = snapshot.docs
+            .map(alertDoc => ({ id: alertDoc.id, ...alertDoc.data() }))
+            .sort((a, b) => (b.openedAt || 0) - (a.openedAt || 0));
+        window.RuntimeEvents.emit('alerts:update', { alerts: activeAlerts });
+    }, (error) => {
+        console.warn('[ALERTS] Could not watch active alerts:', error.message);
+    });
 }
 
-// Helper function to render schedules to a container (with execution status)
-function renderSchedulesToContainer(schedulesWithStatus, containerId) {
-    const container = document.getElementById(containerId);
-    if (!container) {
-        console.warn(`Container with id "${containerId}" not found`);
-        return;
+function stopAlertRulesWatch() {
+    if (alertRulesUnsubscribe) alertRulesUnsubscribe();
+    if (activeAlertsUnsubscribe) activeAlertsUnsubscribe();
+    alertRulesUnsubscribe = null;
+    activeAlertsUnsubscribe = null;
+    alertRulesUid = null;
+    // Hour docs belong to the previous user
+    Object.keys(alertHourRecords).forEach(key => delete alertHourRecords[key]);
+}
+
+export function getAlertRules() {
+    return alertRules;
+}
+
+export function getActiveAlerts() {
+    return activeAlerts;
+}
+
+// Keep the readings of a device for slope rules (deduplicated by timestamp, trimmed to the longest window)
+function recordAlertReadings(update, tsMs) {
+    const history = alertReadingHistory[update.deviceId] || (alertReadingHistory[update.deviceId] = {});
+    const since = tsMs - AlertRules.MAX_SLOPE_WINDOW_MINUTES * 60 * 1000;
+    SensorCatalog.SENSORS.forEach(sensor => {
+        const value = SensorCatalog.toNumber(update[sensor.id]);
+        const points = (history[sensor.id] || []).filter(point => point.ts >= since && point.ts !== tsMs);
+        if (value !== null) points.push({ ts: tsMs, value });
+        history[sensor.id] = points.sort((a, b) => a.ts - b.ts);
+    });
+}
+
+// Hour doc of the user, cached (null when the hour has no record)
+async function getAlertHourRecord(uid, bucket) {
+    const key = `${bucket.date}/${bucket.hour}`;
+    const cached = alertHourRecords[key];
+    const current = Timezone.bucketFor(Date.now(), userTimezone);
+    const isCurrent = bucket.date === current.date && bucket.hour === current.hour;
+    if (cached && (!isCurrent || Date.now() - cached.fetchedAt < ALERT_HOUR_REFRESH_MS)) {
+        return cached.record;
     }
     
-    if (schedulesWithStatus.length === 0) {
-        container.innerHTML = '<div class="schedule-item"><p class="no-data-text">No feeding schedules found</p></div>';
-        return;
-    }
+    const hourSnap = await getDoc(doc(db, `users/${uid}/hourlyRecords/${bucket.date}/hours/${bucket.hour}`));
+    alertHourRecords[key] = { record: hourSnap.exists() ? hourSnap.data() : null, fetchedAt: Date.now() };
     
-    container.innerHTML = '';
-    schedulesWithStatus.forEach(scheduleData => {
-        const schedule = scheduleData.data;
-        const scheduleId = scheduleData.id || '';
-        const executionStatus = scheduleData.executionStatus || 'PENDING';
-        const scheduleHTML = createScheduleItemHTML(schedule, executionStatus, scheduleId);
-        container.insertAdjacentHTML('beforeend', scheduleHTML);
-    });
+    const keys = Object.keys(alertHourRecords);
+    if (keys.length > ALERT_HOUR_CACHE_SIZE) {
+        keys.sort((a, b) => alertHourRecords[a].fetchedAt - alertHourRecords[b].fetchedAt)
+            .slice(0, keys.length - ALERT_HOUR_CACHE_SIZE)
+            .forEach(oldKey => delete alertHourRecords[oldKey]);
+    }
+    return alertHourRecords[key].record;
 }
 
-// ============================================================
-// FEEDING SCHEDULE STATUS COMPUTATION (EXECUTION-BASED)
-// ============================================================
+// Signal a rule compares with its threshold ({ signal, value } or null - see AlertRules.ruleSignal)
+async function getAlertSignal(uid, rule, deviceId, value, tsMs) {
+    const hourMean = async (bucket) => {
+        const record = await getAlertHourRecord(uid, bucket);
+        return record ? AlertRules.hourMean(rule.metric, record) : null;
+    };
+    const context = { value, tsMs };
+    if (rule.type === 'slope') {
+        context.points = alertReadingHistory[deviceId]?.[rule.metric] || [];
+    } else if (rule.type === 'drift') {
+        context.hourMeans = await Promise.all(AlertRules.driftBuckets(rule, tsMs, userTimezone).map(hourMean));
+    } else if (rule.type === 'yesterday') {
+        context.yesterdayMean = await hourMean(AlertRules.yesterdayBucket(tsMs, userTimezone));
+    }
+    return AlertRules.ruleSignal(rule, context);
+}
+
+// Feed one sensor:update to every rule that applies to its device
+function evaluateAlertRulesForUpdate(update) {
+    const uid = alertRulesUid;
+    if (!uid || !update || !update.deviceId) return;
+    
+    const tsMs = update.timestamp || Date.now();
+    recordAlertReadings(update, tsMs);
+    // Alerts are written by the signed-in owner or an admin; without a login api/alerts/evaluate.js opens and resolves them
+    if (!auth.currentUser) return;
+    // hourlyRecords only hold the primary device
+    const isPrimary = update.deviceId === getPrimaryDeviceId();
+    
+    alertRules.forEach(rule => {
+        if (!AlertRules.appliesTo(rule, update.deviceId)) return;
+        if (!isPrimary && AlertRules.needsHourlyRecords(rule)) return;
+        const value = SensorCatalog.toNumber(update[rule.metric]);
+        if (value === null) return;
+        
+        const stateId = AlertRules.alertStateId(rule.id, update.deviceId);
+        if (alertTransitionsInFlight[stateId]) return;
+        alertTransitionsInFlight[stateId] = true;
+        
+        getAlertSignal(uid, rule, update.deviceId, value, tsMs)
+            .then(signal => {
+                if (signal === null) return;
+                // Unknown state (first reading in this tab) always goes through the transaction
+                if (alertStates[stateId] && !AlertRules.evaluateRule(rule, alertStates[stateId], signal.signal, tsMs).changed) return;
+                return applyAlertTransition(uid, rule, update.deviceId, signal, tsMs);
+            })
+            .catch(error => console.error('[ALERTS] Transition error:', error))
+            .finally(() => {
+                delete alertTransitionsInFlight[stateId];
+            });
+    });
+}
 
-// Determine schedule execution status based on daily cycle
-// CORE RULE: A feeding schedule can run ONCE PER DAY
-// Status priority (ORDER IS CRITICAL):
-// 1. COMPLETED: If completed log exists for TODAY (overrides ALL other states)
-// 2. RUNNING: If no completed log today AND T ≤ now < E
-// 3. PENDING: If no completed log today AND now < T
-// 4. PENDING: If no completed log today AND now ≥ E (missed, no re-run)
-// 
-// Formula: T = scheduled time, D = duration (minutes), E = T + D
-// Expected feedingLogs structure: users/{uid}/feedingLogs/{logId}
-//   - scheduleId: string (matches schedule document ID)
-//   - status: 'running' | 'completed'
-//   - startedAt: Timestamp (when motor was turned ON)
-//   - endedAt?: Timestamp (when motor was turned OFF, only if completed)
-//   - duration: number (minutes)
-async function determineScheduleStatus(uid, scheduleId, scheduleTime, scheduleDuration) {
-    try {
-        const now = new Date();
-        const today = getStartOfDay(now);
-        const todayEnd = getEndOfDay(now);
-        
-        // Parse schedule time (HH:mm format)
-        if (!scheduleTime || !scheduleTime.includes(':')) {
-            return 'PENDING';
-        }
-        
-        const [hours, minutes] = scheduleTime.split(':').map(Number);
-        if (isNaN(hours) || isNaN(minutes)) {
-            return 'PENDING';
+// Re-evaluate the stored state and write the transition (open / resolve / debounce bookkeeping)
+// signal: getAlertSignal() result - signal is compared, value is stored on the alert
+async function applyAlertTransition(uid, rule, deviceId, signal, tsMs) {
+    const stateId = AlertRules.alertStateId(rule.id, deviceId);
+    const stateRef = doc(db, `users/${uid}/alertState/${stateId}`);
+    // Only the signed-in owner may create notifications - otherwise the cron sends them (notifiedAt stays null)
+    const canNotify = auth.currentUser?.uid === uid;
+    
+    const outcome = await runTransaction(db, async (transaction) => {
+        const stateSnap = await transaction.get(stateRef);
+        const stored = stateSnap.exists() ? stateSnap.data() : null;
+        const result = AlertRules.evaluateRule(rule, stored, signal.signal, tsMs);
+        if (!result.changed) {
+            return { state: result.state, action: null };
         }
         
-        // Compute today's scheduled DateTime (local time) - T
-        const scheduledDateTime = new Date(today);
-        scheduledDateTime.setHours(hours, minutes, 0, 0);
-        
-        // Get duration (default to 30 minutes if not provided)
-        const duration = scheduleDuration || 30;
-        
-        // Compute end time - E = T + D minutes
-        const endDateTime = new Date(scheduledDateTime.getTime() + duration * 60 * 1000);
-        
-        // ============================================================
-        // STEP 1: CHECK FOR COMPLETED LOG (HIGHEST PRIORITY)
-        // ============================================================
-        // COMPLETED status overrides ALL other states
-        // A schedule is considered completed today if:
-        //   - exists feedingLogs document where:
-        //     - log.scheduleId === scheduleId
-        //     - log.status === "completed"
-        //     - log.startedAt is TODAY (00:00–23:59 local time)
-        try {
-            const feedingLogsRef = collection(db, `users/${uid}/feedingLogs`);
-            const feedingLogsSnapshot = await getDocs(feedingLogsRef);
-            
-            let hasCompletedLogToday = false;
-            feedingLogsSnapshot.forEach(logDoc => {
-                const log = logDoc.data();
-                // Check if this log is for this schedule
-                if (log.scheduleId === scheduleId && log.startedAt) {
-                    const startedAt = timestampToDate(log.startedAt);
-                    // Check if started today (local time, 00:00–23:59)
-                    if (startedAt && startedAt >= today && startedAt <= todayEnd) {
-                        // Check if status is completed
-                        if (log.status === 'completed') {
-                            hasCompletedLogToday = true;
-                        }
-                    }
-                }
-            });
-            
-            // If completed log exists for today, return COMPLETED immediately
-            // This overrides ALL other states (RUNNING, PENDING, etc.)
-            if (hasCompletedLogToday) {
-                return 'COMPLETED';
+        const now = Date.now();
+        const state = { ...result.state };
+        
+        if (result.action === 'open') {
+            const alertRef = doc(collection(db, `users/${uid}/alerts`));
+            const alert = AlertRules.newAlertRecord(rule, deviceId, getDeviceName(deviceId), signal.value, state.breachSince, now, canNotify, 'dashboard');
+            transaction.set(alertRef, { ...alert, createdAt: serverTimestamp() });
+            transaction.set(doc(collection(alertRef, 'events')), AlertRules.alertEvent('opened', now, { via: 'dashboard', detail: alert.message }));
+            if (canNotify) {
+                transaction.set(doc(collection(db, 'notifications')), AlertRules.alertNotification(uid, alertRef.id, alert, now));
+            }
+            state.alertId = alertRef.id;
+        } else if (result.action === 'resolve') {
+            const alertRef = doc(db, `users/${uid}/alerts/${stored.alertId}`);
+            const alertSnap = await transaction.get(alertRef);
+            if (alertSnap.exists() && alertSnap.data().status !== 'resolved') {
+                transaction.update(alertRef, {
+                    status: 'resolved',
+                    resolvedAt: now,
+                    resolvedValue: signal.value,
+                    updatedAt: serverTimestamp()
+                });
+                transaction.set(doc(collection(alertRef, 'events')), AlertRules.alertEvent('resolved', now, { via: 'dashboard', detail: 'Back within the rule' }));
             }
-        } catch (logsError) {
-            // If feedingLogs collection doesn't exist or can't be read, continue to other checks
-            console.warn('Could not check feedingLogs, continuing with time-based checks:', logsError);
-        }
-        
-        // ============================================================
-        // STEP 2: CHECK IF IN RUNNING WINDOW
-        // ============================================================
-        // RUNNING: No completed log today AND T ≤ now < E
-        // Motor should already be ON during this window
-        if (now >= scheduledDateTime && now < endDateTime) {
-            return 'RUNNING';
-        }
-        
-        // ============================================================
-        // STEP 3: CHECK IF BEFORE SCHEDULED TIME
-        // ============================================================
-        // PENDING: No completed log today AND now < T
-        // Motor OFF, waiting for scheduled time
-        if (now < scheduledDateTime) {
-            return 'PENDING';
-        }
-        
-        // ============================================================
-        // STEP 4: PAST END TIME BUT NO COMPLETED LOG
-        // ============================================================
-        // PENDING (missed): No completed log today AND now ≥ E
-        // Must NOT restart feeding, must NOT show RUNNING
-        // Schedule will reset at 00:00 next day
-        if (now >= endDateTime) {
-            return 'PENDING';
         }
         
-        // Default fallback
-        return 'PENDING';
-    } catch (error) {
-        console.error('Error determining schedule status:', error);
-        return 'PENDING'; // Default to PENDING on error
+        transaction.set(stateRef, {
+            ruleId: rule.id,
+            deviceId: deviceId,
+            breachSince: state.breachSince,
+            recoverSince: state.recoverSince,
+            alertId: state.alertId,
+            updatedAt: serverTimestamp()
+        });
+        return { state, action: result.action };
+    });
+    
+    alertStates[stateId] = {
+        breachSince: outcome.state.breachSince,
+        recoverSince: outcome.state.recoverSince,
+        alertId: outcome.state.alertId
+    };
+    if (outcome.action) {
+        console.log('[ALERTS] ' + outcome.action + ' rule=' + rule.id + ' device=' + deviceId + ' value=' + signal.value);
+    }
+}
+
+// Close the open alerts of a rule and drop its debounce state (rule edited, disabled or deleted)
+async function closeAlertsOfRule(uid, ruleId, reason) {
+    const [alertsSnap, statesSnap] = await Promise.all([
+        getDocs(query(collection(db, `users/${uid}/alerts`), where('ruleId', '==', ruleId))),
+        getDocs(query(collection(db, `users/${uid}/alertState`), where('ruleId', '==', ruleId)))
+    ]);
+    
+    const now = Date.now();
+    const writes = [];
+    alertsSnap.forEach(alertDoc => {
+        if (alertDoc.data().status === 'resolved') return;
+        writes.push(updateDoc(alertDoc.ref, {
+            status: 'resolved',
+            resolvedAt: now,
+            resolvedReason: reason,
+            updatedAt: serverTimestamp()
+        }));
+        writes.push(addDoc(collection(alertDoc.ref, 'events'), AlertRules.alertEvent('resolved', now, {
+            by: auth.currentUser?.uid || uid,
+            byName: currentUserLabel(),
+            via: 'dashboard',
+            detail: reason.replace(/_/g, ' ')
+        })));
+    });
+    statesSnap.forEach(stateDoc => {
+        delete alertStates[stateDoc.id];
+        writes.push(deleteDoc(stateDoc.ref));
+    });
+    await Promise.all(writes);
+}
+
+function startAlertEvaluation() {
+    if (alertEvaluationListener) return;
+    alertEvaluationListener = (update) => evaluateAlertRulesForUpdate(update);
+    window.RuntimeEvents.on('sensor:update', alertEvaluationListener);
+}
+
+function stopAlertEvaluation() {
+    if (alertEvaluationListener) {
+        window.RuntimeEvents.off('sensor:update', alertEvaluationListener);
+        alertEvaluationListener = null;
     }
+    stopAlertRulesWatch();
 }
 
 // ============================================================
-// AUTOMATIC FEEDING SCHEDULE EXECUTION (Start → Run → Stop)
+// SERVER INGESTION WORKER LEASES
 // ============================================================
+// api/worker/ingest-rtdb.js holds workerLeases/ingest_{deviceId} while it ingests a device server-side
+// (sensor sync, raw readings, quarantine, hourly aggregation, rollups)
+// While that lease is live the listener core only updates the runtime state - the worker does the writes
 
-// ============================================================
-// DEVICE OWNERSHIP MAPPING (Part 1)
-// ============================================================
-// Device ID constant - comes from ESP firmware, never generated in web app
-export const DEVICE_ID = 'H5hY84Qz85TD9MBPb6UKy3mzLxZ2';
+const INGEST_LEASE_KIND = 'ingest';
+
+// deviceId -> lease doc (null = no worker)
+const workerLeases = {};
+const workerLeaseUnsubscribes = {};
+
+function watchWorkerLease(deviceId) {
+    if (workerLeaseUnsubscribes[deviceId]) return;
+    
+    workerLeaseUnsubscribes[deviceId] = onSnapshot(doc(db, `workerLeases/${INGEST_LEASE_KIND}_${deviceId}`), (snapshot) => {
+        const wasIngested = isDeviceIngestedByWorker(deviceId);
+        workerLeases[deviceId] = snapshot.exists() ? snapshot.data() : null;
+        const ingested = isDeviceIngestedByWorker(deviceId);
+        if (ingested !== wasIngested) {
+            console.log(`[WORKER LEASE] ${deviceId} ${ingested ? 'ingested by ' + workerLeases[deviceId].workerId : 'back to browser ingestion'}`);
+        }
+    }, (error) => {
+        console.log('[WORKER LEASE] Lease not readable (non-critical):', error.message);
+    });
+}
+
+// A lease that expired without being released (crashed worker) no longer counts
+export function isDeviceIngestedByWorker(deviceId) {
+    const lease = workerLeases[deviceId];
+    return !!lease && typeof lease.expiresAt === 'number' && lease.expiresAt > Date.now();
+}
+
+function stopWorkerLeaseWatch() {
+    Object.keys(workerLeaseUnsubscribes).forEach(deviceId => {
+        workerLeaseUnsubscribes[deviceId]();
+        delete workerLeaseUnsubscribes[deviceId];
+        delete workerLeases[deviceId];
+    });
+}
 
 // ============================================================
 // RUNTIME CONTEXT RESOLVER
@@ -3633,6 +6571,7 @@ export const DEVICE_ID = 'H5hY84Qz85TD9MBPb6UKy3mzLxZ2';
 // Centralized resolver for runtime UID - works with or without authentication
 // Uses device ownership mapping as fallback when no user is logged in
 // Never throws - always returns a valid context object
+// Also resolves the list of owned devices (see DEVICE REGISTRY)
 export async function resolveRuntimeContext() {
     const deviceId = DEVICE_ID;
     let authUid = null;
@@ -3647,13 +6586,13 @@ export async function resolveRuntimeContext() {
             runtimeUid = authUid;
             source = 'auth';
             console.log('[RUNTIME] Auth user detected → using auth UID:', authUid);
-            return {
+            return attachDeviceRegistry({
                 deviceId: deviceId,
                 authUid: authUid,
                 ownerUid: null, // Not needed when auth is present
                 runtimeUid: runtimeUid,
                 source: source
-            };
+            });
         }
         
         // Step 2: Fallback to Firestore device ownership mapping
@@ -3692,14 +6631,14 @@ export async function resolveRuntimeContext() {
         source = 'none';
     }
     
-    // Return context object (always returns, never throws)
-    return {
+    // Return context object with device registry (always returns, never throws)
+    return attachDeviceRegistry({
         deviceId: deviceId,
         authUid: authUid,
         ownerUid: ownerUid,
         runtimeUid: runtimeUid,
         source: source
-    };
+    });
 }
 
 // Ensure device record exists in Firestore (runs on dashboard initialization)
@@ -3857,393 +6796,509 @@ export async function getOwnerUidFromDevice(deviceId) {
 }
 
 // ============================================================
-// AUTOMATIC FEEDING SCHEDULE EXECUTION (Start → Run → Stop)
+// FEEDER CALIBRATION (FEED QUANTITY)
 // ============================================================
+// Grams of feed per second of motor run, per feeder. Kept as the "feeder" profile next to the sensor
+// calibrations: users/{uid}/devices/{deviceId}/calibrations/feeder (history below it, like the sensors).
+// Schedules with a targetKg run for targetKg / rate, and every completed feeding log adds the feed it
+// dispensed to hourlyRecords feedUsedKg (→ totalFeedKg of the daily, weekly and monthly reports) -
+// both done by the feeding executor, api/cron/execute-feeding.js.
+// Run time and kg math lives in feeding-schedules.js.
+
+// Grams per second of a feeder (null = not calibrated)
+function getFeederGramsPerSecond(deviceId) {
+    return FeedingSchedules.gramsPerSecondOf(getCalibrationProfile(deviceId, FeedingSchedules.FEEDER_CALIBRATION_ID));
+}
 
-// Start motor: Turn motor ON when scheduled time T is reached
-// RTDB write always executes (no auth required)
-// Firestore log is optional (only if uid is available)
-async function startFeedingSchedule(deviceId, uid, scheduleId, scheduleTime, duration) {
+// How long a schedule runs its feeder → { seconds, targetKg, gramsPerSecond }
+function scheduleRunPlan(schedule, deviceId) {
+    const gramsPerSecond = getFeederGramsPerSecond(deviceId);
+    return {
+        seconds: FeedingSchedules.runSeconds(schedule, gramsPerSecond),
+        targetKg: Number(schedule.targetKg) > 0 ? Number(schedule.targetKg) : null,
+        gramsPerSecond: gramsPerSecond
+    };
+}
+
+// Save a feeder's rate and append it to the history
+// input: { seconds, grams } (test-run) or { gramsPerSecond } (rate)
+export async function saveFeederCalibration(uid, deviceId, method, input = {}) {
+    if (!uid || !deviceId) {
+        return { success: false, error: 'Missing uid or device' };
+    }
+    
+    let gramsPerSecond;
     try {
-        // Write to Firestore first, then RTDB (via wrapper function)
-        const writeResult = await writeFeederStateToRTDB(deviceId, uid, "online");
-        
-        if (!writeResult.success) {
-            console.error(`[FEEDING] Failed to write motor state for schedule ${scheduleId}:`, writeResult.error);
-            return;
-        }
+        gramsPerSecond = FeedingSchedules.fitFeederCalibration(method, input);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+    
+    try {
+        const profile = {
+            sensorId: FeedingSchedules.FEEDER_CALIBRATION_ID,
+            deviceId: deviceId,
+            method: method,
+            gramsPerSecond: gramsPerSecond,
+            testSeconds: method === 'test-run' ? Number(input.seconds) : null,
+            testGrams: method === 'test-run' ? Number(input.grams) : null,
+            ...getCalibrationAuthor(uid),
+            calibratedAt: serverTimestamp()
+        };
         
-        console.log(`[FEEDING] Motor turned ON for schedule ${scheduleId} at ${scheduleTime} (Firestore→RTDB write successful)`);
+        const profilePath = `users/${uid}/devices/${deviceId}/calibrations/${FeedingSchedules.FEEDER_CALIBRATION_ID}`;
+        await setDoc(doc(db, profilePath), profile);
+        await addDoc(collection(db, `${profilePath}/history`), profile);
         
-        // Firestore log is optional - only create if uid is available
-        if (uid) {
-            try {
-                const now = new Date();
-                const today = getStartOfDay(now);
-                
-                // Parse schedule time to get T (scheduled DateTime)
-                const [hours, minutes] = scheduleTime.split(':').map(Number);
-                const scheduledDateTime = new Date(today);
-                scheduledDateTime.setHours(hours, minutes, 0, 0);
-                
-                // Check if a log already exists for today (prevent duplicate starts)
-                const feedingLogsRef = collection(db, `users/${uid}/feedingLogs`);
-                const logsSnapshot = await getDocs(feedingLogsRef);
-                
-                let existingLogId = null;
-                logsSnapshot.forEach(logDoc => {
-                    const log = logDoc.data();
-                    if (log.scheduleId === scheduleId && log.startedAt) {
-                        const startedAt = timestampToDate(log.startedAt);
-                        if (startedAt && startedAt >= today && startedAt <= getEndOfDay(now)) {
-                            existingLogId = logDoc.id;
-                        }
-                    }
-                });
-                
-                // If log already exists and is running, don't create duplicate
-                if (existingLogId) {
-                    const existingLog = await getDoc(doc(db, `users/${uid}/feedingLogs/${existingLogId}`));
-                    if (existingLog.exists() && existingLog.data().status === 'running') {
-                        console.log(`[FEEDING] Schedule ${scheduleId} already has running log, skipping Firestore write`);
-                        return;
-                    }
-                }
-                
-                // Create or update Firestore log
-                const logData = {
-                    scheduleId: scheduleId,
-                    status: 'running',
-                    startedAt: serverTimestamp(),
-                    duration: duration,
-                    createdAt: serverTimestamp()
-                };
-                
-                if (existingLogId) {
-                    // Update existing log
-                    await updateDoc(doc(db, `users/${uid}/feedingLogs/${existingLogId}`), logData);
-                    console.log(`[FEEDING] Updated log ${existingLogId} for schedule ${scheduleId}`);
-                } else {
-                    // Create new log
-                    await addDoc(feedingLogsRef, logData);
-                    console.log(`[FEEDING] Created new log for schedule ${scheduleId}`);
-                }
-            } catch (firestoreError) {
-                // Firestore log failed, but RTDB write succeeded - log and continue
-                console.warn(`[FEEDING] Firestore log failed for schedule ${scheduleId}, but RTDB motor control succeeded:`, firestoreError);
-            }
-        } else {
-            console.log(`[FEEDING] No uid available, skipping Firestore log for schedule ${scheduleId} (RTDB motor control executed)`);
-        }
+        // Apply right away - the watcher replaces this once the server timestamp lands
+        const localProfile = { ...profile, calibratedAt: new Date() };
+        calibrationProfiles[deviceId] = { ...(calibrationProfiles[deviceId] || {}), [FeedingSchedules.FEEDER_CALIBRATION_ID]: localProfile };
         
+        console.log('[FEEDING] Saved feeder calibration:', { deviceId, method, gramsPerSecond });
+        return { success: true, profile: localProfile };
     } catch (error) {
-        console.error(`[FEEDING] Error starting schedule ${scheduleId}:`, error);
-        // Don't throw - allow other schedules to continue
+        console.error('[FEEDING] Error saving feeder calibration:', error);
+        return { success: false, error: error.message };
     }
 }
 
-// Keep motor running: Ensure motor stays "online" while T ≤ now < E
-async function keepMotorRunning(deviceId, scheduleId) {
-    try {
-        // Check current motor state from Firestore (source of truth), not RTDB
-        const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
-        let currentState = null;
-        
-        if (uid) {
-            try {
-                const feederRef = doc(db, `users/${uid}/sensors/feeder`);
-                const snapshot = await getDoc(feederRef);
-                
-                if (snapshot.exists()) {
-                    const data = snapshot.data();
-                    const stateValue = data.value;
-                    if (stateValue) {
-                        currentState = String(stateValue).toLowerCase();
-                    }
-                }
-            } catch (firestoreError) {
-                console.warn(`[FEEDING] Error reading from Firestore for schedule ${scheduleId}:`, firestoreError);
-                // Fallback: use runtime state if available
-                currentState = window.RUNTIME_STATE?.feederState || null;
-            }
+// Current rate of the selected feeder (Feeding section, Motor Control card)
+function renderFeederCalibration() {
+    const statusEl = document.getElementById('feederCalibrationCurrent');
+    if (!statusEl) return;
+    
+    const deviceId = getSelectedDeviceId();
+    const profile = getCalibrationProfile(deviceId, FeedingSchedules.FEEDER_CALIBRATION_ID);
+    const gramsPerSecond = FeedingSchedules.gramsPerSecondOf(profile);
+    if (!gramsPerSecond) {
+        statusEl.textContent = `${getDeviceName(deviceId)}: not calibrated (schedules run by time only)`;
+    } else {
+        const calibratedAt = timestampToDate(profile.calibratedAt);
+        statusEl.textContent = `${getDeviceName(deviceId)}: ${gramsPerSecond.toFixed(2)} g/s ` +
+            `(1 kg ≈ ${FeedingSchedules.formatRunTime(FeedingSchedules.runSecondsForKg(1, gramsPerSecond))}) - ` +
+            `by ${profile.calibratedByName || profile.calibratedBy || 'unknown'} on ${calibratedAt ? calibratedAt.toLocaleString() : '--'}`;
+    }
+    
+    window.updateFeederCalibrationFields();
+    window.updateScheduleAmountFields();
+}
+
+// Show the inputs of the chosen calibration method
+window.updateFeederCalibrationFields = function() {
+    const method = document.getElementById('feederCalibrationMethod')?.value || 'test-run';
+    const testRun = document.getElementById('feederTestRunFields');
+    const rate = document.getElementById('feederRateFields');
+    if (testRun) testRun.style.display = method === 'test-run' ? '' : 'none';
+    if (rate) rate.style.display = method === 'rate' ? '' : 'none';
+};
+
+// Run the selected feeder for the test seconds, then weigh what came out
+let feederTestRunTimer = null;
+
+window.runFeederTest = async function() {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    const deviceId = getSelectedDeviceId();
+    const seconds = parseInt(document.getElementById('feederTestSeconds')?.value, 10);
+    if (!uid || !deviceId) {
+        showNotification('User not authenticated', 'error');
+        return;
+    }
+    if (!(seconds >= 1 && seconds <= 600)) {
+        showNotification('Run the motor for 1 to 600 seconds', 'error');
+        return;
+    }
+    if (feederTestRunTimer || (await readDeviceFeederState(uid, deviceId)) === 'online') {
+        showNotification('The motor is already running. Turn it off before a test run', 'warning');
+        return;
+    }
+    
+    const started = await writeFeederStateToRTDB(deviceId, uid, 'online');
+    if (!started.success) {
+        showNotification('Could not start the motor', 'error');
+        return;
+    }
+    showNotification(`Test run: motor on for ${seconds} s. Collect and weigh the feed.`, 'info');
+    
+    feederTestRunTimer = setTimeout(async () => {
+        feederTestRunTimer = null;
+        const stopped = await writeFeederStateToRTDB(deviceId, uid, 'offline');
+        if (stopped.success) {
+            showNotification('Test run finished. Enter the grams of feed and save.', 'success');
+            document.getElementById('feederTestGrams')?.focus();
         } else {
-            // Fallback: use runtime state if available
-            currentState = window.RUNTIME_STATE?.feederState || null;
-        }
-        
-        // If motor is not online, turn it on (write to Firestore first, then RTDB)
-        if (currentState !== 'online') {
-            const writeResult = await writeFeederStateToRTDB(deviceId, uid, "online");
-            
-            if (writeResult.success) {
-                console.log(`[FEEDING] Motor kept ON for schedule ${scheduleId}`);
-            } else {
-                console.error(`[FEEDING] Failed to keep motor ON for schedule ${scheduleId}:`, writeResult.error);
-            }
+            showNotification('Could not stop the motor - turn it off with Motor Control', 'error');
         }
-    } catch (error) {
-        console.error(`[FEEDING] Error keeping motor running for schedule ${scheduleId}:`, error);
+    }, seconds * 1000);
+};
+
+window.saveFeederCalibration = async function() {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    const method = document.getElementById('feederCalibrationMethod')?.value || 'test-run';
+    const value = (id) => document.getElementById(id)?.value;
+    
+    const result = await saveFeederCalibration(uid, getSelectedDeviceId(), method, {
+        seconds: value('feederTestSeconds'),
+        grams: value('feederTestGrams'),
+        gramsPerSecond: value('feederGramsPerSecond')
+    });
+    if (!result.success) {
+        showNotification(result.error || 'Failed to save feeder calibration', 'error');
+        return;
+    }
+    
+    const gramsInput = document.getElementById('feederTestGrams');
+    if (gramsInput) gramsInput.value = '';
+    showNotification(`Feeder calibrated: ${result.profile.gramsPerSecond.toFixed(2)} g/s`, 'success');
+    renderFeederCalibration();
+    await loadFeedingSchedules();
+};
+
+window.clearFeederCalibration = async function() {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    const deviceId = getSelectedDeviceId();
+    if (!getCalibrationProfile(deviceId, FeedingSchedules.FEEDER_CALIBRATION_ID)) {
+        showNotification('This feeder is not calibrated', 'info');
+        return;
+    }
+    if (!confirm('Reset the feeder calibration? Schedules by weight fall back to the run time saved with them.')) {
+        return;
+    }
+    
+    const result = await clearCalibrationProfile(uid, deviceId, FeedingSchedules.FEEDER_CALIBRATION_ID);
+    if (!result.success) {
+        showNotification(result.error || 'Failed to reset feeder calibration', 'error');
+        return;
+    }
+    showNotification('Feeder calibration reset', 'success');
+    renderFeederCalibration();
+    await loadFeedingSchedules();
+};
+
+// ============================================================
+// FEED INVENTORY
+// ============================================================
+// Feed types with their stock on hand, bag purchases and a stock-out forecast from the last two weeks of
+// feedings (Feeding section, Feed Inventory card). A schedule names the feed its feeder dispenses and
+// the feeding executor (api/cron/execute-feeding.js) takes every feeding off that feed's stock.
+// Stock and forecast math: feed-inventory.js
+
+// users/{uid}/feedTypes by id (loaded with the feeding schedules)
+let feedTypes = {};
+
+// Purchases listed under the stock
+const RECENT_PURCHASES_SHOWN = 5;
+
+function getFeedTypeName(feedTypeId) {
+    return feedTypeId && feedTypes[feedTypeId] ? feedTypes[feedTypeId].name : null;
+}
+
+// Announce a feed that just reached its reorder level, in the transaction that took it there
+// Only the signed-in owner may create notifications - otherwise api/notify/feed-stock.js sends it (lowStockNotifiedAt stays null)
+// Returns the feed type fields to write with it
+function notifyLowStock(transaction, uid, feedTypeId, feedType) {
+    if (auth.currentUser?.uid !== uid) {
+        return {};
     }
+    const now = Date.now();
+    transaction.set(doc(db, 'notifications', FeedInventory.lowStockNotificationId(uid, feedTypeId, feedType.lowStockSince)),
+        FeedInventory.lowStockNotification(uid, feedTypeId, feedType, getUserBucket(now).date, now));
+    return { lowStockNotifiedAt: now };
 }
 
-// Stop motor: Turn motor OFF when end time E is reached
-// RTDB write always executes (no auth required)
-// Firestore log update is optional (only if uid and logId are available)
-async function stopFeedingSchedule(deviceId, uid, scheduleId) {
+async function loadFeedInventory(uid) {
     try {
-        // Write to Firestore first, then RTDB (via wrapper function)
-        const writeResult = await writeFeederStateToRTDB(deviceId, uid, "offline");
-        
-        if (!writeResult.success) {
-            console.error(`[FEEDING] Failed to write motor state for schedule ${scheduleId}:`, writeResult.error);
-            return;
-        }
-        
-        console.log(`[FEEDING] Motor turned OFF for schedule ${scheduleId} (Firestore→RTDB write successful)`);
-        
-        // Firestore log update is optional - only update if uid is available
-        if (uid) {
-            try {
-                const now = new Date();
-                const today = getStartOfDay(now);
-                const todayEnd = getEndOfDay(now);
-                
-                // Find the log for this schedule today
-                const feedingLogsRef = collection(db, `users/${uid}/feedingLogs`);
-                const logsSnapshot = await getDocs(feedingLogsRef);
-                
-                let logId = null;
-                logsSnapshot.forEach(logDoc => {
-                    const log = logDoc.data();
-                    if (log.scheduleId === scheduleId && log.startedAt) {
-                        const startedAt = timestampToDate(log.startedAt);
-                        if (startedAt && startedAt >= today && startedAt <= todayEnd) {
-                            // Only update if status is still "running"
-                            if (log.status === 'running') {
-                                logId = logDoc.id;
-                            }
-                        }
-                    }
-                });
-                
-                // Update Firestore log if found
-                if (logId) {
-                    await updateDoc(doc(db, `users/${uid}/feedingLogs/${logId}`), {
-                        status: 'completed',
-                        endedAt: serverTimestamp(),
-                        updatedAt: serverTimestamp()
-                    });
-                    console.log(`[FEEDING] Updated log ${logId} to completed for schedule ${scheduleId}`);
-                } else {
-                    console.log(`[FEEDING] No running log found for schedule ${scheduleId}, RTDB motor control executed anyway`);
-                }
-            } catch (firestoreError) {
-                // Firestore log update failed, but RTDB write succeeded - log and continue
-                console.warn(`[FEEDING] Firestore log update failed for schedule ${scheduleId}, but RTDB motor control succeeded:`, firestoreError);
-            }
-        } else {
-            console.log(`[FEEDING] No uid available, skipping Firestore log update for schedule ${scheduleId} (RTDB motor control executed)`);
-        }
-        
+        const [typesSnapshot, purchasesSnapshot] = await Promise.all([
+            getDocs(collection(db, `users/${uid}/feedTypes`)),
+            getDocs(query(collection(db, `users/${uid}/feedPurchases`), orderBy('createdAt', 'desc'), limit(RECENT_PURCHASES_SHOWN)))
+        ]);
+        feedTypes = {};
+        typesSnapshot.forEach(typeDoc => {
+            feedTypes[typeDoc.id] = typeDoc.data();
+        });
+        renderFeedInventory(purchasesSnapshot.docs.map(purchaseDoc => purchaseDoc.data()));
     } catch (error) {
-        console.error(`[FEEDING] Error stopping schedule ${scheduleId}:`, error);
-        // Don't throw - allow other schedules to continue
+        console.error('[FEEDING] Error loading feed inventory:', error);
+    }
+}
+
+function renderFeedInventory(purchases) {
+    const todayKey = getUserBucket().date;
+    const entries = Object.entries(feedTypes).sort(([, a], [, b]) => (a.name || '').localeCompare(b.name || ''));
+    
+    const list = document.getElementById('feedInventoryList');
+    if (list) {
+        list.innerHTML = entries.length === 0
+            ? '<div class="schedule-item"><p class="no-data-text">No feeds yet - add the feeds you use below</p></div>'
+            : entries.map(([feedTypeId, feedType]) => {
+                const forecast = FeedInventory.forecast(feedType, todayKey);
+                const status = forecast.stockKg <= 0
+                    ? { className: 'out-of-stock', text: 'Out of stock' }
+                    : (forecast.low ? { className: 'low-stock', text: 'Reorder' } : { className: 'completed', text: 'In stock' });
+                return `
+                    <div class="schedule-item user-schedule-item" data-feed-type-id="${feedTypeId}">
+                        <div class="schedule-details">
+                            <div class="schedule-title"><strong>${escapeHtml(feedType.name)}</strong></div>
+                            <div class="schedule-description">
+                                <i class="fas fa-weight-hanging"></i> ${FeedingSchedules.formatKg(forecast.stockKg)} on hand${forecast.reorderKg > 0 ? ` · reorder at ${FeedingSchedules.formatKg(forecast.reorderKg)}` : ''}
+                            </div>
+                            <div class="schedule-description"><i class="fas fa-chart-line"></i> ${FeedInventory.describeForecast(forecast)}</div>
+                        </div>
+                        <div class="schedule-actions">
+                            <div class="schedule-status">
+                                <span class="status ${status.className}">${status.text}</span>
+                            </div>
+                            <button class="schedule-delete-btn schedule-edit-btn" onclick="editFeedType('${feedTypeId}')" title="Edit feed or correct the stock">
+                                <i class="fas fa-pen"></i>
+                            </button>
+                            <button class="schedule-delete-btn" onclick="deleteFeedType('${feedTypeId}')" title="Delete feed">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+    }
+    
+    // Feed pickers of the purchase and schedule forms (keep what is selected)
+    const options = entries.map(([feedTypeId, feedType]) => `<option value="${feedTypeId}">${escapeHtml(feedType.name)}</option>`).join('');
+    [['purchaseFeedType', ''], ['scheduleFeedType', '<option value="">Not tracked</option>']].forEach(([id, first]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = first + options;
+        if (selected && feedTypes[selected]) select.value = selected;
+    });
+    
+    const dateInput = document.getElementById('purchaseDate');
+    if (dateInput && !dateInput.value) dateInput.value = todayKey;
+    
+    const purchaseList = document.getElementById('feedPurchaseList');
+    if (purchaseList) {
+        purchaseList.innerHTML = purchases.length === 0 ? '' : `
+            <strong>Recent purchases</strong>
+            <ul>
+                ${purchases.map(purchase => `<li>${[
+                    FeedingSchedules.formatDay(purchase.purchasedOn, false),
+                    escapeHtml(purchase.feedName),
+                    `${purchase.bags} × ${FeedingSchedules.formatKg(purchase.bagKg)} = ${FeedingSchedules.formatKg(purchase.kg)}`,
+                    purchase.cost !== null && purchase.cost !== undefined ? purchase.cost.toLocaleString(undefined, { minimumFractionDigits: 2 }) : null,
+                    purchase.supplier ? escapeHtml(purchase.supplier) : null,
+                    purchase.lot ? `lot ${escapeHtml(purchase.lot)}` : null
+                ].filter(Boolean).join(' · ')}</li>`).join('')}
+            </ul>
+        `;
     }
 }
 
-// Main function: Check all schedules and execute Start → Run → Stop logic
-// RTDB motor control works without authentication
-// Firestore schedule fetching is optional (only if uid is available)
-async function executeFeedingSchedules() {
+// Add a feed, or save the edited one (name, reorder level and - when entered - the counted stock)
+window.saveFeedType = async function() {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid) {
+        showNotification('User not authenticated', 'error');
+        return;
+    }
+    
+    const value = (id) => document.getElementById(id)?.value ?? '';
+    const feedTypeId = value('feedTypeId');
+    let input;
     try {
-        const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
-        const now = new Date();
-        const today = getStartOfDay(now);
-        
-        // If no uid, we can't fetch schedules from Firestore, but RTDB motor control could still work
-        // For now, we require uid to fetch schedules, but RTDB writes within schedule execution are unconditional
-        if (!uid) {
-            // No user - can't fetch schedules, but this is OK for headless operation
-            // RTDB motor control would work if we had schedules from another source
-            // console.log('[CORE] Feeding schedule execution skipped (no runtime UID)');
-            return;
-        }
-        
-        // Fetch all enabled schedules (requires uid)
-        const schedulesRef = collection(db, `users/${uid}/schedules`);
-        const schedulesSnapshot = await getDocs(schedulesRef);
-        
-        // Track if any schedule is currently active (running window)
-        let hasActiveSchedule = false;
-        const activeScheduleIds = new Set();
-        
-        // First pass: Identify active schedules (T ≤ now < E)
-        for (const scheduleDoc of schedulesSnapshot.docs) {
-            const schedule = scheduleDoc.data();
-            const scheduleId = scheduleDoc.id;
-            
-            // Skip disabled schedules
-            if (schedule.isEnabled === false) {
-                continue;
-            }
-            
-            const scheduleTime = schedule.time;
-            const duration = schedule.duration || 30;
-            
-            if (!scheduleTime || !scheduleTime.includes(':')) {
-                continue; // Invalid schedule
-            }
-            
-            // Parse schedule time
-            const [hours, minutes] = scheduleTime.split(':').map(Number);
-            const scheduledDateTime = new Date(today);
-            scheduledDateTime.setHours(hours, minutes, 0, 0);
-            const endDateTime = new Date(scheduledDateTime.getTime() + duration * 60 * 1000);
-            
-            // Check if this schedule is currently in its running window
-            if (now >= scheduledDateTime && now < endDateTime) {
-                hasActiveSchedule = true;
-                activeScheduleIds.add(scheduleId);
+        input = FeedInventory.parseFeedType({ name: value('feedTypeName'), reorderKg: value('feedTypeReorderKg') });
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    const stockText = value('feedTypeStockKg').trim();
+    const countedKg = stockText === '' ? null : parseFloat(stockText);
+    if (countedKg !== null && !(countedKg >= 0)) {
+        showNotification('Enter the stock on hand in kg', 'error');
+        return;
+    }
+    
+    try {
+        const feedTypeRef = feedTypeId
+            ? doc(db, `users/${uid}/feedTypes/${feedTypeId}`)
+            : doc(collection(db, `users/${uid}/feedTypes`));
+        await runTransaction(db, async (transaction) => {
+            const feedTypeSnap = feedTypeId ? await transaction.get(feedTypeRef) : null;
+            if (feedTypeId && !feedTypeSnap.exists()) {
+                throw new Error('This feed was deleted');
+            }
+            const current = feedTypeSnap ? feedTypeSnap.data() : { stockKg: 0 };
+            const stock = FeedInventory.applyStockSettings(current, input.reorderKg, countedKg !== null ? countedKg : current.stockKg, Date.now());
+            const notified = stock.fellLow ? notifyLowStock(transaction, uid, feedTypeRef.id, { ...current, name: input.name, ...stock.update }) : {};
+            const fields = { name: input.name, ...stock.update, ...notified, updatedAt: serverTimestamp() };
+            if (feedTypeSnap) {
+                transaction.update(feedTypeRef, fields);
+            } else {
+                transaction.set(feedTypeRef, { ...fields, dailyUsageKg: {}, createdAt: serverTimestamp() });
             }
-        }
+        });
         
-        // Process schedules sequentially to avoid race conditions
-        for (const scheduleDoc of schedulesSnapshot.docs) {
-            const schedule = scheduleDoc.data();
-            const scheduleId = scheduleDoc.id;
-            
-            // Skip disabled schedules
-            if (schedule.isEnabled === false) {
-                continue;
-            }
-            
-            const scheduleTime = schedule.time;
-            const duration = schedule.duration || 30; // Default 30 minutes
-            
-            if (!scheduleTime || !scheduleTime.includes(':')) {
-                continue; // Invalid schedule
-            }
-            
-            // Parse schedule time to get T (scheduled DateTime)
-            const [hours, minutes] = scheduleTime.split(':').map(Number);
-            const scheduledDateTime = new Date(today);
-            scheduledDateTime.setHours(hours, minutes, 0, 0);
-            
-            // Compute end time E = T + D minutes
-            const endDateTime = new Date(scheduledDateTime.getTime() + duration * 60 * 1000);
-            
-            // 1) START: If T ≤ now and we haven't started yet
-            if (now >= scheduledDateTime) {
-                // Check if we have a running log for today
-                const feedingLogsRef = collection(db, `users/${uid}/feedingLogs`);
-                const logsSnapshot = await getDocs(feedingLogsRef);
-                
-                let hasRunningLog = false;
-                logsSnapshot.forEach(logDoc => {
-                    const log = logDoc.data();
-                    if (log.scheduleId === scheduleId && log.startedAt) {
-                        const startedAt = timestampToDate(log.startedAt);
-                        if (startedAt && startedAt >= today && startedAt <= getEndOfDay(now)) {
-                            if (log.status === 'running') {
-                                hasRunningLog = true;
-                            }
-                        }
-                    }
-                });
-                
-                // If no running log exists, start the schedule
-                if (!hasRunningLog && now < endDateTime) {
-                    await startFeedingSchedule(DEVICE_ID, uid, scheduleId, scheduleTime, duration);
-                }
-            }
-            
-            // 2) RUN: Keep motor ON while T ≤ now < E
-            if (now >= scheduledDateTime && now < endDateTime) {
-                await keepMotorRunning(DEVICE_ID, scheduleId);
-            }
-            
-            // 3) STOP: Turn motor OFF when now ≥ E
-            // BUT ONLY if:
-            //   a) This schedule actually started the motor (has running log)
-            //   b) No other schedule is currently active (to prevent turning off during schedule overlap)
-            // Don't turn off motor if it was started manually (no schedule log)
-            if (now >= endDateTime) {
-                // Check if there's a running log for this schedule today
-                const feedingLogsRef = collection(db, `users/${uid}/feedingLogs`);
-                const logsSnapshot = await getDocs(feedingLogsRef);
-                
-                let hasRunningLogForSchedule = false;
-                logsSnapshot.forEach(logDoc => {
-                    const log = logDoc.data();
-                    if (log.scheduleId === scheduleId && log.startedAt) {
-                        const startedAt = timestampToDate(log.startedAt);
-                        if (startedAt && startedAt >= today && startedAt <= getEndOfDay(now)) {
-                            if (log.status === 'running') {
-                                hasRunningLogForSchedule = true;
-                            }
-                        }
-                    }
-                });
-                
-                // Only stop if:
-                // 1. This schedule actually started the motor (has running log)
-                // 2. No other schedule is currently active (prevents turning off during overlap)
-                if (hasRunningLogForSchedule && !hasActiveSchedule) {
-                    await stopFeedingSchedule(DEVICE_ID, uid, scheduleId);
-                } else if (hasRunningLogForSchedule && hasActiveSchedule) {
-                    // This schedule ended but another is active - just update the log, don't turn off motor
-                    console.log(`[FEEDING] Schedule ${scheduleId} ended but other schedules active, keeping motor on`);
-                    // Update log to completed but don't turn off motor
-                    try {
-                        const logsSnapshot2 = await getDocs(feedingLogsRef);
-                        logsSnapshot2.forEach(logDoc => {
-                            const log = logDoc.data();
-                            if (log.scheduleId === scheduleId && log.status === 'running') {
-                                const startedAt = timestampToDate(log.startedAt);
-                                if (startedAt && startedAt >= today && startedAt <= getEndOfDay(now)) {
-                                    updateDoc(doc(db, `users/${uid}/feedingLogs/${logDoc.id}`), {
-                                        status: 'completed',
-                                        endedAt: serverTimestamp(),
-                                        updatedAt: serverTimestamp()
-                                    }).catch(err => console.warn('[FEEDING] Log update error:', err));
-                                }
-                            }
-                        });
-                    } catch (err) {
-                        console.warn('[FEEDING] Error updating log:', err);
-                    }
-                }
-                // If no running log exists, motor was likely started manually - don't turn it off
+        console.log('[FEEDING] Saved feed type:', { feedTypeId: feedTypeRef.id, ...input, countedKg });
+        showNotification(feedTypeId ? `${input.name} updated` : `${input.name} added to the feed inventory`, 'success');
+        window.resetFeedTypeForm();
+        await loadFeedInventory(uid);
+    } catch (error) {
+        console.error('[FEEDING] Error saving feed type:', error);
+        showNotification(error.message === 'This feed was deleted' ? error.message : 'Failed to save feed', 'error');
+    }
+};
+
+window.editFeedType = function(feedTypeId) {
+    const feedType = feedTypes[feedTypeId];
+    if (!feedType) return;
+    
+    const set = (id, text) => {
+        const element = document.getElementById(id);
+        if (element) element.value = text;
+    };
+    set('feedTypeId', feedTypeId);
+    set('feedTypeName', feedType.name || '');
+    set('feedTypeReorderKg', feedType.reorderKg || '');
+    set('feedTypeStockKg', '');
+    document.getElementById('feedTypeFormTitle').textContent = `Edit ${feedType.name}`;
+    document.getElementById('feedTypeStockLabel').textContent = `Counted stock (kg) - now ${FeedingSchedules.formatKg(feedType.stockKg || 0)}`;
+    document.getElementById('feedTypeCancelBtn').style.display = '';
+    document.getElementById('feedTypeName')?.focus();
+};
+
+window.resetFeedTypeForm = function() {
+    document.getElementById('feedTypeForm')?.reset();
+    const idInput = document.getElementById('feedTypeId');
+    if (idInput) idInput.value = '';
+    const title = document.getElementById('feedTypeFormTitle');
+    if (title) title.textContent = 'Add Feed';
+    const stockLabel = document.getElementById('feedTypeStockLabel');
+    if (stockLabel) stockLabel.textContent = 'Stock on hand (kg)';
+    const cancel = document.getElementById('feedTypeCancelBtn');
+    if (cancel) cancel.style.display = 'none';
+};
+
+window.deleteFeedType = async function(feedTypeId) {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    const name = getFeedTypeName(feedTypeId);
+    if (!uid || !name) return;
+    if (!confirm(`Delete ${name}? Its purchases stay in the history; schedules that use it stop tracking stock.`)) {
+        return;
+    }
+    
+    try {
+        await deleteDoc(doc(db, `users/${uid}/feedTypes/${feedTypeId}`));
+        showNotification(`${name} deleted`, 'success');
+        await loadFeedInventory(uid);
+        await loadFeedingSchedules();
+    } catch (error) {
+        console.error('[FEEDING] Error deleting feed type:', error);
+        showNotification('Failed to delete feed', 'error');
+    }
+};
+
+// Record bags bought and add them to the feed's stock (one transaction, so a feeding booked meanwhile is not lost)
+window.recordFeedPurchase = async function() {
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid) {
+        showNotification('User not authenticated', 'error');
+        return;
+    }
+    
+    const value = (id) => document.getElementById(id)?.value ?? '';
+    const feedTypeId = value('purchaseFeedType');
+    if (!feedTypes[feedTypeId]) {
+        showNotification('Add the feed first (Add Feed below)', 'error');
+        return;
+    }
+    let purchase;
+    try {
+        purchase = FeedInventory.parsePurchase({
+            bags: value('purchaseBags'),
+            bagKg: value('purchaseBagKg'),
+            cost: value('purchaseCost'),
+            supplier: value('purchaseSupplier'),
+            lot: value('purchaseLot'),
+            purchasedOn: value('purchaseDate')
+        });
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    
+    try {
+        const feedTypeRef = doc(db, `users/${uid}/feedTypes/${feedTypeId}`);
+        const feedName = await runTransaction(db, async (transaction) => {
+            const feedTypeSnap = await transaction.get(feedTypeRef);
+            if (!feedTypeSnap.exists()) {
+                throw new Error('This feed was deleted');
             }
-        }
+            const feedType = feedTypeSnap.data();
+            const stock = FeedInventory.applyPurchase(feedType, purchase.kg, Date.now());
+            transaction.set(doc(collection(db, `users/${uid}/feedPurchases`)), {
+                feedTypeId: feedTypeId,
+                feedName: feedType.name,
+                ...purchase,
+                createdBy: auth.currentUser?.uid || uid,
+                createdAt: serverTimestamp()
+            });
+            transaction.update(feedTypeRef, { ...stock.update, updatedAt: serverTimestamp() });
+            return feedType.name;
+        });
         
+        console.log('[FEEDING] Recorded feed purchase:', { feedTypeId, ...purchase });
+        showNotification(`${FeedingSchedules.formatKg(purchase.kg)} of ${feedName} added to stock`, 'success');
+        ['purchaseCost', 'purchaseSupplier', 'purchaseLot'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        const bagsInput = document.getElementById('purchaseBags');
+        if (bagsInput) bagsInput.value = '1';
+        await loadFeedInventory(uid);
     } catch (error) {
-        console.error('[FEEDING] Error executing feeding schedules:', error);
+        console.error('[FEEDING] Error recording feed purchase:', error);
+        showNotification(error.message === 'This feed was deleted' ? error.message : 'Failed to record purchase', 'error');
     }
-}
+};
+
+// ============================================================
+// FEEDING SCHEDULE STATUS (READ-ONLY)
+// ============================================================
+// Schedules are started and stopped server-side by api/cron/execute-feeding.js (every minute), so the fish
+// are fed with no tab open and open tabs cannot race each other over the motor. The dashboard only watches
+// the running feedings and reloads the schedule lists whenever the executor starts or stops one.
 
-// Set up periodic execution checker (runs every 30 seconds)
-// Unified guard for feeding schedule interval
-window.__FEEDING_TIMER__ = window.__FEEDING_TIMER__ || null;
+// Unified guard for the running feedings listener
+window.__FEEDING_STATUS_UNSUBSCRIBE__ = window.__FEEDING_STATUS_UNSUBSCRIBE__ || null;
 
-// Core feeding schedule executor (DOM-free, auth-independent)
+// Core feeding status watcher (auth-independent, DOM-optional: without the Feeding section it only tracks the running feedings)
 export function setupFeedingScheduleExecutionCore() {
-    // Guard against duplicate intervals
-    if (window.__FEEDING_TIMER__) {
-        console.log('[CORE] Feeding schedule interval already active, skipping');
+    // Guard against duplicate listeners
+    if (window.__FEEDING_STATUS_UNSUBSCRIBE__) {
+        console.log('[CORE] Feeding status listener already active, skipping');
         return;
     }
     
-    // Run immediately
-    executeFeedingSchedules();
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    if (!uid) {
+        console.log('[CORE] Feeding status listener skipped (no runtime UID)');
+        return;
+    }
     
-    // Then run every 30 seconds
-    window.__FEEDING_TIMER__ = setInterval(() => {
-        console.log('[CORE] feeding schedule tick');
-        executeFeedingSchedules();
-    }, 30000); // 30 seconds
+    // The first snapshot is what the page loads anyway - only later starts and stops reload the lists
+    let firstSnapshot = true;
+    const runningQuery = query(collection(db, `users/${uid}/feedingLogs`), where('status', '==', 'running'));
+    window.__FEEDING_STATUS_UNSUBSCRIBE__ = onSnapshot(runningQuery, (snapshot) => {
+        window.RUNTIME_STATE.runningFeedings = snapshot.docs.map(logDoc => ({ id: logDoc.id, ...logDoc.data() }));
+        if (firstSnapshot) {
+            firstSnapshot = false;
+            return;
+        }
+        console.log('[FEEDING] Running feedings changed:', window.RUNTIME_STATE.runningFeedings.map(log => log.id));
+        if (document.getElementById('recentFeedingList') || document.getElementById('feedingScheduleList')) {
+            loadFeedingSchedules();
+        }
+    }, (error) => {
+        console.warn('[FEEDING] Feeding status listener error:', error);
+    });
     
-    console.log('[CORE] Feeding schedule interval started');
+    console.log('[CORE] Feeding status listener started (schedules run on the server)');
 }
 
 // Legacy wrapper (backward compatibility)
@@ -4251,15 +7306,6 @@ export function setupFeedingScheduleExecution() {
     setupFeedingScheduleExecutionCore();
 }
 
-// Stop the execution checker
-function stopFeedingScheduleExecution() {
-    if (feedingScheduleInterval) {
-        clearInterval(feedingScheduleInterval);
-        feedingScheduleInterval = null;
-        console.log('[FEEDING] Schedule execution checker stopped');
-    }
-}
-
 // Load feeding schedules from Firestore with execution-based status
 async function loadFeedingSchedules() {
     try {
@@ -4271,6 +7317,9 @@ async function loadFeedingSchedules() {
         
         console.log('Loading feeding schedules for user:', uid);
         
+        // Feed types first: the schedule list shows the feed each schedule dispenses
+        await loadFeedInventory(uid);
+        
         // Fetch from correct path: users/{uid}/schedules
         const schedulesRef = collection(db, `users/${uid}/schedules`);
         
@@ -4287,9 +7336,15 @@ async function loadFeedingSchedules() {
         }
         
         // Convert snapshot to array and filter enabled schedules
+        // Only schedules for the selected device (no deviceId = primary device)
+        const selectedDeviceId = getSelectedDeviceId();
+        const primaryDeviceId = getPrimaryDeviceId();
         const schedules = [];
         querySnapshot.forEach(doc => {
             const scheduleData = doc.data();
+            if ((scheduleData.deviceId || primaryDeviceId) !== selectedDeviceId) {
+                return;
+            }
             // Include all schedules (we'll show disabled ones with different status)
             schedules.push({ id: doc.id, data: scheduleData });
         });
@@ -4301,7 +7356,9 @@ async function loadFeedingSchedules() {
             return timeA.localeCompare(timeB);
         });
         
-        // Determine execution status for each schedule
+        // Determine execution status for each schedule (run time of schedules by weight needs the calibration)
+        await ensureCalibrationProfiles(uid, selectedDeviceId);
+        const todayKey = getUserBucket().date;
         const schedulesWithStatus = await Promise.all(
             schedules.map(async (schedule) => {
                 // If disabled, don't check execution status
@@ -4309,15 +7366,23 @@ async function loadFeedingSchedules() {
                     return { ...schedule, executionStatus: 'DISABLED' };
                 }
                 
-                // Determine status based on execution logs
-                const executionStatus = await determineScheduleStatus(
-                    uid,
-                    schedule.id,
+                // Today's log (id {scheduleId}_{YYYY-MM-DD}, user's day) decides the status when there is one
+                let todayLog = null;
+                try {
+                    const logSnap = await getDoc(doc(db, `users/${uid}/feedingLogs/${schedule.id}_${todayKey}`));
+                    todayLog = logSnap.exists() ? logSnap.data() : null;
+                } catch (logError) {
+                    console.warn('Could not read today\'s feeding log, status from the schedule time:', logError);
+                }
+                
+                const executionStatus = determineScheduleStatus(
                     schedule.data.time,
-                    schedule.data.duration
+                    scheduleRunPlan(schedule.data, selectedDeviceId).seconds / 60,
+                    schedule.data.recurrence,
+                    todayLog
                 );
                 
-                return { ...schedule, executionStatus };
+                return { ...schedule, executionStatus, todayLog };
             })
         );
         
@@ -4370,7 +7435,10 @@ window.addFeedingSchedule = async function() {
         }
         
         const timeValue = timeInput.value; // Format: "HH:mm" (e.g., "07:00")
-        const durationValue = parseInt(durationInput.value, 10);
+        let durationValue = parseInt(durationInput.value, 10);
+        const byWeight = document.getElementById('scheduleAmountType')?.value === 'kg';
+        const targetKgInput = document.getElementById('scheduleTargetKg');
+        let targetKg = null;
         
         if (!timeValue) {
             showNotification('Please select a time', 'error');
@@ -4378,21 +7446,56 @@ window.addFeedingSchedule = async function() {
             return;
         }
         
-        if (isNaN(durationValue) || durationValue < 1) {
+        if (byWeight) {
+            // Feed by weight: the run time comes from the feeder's calibration
+            const kgProblem = FeedingSchedules.validateTargetKg(targetKgInput?.value);
+            if (kgProblem) {
+                showNotification(kgProblem, 'error');
+                targetKgInput?.focus();
+                return;
+            }
+            targetKg = parseFloat(targetKgInput.value);
+            const runSeconds = FeedingSchedules.runSecondsForKg(targetKg, getFeederGramsPerSecond(getSelectedDeviceId()));
+            if (!runSeconds) {
+                showNotification('Calibrate this feeder (Motor Control) before scheduling by weight', 'error');
+                return;
+            }
+            // Kept as the fallback run time (and for readers that only know duration)
+            durationValue = Math.round(runSeconds / 60 * 100) / 100;
+        } else if (isNaN(durationValue) || durationValue < 1) {
             showNotification('Please enter a valid duration (minimum 1 minute)', 'error');
             durationInput.focus();
             return;
         }
         
-        // Format duration for display (e.g., "30 mins")
-        const durationDisplay = durationValue === 1 ? '1 min' : `${durationValue} mins`;
+        const recurrence = readScheduleRecurrence();
+        const recurrenceProblem = FeedingSchedules.validateRecurrence(recurrence, formatDateString(new Date()));
+        if (recurrenceProblem) {
+            showNotification(recurrenceProblem, 'error');
+            return;
+        }
+        
+        const guards = readScheduleGuards();
+        const guardsProblem = FeedingSchedules.validateGuards(guards);
+        if (guardsProblem) {
+            showNotification(guardsProblem, 'error');
+            return;
+        }
+        
+        // Format amount for display (e.g., "30 min", "2.5 kg (2 min 47 s)")
+        const durationDisplay = FeedingSchedules.describeAmount({ duration: durationValue, targetKg: targetKg }, getFeederGramsPerSecond(getSelectedDeviceId()));
         
         // Create schedule document
         const scheduleData = {
             time: timeValue, // Store as "HH:mm" format
             duration: durationValue, // Duration in minutes
+            targetKg: targetKg, // Feed per feeding (null = run for duration)
+            feedTypeId: document.getElementById('scheduleFeedType')?.value || null, // Feed taken off the stock (null = not tracked)
+            deviceId: getSelectedDeviceId(), // Feeder that runs this schedule
+            recurrence: FeedingSchedules.normalizeRecurrence(recurrence), // Feeding days (feeding-schedules.js)
+            guards: FeedingSchedules.normalizeGuards(guards), // Water conditions that skip or reduce a feeding ([] = none)
             title: 'Feeding Schedule',
-            description: `One-time feeding | Duration: ${durationDisplay}`,
+            description: `${FeedingSchedules.describeRecurrence(recurrence)} | ${targetKg ? 'Amount' : 'Duration'}: ${durationDisplay}`,
             isEnabled: true,
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp()
@@ -4402,12 +7505,15 @@ window.addFeedingSchedule = async function() {
         const schedulesRef = collection(db, `users/${uid}/schedules`);
         await addDoc(schedulesRef, scheduleData);
         
-        console.log('[FEEDING] Schedule added:', { time: timeValue, duration: durationValue });
+        console.log('[FEEDING] Schedule added:', { time: timeValue, duration: durationValue, targetKg: targetKg, recurrence: scheduleData.recurrence, guards: scheduleData.guards });
         showNotification('Feeding schedule added successfully!', 'success');
         
         // Clear form
         timeInput.value = '';
         durationInput.value = '30';
+        if (targetKgInput) targetKgInput.value = '';
+        resetScheduleRecurrenceFields();
+        resetScheduleGuardRows();
         
         // Reload schedules to show the new one
         await loadFeedingSchedules();
@@ -4418,6 +7524,135 @@ window.addFeedingSchedule = async function() {
     }
 };
 
+// Run time or feed weight: show the chosen input and what the weight means on the selected feeder
+window.updateScheduleAmountFields = function() {
+    const byWeight = document.getElementById('scheduleAmountType')?.value === 'kg';
+    const durationGroup = document.getElementById('scheduleDurationGroup');
+    const weightGroup = document.getElementById('scheduleTargetKgGroup');
+    if (durationGroup) durationGroup.style.display = byWeight ? 'none' : '';
+    if (weightGroup) weightGroup.style.display = byWeight ? '' : 'none';
+    
+    const hint = document.getElementById('scheduleAmountHint');
+    if (!hint || !byWeight) return;
+    const deviceId = getSelectedDeviceId();
+    const gramsPerSecond = getFeederGramsPerSecond(deviceId);
+    const targetKg = parseFloat(document.getElementById('scheduleTargetKg')?.value);
+    if (!gramsPerSecond) {
+        hint.textContent = `Calibrate ${getDeviceName(deviceId)} (Motor Control) to feed by weight`;
+    } else if (FeedingSchedules.validateTargetKg(targetKg)) {
+        hint.textContent = `${getDeviceName(deviceId)} dispenses ${gramsPerSecond.toFixed(2)} g/s`;
+    } else {
+        hint.textContent = `Motor runs ${FeedingSchedules.formatRunTime(FeedingSchedules.runSecondsForKg(targetKg, gramsPerSecond))} on ${getDeviceName(deviceId)}`;
+    }
+};
+
+// Repeat fields of the Add Schedule form -> recurrence (validated by the caller)
+function readScheduleRecurrence() {
+    const type = document.getElementById('scheduleRepeat')?.value || 'daily';
+    const value = (id) => document.getElementById(id)?.value || null;
+    return {
+        type: type,
+        days: Array.from(document.querySelectorAll('#scheduleWeekdays input:checked')).map(input => Number(input.value)),
+        everyDays: value('scheduleEveryDays'),
+        date: value('scheduleOnceDate'),
+        startDate: value('scheduleStartDate'),
+        endDate: value('scheduleEndDate')
+    };
+}
+
+// Show the inputs the chosen repeat option needs
+window.updateScheduleRepeatFields = function() {
+    const type = document.getElementById('scheduleRepeat')?.value || 'daily';
+    const show = (id, visible) => {
+        const element = document.getElementById(id);
+        if (element) element.style.display = visible ? '' : 'none';
+    };
+    show('scheduleWeekdaysGroup', type === 'weekdays');
+    show('scheduleEveryDaysGroup', type === 'interval');
+    show('scheduleOnceDateGroup', type === 'once');
+    show('scheduleDateRangeGroup', type !== 'once');
+    
+    const startLabel = document.getElementById('scheduleStartDateLabel');
+    if (startLabel) startLabel.textContent = type === 'interval' ? 'First feeding day' : 'From (optional)';
+    
+    const summary = document.getElementById('scheduleRepeatSummary');
+    if (summary) {
+        const recurrence = readScheduleRecurrence();
+        summary.textContent = FeedingSchedules.validateRecurrence(recurrence) ? '' : FeedingSchedules.describeRecurrence(recurrence);
+    }
+};
+
+function resetScheduleRecurrenceFields() {
+    const repeat = document.getElementById('scheduleRepeat');
+    if (!repeat) return;
+    repeat.value = 'daily';
+    document.querySelectorAll('#scheduleWeekdays input').forEach(input => {
+        input.checked = false;
+    });
+    ['scheduleEveryDays', 'scheduleOnceDate', 'scheduleStartDate', 'scheduleEndDate'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = id === 'scheduleEveryDays' ? '2' : '';
+    });
+    window.updateScheduleRepeatFields();
+}
+
+// Water condition rows of the Add Schedule form: "Skip / Reduce by N %" if <reading> <comparison> <limit>
+window.addScheduleGuardRow = function() {
+    const list = document.getElementById('scheduleGuardList');
+    if (!list) return;
+    if (list.children.length >= FeedingSchedules.MAX_GUARDS) {
+        showNotification(`Add at most ${FeedingSchedules.MAX_GUARDS} conditions`, 'error');
+        return;
+    }
+    const options = (entries) => entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    list.insertAdjacentHTML('beforeend', `
+        <div class="schedule-guard-row">
+            <select class="form-input" data-guard-field="action" onchange="updateScheduleGuardRow(this)">
+                ${options(Object.entries(FeedingSchedules.GUARD_ACTIONS).map(([key, action]) => [key, action.label]))}
+            </select>
+            <span class="schedule-guard-by" data-guard-percent style="display: none;">
+                by <input type="number" class="form-input schedule-guard-percent" data-guard-field="reducePercent" min="1" max="99" value="50"> %
+            </span>
+            <span>if</span>
+            <select class="form-input" data-guard-field="metric">
+                ${options(SensorCatalog.SENSORS.map(sensor => [sensor.id, `${sensor.label}${sensor.unit ? ` (${sensor.unit})` : ''}`]))}
+            </select>
+            <select class="form-input" data-guard-field="comparator">
+                ${options(Object.entries(FeedingSchedules.GUARD_COMPARATORS).map(([key, comparator]) => [key, `${comparator.label} (${comparator.symbol})`]))}
+            </select>
+            <input type="number" class="form-input" data-guard-field="threshold" step="any" placeholder="Limit">
+            <button type="button" class="schedule-delete-btn" title="Remove condition" onclick="this.closest('.schedule-guard-row').remove()">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `);
+};
+
+// Reduce needs the percentage, skip does not
+window.updateScheduleGuardRow = function(actionSelect) {
+    const row = actionSelect.closest('.schedule-guard-row');
+    row.querySelector('[data-guard-percent]').style.display = actionSelect.value === 'reduce' ? '' : 'none';
+};
+
+// Water condition rows -> guards (validated by the caller)
+function readScheduleGuards() {
+    return Array.from(document.querySelectorAll('#scheduleGuardList .schedule-guard-row')).map(row => {
+        const field = (name) => row.querySelector(`[data-guard-field="${name}"]`)?.value ?? '';
+        return {
+            metric: field('metric'),
+            comparator: field('comparator'),
+            threshold: field('threshold'),
+            action: field('action'),
+            reducePercent: field('action') === 'reduce' ? field('reducePercent') : null
+        };
+    });
+}
+
+function resetScheduleGuardRows() {
+    const list = document.getElementById('scheduleGuardList');
+    if (list) list.innerHTML = '';
+}
+
 // Delete feeding schedule
 window.deleteFeedingSchedule = async function(scheduleId) {
     if (!scheduleId) {
@@ -4700,23 +7935,14 @@ window.backfillDailyReports = async function() {
 // NEXT FEEDING ALERT COMPUTATION
 // ============================================================
 
-// Parse schedule time string to local Date object
-// Accepts "HH:mm" or "H:mm" format
-// Returns Date object with time set in local timezone, or null if invalid
-function parseScheduleTimeToLocalDate(timeStr, baseDate = new Date()) {
+// Instant (ms) of a schedule time ("HH:mm" or "H:mm") on a YYYY-MM-DD day in the user's zone, or null if invalid
+// Same formula as feedingWindows in api/cron/execute-feeding.js
+function scheduleTimeOnUserDay(timeStr, dateKey) {
     if (!timeStr || typeof timeStr !== 'string') {
         return null;
     }
     
-    // Remove any whitespace
-    timeStr = timeStr.trim();
-    
-    // Check if it contains colon
-    if (!timeStr.includes(':')) {
-        return null;
-    }
-    
-    const parts = timeStr.split(':');
+    const parts = timeStr.trim().split(':');
     if (parts.length !== 2) {
         return null;
     }
@@ -4729,15 +7955,11 @@ function parseScheduleTimeToLocalDate(timeStr, baseDate = new Date()) {
         return null;
     }
     
-    // Create date with base date, set to local time
-    const date = new Date(baseDate);
-    date.setHours(hours, minutes, 0, 0);
-    
-    return date;
+    return Timezone.zonedTimeToUtc(dateKey, hours, userTimezone) + minutes * 60 * 1000;
 }
 
 // Format time difference to human-readable string
-// Returns format: "in 2h 15m" or "in 45m" (if < 1h)
+// Returns format: "in 2d 3h" (if ≥ 1 day), "in 2h 15m" or "in 45m" (if < 1h)
 function formatTimeDifference(diffMs) {
     if (diffMs < 0) {
         return 'now';
@@ -4747,6 +7969,10 @@ function formatTimeDifference(diffMs) {
     const hours = Math.floor(totalMinutes / 60);
     const minutes = totalMinutes % 60;
     
+    if (hours >= 24) {
+        const days = Math.floor(hours / 24);
+        return hours % 24 > 0 ? `in ${days}d ${hours % 24}h` : `in ${days}d`;
+    }
     if (hours > 0) {
         if (minutes > 0) {
             return `in ${hours}h ${minutes}m`;
@@ -4765,15 +7991,25 @@ async function computeNextFeedingTime(uid) {
         const schedulesRef = collection(db, `users/${uid}/schedules`);
         const schedulesSnapshot = await getDocs(schedulesRef);
         
-        const now = new Date();
-        const today = getStartOfDay(now);
+        // Days and times in the user's zone (where the executor runs them), not the browser's
+        const now = Date.now();
+        const todayKey = getUserBucket(now).date;
         let nextFeedingDate = null;
+        let nextFeedingDay = null;
         let nextFeedingSchedule = null;
         let hasInvalidTime = false;
         
+        // Only schedules for the selected device (no deviceId = primary device)
+        const selectedDeviceId = getSelectedDeviceId();
+        const primaryDeviceId = getPrimaryDeviceId();
+        
         schedulesSnapshot.forEach(doc => {
             const schedule = doc.data();
             
+            if ((schedule.deviceId || primaryDeviceId) !== selectedDeviceId) {
+                return;
+            }
+            
             // Only consider enabled schedules
             if (schedule.isEnabled !== false) {
                 const scheduleTime = schedule.time;
@@ -4782,24 +8018,28 @@ async function computeNextFeedingTime(uid) {
                     return; // Skip schedules without time
                 }
                 
-                // Parse schedule time to today's date
-                const todayAtTime = parseScheduleTimeToLocalDate(scheduleTime, today);
-                if (!todayAtTime) {
+                // Schedule time today
+                const todayAtTime = scheduleTimeOnUserDay(scheduleTime, todayKey);
+                if (todayAtTime === null) {
                     hasInvalidTime = true;
                     return; // Skip invalid time formats
                 }
                 
-                // If today's time has passed, consider tomorrow
-                let candidateDate = todayAtTime;
-                if (candidateDate <= now) {
-                    // Set to tomorrow at same time
-                    candidateDate = new Date(todayAtTime);
-                    candidateDate.setDate(candidateDate.getDate() + 1);
+                // Today if it feeds today and the time is still ahead, else its next feeding day
+                let candidateDay = todayKey;
+                let candidateAt = todayAtTime;
+                if (candidateAt <= now || !FeedingSchedules.feedsOn(schedule.recurrence, todayKey)) {
+                    candidateDay = FeedingSchedules.nextFeedingDay(schedule.recurrence, Timezone.addDays(todayKey, 1));
+                    if (!candidateDay) {
+                        return; // Ended (one-off done, past its end date)
+                    }
+                    candidateAt = scheduleTimeOnUserDay(scheduleTime, candidateDay);
                 }
                 
                 // Pick the smallest future datetime
-                if (!nextFeedingDate || candidateDate < nextFeedingDate) {
-                    nextFeedingDate = candidateDate;
+                if (!nextFeedingDate || candidateAt < nextFeedingDate.getTime()) {
+                    nextFeedingDate = new Date(candidateAt);
+                    nextFeedingDay = candidateDay;
                     nextFeedingSchedule = schedule;
                 }
             }
@@ -4807,6 +8047,8 @@ async function computeNextFeedingTime(uid) {
         
         return {
             nextDate: nextFeedingDate,
+            nextDay: nextFeedingDay,
+            todayKey: todayKey,
             schedule: nextFeedingSchedule,
             hasInvalidTime: hasInvalidTime && !nextFeedingDate
         };
@@ -4837,7 +8079,7 @@ async function updateNextFeedingAlert() {
         }
         
         // Compute next feeding time
-        const { nextDate, schedule, hasInvalidTime, error } = await computeNextFeedingTime(uid);
+        const { nextDate, nextDay, todayKey, schedule, hasInvalidTime, error } = await computeNextFeedingTime(uid);
         
         if (error) {
             alertElement.textContent = 'Error loading feeding schedule';
@@ -4856,11 +8098,12 @@ async function updateNextFeedingAlert() {
             return;
         }
         
-        // Format the next feeding time
+        // Format the next feeding time (user's zone)
         const timeStr = nextDate.toLocaleTimeString('en-US', {
             hour: 'numeric',
             minute: '2-digit',
-            hour12: true
+            hour12: true,
+            timeZone: userTimezone
         });
         
         // Calculate time difference
@@ -4868,8 +8111,11 @@ async function updateNextFeedingAlert() {
         const diffMs = nextDate.getTime() - now.getTime();
         const diffStr = formatTimeDifference(diffMs);
         
+        // Name the day when it is not today (recurring schedules can skip days)
+        const dayStr = nextDay === todayKey ? '' : nextDay === Timezone.addDays(todayKey, 1) ? ' tomorrow' : ` ${FeedingSchedules.formatDay(nextDay, false)}`;
+        
         // Update alert message
-        alertElement.textContent = `Next feeding at ${timeStr} (${diffStr})`;
+        alertElement.textContent = `Next feeding${dayStr} at ${timeStr} (${diffStr})`;
         
         console.log('Next feeding alert updated:', { time: timeStr, diff: diffStr });
         
@@ -4942,8 +8188,8 @@ function setupNextFeedingAlertAutoRefresh() {
 // SUMMARY COMPUTATION UTILITIES
 // ============================================================
 
-// Get local date string in YYYY-MM-DD format
-function getLocalDateString(date = new Date()) {
+// Get date string in YYYY-MM-DD format (defaults to today in the user's timezone)
+function getLocalDateString(date = getUserNow()) {
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0');
     const day = String(date.getDate()).padStart(2, '0');
@@ -4966,7 +8212,7 @@ function getEndOfDay(date = new Date()) {
 
 // Get ISO week number and year (Monday-Sunday week)
 // ISO week: Week 1 is the week containing Jan 4th
-function getISOWeek(date = new Date()) {
+function getISOWeek(date = getUserNow()) {
     const d = new Date(date);
     d.setHours(0, 0, 0, 0);
     
@@ -4987,7 +8233,7 @@ function getISOWeek(date = new Date()) {
 }
 
 // Get ISO week string in YYYY-Www format
-function getISOWeekString(date = new Date()) {
+function getISOWeekString(date = getUserNow()) {
     const { year, week } = getISOWeek(date);
     return `${year}-W${String(week).padStart(2, '0')}`;
 }
@@ -5012,7 +8258,7 @@ function getEndOfISOWeek(date = new Date()) {
 }
 
 // Get month string in YYYY-MM format
-function getMonthString(date = new Date()) {
+function getMonthString(date = getUserNow()) {
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0');
     return `${year}-${month}`;
@@ -5046,32 +8292,28 @@ function timestampToDate(timestamp) {
     return new Date(timestamp);
 }
 
-// Check if date is within day range (local time)
-function isDateInDay(date, dayDate) {
-    const dayStart = getStartOfDay(dayDate);
-    const dayEnd = getEndOfDay(dayDate);
+// Check if date is within a YYYY-MM-DD day (user's timezone)
+function isDateInDay(date, dateString) {
+    const { start: dayStart, end: dayEnd } = getUserDayRange(dateString);
     const checkDate = timestampToDate(date);
     if (!checkDate) return false;
     return checkDate >= dayStart && checkDate <= dayEnd;
 }
 
 // Calculate water quality from temperature and pH
+// Bands come from the sensor catalog (acceptableRange of sensors flagged affectsWaterQuality)
 function calculateWaterQuality(avgTemperature, avgPh, mortality) {
-    if (avgTemperature === null || avgPh === null) {
-        return { waterQuality: 'Unknown', score: null };
-    }
-    
-    const phInRange = avgPh >= 6.5 && avgPh <= 8.5;
-    const tempInRange = avgTemperature >= 24 && avgTemperature <= 30;
-    const noMortality = mortality === 0;
-    
-    if (phInRange && tempInRange && noMortality) {
-        return { waterQuality: 'Good', score: 90 };
-    } else if (mortality <= 3 || (phInRange && tempInRange && mortality > 0)) {
-        return { waterQuality: 'Fair', score: 70 };
-    } else {
-        return { waterQuality: 'Poor', score: 40 };
-    }
+    return SensorCatalog.gradeWaterQuality({ temperature: avgTemperature, ph: avgPh }, mortality);
+}
+
+// Quick Good/Fair/Poor label for report tables (no mortality data): 'N/A' when a graded sensor is missing
+function summarizeWaterQuality(report) {
+    const graded = SensorCatalog.SENSORS.filter(sensor => sensor.affectsWaterQuality);
+    const values = graded.map(sensor => report[sensor.reportField]);
+    if (values.some(value => value === null || value === undefined)) return 'N/A';
+    const inRange = graded.filter((sensor, i) => SensorCatalog.isAcceptable(sensor.id, values[i])).length;
+    if (inRange === graded.length) return 'Good';
+    return inRange > 0 ? 'Fair' : 'Poor';
 }
 
 // ============================================================
@@ -5158,15 +8400,21 @@ export async function generateHourlyRecord(uid, date, hour) {
             return ts >= hourStart && ts <= hourEnd;
         };
         
-        // 1. Aggregate from sensors (temperature, pH) - get current values if within hour
+        // 1. Aggregate from sensors (temperature, pH, DO, ammonia) - get current values if within hour
         let temperatureAvg = null;
         let phAvg = null;
+        let dissolvedOxygenAvg = null;
+        let ammoniaAvg = null;
         const tempRef = doc(db, `users/${uid}/sensors/temperature`);
         const phRef = doc(db, `users/${uid}/sensors/ph`);
+        const doRef = doc(db, `users/${uid}/sensors/dissolvedOxygen`);
+        const ammoniaRef = doc(db, `users/${uid}/sensors/ammonia`);
         
-        const [tempSnap, phSnap] = await Promise.all([
+        const [tempSnap, phSnap, doSnap, ammoniaSnap] = await Promise.all([
             getDoc(tempRef),
-            getDoc(phRef)
+            getDoc(phRef),
+            getDoc(doRef),
+            getDoc(ammoniaRef)
         ]);
         
         if (tempSnap.exists()) {
@@ -5188,8 +8436,26 @@ export async function generateHourlyRecord(uid, date, hour) {
             }
         }
         
+        if (doSnap.exists()) {
+            const doData = doSnap.data();
+            if (doData.value !== undefined && doData.value !== null) {
+                if (!doData.timestamp || isInHour(doData.timestamp)) {
+                    dissolvedOxygenAvg = typeof doData.value === 'number' ? doData.value : parseFloat(doData.value);
+                }
+            }
+        }
+        
+        if (ammoniaSnap.exists()) {
+            const ammoniaData = ammoniaSnap.data();
+            if (ammoniaData.value !== undefined && ammoniaData.value !== null) {
+                if (!ammoniaData.timestamp || isInHour(ammoniaData.timestamp)) {
+                    ammoniaAvg = typeof ammoniaData.value === 'number' ? ammoniaData.value : parseFloat(ammoniaData.value);
+                }
+            }
+        }
+        
         // Only write if we have at least one data point
-        if (temperatureAvg === null && phAvg === null) {
+        if (temperatureAvg === null && phAvg === null && dissolvedOxygenAvg === null && ammoniaAvg === null) {
             console.log(`[HOURLY] No data for ${date} hour ${hour}, skipping write`);
             return null;
         }
@@ -5202,6 +8468,8 @@ export async function generateHourlyRecord(uid, date, hour) {
             hour: hourString,
             temperatureAvg: temperatureAvg,
             phAvg: phAvg,
+            dissolvedOxygenAvg: dissolvedOxygenAvg,
+            ammoniaAvg: ammoniaAvg,
             recordedAt: serverTimestamp(),
             source: "web"
         };
@@ -5217,6 +8485,27 @@ export async function generateHourlyRecord(uid, date, hour) {
     }
 }
 
+// Pool per-sensor running stats across hour or report docs: { temperature: stats, ph: stats, ... }
+// toStats is SensorCatalog.statsFromHourly (hours) or SensorCatalog.statsFromReport (daily reports)
+function poolSensorStats(records, toStats) {
+    const pooled = {};
+    SensorCatalog.SENSORS.forEach(sensor => {
+        pooled[sensor.id] = records.reduce(
+            (stats, record) => SensorCatalog.mergeStats(stats, toStats(sensor.id, record)),
+            SensorCatalog.emptyStats()
+        );
+    });
+    return pooled;
+}
+
+// Add min/max/std/samples per sensor to a report (minTemperature, maxTemperature, stdTemperature, ...)
+function applySensorStats(report, pooledStats) {
+    SensorCatalog.SENSORS.forEach(sensor => {
+        Object.assign(report, SensorCatalog.reportStatsUpdate(sensor.id, pooledStats[sensor.id]));
+    });
+    return report;
+}
+
 // ============================================================
 // DAILY REPORT GENERATION (FROM HOURLY RECORDS)
 // ============================================================
@@ -5245,7 +8534,12 @@ export async function generateDailyReport(uid, date) {
         let temperatureCount = 0;
         let phSum = 0;
         let phCount = 0;
+        let dissolvedOxygenSum = 0;
+        let dissolvedOxygenCount = 0;
+        let ammoniaSum = 0;
+        let ammoniaCount = 0;
         let coverageHours = 0;
+        const realHours = [];
         
         hoursSnapshot.forEach(hourDoc => {
             const record = hourDoc.data();
@@ -5254,6 +8548,7 @@ export async function generateDailyReport(uid, date) {
             if (record.isSeed === true) {
                 return; // Skip seed
             }
+            realHours.push(record);
             
             // Use weighted averages if counts exist, else use simple average
             if (record.temperatureAvg !== null && record.temperatureAvg !== undefined) {
@@ -5270,9 +8565,25 @@ export async function generateDailyReport(uid, date) {
                 phCount += count;
             }
             
+            if (record.dissolvedOxygenAvg !== null && record.dissolvedOxygenAvg !== undefined) {
+                const doAvg = parseFloat(record.dissolvedOxygenAvg);
+                const count = record.dissolvedOxygenCount || 1;
+                dissolvedOxygenSum += doAvg * count;
+                dissolvedOxygenCount += count;
+            }
+            
+            if (record.ammoniaAvg !== null && record.ammoniaAvg !== undefined) {
+                const ammoniaAvg = parseFloat(record.ammoniaAvg);
+                const count = record.ammoniaCount || 1;
+                ammoniaSum += ammoniaAvg * count;
+                ammoniaCount += count;
+            }
+            
             // Count hours with actual data (count > 0)
             if ((record.temperatureCount && record.temperatureCount > 0) || 
-                (record.phCount && record.phCount > 0)) {
+                (record.phCount && record.phCount > 0) ||
+                (record.dissolvedOxygenCount && record.dissolvedOxygenCount > 0) ||
+                (record.ammoniaCount && record.ammoniaCount > 0)) {
                 coverageHours++;
             }
         });
@@ -5286,6 +8597,8 @@ export async function generateDailyReport(uid, date) {
         // Calculate daily averages (weighted by counts if available)
         const avgTemperature = temperatureCount > 0 ? temperatureSum / temperatureCount : null;
         const avgPh = phCount > 0 ? phSum / phCount : null;
+        const avgDissolvedOxygen = dissolvedOxygenCount > 0 ? dissolvedOxygenSum / dissolvedOxygenCount : null;
+        const avgAmmonia = ammoniaCount > 0 ? ammoniaSum / ammoniaCount : null;
         
         // Write to Firestore (idempotent - overwrite-safe)
         const reportRef = doc(db, `users/${uid}/dailyReports/${date}`);
@@ -5294,11 +8607,15 @@ export async function generateDailyReport(uid, date) {
             date: date,
             avgTemperature: avgTemperature,
             avgPh: avgPh,
+            avgDissolvedOxygen: avgDissolvedOxygen,
+            avgAmmonia: avgAmmonia,
             coverageHours: coverageHours,
+            totalFeedKg: sumFeedKg(realHours),
             isSeed: false,
             generatedAt: serverTimestamp(),
             source: "web"
         };
+        applySensorStats(dailyReport, poolSensorStats(realHours, SensorCatalog.statsFromHourly));
         
         await setDoc(reportRef, dailyReport, { merge: true });
         console.log(`[DAILY] coverageHours=${coverageHours} for ${date}`);
@@ -5349,6 +8666,8 @@ export async function generateWeeklyReport(uid, isoWeekString) {
         // NOTE: Mortality is harvest-based only, not included in time-based reports
         const temperatures = [];
         const phValues = [];
+        const dissolvedOxygenValues = [];
+        const ammoniaValues = [];
         let coverageDays = dailyReports.length;
         
         // Only write if coverageDays > 0, else keep seed
@@ -5367,6 +8686,14 @@ export async function generateWeeklyReport(uid, isoWeekString) {
             if (report.avgPh !== null && report.avgPh !== undefined) {
                 phValues.push(parseFloat(report.avgPh));
             }
+            
+            // Collect dissolved oxygen and ammonia values (from daily averages)
+            if (report.avgDissolvedOxygen !== null && report.avgDissolvedOxygen !== undefined) {
+                dissolvedOxygenValues.push(parseFloat(report.avgDissolvedOxygen));
+            }
+            if (report.avgAmmonia !== null && report.avgAmmonia !== undefined) {
+                ammoniaValues.push(parseFloat(report.avgAmmonia));
+            }
         });
         
         // Calculate averages (average of daily averages)
@@ -5376,6 +8703,12 @@ export async function generateWeeklyReport(uid, isoWeekString) {
         const avgPh = phValues.length > 0 
             ? phValues.reduce((a, b) => a + b, 0) / phValues.length 
             : null;
+        const avgDissolvedOxygen = dissolvedOxygenValues.length > 0 
+            ? dissolvedOxygenValues.reduce((a, b) => a + b, 0) / dissolvedOxygenValues.length 
+            : null;
+        const avgAmmonia = ammoniaValues.length > 0 
+            ? ammoniaValues.reduce((a, b) => a + b, 0) / ammoniaValues.length 
+            : null;
         
         // Write to Firestore (only if we have real daily reports)
         const reportRef = doc(db, `users/${uid}/weeklyReports/${isoWeekString}`);
@@ -5384,10 +8717,15 @@ export async function generateWeeklyReport(uid, isoWeekString) {
             week: isoWeekString,
             avgTemperature: avgTemperature,
             avgPh: avgPh,
+            avgDissolvedOxygen: avgDissolvedOxygen,
+            avgAmmonia: avgAmmonia,
             coverageDays: coverageDays,
+            totalFeedKg: sumFeedKg(dailyReports),
             generatedAt: serverTimestamp(),
             source: "web"
         };
+        // Pooled min/max/std across the days (each day weighted by its reading count)
+        applySensorStats(weeklyReport, poolSensorStats(dailyReports, SensorCatalog.statsFromReport));
         
         // Use merge: true for idempotency (safe to re-run)
         // Force write even with partial data - this creates the collection
@@ -5442,6 +8780,8 @@ export async function generateMonthlyReport(uid, year, month) {
         // NOTE: Mortality is harvest-based only, not included in time-based reports
         const temperatures = [];
         const phValues = [];
+        const dissolvedOxygenValues = [];
+        const ammoniaValues = [];
         let coverageDays = dailyReports.length;
         
         // Only write if coverageDays > 0, else keep seed
@@ -5460,6 +8800,14 @@ export async function generateMonthlyReport(uid, year, month) {
             if (report.avgPh !== null && report.avgPh !== undefined) {
                 phValues.push(parseFloat(report.avgPh));
             }
+            
+            // Collect dissolved oxygen and ammonia values (from daily averages)
+            if (report.avgDissolvedOxygen !== null && report.avgDissolvedOxygen !== undefined) {
+                dissolvedOxygenValues.push(parseFloat(report.avgDissolvedOxygen));
+            }
+            if (report.avgAmmonia !== null && report.avgAmmonia !== undefined) {
+                ammoniaValues.push(parseFloat(report.avgAmmonia));
+            }
         });
         
         // Calculate averages (average of daily averages)
@@ -5469,6 +8817,12 @@ export async function generateMonthlyReport(uid, year, month) {
         const avgPh = phValues.length > 0 
             ? phValues.reduce((a, b) => a + b, 0) / phValues.length 
             : null;
+        const avgDissolvedOxygen = dissolvedOxygenValues.length > 0 
+            ? dissolvedOxygenValues.reduce((a, b) => a + b, 0) / dissolvedOxygenValues.length 
+            : null;
+        const avgAmmonia = ammoniaValues.length > 0 
+            ? ammoniaValues.reduce((a, b) => a + b, 0) / ammoniaValues.length 
+            : null;
         
         // Write to Firestore (only if we have real daily reports)
         const reportRef = doc(db, `users/${uid}/monthlyReports/${monthString}`);
@@ -5477,10 +8831,15 @@ export async function generateMonthlyReport(uid, year, month) {
             month: monthString,
             avgTemperature: avgTemperature,
             avgPh: avgPh,
+            avgDissolvedOxygen: avgDissolvedOxygen,
+            avgAmmonia: avgAmmonia,
             coverageDays: coverageDays,
+            totalFeedKg: sumFeedKg(dailyReports),
             generatedAt: serverTimestamp(),
             source: "web"
         };
+        // Pooled min/max/std across the days (each day weighted by its reading count)
+        applySensorStats(monthlyReport, poolSensorStats(dailyReports, SensorCatalog.statsFromReport));
         
         // Use merge: true for idempotency (safe to re-run)
         // Force write even with partial data - this creates the collection
@@ -5774,6 +9133,22 @@ export async function identifyDailySensorTrends(uid, date) {
             )
         };
         
+        // Value trends per sensor from the hourly averages (same figures the trend alert rules watch):
+        // largest hour-to-hour change, longest one-way drift, largest gap to the same hour yesterday
+        const readHours = async (day) => {
+            const hoursSnap = await getDocs(collection(db, `users/${uid}/hourlyRecords/${day}/hours`));
+            const byHour = {};
+            hoursSnap.forEach(hourDoc => {
+                if (hourDoc.data().isSeed !== true) byHour[hourDoc.id] = hourDoc.data();
+            });
+            return byHour;
+        };
+        const [todayHours, yesterdayHours] = await Promise.all([readHours(date), readHours(previousDate)]);
+        trends.valueTrends = {};
+        SensorCatalog.SENSORS.forEach(sensor => {
+            trends.valueTrends[sensor.id] = AlertRules.dailyValueTrends(sensor.id, todayHours, yesterdayHours);
+        });
+        
         // Save trends with merge
         await setDoc(currentRef, trends, { merge: true });
         console.log(`[TREND] Identified daily sensor trends for ${date}:`, trends);
@@ -6284,6 +9659,241 @@ export async function backfillMonthlyReports(uid) {
     }
 }
 
+// ============================================================
+// HISTORICAL CSV IMPORT (Reports section)
+// ============================================================
+// Old data logger files: upload → column mapping → preview → POST /api/import/csv in chunks.
+// The preview runs csv-import.js with the user's timezone and validation config,
+// the same code the endpoint runs, so it shows exactly what will be written.
+
+// Rows per request (MAX_ROWS in api/import/csv.js)
+const CSV_IMPORT_CHUNK_ROWS = 5000;
+const CSV_IMPORT_PREVIEW_ROWS = 20;
+const CSV_IMPORT_LISTED_ERRORS = 50;
+
+// { fileName, table, mapping, prepared } while a file is loaded
+let csvImportState = null;
+
+function csvImportMappingFields() {
+    return [
+        { key: 'timestamp', label: 'Timestamp' },
+        { key: 'date', label: 'Date (separate column)' },
+        { key: 'time', label: 'Time (separate column)' },
+        ...SensorCatalog.SENSORS.map(sensor => ({ key: sensor.id, label: SensorCatalog.columnLabel(sensor.id, { prefix: '' }) }))
+    ];
+}
+
+function renderCsvImportMapping() {
+    const container = document.getElementById('csvImportMapping');
+    if (!container || !csvImportState) return;
+    
+    const headers = csvImportState.table.headers;
+    container.innerHTML = csvImportMappingFields().map(field => {
+        const selected = csvImportState.mapping[field.key];
+        const options = headers.map((header, index) =>
+            `<option value="${index}" ${selected === index ? 'selected' : ''}>${escapeHtml(header || `Column ${index + 1}`)}</option>`
+        ).join('');
+        return `
+            <div>
+                <label for="csvMap_${field.key}">${escapeHtml(field.label)}</label>
+                <select id="csvMap_${field.key}" class="form-input" onchange="updateCsvImportPreview()">
+                    <option value="">-- not in file --</option>
+                    ${options}
+                </select>
+            </div>
+        `;
+    }).join('');
+}
+
+function readCsvImportMapping() {
+    const mapping = {};
+    csvImportMappingFields().forEach(field => {
+        const select = document.getElementById(`csvMap_${field.key}`);
+        mapping[field.key] = select && select.value !== '' ? parseInt(select.value, 10) : null;
+    });
+    return mapping;
+}
+
+function serializeCsvRow(cells) {
+    return cells.map(cell => /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell).join(',');
+}
+
+function renderCsvImportPreview(prepared, mapping) {
+    const head = document.getElementById('csvImportPreviewHead');
+    const body = document.getElementById('csvImportPreviewBody');
+    if (!head || !body) return;
+    
+    const sensors = SensorCatalog.SENSORS.filter(sensor => Number.isInteger(mapping[sensor.id]));
+    head.innerHTML = `<tr><th>Line</th><th>Time (${escapeHtml(userTimezone)})</th>${sensors.map(sensor =>
+        `<th>${escapeHtml(SensorCatalog.columnLabel(sensor.id, { prefix: '' }))}</th>`).join('')}</tr>`;
+    
+    // Values validation refuses are shown struck through with the reason
+    const refused = new Map();
+    prepared.rejected.forEach(entry => refused.set(`${entry.line}/${entry.sensorId}`, entry.reason));
+    
+    body.innerHTML = prepared.readings.slice(0, CSV_IMPORT_PREVIEW_ROWS).map(reading => {
+        const time = Timezone.toZonedDate(reading.tsMs, userTimezone).toLocaleString();
+        const cells = sensors.map(sensor => {
+            const reason = refused.get(`${reading.line}/${sensor.id}`);
+            const text = SensorCatalog.formatReading(sensor.id, reading.raw[sensor.id]);
+            return reason
+                ? `<td title="${escapeHtml(REJECTION_REASON_LABELS[reason] || reason)}"><s>${text}</s></td>`
+                : `<td>${text}</td>`;
+        }).join('');
+        return `<tr><td>${reading.line}</td><td>${escapeHtml(time)}</td>${cells}</tr>`;
+    }).join('') || `<tr><td colspan="${sensors.length + 2}" class="no-data-text">No importable rows</td></tr>`;
+}
+
+window.loadCsvImportFile = async function(input) {
+    const file = input && input.files ? input.files[0] : null;
+    if (!file) return;
+    
+    try {
+        const table = CsvImport.parseCsv(await file.text());
+        if (table.headers.length === 0 || table.rows.length === 0) {
+            showNotification('The file has no data rows', 'error');
+            return;
+        }
+        
+        csvImportState = {
+            fileName: file.name,
+            table: table,
+            mapping: CsvImport.guessColumnMapping(table.headers),
+            prepared: null
+        };
+        renderCsvImportMapping();
+        document.getElementById('csvImportMappingStep')?.classList.remove('hidden');
+        await window.updateCsvImportPreview();
+    } catch (error) {
+        console.error('[CSV IMPORT] Error reading file:', error);
+        showNotification('Could not read the CSV file', 'error');
+    }
+};
+
+window.updateCsvImportPreview = async function() {
+    if (!csvImportState) return;
+    
+    const summaryEl = document.getElementById('csvImportSummary');
+    const errorsEl = document.getElementById('csvImportErrors');
+    const importButton = document.getElementById('csvImportButton');
+    const mapping = readCsvImportMapping();
+    const dateFormat = document.getElementById('csvImportDateFormat')?.value || 'ymd';
+    csvImportState.mapping = mapping;
+    csvImportState.prepared = null;
+    
+    const problems = CsvImport.validateMapping(mapping, csvImportState.table.headers);
+    if (problems.length > 0) {
+        if (summaryEl) summaryEl.textContent = problems.join('. ');
+        if (errorsEl) errorsEl.innerHTML = '';
+        renderCsvImportPreview({ readings: [], rejected: [] }, mapping);
+        if (importButton) importButton.disabled = true;
+        return;
+    }
+    
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    const config = await loadValidationConfig(uid);
+    const prepared = CsvImport.prepareImport(csvImportState.table, mapping, {
+        timezone: userTimezone,
+        dateFormat: dateFormat,
+        validation: config
+    });
+    csvImportState.prepared = prepared;
+    
+    if (summaryEl) {
+        const total = csvImportState.table.rows.length;
+        const range = prepared.readings.length > 0
+            ? ` from ${prepared.dates[0]} to ${prepared.dates[prepared.dates.length - 1]} (${prepared.dates.length} days)`
+            : '';
+        summaryEl.textContent = `${csvImportState.fileName}: ${prepared.readings.length} of ${total} rows ready${range}. ` +
+            `${prepared.rejected.length} values fail validation and will be quarantined. ${prepared.errors.length} rows will be skipped.`;
+    }
+    if (errorsEl) {
+        const listed = prepared.errors.slice(0, CSV_IMPORT_LISTED_ERRORS)
+            .map(error => `<div>Line ${error.line}: ${escapeHtml(error.message)}</div>`).join('');
+        const more = prepared.errors.length > CSV_IMPORT_LISTED_ERRORS
+            ? `<div>... and ${prepared.errors.length - CSV_IMPORT_LISTED_ERRORS} more</div>`
+            : '';
+        errorsEl.innerHTML = listed + more;
+    }
+    renderCsvImportPreview(prepared, mapping);
+    if (importButton) importButton.disabled = prepared.readings.length === 0;
+};
+
+window.resetCsvImport = function() {
+    csvImportState = null;
+    const input = document.getElementById('csvImportFile');
+    if (input) input.value = '';
+    document.getElementById('csvImportMappingStep')?.classList.add('hidden');
+};
+
+window.runCsvImport = async function() {
+    const prepared = csvImportState?.prepared;
+    if (!prepared || prepared.readings.length === 0) {
+        showNotification('Nothing to import', 'error');
+        return;
+    }
+    if (!auth.currentUser) {
+        showNotification('Please log in to import data', 'error');
+        return;
+    }
+    if (!confirm(`Import ${prepared.readings.length} readings (${prepared.dates[0]} to ${prepared.dates[prepared.dates.length - 1]})? Reports of these days will be regenerated.`)) {
+        return;
+    }
+    
+    const { table, mapping } = csvImportState;
+    const dateFormat = document.getElementById('csvImportDateFormat')?.value || 'ymd';
+    const summaryEl = document.getElementById('csvImportSummary');
+    const importButton = document.getElementById('csvImportButton');
+    const header = serializeCsvRow(table.headers);
+    const chunks = Math.ceil(table.rows.length / CSV_IMPORT_CHUNK_ROWS);
+    const totals = { imported: 0, duplicates: 0, rejected: 0 };
+    
+    if (importButton) importButton.disabled = true;
+    try {
+        for (let i = 0; i < chunks; i++) {
+            if (summaryEl) summaryEl.textContent = `Importing part ${i + 1} of ${chunks}...`;
+            
+            const rows = table.rows.slice(i * CSV_IMPORT_CHUNK_ROWS, (i + 1) * CSV_IMPORT_CHUNK_ROWS);
+            const csv = [header, ...rows.map(row => serializeCsvRow(row.cells))].join('\n');
+            const token = await auth.currentUser.getIdToken();
+            const response = await fetch('/api/import/csv', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ csv, delimiter: ',', mapping, dateFormat })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Import failed');
+            }
+            
+            totals.imported += result.imported;
+            totals.duplicates += result.duplicates;
+            totals.rejected += result.rejected;
+        }
+        
+        console.log('[CSV IMPORT] Done:', totals);
+        showNotification(`Imported ${totals.imported} readings` +
+            (totals.duplicates > 0 ? ` (${totals.duplicates} already imported)` : ''), 'success');
+        window.resetCsvImport();
+        
+        await Promise.all([
+            loadHourlyReport(),
+            loadDailySummaryReport(),
+            loadWeeklySummaryReport(),
+            loadMonthlySummaryReport()
+        ]);
+    } catch (error) {
+        console.error('[CSV IMPORT] Import failed:', error);
+        if (summaryEl) summaryEl.textContent = `Import stopped: ${error.message}. Parts already imported are kept; importing the file again skips them.`;
+        showNotification('CSV import failed', 'error');
+    } finally {
+        if (importButton) importButton.disabled = false;
+    }
+};
+
 // ============================================================
 // LEGACY COMPATIBILITY (keeping existing function names)
 // ============================================================
@@ -6299,9 +9909,8 @@ async function computeDailySummary(uid, dateString) {
         return null;
     }
     try {
-        const dayDate = new Date(dateString + 'T00:00:00');
-        const dayStart = getStartOfDay(dayDate);
-        const dayEnd = getEndOfDay(dayDate);
+        // Day boundaries in the user's timezone
+        const { start: dayStart, end: dayEnd } = getUserDayRange(dateString);
         
         // Convert to Firestore Timestamp range
         const dayStartTimestamp = Math.floor(dayStart.getTime() / 1000);
@@ -6316,7 +9925,7 @@ async function computeDailySummary(uid, dateString) {
             const log = doc.data();
             if (log.timestamp) {
                 const logDate = timestampToDate(log.timestamp);
-                if (logDate && isDateInDay(logDate, dayDate)) {
+                if (logDate && isDateInDay(logDate, dateString)) {
                     mortality += log.count || 0;
                 }
             }
@@ -6341,7 +9950,7 @@ async function computeDailySummary(uid, dateString) {
             const tempData = tempSnap.data();
             if (tempData.value !== undefined && tempData.value !== null) {
                 // Check if timestamp is within day (if exists)
-                if (!tempData.timestamp || isDateInDay(tempData.timestamp, dayDate)) {
+                if (!tempData.timestamp || isDateInDay(tempData.timestamp, dateString)) {
                     avgTemperature = tempData.value;
                 }
             }
@@ -6351,7 +9960,7 @@ async function computeDailySummary(uid, dateString) {
             const phData = phSnap.data();
             if (phData.value !== undefined && phData.value !== null) {
                 // Check if timestamp is within day (if exists)
-                if (!phData.timestamp || isDateInDay(phData.timestamp, dayDate)) {
+                if (!phData.timestamp || isDateInDay(phData.timestamp, dateString)) {
                     avgPh = phData.value;
                 }
             }
@@ -6723,7 +10332,7 @@ async function updateCurrentSummaries(uid) {
         return;
     }
     try {
-        const today = new Date();
+        const today = getUserNow();
         
         // Update today's daily report
         const todayString = getLocalDateString(today);
@@ -6905,7 +10514,8 @@ function setupPageFocusListener(uid) {
 // Initialize all report selectors (date, month, year)
 function initializeReportSelectors() {
     try {
-        const today = new Date();
+        // Pickers default to today in the user's timezone (the keys reports are stored under)
+        const today = getUserNow();
         
         // Initialize Hourly Date Selector
         selectedHourlyDate = formatDateString(today); // Format: "YYYY-MM-DD"
@@ -6989,10 +10599,37 @@ function formatTrend(trend) {
     }
 }
 
+// Min/max/std per sensor from a report (kind 'report') or an hours/{HH} doc (kind 'hourly')
+function pickSensorSpread(record, kind = 'report') {
+    const spread = {};
+    SensorCatalog.SENSORS.forEach(sensor => {
+        const fields = kind === 'hourly'
+            ? SensorCatalog.hourlyFields(sensor.id)
+            : SensorCatalog.reportStatsFields(sensor.id);
+        spread[sensor.id] = {
+            min: SensorCatalog.toNumber(record[fields.min]),
+            max: SensorCatalog.toNumber(record[fields.max]),
+            std: SensorCatalog.toNumber(record[fields.std])
+        };
+    });
+    return spread;
+}
+
+// "26.1–28.4 ±0.6" line under a table value (empty for records written before min/max tracking)
+function formatSensorSpread(sensorId, spread) {
+    const stats = spread ? spread[sensorId] : null;
+    if (!stats || stats.min === null || stats.max === null) return '';
+    let text = `${SensorCatalog.formatReading(sensorId, stats.min)}–${SensorCatalog.formatReading(sensorId, stats.max)}`;
+    if (stats.std !== null) {
+        text += ` ±${SensorCatalog.formatReading(sensorId, stats.std)}`;
+    }
+    return `<div class="sensor-spread">${text}</div>`;
+}
+
 // Load Daily Summary Report into table (with month filtering)
 async function loadDailySummaryReport() {
     console.log('[REPORT] loadDailySummaryReport start');
-    const tableBody = document.getElementById('dailySummaryTableBody'); const loadingEl = document.getElementById('daily-loading'); if (!tableBody) return; if (loadingEl) { loadingEl.classList.remove('hidden'); } tableBody.innerHTML = '<tr><td colspan="8" style="text-align: center; padding: 2rem;">Loading reports...</td></tr>'; try { const uid = window.RUNTIME_CONTEXT?.runtimeUid || null; if (!uid) { if (loadingEl) loadingEl.classList.add('hidden'); tableBody.innerHTML = `<tr><td colspan="8" class="error-text">No user ID available</td></tr>`; return; } const dailyReportsRef = collection(db, `users/${uid}/dailyReports`);
+    const tableBody = document.getElementById('dailySummaryTableBody'); const loadingEl = document.getElementById('daily-loading'); if (!tableBody) return; if (loadingEl) { loadingEl.classList.remove('hidden'); } tableBody.innerHTML = '<tr><td colspan="10" style="text-align: center; padding: 2rem;">Loading reports...</td></tr>'; try { const uid = window.RUNTIME_CONTEXT?.runtimeUid || null; if (!uid) { if (loadingEl) loadingEl.classList.add('hidden'); tableBody.innerHTML = `<tr><td colspan="10" class="error-text">No user ID available</td></tr>`; return; } const dailyReportsRef = collection(db, `users/${uid}/dailyReports`);
         // Query without orderBy first to avoid errors if 'date' field doesn't exist
         // We'll sort client-side after ensuring date fields are set
         let querySnapshot;
@@ -7061,7 +10698,7 @@ async function loadDailySummaryReport() {
             const message = selectedReportMonth 
                 ? 'No daily summary data available for selected month' 
                 : 'No daily summary data available';
-            tableBody.innerHTML = `<tr><td colspan="8" class="no-data-text">${message}</td></tr>`;
+            tableBody.innerHTML = `<tr><td colspan="10" class="no-data-text">${message}</td></tr>`;
             // Clear charts if no data
             clearDailyCharts();
             return;
@@ -7106,10 +10743,14 @@ async function loadDailySummaryReport() {
                 const analytics = analyticsData[index];
                 return {
                     date: date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }),
+                    totalFeedKg: report.totalFeedKg ?? null,
                     avgTemperature: report.avgTemperature !== null && report.avgTemperature !== undefined ? report.avgTemperature : null,
                     avgPh: report.avgPh !== null && report.avgPh !== undefined ? report.avgPh : null,
-                    waterQuality: (() => { const t = report.avgTemperature; const p = report.avgPh; if (t != null && p != null) { const tempOk = t >= 24 && t <= 30; const phOk = p >= 6.5 && p <= 8.5; return (tempOk && phOk) ? 'Good' : ((tempOk || phOk) ? 'Fair' : 'Poor'); } return 'N/A'; })(),
+                    avgDissolvedOxygen: report.avgDissolvedOxygen !== null && report.avgDissolvedOxygen !== undefined ? report.avgDissolvedOxygen : null,
+                    avgAmmonia: report.avgAmmonia !== null && report.avgAmmonia !== undefined ? report.avgAmmonia : null,
+                    waterQuality: summarizeWaterQuality(report),
                     coverageHours: report.coverageHours || null,
+                    spread: pickSensorSpread(report),
                     isSeed: report.isSeed === true,
                     trends: analytics ? {
                         tempTrend: analytics.tempTrend || null,
@@ -7130,8 +10771,11 @@ async function loadDailySummaryReport() {
             
             tr.innerHTML = `
                 <td>${row.date}</td>
-                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.avgTemperature !== null && row.avgTemperature !== 0 ? row.avgTemperature.toFixed(1) + '°C' : '--')}</td>
-                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.avgPh !== null && row.avgPh !== 0 ? row.avgPh.toFixed(2) : '--')}</td>
+                <td>${row.totalFeedKg !== null ? row.totalFeedKg.toFixed(2) : '--'}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.avgTemperature !== null && row.avgTemperature !== 0 ? row.avgTemperature.toFixed(1) + '°C' : '--') + formatSensorSpread('temperature', row.spread)}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.avgPh !== null && row.avgPh !== 0 ? row.avgPh.toFixed(2) : '--') + formatSensorSpread('ph', row.spread)}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : SensorCatalog.formatReading('dissolvedOxygen', row.avgDissolvedOxygen) + formatSensorSpread('dissolvedOxygen', row.spread)}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : SensorCatalog.formatReading('ammonia', row.avgAmmonia) + formatSensorSpread('ammonia', row.spread)}</td>
                 <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.waterQuality || '--')}</td>
                 <td>${row.trends ? formatTrend(row.trends.tempTrend) : '—'}</td>
                 <td>${row.trends ? formatTrend(row.trends.phTrend) : '—'}</td>
@@ -7151,7 +10795,7 @@ async function loadDailySummaryReport() {
         console.error('[REPORT] loadDailySummaryReport error:', error);
         const tableBody = document.getElementById('dailySummaryTableBody');
         if (tableBody) {
-            tableBody.innerHTML = '<tr><td colspan="8" class="error-text">Failed to load daily summary</td></tr>';
+            tableBody.innerHTML = '<tr><td colspan="10" class="error-text">Failed to load daily summary</td></tr>';
         }
         clearDailyCharts();
     }
@@ -7172,14 +10816,14 @@ async function loadWeeklySummaryReport() {
     if (loadingEl) {
         loadingEl.classList.remove('hidden');
     }
-    tableBody.innerHTML = '<tr><td colspan="8" style="text-align: center; padding: 2rem;">Loading reports...</td></tr>';
+    tableBody.innerHTML = '<tr><td colspan="10" style="text-align: center; padding: 2rem;">Loading reports...</td></tr>';
     
     try {
         const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
         if (!uid) {
             // EXIT LOADING STATE
             if (loadingEl) loadingEl.classList.add('hidden');
-            tableBody.innerHTML = `<tr><td colspan="8" class="error-text">No user ID available</td></tr>`;
+            tableBody.innerHTML = `<tr><td colspan="10" class="error-text">No user ID available</td></tr>`;
             return;
         }
         
@@ -7258,7 +10902,7 @@ async function loadWeeklySummaryReport() {
             const message = selectedReportMonth 
                 ? 'No weekly summary data available for selected month' 
                 : 'No weekly summary data available';
-            tableBody.innerHTML = `<tr><td colspan="8" class="no-data-text">${message}</td></tr>`;
+            tableBody.innerHTML = `<tr><td colspan="10" class="no-data-text">${message}</td></tr>`;
             clearWeeklyCharts();
             return;
         }
@@ -7298,9 +10942,13 @@ async function loadWeeklySummaryReport() {
             return {
                 period: periodStr,
                 week: weekStr,
+                totalFeedKg: report.totalFeedKg ?? null,
                 avgPh: report.avgPh !== null && report.avgPh !== undefined ? report.avgPh : null,
                 avgTemperature: report.avgTemperature !== null && report.avgTemperature !== undefined ? report.avgTemperature : null,
+                avgDissolvedOxygen: report.avgDissolvedOxygen !== null && report.avgDissolvedOxygen !== undefined ? report.avgDissolvedOxygen : null,
+                avgAmmonia: report.avgAmmonia !== null && report.avgAmmonia !== undefined ? report.avgAmmonia : null,
                 coverageDays: report.coverageDays || 0,
+                spread: pickSensorSpread(report),
                 isSeed: report.isSeed === true,
                 trends: analytics ? {
                     tempTrend: analytics.tempTrend || null,
@@ -7321,8 +10969,11 @@ async function loadWeeklySummaryReport() {
             
             tr.innerHTML = `
                 <td>${row.period}</td>
-                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.avgPh !== null && row.avgPh !== 0 ? row.avgPh.toFixed(2) : '--')}</td>
-                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.avgTemperature !== null && row.avgTemperature !== 0 ? row.avgTemperature.toFixed(1) + '°C' : '--')}</td>
+                <td>${row.totalFeedKg !== null ? row.totalFeedKg.toFixed(2) : '--'}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.avgPh !== null && row.avgPh !== 0 ? row.avgPh.toFixed(2) : '--') + formatSensorSpread('ph', row.spread)}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.avgTemperature !== null && row.avgTemperature !== 0 ? row.avgTemperature.toFixed(1) + '°C' : '--') + formatSensorSpread('temperature', row.spread)}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : SensorCatalog.formatReading('dissolvedOxygen', row.avgDissolvedOxygen) + formatSensorSpread('dissolvedOxygen', row.spread)}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : SensorCatalog.formatReading('ammonia', row.avgAmmonia) + formatSensorSpread('ammonia', row.spread)}</td>
                 <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.coverageDays || 0) + ' days'}</td>
                 <td>${row.trends ? formatTrend(row.trends.tempTrend) : '—'}</td>
                 <td>${row.trends ? formatTrend(row.trends.phTrend) : '—'}</td>
@@ -7343,7 +10994,7 @@ async function loadWeeklySummaryReport() {
         console.error('[REPORT] loadWeeklySummaryReport error:', error);
         const tableBody = document.getElementById('weeklySummaryTableBody');
         if (tableBody) {
-            tableBody.innerHTML = '<tr><td colspan="8" class="error-text">Failed to load weekly summary</td></tr>';
+            tableBody.innerHTML = '<tr><td colspan="10" class="error-text">Failed to load weekly summary</td></tr>';
         }
         clearWeeklyCharts();
     }
@@ -7364,14 +11015,14 @@ async function loadMonthlySummaryReport() {
     if (loadingEl) {
         loadingEl.classList.remove('hidden');
     }
-    tableBody.innerHTML = '<tr><td colspan="8" style="text-align: center; padding: 2rem;">Loading reports...</td></tr>';
+    tableBody.innerHTML = '<tr><td colspan="10" style="text-align: center; padding: 2rem;">Loading reports...</td></tr>';
     
     try {
         const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
         if (!uid) {
             // EXIT LOADING STATE
             if (loadingEl) loadingEl.classList.add('hidden');
-            tableBody.innerHTML = `<tr><td colspan="8" class="error-text">No user ID available</td></tr>`;
+            tableBody.innerHTML = `<tr><td colspan="10" class="error-text">No user ID available</td></tr>`;
             return;
         }
         
@@ -7443,7 +11094,7 @@ async function loadMonthlySummaryReport() {
             const message = selectedReportYear 
                 ? `No monthly summary data available for year ${selectedReportYear}` 
                 : 'No monthly summary data available';
-            tableBody.innerHTML = `<tr><td colspan="8" class="no-data-text">${message}</td></tr>`;
+            tableBody.innerHTML = `<tr><td colspan="10" class="no-data-text">${message}</td></tr>`;
             clearMonthlyCharts();
             return;
         }
@@ -7475,9 +11126,13 @@ async function loadMonthlySummaryReport() {
             return {
                 month: monthStr,
                 monthKey: report.month,
+                totalFeedKg: report.totalFeedKg ?? null,
                 avgPh: report.avgPh !== null && report.avgPh !== undefined ? report.avgPh : null,
                 avgTemperature: report.avgTemperature !== null && report.avgTemperature !== undefined ? report.avgTemperature : null,
+                avgDissolvedOxygen: report.avgDissolvedOxygen !== null && report.avgDissolvedOxygen !== undefined ? report.avgDissolvedOxygen : null,
+                avgAmmonia: report.avgAmmonia !== null && report.avgAmmonia !== undefined ? report.avgAmmonia : null,
                 coverageDays: report.coverageDays || 0,
+                spread: pickSensorSpread(report),
                 isSeed: report.isSeed === true,
                 trends: analytics ? {
                     tempTrend: analytics.tempTrend || null,
@@ -7498,8 +11153,11 @@ async function loadMonthlySummaryReport() {
             
             row.innerHTML = `
                 <td>${r.month}</td>
-                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (r.avgPh !== null && r.avgPh !== 0 ? r.avgPh.toFixed(2) : '--')}</td>
-                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (r.avgTemperature !== null && r.avgTemperature !== 0 ? r.avgTemperature.toFixed(1) + '°C' : '--')}</td>
+                <td>${r.totalFeedKg !== null ? r.totalFeedKg.toFixed(2) : '--'}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (r.avgPh !== null && r.avgPh !== 0 ? r.avgPh.toFixed(2) : '--') + formatSensorSpread('ph', r.spread)}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (r.avgTemperature !== null && r.avgTemperature !== 0 ? r.avgTemperature.toFixed(1) + '°C' : '--') + formatSensorSpread('temperature', r.spread)}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : SensorCatalog.formatReading('dissolvedOxygen', r.avgDissolvedOxygen) + formatSensorSpread('dissolvedOxygen', r.spread)}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : SensorCatalog.formatReading('ammonia', r.avgAmmonia) + formatSensorSpread('ammonia', r.spread)}</td>
                 <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (r.coverageDays || 0) + ' days'}</td>
                 <td>${r.trends ? formatTrend(r.trends.tempTrend) : '—'}</td>
                 <td>${r.trends ? formatTrend(r.trends.phTrend) : '—'}</td>
@@ -7520,7 +11178,7 @@ async function loadMonthlySummaryReport() {
         console.error('[REPORT] loadMonthlySummaryReport error:', error);
         const tableBody = document.getElementById('monthlySummaryTableBody');
         if (tableBody) {
-            tableBody.innerHTML = '<tr><td colspan="8" class="error-text">Failed to load monthly summary</td></tr>';
+            tableBody.innerHTML = '<tr><td colspan="10" class="error-text">Failed to load monthly summary</td></tr>';
         }
         clearMonthlyCharts();
     }
@@ -7536,7 +11194,7 @@ function clearDailyCharts() {
     Object.values(chartInstances.daily).forEach(chart => {
         if (chart) chart.destroy();
     });
-    chartInstances.daily = { temperature: null, ph: null };
+    chartInstances.daily = { temperature: null, ph: null, dissolvedOxygen: null, ammonia: null };
 }
 
 // Clear weekly charts
@@ -7560,12 +11218,22 @@ function clearHourlyCharts() {
     Object.values(chartInstances.hourly).forEach(chart => {
         if (chart) chart.destroy();
     });
-    chartInstances.hourly = { temperature: null, ph: null };
+    chartInstances.hourly = { temperature: null, ph: null, dissolvedOxygen: null, ammonia: null };
 }
 
 // Load Hourly Report into table
+// Rejected readings cell: count with the reasons as a tooltip
+function formatRejectedCount(row) {
+    if (!row.rejectedCount) return '0';
+    const reasons = Object.entries(row.rejectedReasons || {})
+        .map(([reason, count]) => `${REJECTION_REASON_LABELS[reason] || reason}: ${count}`)
+        .join(', ');
+    return `<span class="rejected-count" title="${reasons}">${row.rejectedCount}</span>`;
+}
+
 async function loadHourlyReport() {
     console.log('[REPORT] loadHourlyReport start');
+    window.closeHourlyDrilldown(); // a different day may be loading
     const tableBody = document.getElementById('hourlySummaryTableBody');
     const loadingEl = document.getElementById('hourly-loading');
     
@@ -7578,7 +11246,7 @@ async function loadHourlyReport() {
     if (loadingEl) {
         loadingEl.classList.remove('hidden');
     }
-    tableBody.innerHTML = '<tr><td colspan="4" style="text-align: center; padding: 2rem;">Loading hourly data...</td></tr>';
+    tableBody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 2rem;">Loading hourly data...</td></tr>';
     
     try {
         const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
@@ -7586,12 +11254,12 @@ async function loadHourlyReport() {
             console.warn('[REPORT] loadHourlyReport: No UID available');
             // EXIT LOADING STATE
             if (loadingEl) loadingEl.classList.add('hidden');
-            tableBody.innerHTML = `<tr><td colspan="4" class="error-text">No user ID available</td></tr>`;
+            tableBody.innerHTML = `<tr><td colspan="6" class="error-text">No user ID available</td></tr>`;
             return;
         }
         
         // Use selected date, default to today if not set
-        const dateStr = selectedHourlyDate || formatDateString(new Date());
+        const dateStr = selectedHourlyDate || formatDateString(getUserNow());
         
         // Read hourly records for selected date from the correct Firestore path
         // Path: users/{uid}/hourlyRecords/{date}/hours/{hour}
@@ -7617,7 +11285,7 @@ async function loadHourlyReport() {
             console.log(`[HOURLY] No hourly records found for ${dateStr}`);
             const dateObj = new Date(dateStr + 'T00:00:00');
             const dateDisplay = dateObj.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-            tableBody.innerHTML = `<tr><td colspan="4" class="no-data-text">No hourly data available for ${dateDisplay}</td></tr>`;
+            tableBody.innerHTML = `<tr><td colspan="6" class="no-data-text">No hourly data available for ${dateDisplay}</td></tr>`;
             clearHourlyCharts();
             return;
         }
@@ -7639,7 +11307,7 @@ async function loadHourlyReport() {
             } else {
                 nonSeedCount++;
             }
-            console.log(`[HOURLY] Hour ${data.hour}: temp=${data.temperatureAvg}, pH=${data.phAvg}, isSeed=${data.isSeed}`);
+            console.log(`[HOURLY] Hour ${data.hour}: temp=${data.temperatureAvg}, pH=${data.phAvg}, DO=${data.dissolvedOxygenAvg}, NH3=${data.ammoniaAvg}, isSeed=${data.isSeed}`);
         });
         
         // Sort by hour ascending (client-side, in case orderBy failed)
@@ -7660,6 +11328,11 @@ async function loadHourlyReport() {
                 hour: report.hour || '00',
                 temperature: report.temperatureAvg !== null && report.temperatureAvg !== undefined ? report.temperatureAvg : null,
                 ph: report.phAvg !== null && report.phAvg !== undefined ? report.phAvg : null,
+                dissolvedOxygen: report.dissolvedOxygenAvg !== null && report.dissolvedOxygenAvg !== undefined ? report.dissolvedOxygenAvg : null,
+                ammonia: report.ammoniaAvg !== null && report.ammoniaAvg !== undefined ? report.ammoniaAvg : null,
+                spread: pickSensorSpread(report, 'hourly'),
+                rejectedCount: report.rejectedCount || 0,
+                rejectedReasons: report.rejectedReasons || {},
                 isSeed: report.isSeed === true
             };
         });
@@ -7673,8 +11346,11 @@ async function loadHourlyReport() {
             
             tr.innerHTML = `
                 <td>${row.hour}:00</td>
-                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.temperature !== null && row.temperature !== 0 ? row.temperature.toFixed(1) + '°C' : '--')}</td>
-                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.ph !== null && row.ph !== 0 ? row.ph.toFixed(2) : '--')}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.temperature !== null && row.temperature !== 0 ? row.temperature.toFixed(1) + '°C' : '--') + formatSensorSpread('temperature', row.spread)}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : (row.ph !== null && row.ph !== 0 ? row.ph.toFixed(2) : '--') + formatSensorSpread('ph', row.spread)}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : SensorCatalog.formatReading('dissolvedOxygen', row.dissolvedOxygen) + formatSensorSpread('dissolvedOxygen', row.spread)}</td>
+                <td>${isSeedEmpty ? '<span class="no-data-text">No data yet</span>' : SensorCatalog.formatReading('ammonia', row.ammonia) + formatSensorSpread('ammonia', row.spread)}</td>
+                <td>${formatRejectedCount(row)}</td>
             `;
             tableBody.appendChild(tr);
         });
@@ -7693,7 +11369,7 @@ async function loadHourlyReport() {
         console.error('[REPORT] loadHourlyReport error:', error);
         const tableBody = document.getElementById('hourlySummaryTableBody');
         if (tableBody) {
-            tableBody.innerHTML = `<tr><td colspan="4" class="error-text">Failed to load hourly data</td></tr>`;
+            tableBody.innerHTML = `<tr><td colspan="6" class="error-text">Failed to load hourly data</td></tr>`;
         }
         clearHourlyCharts();
     }
@@ -8006,7 +11682,7 @@ async function loadSensorAnalyticsUI() {
             if (dateSelector) dateSelector.style.display = 'block';
             if (monthSelector) monthSelector.style.display = 'none';
             if (dateSelector && !dateSelector.value) {
-                const today = new Date();
+                const today = getUserNow();
                 dateSelector.value = formatDateString(today);
             }
             if (dateSelector) {
@@ -8016,7 +11692,7 @@ async function loadSensorAnalyticsUI() {
             if (dateSelector) dateSelector.style.display = 'none';
             if (monthSelector) monthSelector.style.display = 'block';
             if (monthSelector && !monthSelector.value) {
-                const today = new Date();
+                const today = getUserNow();
                 monthSelector.value = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
             }
             if (monthSelector) {
@@ -8026,7 +11702,7 @@ async function loadSensorAnalyticsUI() {
             if (dateSelector) dateSelector.style.display = 'none';
             if (monthSelector) monthSelector.style.display = 'block';
             if (monthSelector && !monthSelector.value) {
-                const today = new Date();
+                const today = getUserNow();
                 monthSelector.value = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
             }
             if (monthSelector) {
@@ -8331,13 +12007,13 @@ function initializeAnalyticsSelectors() {
         
         // Set default date
         if (dateSelector) {
-            const today = new Date();
+            const today = getUserNow();
             dateSelector.value = formatDateString(today);
         }
         
         // Set default month
         if (monthSelector) {
-            const today = new Date();
+            const today = getUserNow();
             monthSelector.value = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
         }
         
@@ -8397,6 +12073,12 @@ function exportTableToCSV(tableId, filename) {
             const rowData = [];
             cols.forEach(col => {
                 let text = col.textContent.trim();
+                // Keep the min/max line readable: "27.3°C (26.1–28.4 ±0.6)"
+                const spreadEl = col.querySelector('.sensor-spread');
+                if (spreadEl) {
+                    const spreadText = spreadEl.textContent.trim();
+                    text = `${text.slice(0, text.length - spreadText.length).trim()} (${spreadText})`;
+                }
                 // Skip rows that are "no data" messages
                 if (text.includes('No ') && text.includes('data available')) {
                     return;
@@ -8505,9 +12187,12 @@ function exportTableToHTML(tableId, filename) {
 function getDailyRowsForExport() {
     return reportRowsState.dailyRows.map(row => ({
         date: row.date,
+        totalFeedKg: row.totalFeedKg !== null ? row.totalFeedKg : null,
         mortality: row.mortality !== null ? row.mortality : null,
         avgTemperature: row.avgTemperature !== null ? row.avgTemperature : null,
         avgPh: row.avgPh !== null ? row.avgPh : null,
+        avgDissolvedOxygen: row.avgDissolvedOxygen !== null ? row.avgDissolvedOxygen : null,
+        avgAmmonia: row.avgAmmonia !== null ? row.avgAmmonia : null,
         waterQuality: row.waterQuality || null
     }));
 }
@@ -8515,9 +12200,12 @@ function getDailyRowsForExport() {
 function getWeeklyRowsForExport() {
     return reportRowsState.weeklyRows.map(row => ({
         period: row.period,
+        totalFeedKg: row.totalFeedKg !== null ? row.totalFeedKg : null,
         mortality: row.mortality !== null ? row.mortality : null,
         avgPh: row.avgPh !== null ? row.avgPh : null,
         avgTemperature: row.avgTemperature !== null ? row.avgTemperature : null,
+        avgDissolvedOxygen: row.avgDissolvedOxygen !== null ? row.avgDissolvedOxygen : null,
+        avgAmmonia: row.avgAmmonia !== null ? row.avgAmmonia : null,
         waterQualityScore: row.waterQualityScore !== null ? row.waterQualityScore : null
     }));
 }
@@ -8525,9 +12213,12 @@ function getWeeklyRowsForExport() {
 function getMonthlyRowsForExport() {
     return reportRowsState.monthlyRows.map(row => ({
         month: row.month,
+        totalFeedKg: row.totalFeedKg !== null ? row.totalFeedKg : null,
         totalMortality: row.totalMortality !== null ? row.totalMortality : null,
         avgPh: row.avgPh !== null ? row.avgPh : null,
         avgTemperature: row.avgTemperature !== null ? row.avgTemperature : null,
+        avgDissolvedOxygen: row.avgDissolvedOxygen !== null ? row.avgDissolvedOxygen : null,
+        avgAmmonia: row.avgAmmonia !== null ? row.avgAmmonia : null,
         waterQualityScore: row.waterQualityScore !== null ? row.waterQualityScore : null
     }));
 }
@@ -9096,7 +12787,7 @@ window.exportDailyReport = async function(format) {
     const rows = getDailyRowsForExport();
     const monthSuffix = selectedReportMonth ? `_${selectedReportMonth}` : '';
     const filename = `Daily_Summary_Report${monthSuffix}`;
-    const columns = ['Date', 'Feed Used (kg)', 'Mortality (fish)', 'Avg Temperature (°C)', 'Avg pH', 'Water Quality'];
+    const columns = ['Date', 'Feed Used (kg)', 'Mortality (fish)', 'Avg Temperature (°C)', 'Avg pH', 'Avg DO (mg/L)', 'Avg Ammonia (mg/L)', 'Water Quality'];
     
     if (format === 'excel' || format === 'csv') {
         exportTableToCSV('dailySummaryTable', filename);
@@ -9111,7 +12802,7 @@ window.exportWeeklyReport = async function(format) {
     const rows = getWeeklyRowsForExport();
     const monthSuffix = selectedReportMonth ? `_${selectedReportMonth}` : '';
     const filename = `Weekly_Summary_Report${monthSuffix}`;
-    const columns = ['Period', 'Total Feed (kg)', 'Mortality (fish)', 'Avg pH', 'Avg Temperature (°C)', 'Water Quality Score'];
+    const columns = ['Period', 'Total Feed (kg)', 'Mortality (fish)', 'Avg pH', 'Avg Temperature (°C)', 'Avg DO (mg/L)', 'Avg Ammonia (mg/L)', 'Water Quality Score'];
     
     if (format === 'excel' || format === 'csv') {
         exportTableToCSV('weeklySummaryTable', filename);
@@ -9126,7 +12817,7 @@ window.exportMonthlyReport = async function(format) {
     const rows = getMonthlyRowsForExport();
     const monthSuffix = selectedReportMonth ? `_${selectedReportMonth}` : '';
     const filename = `Monthly_Summary_Report${monthSuffix}`;
-    const columns = ['Month', 'Total Feed (kg)', 'Total Mortality (fish)', 'Avg pH', 'Avg Temperature (°C)', 'Water Quality Score'];
+    const columns = ['Month', 'Total Feed (kg)', 'Total Mortality (fish)', 'Avg pH', 'Avg Temperature (°C)', 'Avg DO (mg/L)', 'Avg Ammonia (mg/L)', 'Water Quality Score'];
     
     if (format === 'excel' || format === 'csv') {
         exportTableToCSV('monthlySummaryTable', filename);
@@ -9257,6 +12948,12 @@ export async function initializeAdminDashboard() {
     // Update user name in navigation
     await updateUserDisplayName();
     
+    // Bell menu (in-app notifications)
+    attachNotificationCenter();
+    
+    // Open alerts of every farm (system section)
+    attachOpenAlertsView();
+    
     // User search functionality
     function initializeUserSearch() {
         const searchInput = document.getElementById('userSearch');
@@ -9283,6 +12980,122 @@ export async function initializeAdminDashboard() {
     initializeUserSearch();
 }
 
+// ============================================================
+// OPEN ALERTS (Admin Dashboard)
+// ============================================================
+// Open and acknowledged water quality alerts of every farm (system section), live through a collection group query
+// Index: single-field collection group index on alerts.status; history reads users/{uid}/alerts/{alertId}/events
+
+let openAlertsUnsubscribe = null;
+let openAlertsAcrossUsers = [];
+let openAlertsFilter = 'active';
+// uid -> display name (only readable for super admins; others see the uid)
+let openAlertsOwnerNames = {};
+
+async function attachOpenAlertsView() {
+    if (openAlertsUnsubscribe || !document.getElementById('openAlertsList')) return;
+    
+    try {
+        const users = await loadAllUsers();
+        users.forEach(user => {
+            openAlertsOwnerNames[user.id] = user.displayName || user.email || user.id;
+        });
+    } catch (error) {
+        // Admins may not read user profiles
+        console.warn('[ALERTS] Farm names unavailable:', error.message);
+    }
+    
+    const activeQuery = query(collectionGroup(db, 'alerts'), where('status', 'in', ['open', 'acknowledged']));
+    openAlertsUnsubscribe = onSnapshot(activeQuery, (snapshot) => {
+        openAlertsAcrossUsers = snapshot.docs
+            .map(alertDoc => ({ id: alertDoc.id, uid: alertDoc.ref.parent.parent.id, ...alertDoc.data() }))
+            .sort((a, b) => (b.openedAt || 0) - (a.openedAt || 0));
+        renderOpenAlertsAcrossUsers();
+    }, (error) => {
+        console.warn('[ALERTS] Could not watch open alerts:', error.message);
+        const list = document.getElementById('openAlertsList');
+        if (list) list.innerHTML = '<div class="log-item"><span class="log-message">Open alerts unavailable</span></div>';
+    });
+}
+
+function renderOpenAlertsAcrossUsers() {
+    const list = document.getElementById('openAlertsList');
+    if (!list) return;
+    
+    const alerts = openAlertsAcrossUsers.filter(alert => openAlertsFilter === 'active' || alert.status === openAlertsFilter);
+    const count = document.getElementById('openAlertsCount');
+    if (count) count.textContent = String(openAlertsAcrossUsers.filter(alert => alert.status === 'open').length);
+    
+    if (alerts.length === 0) {
+        list.innerHTML = '<div class="log-item"><span class="log-message">No open alerts</span></div>';
+        return;
+    }
+    list.innerHTML = alerts.map(alert => {
+        const level = typeof alert.escalationLevel === 'number' ? AlertRules.ESCALATION_LEVELS[alert.escalationLevel] : null;
+        const severity = AlertRules.SEVERITIES.includes(alert.severity) ? alert.severity : 'warning';
+        const status = alert.status === 'acknowledged'
+            ? `Acknowledged by ${escapeHtml(alert.acknowledgedByName || alert.acknowledgedBy || 'unknown')}`
+            : `Open${level ? ` · ${level.label.toLowerCase()} notified` : ''}`;
+        // Ids go into onclick as JSON string literals (escaped for the attribute)
+        const args = escapeHtml(`${JSON.stringify(alert.uid)}, ${JSON.stringify(alert.id)}`);
+        return `
+            <div class="log-item open-alert-item open-alert-${severity}">
+                <span class="log-time">${alert.openedAt ? `${formatElapsed(Date.now() - alert.openedAt)} ago` : '--'}</span>
+                <span class="log-message">
+                    <strong>${escapeHtml(openAlertsOwnerNames[alert.uid] || alert.uid)}</strong> · ${escapeHtml(alert.title)}
+                    <span class="open-alert-status">${severity.toUpperCase()} · ${status}</span>
+                    <span class="open-alert-events" id="openAlertEvents_${escapeHtml(alert.id)}"></span>
+                </span>
+                <span class="open-alert-actions">
+                    ${alert.status === 'open' ? `<button class="btn-secondary" onclick="acknowledgeAlertAsAdmin(${args})">Acknowledge</button>` : ''}
+                    <button class="btn-secondary" onclick="toggleOpenAlertHistory(${args})" title="Audit trail"><i class="fas fa-history"></i></button>
+                </span>
+            </div>
+        `;
+    }).join('');
+}
+
+window.filterOpenAlerts = function(filter) {
+    openAlertsFilter = filter;
+    renderOpenAlertsAcrossUsers();
+};
+
+window.acknowledgeAlertAsAdmin = async function(uid, alertId) {
+    try {
+        const acknowledged = await acknowledgeAlertOf(uid, alertId);
+        showNotification(acknowledged ? 'Alert acknowledged' : 'Alert is no longer open', acknowledged ? 'success' : 'info');
+        if (acknowledged) {
+            await logActivity('alert_acknowledged', `Acknowledged alert ${alertId} of ${openAlertsOwnerNames[uid] || uid}`);
+        }
+    } catch (error) {
+        console.error('[ALERTS] Error acknowledging alert:', error);
+        showNotification('Failed to acknowledge alert', 'error');
+    }
+};
+
+// Audit trail of one alert, oldest first (click again to hide)
+window.toggleOpenAlertHistory = async function(uid, alertId) {
+    const target = document.getElementById(`openAlertEvents_${alertId}`);
+    if (!target) return;
+    if (target.innerHTML) {
+        target.innerHTML = '';
+        return;
+    }
+    
+    try {
+        const eventsSnap = await getDocs(query(collection(db, `users/${uid}/alerts/${alertId}/events`), orderBy('at', 'asc')));
+        target.innerHTML = eventsSnap.empty
+            ? 'No history recorded'
+            : eventsSnap.docs.map(eventDoc => {
+                const event = eventDoc.data();
+                return `<span>${new Date(event.at).toLocaleString()} - ${escapeHtml(AlertRules.describeAlertEvent(event))}</span>`;
+            }).join('');
+    } catch (error) {
+        console.error('[ALERTS] Error loading alert history:', error);
+        showNotification('Failed to load alert history', 'error');
+    }
+};
+
 // ============================================================
 // DATA SERVICE FUNCTIONS - User CRUD & Loading
 // ============================================================
@@ -9561,36 +13374,16 @@ function updateButtonState(btn, textEl, iconEl, isOnline) {
 // Motor toggle function - toggles between online/offline based on current state
 window.toggleMotor = async function() {
     try {
-        // Get current state from Firestore (source of truth), not RTDB
+        // Get current state of the selected device (Firestore for the primary device), not RTDB
         const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
-        let currentState = 'offline'; // Default to offline
-        
-        if (uid) {
-            try {
-                const feederRef = doc(db, `users/${uid}/sensors/feeder`);
-                const snapshot = await getDoc(feederRef);
-                
-                if (snapshot.exists()) {
-                    const data = snapshot.data();
-                    const stateValue = data.value;
-                    if (stateValue) {
-                        currentState = String(stateValue).toLowerCase();
-                    }
-                }
-            } catch (firestoreError) {
-                console.warn('[TOGGLE] Error reading from Firestore, using default state:', firestoreError);
-            }
-        } else {
-            // Fallback: use runtime state if available
-            currentState = window.RUNTIME_STATE?.feederState || 'offline';
-        }
+        const deviceId = getSelectedDeviceId();
+        const currentState = (await readDeviceFeederState(uid, deviceId)) || 'offline'; // Default to offline
         
         // Toggle state: online -> offline, offline -> online
         const newState = currentState === 'online' ? 'offline' : 'online';
         
         // Write to Firestore first, then RTDB (via wrapper function)
-        // uid is already declared above, reuse it
-        const writeResult = await writeFeederStateToRTDB(DEVICE_ID, uid, newState);
+        const writeResult = await writeFeederStateToRTDB(deviceId, uid, newState);
         
         if (!writeResult.success) {
             console.error('[RTDB] Failed to toggle motor state:', writeResult.error);
@@ -9598,9 +13391,9 @@ window.toggleMotor = async function() {
             return;
         }
         
-        console.log('[RTDB] Motor toggled to:', writeResult.state, 'at devices/' + DEVICE_ID + '/status/feeder/state');
+        console.log('[RTDB] Motor toggled to:', writeResult.state, 'at devices/' + deviceId + '/status/feeder/state');
         
-        showNotification(`Motor ${newState.toUpperCase()}`, 'success');
+        showNotification(`Motor ${newState.toUpperCase()} (${getDeviceName(deviceId)})`, 'success');
         console.log(`[RTDB] Toggled motor state to ${newState} (Firestore→RTDB write successful)`);
         
         // Update button appearance immediately
@@ -9655,6 +13448,317 @@ export async function disableDevice(uid, deviceId, enabled = false) {
     }
 }
 
+// ============================================================
+// NOTIFICATION CENTER (bell menu, every dashboard)
+// ============================================================
+// notifications/{id} addressed to the signed-in user: the unread count and the newest page are live,
+// older pages are fetched on "Load more". The type filter runs client side ('general' has no stored type).
+// A notification may carry link: { section, target, deviceId }; alerts and device status notifications
+// without one open Monitoring with their device selected.
+// A clicked browser push (sw.js) opens its notification the same way: ?notification=<id> on a fresh page,
+// or a message to a dashboard tab that is already open.
+// Index: notifications (targetUid asc, timestamp desc)
+
+const NOTIFICATION_PAGE_SIZE = 20;
+// Pages fetched per "Load more" while a type filter hides most of them
+const NOTIFICATION_FILTER_FETCHES = 5;
+// Firestore batches hold 500 writes
+const NOTIFICATION_BATCH_SIZE = 450;
+
+let notificationCenterUid = null;
+let notificationUnreadUnsubscribe = null;
+let notificationLatestUnsubscribe = null;
+let notificationItems = new Map();
+let notificationUnreadIds = [];
+let notificationCursor = null;
+let notificationHasMore = false;
+let notificationTypeFilter = '';
+let notificationCenterBound = false;
+
+function attachNotificationCenter() {
+    const uid = auth.currentUser?.uid || null;
+    if (!uid || notificationCenterUid === uid || !document.getElementById('notificationBell')) return;
+    if (notificationUnreadUnsubscribe) notificationUnreadUnsubscribe();
+    if (notificationLatestUnsubscribe) notificationLatestUnsubscribe();
+    notificationCenterUid = uid;
+    notificationItems = new Map();
+    notificationCursor = null;
+    
+    const notificationsRef = collection(db, 'notifications');
+    const unreadQuery = query(notificationsRef, where('targetUid', '==', uid), where('read', '==', false));
+    notificationUnreadUnsubscribe = onSnapshot(unreadQuery, (snapshot) => {
+        notificationUnreadIds = snapshot.docs.map(notificationDoc => notificationDoc.id);
+        renderNotificationBadge();
+    }, (error) => {
+        console.warn('[NOTIFY] Could not watch unread notifications:', error.message);
+    });
+    
+    const latestQuery = query(notificationsRef, where('targetUid', '==', uid), orderBy('timestamp', 'desc'), limit(NOTIFICATION_PAGE_SIZE));
+    notificationLatestUnsubscribe = onSnapshot(latestQuery, (snapshot) => {
+        // Notifications pushed off the newest page stay listed (they are older pages now)
+        snapshot.docChanges().forEach(change => {
+            if (change.type !== 'removed') {
+                notificationItems.set(change.doc.id, { id: change.doc.id, ...change.doc.data() });
+            }
+        });
+        if (!notificationCursor) {
+            notificationCursor = snapshot.docs[snapshot.docs.length - 1] || null;
+            notificationHasMore = snapshot.docs.length === NOTIFICATION_PAGE_SIZE;
+        }
+        renderNotificationPanel();
+    }, (error) => {
+        console.warn('[NOTIFY] Could not watch notifications:', error.message);
+    });
+    
+    bindNotificationCenter();
+    renderNotificationBadge();
+    renderNotificationPanel();
+    
+    const pushedId = new URLSearchParams(window.location.search).get('notification');
+    if (pushedId) {
+        // Once: a reload should not open it again
+        const url = new URL(window.location.href);
+        url.searchParams.delete('notification');
+        window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+        openPushedNotification(pushedId);
+    }
+}
+
+// Notification of a clicked push - may be older than the loaded pages
+async function openPushedNotification(notificationId) {
+    if (!notificationId) return;
+    if (!notificationItems.has(notificationId)) {
+        try {
+            const notificationSnap = await getDoc(doc(db, 'notifications', notificationId));
+            if (!notificationSnap.exists()) return;
+            notificationItems.set(notificationId, { id: notificationId, ...notificationSnap.data() });
+        } catch (error) {
+            console.warn('[NOTIFY] Could not load pushed notification:', error.message);
+            return;
+        }
+    }
+    await window.openNotification(notificationId);
+}
+
+function bindNotificationCenter() {
+    if (notificationCenterBound) return;
+    notificationCenterBound = true;
+    
+    const bell = document.getElementById('notificationBell');
+    const panel = document.getElementById('notificationPanel');
+    const filter = document.getElementById('notificationTypeFilter');
+    
+    if (filter) {
+        filter.innerHTML = '<option value="">All notifications</option>' +
+            Object.entries(NotificationChannels.NOTIFICATION_TYPES).map(([type, info]) =>
+                `<option value="${type}">${info.label}</option>`).join('');
+        filter.addEventListener('change', () => {
+            notificationTypeFilter = filter.value;
+            renderNotificationPanel();
+        });
+    }
+    
+    bell.addEventListener('click', (event) => {
+        event.stopPropagation();
+        toggleNotificationPanel(!panel.classList.contains('open'));
+    });
+    // Clicks inside the panel keep it open; anywhere else (or Escape) closes it
+    panel.addEventListener('click', (event) => event.stopPropagation());
+    document.addEventListener('click', () => toggleNotificationPanel(false));
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') toggleNotificationPanel(false);
+    });
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'open-notification') {
+                openPushedNotification(event.data.notificationId);
+            }
+        });
+    }
+}
+
+function toggleNotificationPanel(open) {
+    const bell = document.getElementById('notificationBell');
+    const panel = document.getElementById('notificationPanel');
+    if (!bell || !panel) return;
+    
+    panel.classList.toggle('open', open);
+    if (open) {
+        // Fixed position so the panel is not clipped by the sidebar
+        const rect = bell.getBoundingClientRect();
+        panel.style.top = `${rect.bottom + 8}px`;
+        panel.style.left = `${Math.max(Math.min(rect.left, window.innerWidth - panel.offsetWidth - 8), 8)}px`;
+    }
+    bell.setAttribute('aria-expanded', open ? 'true' : 'false');
+}
+
+function renderNotificationBadge() {
+    const badge = document.getElementById('notificationBadge');
+    if (!badge) return;
+    
+    const count = notificationUnreadIds.length;
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.classList.toggle('has-unread', count > 0);
+    document.getElementById('notificationMarkAll')?.toggleAttribute('disabled', count === 0);
+}
+
+function filteredNotifications() {
+    return Array.from(notificationItems.values())
+        .filter(notification => !notificationTypeFilter || NotificationChannels.notificationType(notification) === notificationTypeFilter)
+        .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+}
+
+function renderNotificationPanel() {
+    const list = document.getElementById('notificationPanelList');
+    if (!list) return;
+    
+    const notifications = filteredNotifications();
+    const loadMore = document.getElementById('notificationLoadMore');
+    if (loadMore) loadMore.style.display = notificationHasMore ? '' : 'none';
+    
+    if (notifications.length === 0) {
+        list.innerHTML = `<p class="notification-panel-empty">${notificationTypeFilter && notificationHasMore ? 'None loaded yet - load older notifications.' : 'No notifications.'}</p>`;
+        return;
+    }
+    list.innerHTML = notifications.map(notification => {
+        const type = NotificationChannels.notificationType(notification);
+        const link = notificationLink(notification);
+        return `
+            <div class="notification-item ${notification.read ? '' : 'is-unread'} ${link ? 'has-link' : ''}" onclick="openNotification(${escapeHtml(JSON.stringify(notification.id))})">
+                <div class="notification-item-body">
+                    <div class="notification-item-title">${escapeHtml(notification.title || 'Notification')}</div>
+                    <div class="notification-item-message">${escapeHtml(notification.message || '')}</div>
+                    <div class="notification-item-meta">
+                        ${NotificationChannels.NOTIFICATION_TYPES[type].label}
+                        ${notification.timestamp ? ` · <span title="${new Date(notification.timestamp).toLocaleString()}">${formatElapsed(Date.now() - notification.timestamp)} ago</span>` : ''}
+                    </div>
+                </div>
+                ${notification.read ? '' : `<button type="button" class="notification-item-read" title="Mark as read" onclick="event.stopPropagation(); markNotificationRead(${escapeHtml(JSON.stringify(notification.id))})"><i class="fas fa-check"></i></button>`}
+            </div>
+        `;
+    }).join('');
+}
+
+// Where a notification leads -> { section, target, deviceId } or null
+function notificationLink(notification) {
+    if (notification.link && notification.link.section) {
+        return notification.link;
+    }
+    const type = NotificationChannels.notificationType(notification);
+    if (type === 'water_quality_alert') {
+        return { section: 'monitoring', target: 'activeAlertsList', deviceId: notification.deviceId || null };
+    }
+    if (type === 'device_offline' || type === 'device_online') {
+        return { section: 'monitoring', target: null, deviceId: notification.deviceId || null };
+    }
+    return null;
+}
+
+// Open a section of this page (links to sections another dashboard has are not followed)
+async function followNotificationLink(link) {
+    const navLink = document.querySelector(`.nav-link[href="#${link.section}"]`);
+    if (!navLink) return false;
+    
+    const devices = window.RUNTIME_CONTEXT?.devices || [];
+    if (link.deviceId && link.deviceId !== getSelectedDeviceId() && devices.some(device => device.id === link.deviceId)) {
+        await window.selectDevice(link.deviceId);
+    }
+    navLink.click();
+    
+    const target = link.target ? document.getElementById(link.target) : null;
+    if (target) {
+        // After the section switch has laid the target out
+        setTimeout(() => target.scrollIntoView({ behavior: 'smooth', block: 'start' }), 300);
+    }
+    return true;
+}
+
+window.openNotification = async function(notificationId) {
+    const notification = notificationItems.get(notificationId);
+    if (!notification) return;
+    
+    if (!notification.read) {
+        await window.markNotificationRead(notificationId);
+    }
+    const link = notificationLink(notification);
+    if (link && await followNotificationLink(link)) {
+        toggleNotificationPanel(false);
+    }
+};
+
+window.markNotificationRead = async function(notificationId) {
+    try {
+        const readAt = Date.now();
+        await updateDoc(doc(db, 'notifications', notificationId), { read: true, readAt: readAt });
+        const notification = notificationItems.get(notificationId);
+        if (notification) {
+            notificationItems.set(notificationId, { ...notification, read: true, readAt: readAt });
+            renderNotificationPanel();
+        }
+    } catch (error) {
+        console.error('[NOTIFY] Could not mark notification read:', error);
+        showNotification('Could not mark the notification as read', 'error');
+    }
+};
+
+window.markAllNotificationsRead = async function() {
+    const unreadIds = notificationUnreadIds.slice();
+    if (unreadIds.length === 0) return;
+    
+    try {
+        const readAt = Date.now();
+        for (let start = 0; start < unreadIds.length; start += NOTIFICATION_BATCH_SIZE) {
+            const batch = writeBatch(db);
+            unreadIds.slice(start, start + NOTIFICATION_BATCH_SIZE).forEach(notificationId => {
+                batch.update(doc(db, 'notifications', notificationId), { read: true, readAt: readAt });
+            });
+            await batch.commit();
+        }
+        unreadIds.forEach(notificationId => {
+            const notification = notificationItems.get(notificationId);
+            if (notification) {
+                notificationItems.set(notificationId, { ...notification, read: true, readAt: readAt });
+            }
+        });
+        renderNotificationPanel();
+    } catch (error) {
+        console.error('[NOTIFY] Could not mark notifications read:', error);
+        showNotification('Could not mark the notifications as read', 'error');
+    }
+};
+
+// Next page(s) after the oldest notification loaded; with a filter, keep going until a page of matches is in
+window.loadMoreNotifications = async function() {
+    if (!notificationCenterUid || !notificationCursor || !notificationHasMore) return;
+    const button = document.getElementById('notificationLoadMore');
+    if (button) button.disabled = true;
+    
+    try {
+        const shownBefore = filteredNotifications().length;
+        for (let fetches = 0; fetches < NOTIFICATION_FILTER_FETCHES && notificationHasMore; fetches++) {
+            const olderQuery = query(collection(db, 'notifications'),
+                where('targetUid', '==', notificationCenterUid),
+                orderBy('timestamp', 'desc'),
+                startAfter(notificationCursor),
+                limit(NOTIFICATION_PAGE_SIZE));
+            const snapshot = await getDocs(olderQuery);
+            snapshot.docs.forEach(notificationDoc => {
+                notificationItems.set(notificationDoc.id, { id: notificationDoc.id, ...notificationDoc.data() });
+            });
+            notificationCursor = snapshot.docs[snapshot.docs.length - 1] || notificationCursor;
+            notificationHasMore = snapshot.docs.length === NOTIFICATION_PAGE_SIZE;
+            
+            if (filteredNotifications().length - shownBefore >= NOTIFICATION_PAGE_SIZE) break;
+        }
+        renderNotificationPanel();
+    } catch (error) {
+        console.error('[NOTIFY] Could not load notifications:', error);
+        showNotification('Could not load older notifications', 'error');
+    } finally {
+        if (button) button.disabled = false;
+    }
+};
+
 // ============================================================
 // LOGGING + NOTIFICATIONS
 // ============================================================
@@ -9674,13 +13778,15 @@ export async function logActivity(type, message) {
     }
 }
 
-// Send notification
-export async function sendNotification(targetUid, title, message) {
+// Send notification (options: type - see NOTIFICATION_TYPES, link - { section, target, deviceId } for the bell menu)
+export async function sendNotification(targetUid, title, message, options = {}) {
     try {
         await addDoc(collection(db, "notifications"), {
             targetUid,
             title,
             message,
+            type: options.type || 'general',
+            link: options.link || null,
             timestamp: Date.now(),
             read: false
         });
@@ -9937,6 +14043,53 @@ export async function loadFirmwareVersions() {
     }
 }
 
+// Load device API keys (HTTP ingestion, deviceApiKeys/{keyId})
+// The list leaves secrets out; they stay in the key documents (superadmins can read them), as /api/ingest needs them to check signatures
+export async function loadDeviceApiKeys() {
+    try {
+        const keysRef = collection(db, "deviceApiKeys");
+        const q = query(keysRef, orderBy("createdAt", "desc"), limit(100));
+        const querySnapshot = await getDocs(q);
+        
+        const box = document.getElementById("deviceApiKeysList");
+        if (!box) return;
+        
+        if (querySnapshot.empty) {
+            box.innerHTML = '<div class="status-item"><span class="status-label">No API keys issued</span></div>';
+            return;
+        }
+        
+        box.innerHTML = '';
+        querySnapshot.forEach(keyDoc => {
+            const k = keyDoc.data();
+            const lastUsed = k.lastUsedAt ? new Date(k.lastUsedAt).toLocaleString() : 'Never used';
+            const statusClass = k.revoked ? 'offline' : 'online';
+            
+            box.innerHTML += `
+                <div class="status-item">
+                    <span class="status-label">${escapeHtml(keyDoc.id)}<br><small>${escapeHtml(k.label || 'No label')} · ${escapeHtml(k.deviceId || '--')}</small></span>
+                    <span class="status-value ${statusClass}">${k.revoked ? 'Revoked' : 'Active'}</span>
+                    <span class="status-time">Last used: ${lastUsed}</span>
+                    ${k.revoked ? '' : `<button class="btn-delete btn-sm" onclick="revokeDeviceApiKey('${keyDoc.id}')">Revoke</button>`}
+                </div>
+            `;
+        });
+    } catch (error) {
+        console.error('Error loading device API keys:', error);
+        const box = document.getElementById("deviceApiKeysList");
+        if (box) {
+            box.innerHTML = '<div class="status-item"><span class="status-label">Error</span><span class="status-value">Failed to load API keys</span></div>';
+        }
+    }
+}
+
+// Random hex string from the browser's CSPRNG
+function randomHex(bytes) {
+    const values = new Uint8Array(bytes);
+    crypto.getRandomValues(values);
+    return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+}
+
 // Super Admin Dashboard specific functions
 export async function initializeSuperAdminDashboard() {
     // Ensure device record exists (non-blocking, works with or without auth)
@@ -9950,6 +14103,9 @@ export async function initializeSuperAdminDashboard() {
     // Update user name in navigation
     await updateUserDisplayName();
     
+    // Bell menu (in-app notifications)
+    attachNotificationCenter();
+    
     // Get current user for role checks
     const currentUser = await verifyRoleOrRedirect(['superadmin']);
     if (!currentUser) return;
@@ -10423,6 +14579,7 @@ export async function initializeSuperAdminDashboard() {
             await loadErrorLogs();
             await loadUptimeHistory();
             await loadScheduledTasks();
+            await loadDeviceApiKeys();
             
             await logSystemEvent('Data refresh completed successfully', 'info');
             showNotification('Data refreshed successfully!', 'success');
@@ -10797,6 +14954,86 @@ export async function initializeSuperAdminDashboard() {
         }
     };
 
+    // ============================================================
+    // DEVICE API KEYS (HTTP ingestion, POST /api/ingest)
+    // ============================================================
+    
+    window.openIssueApiKeyModal = function() {
+        openModal('issueApiKeyModal');
+        const form = document.getElementById('issueApiKeyForm');
+        if (form) form.reset();
+        const issued = document.getElementById('issuedApiKey');
+        if (issued) issued.style.display = 'none';
+    };
+    
+    window.issueDeviceApiKey = async function() {
+        try {
+            const deviceId = document.getElementById('apiKeyDeviceId').value.trim();
+            const label = document.getElementById('apiKeyLabel').value.trim();
+            
+            if (!deviceId) {
+                showNotification('Device ID is required', 'error');
+                return;
+            }
+            
+            // The endpoint resolves the owner through the ownership mapping
+            const ownerUid = await getOwnerUidFromDevice(deviceId);
+            if (!ownerUid) {
+                showNotification('Device is not registered to a user', 'error');
+                return;
+            }
+            
+            const keyId = `ak_${randomHex(6)}`;
+            const secret = randomHex(32);
+            
+            await setDoc(doc(db, 'deviceApiKeys', keyId), {
+                deviceId,
+                ownerUid,
+                label: label || '',
+                secret,
+                revoked: false,
+                createdAt: serverTimestamp(),
+                createdBy: window.RUNTIME_CONTEXT?.runtimeUid || null,
+                lastUsedAt: null
+            });
+            
+            await logSystemEvent(`Device API key issued: ${keyId} for device ${deviceId}`, 'info');
+            showNotification('API key issued. Copy the secret now.', 'success');
+            
+            // Only displayed here; the list never shows secrets (revoke and reissue a key whose secret leaked)
+            document.getElementById('issuedApiKeyId').value = keyId;
+            document.getElementById('issuedApiKeySecret').value = secret;
+            document.getElementById('issuedApiKey').style.display = 'block';
+            
+            await loadDeviceApiKeys();
+        } catch (error) {
+            console.error('Error issuing device API key:', error);
+            await logError('Failed to issue device API key', error.message);
+            showNotification('Error issuing API key', 'error');
+        }
+    };
+    
+    window.revokeDeviceApiKey = async function(keyId) {
+        if (!confirm(`Revoke API key ${keyId}? The device will no longer be able to post readings with it.`)) {
+            return;
+        }
+        try {
+            await updateDoc(doc(db, 'deviceApiKeys', keyId), {
+                revoked: true,
+                revokedAt: serverTimestamp(),
+                revokedBy: window.RUNTIME_CONTEXT?.runtimeUid || null
+            });
+            
+            await logSystemEvent(`Device API key revoked: ${keyId}`, 'warning');
+            showNotification('API key revoked', 'success');
+            await loadDeviceApiKeys();
+        } catch (error) {
+            console.error('Error revoking device API key:', error);
+            await logError('Failed to revoke device API key', error.message);
+            showNotification('Error revoking API key', 'error');
+        }
+    };
+
     // Diagnostic function to check user permissions
     async function diagnosePermissions() {
         try {
@@ -10859,7 +15096,8 @@ export async function initializeSuperAdminDashboard() {
                 loadUptimeHistory(),
                 loadScheduledTasks(),
                 loadFirmwareVersions(),
-                loadAPKInfo()
+                loadAPKInfo(),
+                loadDeviceApiKeys()
             ]);
         } catch (error) {
             console.error('Error loading system data:', error);
@@ -10951,6 +15189,28 @@ function showChartEmptyState(canvasId, message) {
     container.appendChild(emptyDiv);
 }
 
+// Shaded min/max band behind a sensor line: a "Min" line plus a "Max" line filled down to it
+// Returns no datasets when none of the records carry min/max yet (older reports)
+function buildSpreadBandDatasets(sensorId, records, kind = 'report') {
+    const spreads = records.map(record => pickSensorSpread(record, kind)[sensorId]);
+    if (spreads.every(spread => spread.min === null && spread.max === null)) {
+        return [];
+    }
+    const bandColor = SensorCatalog.getSensor(sensorId).chartColor.replace('rgb(', 'rgba(').replace(')', ', 0.2)');
+    const bandLine = {
+        borderColor: bandColor,
+        backgroundColor: bandColor,
+        borderWidth: 1,
+        pointRadius: 0,
+        spanGaps: true,
+        tension: 0.1
+    };
+    return [
+        { ...bandLine, label: 'Min', data: spreads.map(spread => spread.min), fill: false },
+        { ...bandLine, label: 'Max', data: spreads.map(spread => spread.max), fill: '-1' }
+    ];
+}
+
 // Render daily charts
 function renderDailyCharts(reports) {
     // Filter out seed documents
@@ -10959,17 +15219,23 @@ function renderDailyCharts(reports) {
     if (realReports.length === 0) {
         destroyChart(chartInstances.daily.temperature);
         destroyChart(chartInstances.daily.ph);
+        destroyChart(chartInstances.daily.dissolvedOxygen);
+        destroyChart(chartInstances.daily.ammonia);
         chartInstances.daily.temperature = null;
         chartInstances.daily.ph = null;
+        chartInstances.daily.dissolvedOxygen = null;
+        chartInstances.daily.ammonia = null;
         
         showChartEmptyState('dailyTemperatureChart', 'No data yet');
         showChartEmptyState('dailyPhChart', 'No data yet');
+        showChartEmptyState('dailyDissolvedOxygenChart', 'No data yet');
+        showChartEmptyState('dailyAmmoniaChart', 'No data yet');
         return;
     }
     
     // Remove empty state messages
     document.querySelectorAll('.chart-empty-state').forEach(el => {
-        if (el.parentElement.querySelector('#dailyTemperatureChart, #dailyPhChart')) {
+        if (el.parentElement.querySelector('#dailyTemperatureChart, #dailyPhChart, #dailyDissolvedOxygenChart, #dailyAmmoniaChart')) {
             el.remove();
         }
     });
@@ -10981,14 +15247,24 @@ function renderDailyCharts(reports) {
     }).reverse();
     const temps = realReports.map(r => r.avgTemperature || 0).reverse();
     const phs = realReports.map(r => r.avgPh || 0).reverse();
+    // Missing DO/ammonia readings stay as gaps (older records predate these probes)
+    const dissolvedOxygenValues = realReports.map(r => r.avgDissolvedOxygen ?? null).reverse();
+    const ammoniaValues = realReports.map(r => r.avgAmmonia ?? null).reverse();
     
     // Destroy old charts
     destroyChart(chartInstances.daily.temperature);
     destroyChart(chartInstances.daily.ph);
+    destroyChart(chartInstances.daily.dissolvedOxygen);
+    destroyChart(chartInstances.daily.ammonia);
+    
+    // Min/max bands read the raw report docs in the same order as the labels
+    const bandRecords = realReports.slice().reverse();
     
     // Create new charts
     const tempCtx = document.getElementById('dailyTemperatureChart');
     const phCtx = document.getElementById('dailyPhChart');
+    const doCtx = document.getElementById('dailyDissolvedOxygenChart');
+    const ammoniaCtx = document.getElementById('dailyAmmoniaChart');
     
     if (tempCtx && typeof Chart !== 'undefined') {
         chartInstances.daily.temperature = new Chart(tempCtx, {
@@ -11000,7 +15276,7 @@ function renderDailyCharts(reports) {
                     data: temps,
                     borderColor: 'rgb(75, 192, 192)',
                     tension: 0.1
-                }]
+                }, ...buildSpreadBandDatasets('temperature', bandRecords, 'report')]
             },
             options: { responsive: true, maintainAspectRatio: true }
         });
@@ -11016,7 +15292,41 @@ function renderDailyCharts(reports) {
                     data: phs,
                     borderColor: 'rgb(255, 99, 132)',
                     tension: 0.1
-                }]
+                }, ...buildSpreadBandDatasets('ph', bandRecords, 'report')]
+            },
+            options: { responsive: true, maintainAspectRatio: true }
+        });
+    }
+    
+    if (doCtx && typeof Chart !== 'undefined') {
+        chartInstances.daily.dissolvedOxygen = new Chart(doCtx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: SensorCatalog.columnLabel('dissolvedOxygen', { prefix: '' }),
+                    data: dissolvedOxygenValues,
+                    borderColor: SensorCatalog.getSensor('dissolvedOxygen').chartColor,
+                    spanGaps: true,
+                    tension: 0.1
+                }, ...buildSpreadBandDatasets('dissolvedOxygen', bandRecords, 'report')]
+            },
+            options: { responsive: true, maintainAspectRatio: true }
+        });
+    }
+    
+    if (ammoniaCtx && typeof Chart !== 'undefined') {
+        chartInstances.daily.ammonia = new Chart(ammoniaCtx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: SensorCatalog.columnLabel('ammonia', { prefix: '' }),
+                    data: ammoniaValues,
+                    borderColor: SensorCatalog.getSensor('ammonia').chartColor,
+                    spanGaps: true,
+                    tension: 0.1
+                }, ...buildSpreadBandDatasets('ammonia', bandRecords, 'report')]
             },
             options: { responsive: true, maintainAspectRatio: true }
         });
@@ -11051,6 +15361,9 @@ function renderWeeklyCharts(reports) {
     destroyChart(chartInstances.weekly.temperature);
     destroyChart(chartInstances.weekly.ph);
     
+    // Min/max bands read the raw report docs in the same order as the labels
+    const bandRecords = realReports.slice().reverse();
+    
     const tempCtx = document.getElementById('weeklyTemperatureChart');
     const phCtx = document.getElementById('weeklyPhChart');
     
@@ -11064,7 +15377,7 @@ function renderWeeklyCharts(reports) {
                     data: temps,
                     borderColor: 'rgb(75, 192, 192)',
                     tension: 0.1
-                }]
+                }, ...buildSpreadBandDatasets('temperature', bandRecords, 'report')]
             },
             options: { responsive: true, maintainAspectRatio: true }
         });
@@ -11080,7 +15393,7 @@ function renderWeeklyCharts(reports) {
                     data: phs,
                     borderColor: 'rgb(255, 99, 132)',
                     tension: 0.1
-                }]
+                }, ...buildSpreadBandDatasets('ph', bandRecords, 'report')]
             },
             options: { responsive: true, maintainAspectRatio: true }
         });
@@ -11119,6 +15432,9 @@ function renderMonthlyCharts(reports) {
     destroyChart(chartInstances.monthly.temperature);
     destroyChart(chartInstances.monthly.ph);
     
+    // Min/max bands read the raw report docs in the same order as the labels
+    const bandRecords = realReports.slice().reverse();
+    
     const tempCtx = document.getElementById('monthlyTemperatureChart');
     const phCtx = document.getElementById('monthlyPhChart');
     
@@ -11132,7 +15448,7 @@ function renderMonthlyCharts(reports) {
                     data: temps,
                     borderColor: 'rgb(75, 192, 192)',
                     tension: 0.1
-                }]
+                }, ...buildSpreadBandDatasets('temperature', bandRecords, 'report')]
             },
             options: { responsive: true, maintainAspectRatio: true }
         });
@@ -11148,7 +15464,7 @@ function renderMonthlyCharts(reports) {
                     data: phs,
                     borderColor: 'rgb(255, 99, 132)',
                     tension: 0.1
-                }]
+                }, ...buildSpreadBandDatasets('ph', bandRecords, 'report')]
             },
             options: { responsive: true, maintainAspectRatio: true }
         });
@@ -11162,16 +15478,22 @@ function renderHourlyCharts(reports) {
     if (realReports.length === 0) {
         destroyChart(chartInstances.hourly.temperature);
         destroyChart(chartInstances.hourly.ph);
+        destroyChart(chartInstances.hourly.dissolvedOxygen);
+        destroyChart(chartInstances.hourly.ammonia);
         chartInstances.hourly.temperature = null;
         chartInstances.hourly.ph = null;
+        chartInstances.hourly.dissolvedOxygen = null;
+        chartInstances.hourly.ammonia = null;
         
         showChartEmptyState('hourlyTemperatureChart', 'No data yet');
         showChartEmptyState('hourlyPhChart', 'No data yet');
+        showChartEmptyState('hourlyDissolvedOxygenChart', 'No data yet');
+        showChartEmptyState('hourlyAmmoniaChart', 'No data yet');
         return;
     }
     
     document.querySelectorAll('.chart-empty-state').forEach(el => {
-        if (el.parentElement.querySelector('#hourlyTemperatureChart, #hourlyPhChart')) {
+        if (el.parentElement.querySelector('#hourlyTemperatureChart, #hourlyPhChart, #hourlyDissolvedOxygenChart, #hourlyAmmoniaChart')) {
             el.remove();
         }
     });
@@ -11186,12 +15508,22 @@ function renderHourlyCharts(reports) {
     const labels = sorted.map(r => r.hour || '00');
     const temps = sorted.map(r => r.temperatureAvg || 0);
     const phs = sorted.map(r => r.phAvg || 0);
+    // Missing DO/ammonia readings stay as gaps (older records predate these probes)
+    const dissolvedOxygenValues = sorted.map(r => r.dissolvedOxygenAvg ?? null);
+    const ammoniaValues = sorted.map(r => r.ammoniaAvg ?? null);
     
     destroyChart(chartInstances.hourly.temperature);
     destroyChart(chartInstances.hourly.ph);
+    destroyChart(chartInstances.hourly.dissolvedOxygen);
+    destroyChart(chartInstances.hourly.ammonia);
+    
+    // Min/max bands read the raw hour docs in the same order as the labels
+    const bandRecords = sorted;
     
     const tempCtx = document.getElementById('hourlyTemperatureChart');
     const phCtx = document.getElementById('hourlyPhChart');
+    const doCtx = document.getElementById('hourlyDissolvedOxygenChart');
+    const ammoniaCtx = document.getElementById('hourlyAmmoniaChart');
     
     if (tempCtx && typeof Chart !== 'undefined') {
         chartInstances.hourly.temperature = new Chart(tempCtx, {
@@ -11203,9 +15535,9 @@ function renderHourlyCharts(reports) {
                     data: temps,
                     borderColor: 'rgb(75, 192, 192)',
                     tension: 0.1
-                }]
+                }, ...buildSpreadBandDatasets('temperature', bandRecords, 'hourly')]
             },
-            options: { responsive: true, maintainAspectRatio: true }
+            options: { responsive: true, maintainAspectRatio: true, onClick: hourlyDrilldownHandler('temperature', bandRecords) }
         });
     }
     
@@ -11219,13 +15551,130 @@ function renderHourlyCharts(reports) {
                     data: phs,
                     borderColor: 'rgb(255, 99, 132)',
                     tension: 0.1
-                }]
+                }, ...buildSpreadBandDatasets('ph', bandRecords, 'hourly')]
+            },
+            options: { responsive: true, maintainAspectRatio: true, onClick: hourlyDrilldownHandler('ph', bandRecords) }
+        });
+    }
+    
+    if (doCtx && typeof Chart !== 'undefined') {
+        chartInstances.hourly.dissolvedOxygen = new Chart(doCtx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: SensorCatalog.columnLabel('dissolvedOxygen', { prefix: '' }),
+                    data: dissolvedOxygenValues,
+                    borderColor: SensorCatalog.getSensor('dissolvedOxygen').chartColor,
+                    spanGaps: true,
+                    tension: 0.1
+                }, ...buildSpreadBandDatasets('dissolvedOxygen', bandRecords, 'hourly')]
+            },
+            options: { responsive: true, maintainAspectRatio: true, onClick: hourlyDrilldownHandler('dissolvedOxygen', bandRecords) }
+        });
+    }
+    
+    if (ammoniaCtx && typeof Chart !== 'undefined') {
+        chartInstances.hourly.ammonia = new Chart(ammoniaCtx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: SensorCatalog.columnLabel('ammonia', { prefix: '' }),
+                    data: ammoniaValues,
+                    borderColor: SensorCatalog.getSensor('ammonia').chartColor,
+                    spanGaps: true,
+                    tension: 0.1
+                }, ...buildSpreadBandDatasets('ammonia', bandRecords, 'hourly')]
+            },
+            options: { responsive: true, maintainAspectRatio: true, onClick: hourlyDrilldownHandler('ammonia', bandRecords) }
+        });
+    }
+}
+
+// ============================================================
+// HOURLY DRILL-DOWN (RAW READINGS)
+// ============================================================
+
+// Chart onClick handler: open the raw readings for the clicked hour
+function hourlyDrilldownHandler(sensorId, hourRecords) {
+    return (event, elements) => {
+        if (!elements || elements.length === 0) return;
+        const record = hourRecords[elements[0].index];
+        if (record && record.hour !== undefined) {
+            openHourlyDrilldown(sensorId, record.hour);
+        }
+    };
+}
+
+// Plot every stored point of one sensor for one hour of the selected day
+async function openHourlyDrilldown(sensorId, hour) {
+    const panel = document.getElementById('hourlyDrilldown');
+    const titleEl = document.getElementById('hourlyDrilldownTitle');
+    const statusEl = document.getElementById('hourlyDrilldownStatus');
+    const canvas = document.getElementById('hourlyDrilldownChart');
+    if (!panel || !canvas) return;
+    
+    const uid = window.RUNTIME_CONTEXT?.runtimeUid || null;
+    const dateStr = selectedHourlyDate || formatDateString(getUserNow());
+    const hourStr = String(hour).padStart(2, '0');
+    const sensor = SensorCatalog.getSensor(sensorId);
+    
+    panel.classList.remove('hidden');
+    if (titleEl) titleEl.textContent = `${sensor ? sensor.label : sensorId} - ${dateStr} ${hourStr}:00-${hourStr}:59`;
+    if (statusEl) {
+        statusEl.textContent = 'Loading readings...';
+        statusEl.classList.remove('hidden');
+    }
+    destroyChart(chartInstances.hourlyDrilldown);
+    chartInstances.hourlyDrilldown = null;
+    
+    try {
+        const points = (await fetchRawReadings(uid, dateStr, hourStr))
+            .filter(point => SensorCatalog.toNumber(point[sensorId]) !== null);
+        
+        if (points.length === 0) {
+            if (statusEl) statusEl.textContent = 'No raw readings stored for this hour';
+            return;
+        }
+        
+        // Older days only keep 5-minute or hourly points after retention
+        const resolutions = [...new Set(points.map(point => point.resolution || 'raw'))];
+        if (statusEl) {
+            statusEl.textContent = resolutions.includes('raw')
+                ? `${points.length} readings`
+                : `${points.length} points (downsampled to ${resolutions.join(', ')})`;
+        }
+        
+        const labels = points.map(point => new Date(point.ts).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false }));
+        chartInstances.hourlyDrilldown = new Chart(canvas, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: SensorCatalog.columnLabel(sensorId, { prefix: '' }),
+                    data: points.map(point => SensorCatalog.toNumber(point[sensorId])),
+                    borderColor: sensor ? sensor.chartColor : 'rgb(75, 192, 192)',
+                    pointRadius: 2,
+                    tension: 0.1
+                }, ...buildSpreadBandDatasets(sensorId, points, 'hourly')]
             },
             options: { responsive: true, maintainAspectRatio: true }
         });
+    } catch (error) {
+        console.error('[DRILLDOWN] Error loading raw readings:', error);
+        if (statusEl) statusEl.textContent = 'Failed to load raw readings';
     }
 }
 
+// Close the drill-down panel
+window.closeHourlyDrilldown = function() {
+    destroyChart(chartInstances.hourlyDrilldown);
+    chartInstances.hourlyDrilldown = null;
+    const panel = document.getElementById('hourlyDrilldown');
+    if (panel) panel.classList.add('hidden');
+};
+
 // ============================================================
 // HARVEST REPORT STUB (CLEAN - NO LOGIC)
 // ============================================================
@@ -11311,7 +15760,7 @@ function updateChartPeriodSelector() {
     if (!rangeSelect) return;
     
     const range = rangeSelect.value;
-    const today = new Date();
+    const today = getUserNow();
     
     if (range === 'daily' || range === 'weekly') {
         // Show month selector for daily/weekly
@@ -11517,20 +15966,6 @@ function initializeWaterQualityChart() {
         window.runRollupsForCurrentContext = wrapFunction(original, 'runRollupsForCurrentContext', 'rollup execution');
     }
     
-    // Wrap startFeedingSchedule
-    if (typeof startFeedingSchedule === 'function') {
-        const original = startFeedingSchedule;
-        window.__original_startFeedingSchedule = original;
-        window.startFeedingSchedule = wrapFunction(original, 'startFeedingSchedule', 'feeding schedule start');
-    }
-    
-    // Wrap stopFeedingSchedule
-    if (typeof stopFeedingSchedule === 'function') {
-        const original = stopFeedingSchedule;
-        window.__original_stopFeedingSchedule = original;
-        window.stopFeedingSchedule = wrapFunction(original, 'stopFeedingSchedule', 'feeding schedule stop');
-    }
-    
     // Wrap toggleMotor (window function)
     if (typeof window.toggleMotor === 'function') {
         const original = window.toggleMotor;
@@ -11585,7 +16020,13 @@ export async function bootRuntimeCore({sourcePage = 'unknown'} = {}) {
             console.log('[CORE] Runtime context resolved:', window.RUNTIME_CONTEXT);
         } catch (contextError) {
             console.warn('[CORE] Runtime context resolution failed (non-critical):', contextError);
-            window.RUNTIME_CONTEXT = { deviceId: DEVICE_ID, runtimeUid: null, source: 'device' };
+            window.RUNTIME_CONTEXT = {
+                deviceId: DEVICE_ID,
+                primaryDeviceId: DEVICE_ID,
+                devices: [buildDeviceEntry(DEVICE_ID)],
+                runtimeUid: null,
+                source: 'device'
+            };
         }
         
         // Step 3: Start RTDB live listeners (works without auth)
@@ -11606,8 +16047,12 @@ export async function bootRuntimeCore({sourcePage = 'unknown'} = {}) {
             }, 2000);
         }
         
-        // Step 4: Start feeding schedule executor (motor RTDB writes are unconditional)
-        setupFeedingScheduleExecutionCore();
+        // Step 4: Watch the feeding status (api/cron/execute-feeding.js runs the schedules)
+        if (runtimeUid) {
+            setupFeedingScheduleExecutionCore();
+        } else {
+            setTimeout(setupFeedingScheduleExecutionCore, 2000);
+        }
         
         // Step 5: Start rollups safely (guard against duplicate intervals)
         if (typeof runRollupsForCurrentContext === 'function') {
@@ -0,0 +1,52 @@
+// this is device-registry.js
+// device-registry.js - Which of a user's devices is the primary one
+// Shared by the dashboard (device registry, runtime context) and api/ (ingestion worker, device API, feeding
+// executor), so the browser and the server always agree on the device that feeds users/{uid}/sensors,
+// hourlyRecords and the schedules without a deviceId.
+//
+// Devices: devices/{deviceId} (ownerUid mapping) merged with users/{uid}/devices/{deviceId}
+//   { name, type, enabled, isPrimary, ... } - disabled devices are left out before resolving.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        // Node (api/ worker, ingest endpoint and feeding executor)
+        module.exports = factory();
+    } else {
+        // Browser (dashboard.js imports this file)
+        root.AquaSenseDeviceRegistry = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // Device ID of the original ESP firmware: the fallback device when a user has none registered
+    const DEFAULT_DEVICE_ID = 'H5hY84Qz85TD9MBPb6UKy3mzLxZ2';
+
+    // Name shown for a device nobody named
+    function deviceDisplayName(device) {
+        return device.name || `Device ${String(device.id).slice(0, 6)}`;
+    }
+
+    // Stable order: default device first, then by display name (id breaks ties)
+    function compareDevices(a, b) {
+        if (a.id === DEFAULT_DEVICE_ID) return -1;
+        if (b.id === DEFAULT_DEVICE_ID) return 1;
+        return deviceDisplayName(a).localeCompare(deviceDisplayName(b)) || String(a.id).localeCompare(String(b.id));
+    }
+
+    // Primary device: explicit isPrimary flag, then the default device, then the first in compareDevices order
+    // -> device id, or null when there are no devices
+    function resolvePrimaryDeviceId(devices) {
+        const list = Array.isArray(devices) ? devices : [];
+        const flagged = list.find(device => device.isPrimary === true);
+        if (flagged) return flagged.id;
+        const sorted = list.slice().sort(compareDevices);
+        return sorted.length > 0 ? sorted[0].id : null;
+    }
+
+    return {
+        DEFAULT_DEVICE_ID,
+        deviceDisplayName,
+        compareDevices,
+        resolvePrimaryDeviceId
+    };
+});
@@ -0,0 +1,226 @@
+// this is feed-inventory.js
+// feed-inventory.js - Feed stock on hand, bag purchases and the stock-out forecast
+// Shared by the dashboard (Feed Inventory card) and api/ (feeding executor, low-stock notifications),
+// so the card forecasts the stock the executor keeps.
+//
+// Feed type: users/{uid}/feedTypes/{feedTypeId}
+//   { name, reorderKg, stockKg, dailyUsageKg: { "YYYY-MM-DD": kg }, lowStockSince, lowStockNotifiedAt,
+//     createdAt, updatedAt }
+//   stockKg goes up with every purchase and down with every completed feeding whose log names the feed type
+//   (schedules pick one: schedule.feedTypeId → feedingLogs feedTypeId). dailyUsageKg keeps the feed used on
+//   each of the last USAGE_DAYS days (user's timezone) - the forecast needs nothing else.
+//   lowStockSince (ms): when stockKg fell to reorderKg or below, null while above. lowStockNotifiedAt (ms):
+//   when that was announced - api/cron/execute-feeding.js does it when it books the feeding, the dashboard
+//   when the owner's purchase or stock count takes it there, api/notify/feed-stock.js for anything left over.
+// Purchase: users/{uid}/feedPurchases/{purchaseId}
+//   { feedTypeId, feedName, bags, bagKg, kg, cost, supplier, lot, purchasedOn (YYYY-MM-DD), createdBy, createdAt }
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        // Node (api/ feeding executor and notifications)
+        module.exports = factory(require('./timezone'), require('./feeding-schedules'));
+    } else {
+        // Browser: dashboard.js imports timezone.js and feeding-schedules.js first, then this file
+        root.AquaSenseFeedInventory = factory(root.AquaSenseTimezone, root.AquaSenseFeedingSchedules);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (timezone, feedingSchedules) {
+    'use strict';
+
+    const { addDays } = timezone;
+    const { isDateKey, daysBetween, formatDay, formatKg } = feedingSchedules;
+
+    // Consumption the forecast averages over (and dailyUsageKg keeps)
+    const USAGE_DAYS = 14;
+
+    const MAX_NAME_LENGTH = 60;
+    const MAX_TEXT_LENGTH = 80;
+    const MAX_BAGS = 10000;
+    const MAX_BAG_KG = 1000;
+    const MAX_REORDER_KG = 100000;
+
+    function toNumber(value) {
+        const num = typeof value === 'number' ? value : parseFloat(value);
+        return Number.isFinite(num) ? num : null;
+    }
+
+    function roundKg(kg) {
+        return Math.round(kg * 1000) / 1000;
+    }
+
+    function isBlank(value) {
+        return value === null || value === undefined || String(value).trim() === '';
+    }
+
+    function cleanText(value, maxLength) {
+        return isBlank(value) ? '' : String(value).trim().slice(0, maxLength);
+    }
+
+    // Form input -> { name, reorderKg }, throws with a message the form can show
+    function parseFeedType(input = {}) {
+        const name = cleanText(input.name, MAX_NAME_LENGTH);
+        if (!name) throw new Error('Enter the name of the feed');
+        const reorderKg = isBlank(input.reorderKg) ? 0 : toNumber(input.reorderKg);
+        if (reorderKg === null || reorderKg < 0 || reorderKg > MAX_REORDER_KG) {
+            throw new Error(`Enter a reorder level from 0 to ${MAX_REORDER_KG} kg`);
+        }
+        return { name: name, reorderKg: roundKg(reorderKg) };
+    }
+
+    // Form input -> { bags, bagKg, kg, cost, supplier, lot, purchasedOn }, throws with a message the form can show
+    function parsePurchase(input = {}) {
+        const bags = toNumber(input.bags);
+        if (bags === null || bags < 1 || bags > MAX_BAGS || Math.round(bags) !== bags) {
+            throw new Error(`Enter the number of bags (1 to ${MAX_BAGS})`);
+        }
+        const bagKg = toNumber(input.bagKg);
+        if (bagKg === null || bagKg <= 0 || bagKg > MAX_BAG_KG) {
+            throw new Error(`Enter the weight of one bag (up to ${MAX_BAG_KG} kg)`);
+        }
+        const cost = isBlank(input.cost) ? null : toNumber(input.cost);
+        if (!isBlank(input.cost) && (cost === null || cost < 0)) {
+            throw new Error('Enter the cost as an amount (or leave it empty)');
+        }
+        if (!isDateKey(input.purchasedOn)) {
+            throw new Error('Enter the purchase date');
+        }
+        return {
+            bags: bags,
+            bagKg: roundKg(bagKg),
+            kg: roundKg(bags * bagKg),
+            cost: cost === null ? null : Math.round(cost * 100) / 100,
+            supplier: cleanText(input.supplier, MAX_TEXT_LENGTH) || null,
+            lot: cleanText(input.lot, MAX_TEXT_LENGTH) || null,
+            purchasedOn: input.purchasedOn
+        };
+    }
+
+    // Low-stock marker after a stock change: set when stockKg reaches reorderKg, kept while it stays there,
+    // cleared (with its announcement) once the stock is above it again
+    function lowStockFields(feedType, stockKg, reorderKg, now) {
+        const low = reorderKg > 0 && stockKg <= reorderKg;
+        if (!low) {
+            return { lowStockSince: null, lowStockNotifiedAt: null };
+        }
+        return {
+            lowStockSince: feedType.lowStockSince || now,
+            lowStockNotifiedAt: feedType.lowStockSince ? feedType.lowStockNotifiedAt || null : null
+        };
+    }
+
+    // Take a feeding off the stock: shares are feedByHour() of the run ([{ date, kg }])
+    // -> { update, fellLow } - update is the feed type fields to write, fellLow = the stock just reached the reorder level
+    function applyFeeding(feedType, shares, todayKey, now) {
+        const usage = {};
+        const cutoff = addDays(todayKey, -(USAGE_DAYS - 1));
+        Object.entries(feedType.dailyUsageKg || {}).forEach(([day, kg]) => {
+            if (day >= cutoff) usage[day] = kg;
+        });
+
+        let kg = 0;
+        (shares || []).forEach(share => {
+            if (!(share.kg > 0)) return;
+            kg += share.kg;
+            if (share.date >= cutoff) {
+                usage[share.date] = roundKg((usage[share.date] || 0) + share.kg);
+            }
+        });
+
+        const stockKg = roundKg((toNumber(feedType.stockKg) || 0) - kg);
+        const low = lowStockFields(feedType, stockKg, toNumber(feedType.reorderKg) || 0, now);
+        return {
+            update: { stockKg: stockKg, dailyUsageKg: usage, ...low },
+            fellLow: !feedType.lowStockSince && low.lowStockSince !== null
+        };
+    }
+
+    // Add a purchase to the stock -> { update, fellLow } as applyFeeding()
+    function applyPurchase(feedType, kg, now) {
+        const stockKg = roundKg((toNumber(feedType.stockKg) || 0) + kg);
+        const low = lowStockFields(feedType, stockKg, toNumber(feedType.reorderKg) || 0, now);
+        return {
+            update: { stockKg: stockKg, ...low },
+            fellLow: !feedType.lowStockSince && low.lowStockSince !== null
+        };
+    }
+
+    // New reorder level (or a counted stock) -> { update, fellLow } as applyFeeding()
+    function applyStockSettings(feedType, reorderKg, stockKg, now) {
+        const stock = roundKg(stockKg);
+        const low = lowStockFields(feedType, stock, reorderKg, now);
+        return {
+            update: { reorderKg: reorderKg, stockKg: stock, ...low },
+            fellLow: !feedType.lowStockSince && low.lowStockSince !== null
+        };
+    }
+
+    // Average feed used per day over the last USAGE_DAYS days (from the first booked day if the feed is newer)
+    // -> kg per day, null when nothing was booked
+    function usagePerDay(feedType, todayKey) {
+        const cutoff = addDays(todayKey, -(USAGE_DAYS - 1));
+        const days = Object.keys(feedType.dailyUsageKg || {}).filter(day => day >= cutoff && day <= todayKey).sort();
+        const total = days.reduce((sum, day) => sum + (toNumber(feedType.dailyUsageKg[day]) || 0), 0);
+        if (days.length === 0 || !(total > 0)) return null;
+        return total / (daysBetween(days[0], todayKey) + 1);
+    }
+
+    // -> { stockKg, reorderKg, kgPerDay, daysLeft, stockOutDate, low }
+    //    daysLeft / stockOutDate are null without recent consumption
+    function forecast(feedType, todayKey) {
+        const stockKg = toNumber(feedType.stockKg) || 0;
+        const reorderKg = toNumber(feedType.reorderKg) || 0;
+        const kgPerDay = usagePerDay(feedType, todayKey);
+        const daysLeft = kgPerDay ? Math.max(stockKg, 0) / kgPerDay : null;
+        return {
+            stockKg: stockKg,
+            reorderKg: reorderKg,
+            kgPerDay: kgPerDay,
+            daysLeft: daysLeft,
+            stockOutDate: daysLeft !== null ? addDays(todayKey, Math.floor(daysLeft)) : null,
+            low: reorderKg > 0 && stockKg <= reorderKg
+        };
+    }
+
+    // "About 6 days left at 2.5 kg a day (runs out Sun 25 Oct)"
+    function describeForecast(result) {
+        if (result.stockKg <= 0) return 'Out of stock';
+        if (result.daysLeft === null) return `No feed used in the last ${USAGE_DAYS} days`;
+        const days = Math.floor(result.daysLeft);
+        const left = days < 1 ? 'Less than a day left' : `About ${days} day${days === 1 ? '' : 's'} left`;
+        return `${left} at ${formatKg(result.kgPerDay)} a day (runs out ${formatDay(result.stockOutDate, false)})`;
+    }
+
+    // Fixed per low-stock episode, so the dashboard and the cron announce it once
+    function lowStockNotificationId(uid, feedTypeId, lowStockSince) {
+        return `feed-stock_${uid}_${feedTypeId}_${lowStockSince}`;
+    }
+
+    function lowStockNotification(uid, feedTypeId, feedType, todayKey, now) {
+        const result = forecast(feedType, todayKey);
+        return {
+            targetUid: uid,
+            type: 'feed_low_stock',
+            severity: 'warning',
+            feedTypeId: feedTypeId,
+            title: `Low feed stock: ${feedType.name || 'Feed'}`,
+            message: `${formatKg(Math.max(result.stockKg, 0))} left, at or below the reorder level of ${formatKg(result.reorderKg)}. ` +
+                `${describeForecast(result)}.`,
+            link: { section: 'feeding', target: 'feedInventoryList', deviceId: null },
+            timestamp: now,
+            read: false
+        };
+    }
+
+    return {
+        USAGE_DAYS,
+        parseFeedType,
+        parsePurchase,
+        applyFeeding,
+        applyPurchase,
+        applyStockSettings,
+        usagePerDay,
+        forecast,
+        describeForecast,
+        lowStockNotificationId,
+        lowStockNotification
+    };
+});
@@ -0,0 +1,446 @@
+// this is feeding-schedules.js
+// feeding-schedules.js - Recurrence, feed quantity and guard conditions of feeding schedules
+// Shared by the dashboard (schedule form, list, next feeding) and api/ (feeding executor, execute-feeding.js),
+// so every place agrees on which days a schedule feeds, how long its motor runs and how much feed that was.
+//
+// Schedule: users/{uid}/schedules/{scheduleId}
+//   { time: "HH:mm", duration (minutes), targetKg, deviceId, isEnabled, recurrence }
+//   targetKg (optional): feed per feeding - the run time comes from the feeder's calibration when it runs;
+//   duration is the run time worked out when the schedule was saved (used if the calibration is removed).
+// Feeder calibration: users/{uid}/devices/{deviceId}/calibrations/feeder (next to the sensor profiles)
+//   { method: test-run | rate, gramsPerSecond, testSeconds, testGrams, calibratedBy, calibratedAt }
+// recurrence (missing = every day, as schedules made before recurrence existed):
+//   { type: daily | weekdays | interval | once, days: [0-6] (weekdays, 0 = Sunday), everyDays (interval),
+//     date (once), startDate, endDate }
+//   Dates are YYYY-MM-DD calendar keys in the zone the schedule runs in; startDate / endDate are inclusive
+//   and optional (an interval counts from startDate, so it needs one). A once schedule feeds on `date` only.
+// Days are compared as calendar keys, never as instants, so the same rule works in the browser and on a server.
+// guards (optional, at most MAX_GUARDS): water conditions checked against the latest readings when a feeding starts
+//   [{ metric (sensor id), comparator: gt | gte | lt | lte, threshold, action: skip | reduce, reducePercent (reduce) }]
+//   Any skip guard that holds skips the feeding; otherwise the largest reduction that holds shrinks it.
+//   A guard whose reading is missing (or older than GUARD_READING_MAX_AGE_MINUTES) does not hold.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        // Node (api/ feeding executor)
+        module.exports = factory(require('./timezone'), require('./sensor-catalog'));
+    } else {
+        // Browser: dashboard.js imports timezone.js and sensor-catalog.js first, then this file
+        root.AquaSenseFeedingSchedules = factory(root.AquaSenseTimezone, root.AquaSenseSensorCatalog);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (timezone, catalog) {
+    'use strict';
+
+    const { addDays } = timezone;
+    const { getSensor, toNumber, formatReading, unitSuffix } = catalog;
+
+    const RECURRENCE_TYPES = {
+        daily: { label: 'Every day' },
+        weekdays: { label: 'On days of the week' },
+        interval: { label: 'Every few days' },
+        once: { label: 'Once' }
+    };
+
+    const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    // Every 1 day is the daily rule; anything outside the range is treated as incomplete (never feeds)
+    const MIN_EVERY_DAYS = 2;
+    const MAX_EVERY_DAYS = 60;
+
+    // nextFeedingDay() looks this far ahead (a year covers every weekday / interval rule)
+    const LOOKAHEAD_DAYS = 370;
+
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+    // Calibration doc id in users/{uid}/devices/{deviceId}/calibrations
+    const FEEDER_CALIBRATION_ID = 'feeder';
+
+    const FEEDER_CALIBRATION_METHODS = {
+        'test-run': { label: 'Test run (weigh the feed)' },
+        rate: { label: 'Known rate (g/s)' }
+    };
+
+    // Feed per feeding (kg) and the run time it may take
+    const TARGET_KG_RANGE = { min: 0.01, max: 500 };
+    const MAX_RUN_SECONDS = 24 * 60 * 60;
+
+    // Schedules saved without a duration ran for 30 minutes
+    const DEFAULT_DURATION_MINUTES = 30;
+
+    const GUARD_COMPARATORS = {
+        gt: { symbol: '>', label: 'above' },
+        gte: { symbol: '≥', label: 'at or above' },
+        lt: { symbol: '<', label: 'below' },
+        lte: { symbol: '≤', label: 'at or below' }
+    };
+
+    const GUARD_ACTIONS = {
+        skip: { label: 'Skip the feeding' },
+        reduce: { label: 'Reduce the feeding' }
+    };
+
+    const MAX_GUARDS = 5;
+
+    // Readings older than this do not count for a guard (the probe or the device is down)
+    const GUARD_READING_MAX_AGE_MINUTES = 30;
+
+    function isDateKey(value) {
+        if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    // 0 = Sunday
+    function weekdayOf(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    }
+
+    function daysBetween(fromKey, toKey) {
+        const [y1, m1, d1] = fromKey.split('-').map(Number);
+        const [y2, m2, d2] = toKey.split('-').map(Number);
+        return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / (24 * 60 * 60 * 1000));
+    }
+
+    // "Mon 3 Nov 2026"
+    function formatDay(dateKey, withYear = true) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return `${WEEKDAYS[weekdayOf(dateKey)]} ${day} ${MONTHS[month - 1]}${withYear ? ` ${year}` : ''}`;
+    }
+
+    // Stored value -> complete recurrence (unknown / missing = every day)
+    function normalizeRecurrence(recurrence) {
+        const source = recurrence && typeof recurrence === 'object' ? recurrence : {};
+        const type = RECURRENCE_TYPES[source.type] ? source.type : 'daily';
+        const days = Array.isArray(source.days)
+            ? [...new Set(source.days.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort((a, b) => a - b)
+            : [];
+        const everyDays = parseInt(source.everyDays, 10);
+        return {
+            type: type,
+            days: type === 'weekdays' ? days : [],
+            everyDays: type === 'interval' && everyDays >= MIN_EVERY_DAYS && everyDays <= MAX_EVERY_DAYS ? everyDays : null,
+            date: type === 'once' && isDateKey(source.date) ? source.date : null,
+            startDate: type !== 'once' && isDateKey(source.startDate) ? source.startDate : null,
+            endDate: type !== 'once' && isDateKey(source.endDate) ? source.endDate : null
+        };
+    }
+
+    // -> problem text, or null when the recurrence can be saved
+    function validateRecurrence(recurrence, todayKey) {
+        const rule = normalizeRecurrence(recurrence);
+        if (recurrence && recurrence.type && !RECURRENCE_TYPES[recurrence.type]) return 'Unknown repeat option';
+        if (rule.type === 'weekdays' && rule.days.length === 0) return 'Pick at least one day of the week';
+        if (rule.type === 'interval') {
+            if (!rule.everyDays) {
+                return `Repeat every ${MIN_EVERY_DAYS} to ${MAX_EVERY_DAYS} days`;
+            }
+            if (!rule.startDate) return 'Pick the first feeding day (the interval counts from it)';
+        }
+        if (rule.type === 'once') {
+            if (!rule.date) return 'Pick the feeding date';
+            if (todayKey && rule.date < todayKey) return 'The feeding date is in the past';
+        }
+        if (rule.startDate && rule.endDate && rule.endDate < rule.startDate) return 'The end date is before the start date';
+        if (todayKey && rule.endDate && rule.endDate < todayKey) return 'The end date is in the past';
+        return null;
+    }
+
+    // Does the schedule feed on this calendar day?
+    function feedsOn(recurrence, dateKey) {
+        const rule = normalizeRecurrence(recurrence);
+        if (rule.type === 'once') return rule.date === dateKey;
+        if (rule.startDate && dateKey < rule.startDate) return false;
+        if (rule.endDate && dateKey > rule.endDate) return false;
+        if (rule.type === 'weekdays') return rule.days.includes(weekdayOf(dateKey));
+        if (rule.type === 'interval') {
+            // Saved before it was complete: never feeds rather than guessing a start
+            return Boolean(rule.everyDays && rule.startDate) && daysBetween(rule.startDate, dateKey) % rule.everyDays === 0;
+        }
+        return true;
+    }
+
+    // First feeding day on or after fromKey, or null when the schedule has ended
+    function nextFeedingDay(recurrence, fromKey) {
+        const rule = normalizeRecurrence(recurrence);
+        if (rule.type === 'once') return rule.date && rule.date >= fromKey ? rule.date : null;
+
+        let dateKey = rule.startDate && rule.startDate > fromKey ? rule.startDate : fromKey;
+        for (let day = 0; day < LOOKAHEAD_DAYS; day++) {
+            if (rule.endDate && dateKey > rule.endDate) return null;
+            if (feedsOn(rule, dateKey)) return dateKey;
+            dateKey = addDays(dateKey, 1);
+        }
+        return null;
+    }
+
+    // Will the schedule ever feed again (today included)?
+    function hasEnded(recurrence, todayKey) {
+        return nextFeedingDay(recurrence, todayKey) === null;
+    }
+
+    // "Every day", "Weekdays", "Mon, Wed, Fri until Sun 20 Dec 2026", "Every 3 days from Sun 1 Nov 2026", "Once on Sat 24 Oct 2026"
+    function describeRecurrence(recurrence) {
+        const rule = normalizeRecurrence(recurrence);
+        if (rule.type === 'once') return rule.date ? `Once on ${formatDay(rule.date)}` : 'Once';
+
+        let text;
+        if (rule.type === 'weekdays') {
+            const days = rule.days.join(',');
+            text = days === '1,2,3,4,5' ? 'Weekdays'
+                : days === '0,6' ? 'Weekends'
+                : days === '0,1,2,3,4,5,6' ? 'Every day'
+                : rule.days.map(day => WEEKDAYS[day]).join(', ');
+        } else if (rule.type === 'interval') {
+            text = `Every ${rule.everyDays} days`;
+        } else {
+            text = 'Every day';
+        }
+
+        if (rule.startDate) text += ` from ${formatDay(rule.startDate)}`;
+        if (rule.endDate) text += ` until ${formatDay(rule.endDate)}`;
+        return text;
+    }
+
+    // ============================================================
+    // FEED QUANTITY (MOTOR CALIBRATION)
+    // ============================================================
+
+    function toPositiveNumber(value) {
+        const num = typeof value === 'number' ? value : parseFloat(value);
+        return Number.isFinite(num) && num > 0 ? num : null;
+    }
+
+    // Calibration doc -> grams per second of motor run (null = not calibrated)
+    function gramsPerSecondOf(calibration) {
+        return calibration ? toPositiveNumber(calibration.gramsPerSecond) : null;
+    }
+
+    // test-run: { seconds, grams } weighed after running the motor; rate: { gramsPerSecond }
+    // -> grams per second, throws with a message the form can show
+    function fitFeederCalibration(method, input = {}) {
+        if (!FEEDER_CALIBRATION_METHODS[method]) {
+            throw new Error('Unknown calibration method');
+        }
+        if (method === 'rate') {
+            const rate = toPositiveNumber(input.gramsPerSecond);
+            if (!rate) throw new Error('Enter the feeder rate in grams per second');
+            return rate;
+        }
+        const seconds = toPositiveNumber(input.seconds);
+        const grams = toPositiveNumber(input.grams);
+        if (!seconds) throw new Error('Enter how many seconds the motor ran');
+        if (!grams) throw new Error('Enter how many grams of feed came out');
+        return grams / seconds;
+    }
+
+    function validateTargetKg(value) {
+        const kg = toPositiveNumber(value);
+        if (!kg || kg < TARGET_KG_RANGE.min || kg > TARGET_KG_RANGE.max) {
+            return `Enter a feed amount from ${TARGET_KG_RANGE.min} to ${TARGET_KG_RANGE.max} kg`;
+        }
+        return null;
+    }
+
+    // Motor run time for a feed amount (null without a calibration)
+    function runSecondsForKg(kg, gramsPerSecond) {
+        const amount = toPositiveNumber(kg);
+        const rate = toPositiveNumber(gramsPerSecond);
+        if (!amount || !rate) return null;
+        return Math.min(Math.max(Math.round(amount * 1000 / rate), 1), MAX_RUN_SECONDS);
+    }
+
+    // Seconds the schedule runs the motor: targetKg through the calibration, else the saved duration
+    function runSeconds(schedule, gramsPerSecond) {
+        const fromKg = schedule ? runSecondsForKg(schedule.targetKg, gramsPerSecond) : null;
+        if (fromKg) return fromKg;
+        const minutes = schedule ? toPositiveNumber(schedule.duration) : null;
+        return Math.round((minutes || DEFAULT_DURATION_MINUTES) * 60);
+    }
+
+    // Feed dispensed by a run, in kg (3 decimals; null without a calibration)
+    function dispensedKg(seconds, gramsPerSecond) {
+        const rate = toPositiveNumber(gramsPerSecond);
+        if (!rate || !(seconds >= 0)) return null;
+        return Math.round(seconds * rate) / 1000;
+    }
+
+    // Split a run over the hours it touched, in proportion to the time in each:
+    // -> [{ date, hour, kg }] in the zone hourlyRecords are keyed in
+    function feedByHour(startMs, endMs, kg, timeZone) {
+        if (!(kg > 0) || !(endMs > startMs)) {
+            const bucket = timezone.bucketFor(endMs || startMs, timeZone);
+            return kg > 0 ? [{ date: bucket.date, hour: bucket.hour, kg: kg }] : [];
+        }
+        const shares = [];
+        let from = startMs;
+        while (from < endMs) {
+            const bucket = timezone.bucketFor(from, timeZone);
+            const hourEnd = timezone.zonedTimeToUtc(bucket.date, parseInt(bucket.hour, 10) + 1, timeZone);
+            const to = Math.min(hourEnd > from ? hourEnd : from + 60 * 60 * 1000, endMs);
+            shares.push({ date: bucket.date, hour: bucket.hour, ms: to - from });
+            from = to;
+        }
+        // Rounded shares, the remainder on the last hour so they add up to kg exactly
+        let assigned = 0;
+        return shares.map((share, index) => {
+            const portion = index === shares.length - 1
+                ? Math.round((kg - assigned) * 1000) / 1000
+                : Math.round(kg * share.ms / (endMs - startMs) * 1000) / 1000;
+            assigned += portion;
+            return { date: share.date, hour: share.hour, kg: portion };
+        });
+    }
+
+    // ============================================================
+
+    function compare(comparator, value, threshold) {
+        switch (comparator) {
+            case 'gt': return value > threshold;
+            case 'gte': return value >= threshold;
+            case 'lt': return value < threshold;
+            case 'lte': return value <= threshold;
+            default: return false;
+        }
+    }
+
+    // Form rows -> guards to store ([] = feed whatever the water), invalid entries dropped (validateGuards first)
+    function normalizeGuards(guards) {
+        return (Array.isArray(guards) ? guards : []).map(guard => {
+            const source = guard || {};
+            const action = GUARD_ACTIONS[source.action] ? source.action : 'skip';
+            return {
+                metric: source.metric,
+                comparator: source.comparator,
+                threshold: toNumber(source.threshold),
+                action: action,
+                reducePercent: action === 'reduce' ? Math.round(toNumber(source.reducePercent)) : null
+            };
+        }).filter(guard => getSensor(guard.metric) && GUARD_COMPARATORS[guard.comparator] && guard.threshold !== null &&
+            (guard.action === 'skip' || (guard.reducePercent >= 1 && guard.reducePercent <= 99))).slice(0, MAX_GUARDS);
+    }
+
+    // -> message the form can show, or null
+    function validateGuards(guards) {
+        const list = Array.isArray(guards) ? guards : [];
+        if (list.length > MAX_GUARDS) return `Add at most ${MAX_GUARDS} conditions`;
+        for (const guard of list) {
+            if (!getSensor(guard.metric)) return 'Choose the reading each condition checks';
+            if (!GUARD_COMPARATORS[guard.comparator]) return 'Choose a comparison for each condition';
+            if (toNumber(guard.threshold) === null) return `Enter the ${getSensor(guard.metric).label} limit`;
+            if (guard.action === 'reduce') {
+                const percent = toNumber(guard.reducePercent);
+                if (percent === null || percent < 1 || percent > 99) return 'Reduce by 1 to 99%';
+            } else if (guard.action !== 'skip') {
+                return 'Choose what a condition does';
+            }
+        }
+        return null;
+    }
+
+    // "skip if Temperature > 32°C", "reduce by 50% if pH < 6.5"
+    function describeGuard(guard) {
+        const sensor = getSensor(guard.metric);
+        const condition = `${sensor ? sensor.label : guard.metric} ${GUARD_COMPARATORS[guard.comparator].symbol} ${guard.threshold}${unitSuffix(guard.metric)}`;
+        return guard.action === 'reduce' ? `reduce by ${guard.reducePercent}% if ${condition}` : `skip if ${condition}`;
+    }
+
+    // Check a schedule's guards against the latest readings ({ <sensor id>: value, null = none recent })
+    // -> { action: feed | skip | reduce, factor (share of the feeding left), reducePercent, reason, triggered, readings }
+    //    reason: "Temperature 33.1°C > 32°C" (every guard that holds, "; "-joined), readings: the guarded ones
+    function checkGuards(guards, readings) {
+        const list = normalizeGuards(guards);
+        const checked = {};
+        const triggered = [];
+        list.forEach(guard => {
+            const value = toNumber(readings ? readings[guard.metric] : null);
+            checked[guard.metric] = value;
+            if (value !== null && compare(guard.comparator, value, guard.threshold)) {
+                triggered.push({ ...guard, value: value });
+            }
+        });
+
+        const skips = triggered.filter(guard => guard.action === 'skip');
+        const applied = skips.length > 0 ? skips : triggered;
+        const reducePercent = skips.length > 0 || triggered.length === 0 ? null : Math.max(...triggered.map(guard => guard.reducePercent));
+        const reason = applied.map(guard => {
+            const sensor = getSensor(guard.metric);
+            return `${sensor.label} ${formatReading(guard.metric, guard.value, { withUnit: true })} ` +
+                `${GUARD_COMPARATORS[guard.comparator].symbol} ${guard.threshold}${unitSuffix(guard.metric)}`;
+        }).join('; ');
+        return {
+            action: skips.length > 0 ? 'skip' : (triggered.length > 0 ? 'reduce' : 'feed'),
+            factor: skips.length > 0 ? 0 : (reducePercent ? (100 - reducePercent) / 100 : 1),
+            reducePercent: reducePercent,
+            reason: reason || null,
+            triggered: applied,
+            readings: checked
+        };
+    }
+
+    // "45 s", "4 min 10 s", "1 h 5 min"
+    function formatRunTime(seconds) {
+        const total = Math.max(Math.round(seconds || 0), 0);
+        if (total < 60) return `${total} s`;
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const rest = total % 60;
+        if (hours > 0) return minutes ? `${hours} h ${minutes} min` : `${hours} h`;
+        return rest ? `${minutes} min ${rest} s` : `${minutes} min`;
+    }
+
+    function formatKg(kg) {
+        return `${Number(kg).toFixed(kg >= 10 ? 1 : 2).replace(/\.?0+$/, '')} kg`;
+    }
+
+    // "2.5 kg (4 min 10 s)", "2.5 kg (not calibrated, 30 min)", "30 min"
+    function describeAmount(schedule, gramsPerSecond) {
+        const seconds = runSeconds(schedule, gramsPerSecond);
+        if (schedule && toPositiveNumber(schedule.targetKg)) {
+            const calibrated = runSecondsForKg(schedule.targetKg, gramsPerSecond) !== null;
+            return `${formatKg(schedule.targetKg)} (${calibrated ? '' : 'not calibrated, '}${formatRunTime(seconds)})`;
+        }
+        return formatRunTime(seconds);
+    }
+
+    return {
+        RECURRENCE_TYPES,
+        WEEKDAYS,
+        MIN_EVERY_DAYS,
+        MAX_EVERY_DAYS,
+        FEEDER_CALIBRATION_ID,
+        FEEDER_CALIBRATION_METHODS,
+        TARGET_KG_RANGE,
+        DEFAULT_DURATION_MINUTES,
+        GUARD_COMPARATORS,
+        GUARD_ACTIONS,
+        MAX_GUARDS,
+        GUARD_READING_MAX_AGE_MINUTES,
+        isDateKey,
+        weekdayOf,
+        daysBetween,
+        formatDay,
+        normalizeRecurrence,
+        validateRecurrence,
+        feedsOn,
+        nextFeedingDay,
+        hasEnded,
+        describeRecurrence,
+        gramsPerSecondOf,
+        fitFeederCalibration,
+        validateTargetKg,
+        runSecondsForKg,
+        runSeconds,
+        dispensedKg,
+        feedByHour,
+        normalizeGuards,
+        validateGuards,
+        describeGuard,
+        checkGuards,
+        formatRunTime,
+        formatKg,
+        describeAmount
+    };
+});
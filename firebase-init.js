@@ -6,7 +6,7 @@
 
 import { initializeApp } from 'https://www.gstatic.com/firebasejs/10.12.3/firebase-app.js';
 import { getAnalytics } from 'https://www.gstatic.com/firebasejs/10.12.3/firebase-analytics.js';
-import { getFirestore, doc, getDoc, setDoc, collection, getDocs, updateDoc, deleteDoc, query, where, orderBy, addDoc, serverTimestamp, limit, onSnapshot, runTransaction, increment } from 'https://www.gstatic.com/firebasejs/10.12.3/firebase-firestore.js';
+import { getFirestore, doc, getDoc, setDoc, collection, getDocs, updateDoc, deleteDoc, query, where, orderBy, addDoc, serverTimestamp, limit, onSnapshot, runTransaction, increment, startAfter, writeBatch, collectionGroup } from 'https://www.gstatic.com/firebasejs/10.12.3/firebase-firestore.js';
 import { getDatabase } from 'https://www.gstatic.com/firebasejs/10.12.3/firebase-database.js';
 import { getAuth, createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut, onAuthStateChanged, sendPasswordResetEmail, GoogleAuthProvider, signInWithPopup, setPersistence, browserLocalPersistence, browserSessionPersistence } from 'https://www.gstatic.com/firebasejs/10.12.3/firebase-auth.js';
 
@@ -55,7 +55,7 @@ try {
 export { app, db, rtdb, auth, analytics };
 
 // Re-export Firestore and Auth helpers for convenience
-export { doc, getDoc, setDoc, collection, getDocs, updateDoc, deleteDoc, query, where, orderBy, addDoc, serverTimestamp, limit, onSnapshot, runTransaction, increment };
+export { doc, getDoc, setDoc, collection, getDocs, updateDoc, deleteDoc, query, where, orderBy, addDoc, serverTimestamp, limit, onSnapshot, runTransaction, increment, startAfter, writeBatch, collectionGroup };
 export { createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut, onAuthStateChanged, sendPasswordResetEmail, GoogleAuthProvider, signInWithPopup, setPersistence, browserLocalPersistence, browserSessionPersistence };
 
 // Re-export Realtime Database helpers
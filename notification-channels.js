@@ -0,0 +1,230 @@
+// this is notification-channels.js
+// notification-channels.js - Outbound notification channels (email, SMS, webhook, browser push)
+// Shared by the dashboard (Notification Channels card) and api/notify/ (dispatcher, contact verification),
+// so both agree on which notification goes out on which channel.
+//
+// Preferences: users/{uid}/notificationChannels/{channel}
+//   { address, verified, verifiedAt, enabled, types: [notification type], minSeverity, secret (webhook) }
+//   address / verified / secret are written by api/notify/contacts.js only (push: api/notify/push.js, address =
+//   "N browsers", one users/{uid}/pushSubscriptions doc per subscribed browser); the dashboard toggles the rest
+//   types empty = every type except the opt-in ones (feeding start / stop)
+// A notification goes out on a channel when the channel is enabled and verified, the notification's type
+// is selected and (for notifications that carry a severity) the severity is at least minSeverity.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        // Node (api/notify/)
+        module.exports = factory();
+    } else {
+        // Browser: imported by dashboard.js
+        root.AquaSenseNotificationChannels = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    const CHANNELS = {
+        email: { label: 'Email', addressLabel: 'Email address', placeholder: 'name@example.com' },
+        sms: { label: 'SMS', addressLabel: 'Mobile number', placeholder: '+639171234567' },
+        webhook: { label: 'Webhook', addressLabel: 'HTTPS URL', placeholder: 'https://example.com/aquasense' },
+        // Subscribed from the browser itself - no address to type in or verify
+        push: { label: 'Browser push', addressLabel: 'Subscribed browsers', placeholder: '', managed: true }
+    };
+
+    // Notification types a channel can subscribe to ('general' = everything without a known type)
+    const NOTIFICATION_TYPES = {
+        water_quality_alert: { label: 'Water quality alerts' },
+        alert_escalation: { label: 'Unacknowledged alert escalations' },
+        device_offline: { label: 'Device offline' },
+        device_online: { label: 'Device back online' },
+        report_ready: { label: 'Weekly report ready' },
+        feed_low_stock: { label: 'Low feed stock' },
+        // Several a day: only sent on channels that select it
+        feeding: { label: 'Feeding started / stopped', optIn: true },
+        general: { label: 'Other notifications' }
+    };
+
+    const SEVERITY_ORDER = ['info', 'warning', 'critical'];
+
+    // Verification codes: digits, lifetime, wrong guesses allowed
+    const CODE_LENGTH = 6;
+    const CODE_TTL_MINUTES = 15;
+    const MAX_CODE_ATTEMPTS = 5;
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    // E.164: + and up to 15 digits
+    const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+    // IP literals of loopback, private, link-local, CGNAT, multicast and reserved ranges (IPv4 and IPv6,
+    // v4-mapped included) - a webhook or push endpoint there would make the server call into its own network
+    function isPrivateAddress(ip) {
+        const text = String(ip || '').toLowerCase().replace(/^\[|\]$/g, '');
+        const mapped = text.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        const v4 = (mapped ? mapped[1] : text).match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+        if (v4) {
+            const [a, b] = [Number(v4[1]), Number(v4[2])];
+            return a === 0 || a === 10 || a === 127 || a >= 224 ||
+                (a === 100 && b >= 64 && b <= 127) ||
+                (a === 169 && b === 254) ||
+                (a === 172 && b >= 16 && b <= 31) ||
+                (a === 192 && b === 168) ||
+                (a === 198 && (b === 18 || b === 19));
+        }
+        if (text.includes(':')) {
+            return text === '::' || text === '::1' || /^f[cd]/.test(text) || /^fe[89ab]/.test(text) || /^ff/.test(text) ||
+                text.startsWith('::ffff:');
+        }
+        return false;
+    }
+
+    function isLoopbackHost(hostname) {
+        const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+        return host === 'localhost' || host.endsWith('.localhost') || host === '::1' || /^127\./.test(host);
+    }
+
+    // -> problem text, or null when the URL may be called by the server
+    //    https only, no private or loopback hosts; allowLoopback (development only) lets http://localhost through
+    function validatePublicUrl(value, options = {}) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            return 'Enter a valid URL';
+        }
+        if (options.allowLoopback && isLoopbackHost(url.hostname)) {
+            return ['http:', 'https:'].includes(url.protocol) ? null : 'Enter a valid URL';
+        }
+        if (url.protocol !== 'https:') {
+            return 'The URL must use https';
+        }
+        if (isLoopbackHost(url.hostname) || isPrivateAddress(url.hostname) || !url.hostname.includes('.') && !url.hostname.includes(':')) {
+            return 'The URL must point to a public host, not a local or private network';
+        }
+        return null;
+    }
+
+    // Trim and canonicalise an address ("0917 123 4567" style numbers are not guessed - E.164 only)
+    function normalizeAddress(channel, address) {
+        const text = String(address === null || address === undefined ? '' : address).trim();
+        if (channel === 'email') return text.toLowerCase();
+        if (channel === 'sms') return text.replace(/[\s()-]/g, '');
+        return text;
+    }
+
+    // -> problem text, or null when the address is usable
+    //    options.allowLoopback: webhooks on localhost (api/ only with NOTIFY_ALLOW_LOOPBACK=true, for development)
+    function validateAddress(channel, address, options = {}) {
+        if (!CHANNELS[channel]) return 'Unknown channel';
+        const normalized = normalizeAddress(channel, address);
+        if (normalized === '') return `${CHANNELS[channel].addressLabel} is required`;
+        if (channel === 'email' && !EMAIL_PATTERN.test(normalized)) return 'Enter a valid email address';
+        if (channel === 'sms' && !PHONE_PATTERN.test(normalized)) return 'Enter the number in international format (+63...)';
+        if (channel === 'webhook') {
+            const problem = validatePublicUrl(normalized, options);
+            if (problem) return `Webhook: ${problem.charAt(0).toLowerCase()}${problem.slice(1)}`;
+        }
+        return null;
+    }
+
+    // "j***@example.com", "+63*****4567", "https://example.com/…"
+    function maskAddress(channel, address) {
+        const text = String(address || '');
+        if (channel === 'email') {
+            const at = text.indexOf('@');
+            return at > 0 ? `${text.charAt(0)}***${text.slice(at)}` : text;
+        }
+        if (channel === 'sms') {
+            return text.length > 7 ? `${text.slice(0, 3)}${'*'.repeat(text.length - 7)}${text.slice(-4)}` : text;
+        }
+        try {
+            const url = new URL(text);
+            return `${url.protocol}//${url.host}/…`;
+        } catch (error) {
+            return text;
+        }
+    }
+
+    // Type key a notification is filed under
+    function notificationType(notification) {
+        const type = notification && notification.type;
+        return type && NOTIFICATION_TYPES[type] ? type : 'general';
+    }
+
+    // Should this notification go out on this channel?
+    function wantsNotification(preferences, notification) {
+        if (!preferences || !preferences.enabled || !preferences.verified || !preferences.address) return false;
+
+        const types = Array.isArray(preferences.types) ? preferences.types : [];
+        const type = notificationType(notification);
+        if (types.length > 0 ? !types.includes(type) : NOTIFICATION_TYPES[type].optIn) return false;
+
+        const minimum = SEVERITY_ORDER.indexOf(preferences.minSeverity);
+        const severity = SEVERITY_ORDER.indexOf(notification.severity);
+        return minimum <= 0 || severity === -1 || severity >= minimum;
+    }
+
+    // Text of a notification on a channel -> { subject, text }
+    function formatMessage(channel, notification) {
+        const title = notification.title || 'AquaSense notification';
+        const message = notification.message || '';
+        if (channel === 'sms') {
+            const text = `AquaSense: ${title}${message ? ` - ${message}` : ''}`;
+            // Two SMS segments at most
+            return { subject: title, text: text.length > 306 ? `${text.slice(0, 305)}…` : text };
+        }
+        return { subject: `[AquaSense] ${title}`, text: message };
+    }
+
+    // Page a notification opens: the dashboard opens ?notification=<id> like a click in the bell menu
+    function notificationUrl(notification, notificationId) {
+        const page = notification && notification.link && notification.link.section === 'system'
+            ? 'admin-dashboard.html'
+            : 'user-dashboard.html';
+        return notificationId ? `${page}?notification=${encodeURIComponent(notificationId)}` : page;
+    }
+
+    // JSON a push message carries (read by sw.js)
+    function pushPayload(notification, notificationId) {
+        const title = notification.title || 'AquaSense notification';
+        const body = notification.message || '';
+        return {
+            title: title,
+            // Push services take about 4 KB; the full text is in the dashboard
+            body: body.length > 500 ? `${body.slice(0, 499)}…` : body,
+            type: notificationType(notification),
+            severity: notification.severity || null,
+            notificationId: notificationId || null,
+            // Same tag = the newer message replaces the older one on the phone
+            tag: notification.alertId ? `alert-${notification.alertId}` : (notificationId || `aquasense-${Date.now()}`),
+            url: notificationUrl(notification, notificationId),
+            timestamp: notification.timestamp || Date.now()
+        };
+    }
+
+    function verificationMessage(code) {
+        return {
+            title: 'Verification code',
+            message: `Your AquaSense verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`
+        };
+    }
+
+    return {
+        CHANNELS,
+        NOTIFICATION_TYPES,
+        SEVERITY_ORDER,
+        CODE_LENGTH,
+        CODE_TTL_MINUTES,
+        MAX_CODE_ATTEMPTS,
+        isPrivateAddress,
+        isLoopbackHost,
+        validatePublicUrl,
+        normalizeAddress,
+        validateAddress,
+        maskAddress,
+        notificationType,
+        wantsNotification,
+        formatMessage,
+        notificationUrl,
+        pushPayload,
+        verificationMessage
+    };
+});
@@ -0,0 +1,651 @@
+// this is sensor-catalog.js
+// sensor-catalog.js - Single source of truth for water quality sensors
+// Shared by the browser dashboard (imported as a module), the cron jobs and the export endpoints (require)
+//
+// Adding a probe: append an entry to SENSORS below. Ingestion, hourly/daily/weekly/monthly aggregation,
+// sensor cards and report exports pick it up from here.
+//
+// Field naming per sensor (derived from fieldPrefix / reportField):
+//   users/{uid}/sensors/{id}                       -> { value, unit, timestamp }
+//   hourlyRecords/.../hours/{HH}                   -> {fieldPrefix}Sum, {fieldPrefix}Count, {fieldPrefix}Avg,
+//                                                     {fieldPrefix}Min, {fieldPrefix}Max, {fieldPrefix}M2, {fieldPrefix}Std
+//   dailyReports / weeklyReports / monthlyReports  -> {reportField} (web + cron generators)
+//                                                     min{Name}, max{Name}, std{Name}, samples{Name} (reportStatsFields)
+//                                                     {fieldPrefix}Avg (derived rollups)
+//
+// Calibration profiles (users/{uid}/devices/{deviceId}/calibrations/{id}) are applied at ingestion:
+// stored figures are corrected values, the uncorrected reading is kept next to them
+//   users/{uid}/sensors/{id}                       -> rawValue
+//   hourlyRecords/.../hours/{HH}                   -> {fieldPrefix}RawSum, {fieldPrefix}RawAvg
+//   rawReadings/.../points/{pointId}               -> {id}Raw
+
+(function (root, factory) {
+    const catalog = factory();
+    if (typeof module === 'object' && module.exports) {
+        // Node (api/ cron jobs and export endpoints)
+        module.exports = catalog;
+    } else {
+        // Browser: dashboard.js imports this file for its side effect
+        root.AquaSenseSensorCatalog = catalog;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // ranges are inclusive: { min, max }
+    //   validRange      physical limits of the probe - anything outside is a bad reading (rejected at ingestion)
+    //   optimalRange    "Optimal" status on the dashboard
+    //   acceptableRange "Normal" status, and the band used for the Good/Fair/Poor water quality grade
+    // validation (see READING VALIDATION)
+    //   maxRatePerMinute    largest believable change per minute since the last accepted reading
+    //   hampelMinDeviation  floor for the Hampel scale, so a perfectly steady signal doesn't reject noise
+    const SENSORS = [
+        {
+            id: 'temperature',
+            label: 'Temperature',
+            shortLabel: 'Temp',
+            unit: '°C',
+            decimals: 1,
+            rtdbKeys: ['temperature'],
+            fieldPrefix: 'temperature',
+            reportField: 'avgTemperature',
+            validRange: { min: 0, max: 50 },
+            optimalRange: { min: 24, max: 28 },
+            acceptableRange: { min: 24, max: 30 },
+            // reference thermometer readings are entered by hand
+            calibrationBuffers: [],
+            validation: { maxRatePerMinute: 0.5, hampelMinDeviation: 0.2 },
+            affectsWaterQuality: true,
+            chartColor: 'rgb(75, 192, 192)'
+        },
+        {
+            id: 'ph',
+            label: 'pH',
+            shortLabel: 'pH',
+            unit: '',
+            decimals: 2,
+            rtdbKeys: ['ph'],
+            fieldPrefix: 'ph',
+            reportField: 'avgPh',
+            // a disconnected probe reads 0.00
+            validRange: { min: 1, max: 14 },
+            optimalRange: { min: 7.0, max: 7.5 },
+            acceptableRange: { min: 6.5, max: 8.5 },
+            // standard buffer solutions (low / neutral / high)
+            calibrationBuffers: [4.0, 7.0, 10.0],
+            validation: { maxRatePerMinute: 0.2, hampelMinDeviation: 0.05 },
+            affectsWaterQuality: true,
+            chartColor: 'rgb(255, 99, 132)'
+        },
+        {
+            id: 'dissolvedOxygen',
+            label: 'Dissolved Oxygen',
+            shortLabel: 'DO',
+            unit: 'mg/L',
+            decimals: 2,
+            // firmware publishes "do", newer builds use "dissolvedOxygen"
+            rtdbKeys: ['dissolvedOxygen', 'do'],
+            fieldPrefix: 'dissolvedOxygen',
+            reportField: 'avgDissolvedOxygen',
+            validRange: { min: 0, max: 20 },
+            optimalRange: { min: 5, max: 9 },
+            acceptableRange: { min: 4, max: 12 },
+            // zero-oxygen solution and air-saturated water at 25°C
+            calibrationBuffers: [0, 8.26],
+            validation: { maxRatePerMinute: 1.0, hampelMinDeviation: 0.2 },
+            affectsWaterQuality: false,
+            chartColor: 'rgb(54, 162, 235)'
+        },
+        {
+            id: 'ammonia',
+            label: 'Ammonia',
+            shortLabel: 'Ammonia',
+            unit: 'mg/L',
+            decimals: 2,
+            // total ammonia nitrogen; some builds publish "nh3"
+            rtdbKeys: ['ammonia', 'nh3'],
+            fieldPrefix: 'ammonia',
+            reportField: 'avgAmmonia',
+            validRange: { min: 0, max: 10 },
+            optimalRange: { min: 0, max: 0.5 },
+            acceptableRange: { min: 0, max: 1 },
+            // blank and 1 mg/L standard
+            calibrationBuffers: [0, 1.0],
+            validation: { maxRatePerMinute: 0.2, hampelMinDeviation: 0.05 },
+            affectsWaterQuality: false,
+            chartColor: 'rgb(255, 159, 64)'
+        }
+    ];
+
+    SENSORS.forEach(sensor => {
+        Object.freeze(sensor.rtdbKeys);
+        Object.freeze(sensor.validRange);
+        Object.freeze(sensor.optimalRange);
+        Object.freeze(sensor.acceptableRange);
+        Object.freeze(sensor.calibrationBuffers);
+        Object.freeze(sensor.validation);
+        Object.freeze(sensor);
+    });
+    Object.freeze(SENSORS);
+
+    const SENSOR_IDS = Object.freeze(SENSORS.map(sensor => sensor.id));
+
+    // Look up a sensor definition by id (null when unknown)
+    function getSensor(sensorId) {
+        return SENSORS.find(sensor => sensor.id === sensorId) || null;
+    }
+
+    // Coerce a stored/transmitted value to a finite number (null otherwise)
+    function toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const num = typeof value === 'number' ? value : parseFloat(value);
+        return Number.isFinite(num) ? num : null;
+    }
+
+    function isWithin(range, value) {
+        return !!range && value >= range.min && value <= range.max;
+    }
+
+    // True when the value is a number inside the probe's physical range
+    function isValidReading(sensorId, value) {
+        const sensor = getSensor(sensorId);
+        const num = toNumber(value);
+        if (!sensor || num === null) return false;
+        return isWithin(sensor.validRange, num);
+    }
+
+    // Classify a reading: 'optimal' | 'normal' | 'warning' | 'invalid' | 'unknown'
+    function classifyReading(sensorId, value) {
+        const sensor = getSensor(sensorId);
+        const num = toNumber(value);
+        if (!sensor || num === null) return 'unknown';
+        if (!isWithin(sensor.validRange, num)) return 'invalid';
+        if (isWithin(sensor.optimalRange, num)) return 'optimal';
+        if (isWithin(sensor.acceptableRange, num)) return 'normal';
+        return 'warning';
+    }
+
+    // True when the value sits in the acceptable band (used for water quality grading)
+    function isAcceptable(sensorId, value) {
+        const sensor = getSensor(sensorId);
+        const num = toNumber(value);
+        if (!sensor || num === null) return false;
+        return isWithin(sensor.acceptableRange, num);
+    }
+
+    // Format a reading with the sensor's precision, e.g. "27.4" or "27.4°C" (withUnit)
+    // Missing values render as the placeholder ('--' by default)
+    function formatReading(sensorId, value, options = {}) {
+        const { withUnit = false, placeholder = '--' } = options;
+        const sensor = getSensor(sensorId);
+        const num = toNumber(value);
+        if (num === null) return placeholder;
+        const text = sensor ? num.toFixed(sensor.decimals) : String(num);
+        return withUnit ? text + unitSuffix(sensorId) : text;
+    }
+
+    // Unit as shown after a value: '°C' attaches directly, other units get a space
+    function unitSuffix(sensorId) {
+        const sensor = getSensor(sensorId);
+        if (!sensor || !sensor.unit) return '';
+        return sensor.unit === '°C' ? sensor.unit : ' ' + sensor.unit;
+    }
+
+    // Column header for reports, e.g. "Avg Temperature (°C)", "Avg DO (mg/L)", "Avg pH"
+    // options.short uses shortLabel, options.prefix defaults to "Avg"
+    function columnLabel(sensorId, options = {}) {
+        const { short = false, prefix = 'Avg' } = options;
+        const sensor = getSensor(sensorId);
+        if (!sensor) return sensorId;
+        const name = short ? sensor.shortLabel : sensor.label;
+        const unit = sensor.unit ? ` (${sensor.unit})` : '';
+        return `${prefix ? prefix + ' ' : ''}${name}${unit}`;
+    }
+
+    // Read a sensor value from an RTDB payload, accepting any of its rtdbKeys
+    function readRTDBValue(sensorId, data) {
+        const sensor = getSensor(sensorId);
+        if (!sensor || !data) return null;
+        for (const key of sensor.rtdbKeys) {
+            if (data[key] !== undefined && data[key] !== null) {
+                return toNumber(data[key]);
+            }
+        }
+        return null;
+    }
+
+    // Hourly record field names for a sensor
+    function hourlyFields(sensorId) {
+        const sensor = getSensor(sensorId);
+        const prefix = sensor ? sensor.fieldPrefix : sensorId;
+        return {
+            sum: `${prefix}Sum`,
+            count: `${prefix}Count`,
+            avg: `${prefix}Avg`,
+            min: `${prefix}Min`,
+            max: `${prefix}Max`,
+            m2: `${prefix}M2`,
+            std: `${prefix}Std`,
+            rawSum: `${prefix}RawSum`,
+            rawAvg: `${prefix}RawAvg`
+        };
+    }
+
+    // Report field names for a sensor, e.g. avgTemperature / minTemperature / maxTemperature / stdTemperature
+    // samples is the number of raw readings behind the figures (needed to merge std across reports)
+    function reportStatsFields(sensorId) {
+        const sensor = getSensor(sensorId);
+        const avg = sensor ? sensor.reportField : `avg${sensorId.charAt(0).toUpperCase()}${sensorId.slice(1)}`;
+        const name = avg.replace(/^avg/, '');
+        return {
+            avg,
+            min: `min${name}`,
+            max: `max${name}`,
+            std: `std${name}`,
+            samples: `samples${name}`
+        };
+    }
+
+    // ============================================================
+    // RUNNING STATISTICS (Welford)
+    // ============================================================
+    // stats = { count, mean, m2, min, max } where m2 is the sum of squared deviations from the mean.
+    // Readings are folded in one at a time (addReading) and partial results combine exactly (mergeStats),
+    // so hour -> day -> week -> month never needs the raw readings again.
+
+    function emptyStats() {
+        return { count: 0, mean: null, m2: 0, min: null, max: null };
+    }
+
+    // Fold one reading into stats (returns a new object)
+    function addReading(stats, value) {
+        const num = toNumber(value);
+        const current = stats || emptyStats();
+        if (num === null) return current;
+
+        const count = current.count + 1;
+        const previousMean = current.count > 0 ? current.mean : 0;
+        const delta = num - previousMean;
+        const mean = previousMean + delta / count;
+        return {
+            count,
+            mean,
+            m2: current.m2 + delta * (num - mean),
+            min: current.min === null ? num : Math.min(current.min, num),
+            max: current.max === null ? num : Math.max(current.max, num)
+        };
+    }
+
+    // Combine two partial stats (Chan et al. parallel variance)
+    function mergeStats(a, b) {
+        if (!a || a.count === 0) return b || emptyStats();
+        if (!b || b.count === 0) return a;
+
+        const count = a.count + b.count;
+        const delta = b.mean - a.mean;
+        const pick = (x, y, fn) => (x === null ? y : (y === null ? x : fn(x, y)));
+        return {
+            count,
+            mean: a.mean + delta * b.count / count,
+            m2: a.m2 + b.m2 + delta * delta * a.count * b.count / count,
+            min: pick(a.min, b.min, Math.min),
+            max: pick(a.max, b.max, Math.max)
+        };
+    }
+
+    // Population standard deviation (null without readings)
+    function stdDev(stats) {
+        if (!stats || stats.count === 0) return null;
+        return Math.sqrt(Math.max(stats.m2, 0) / stats.count);
+    }
+
+    // Rebuild stats from an hours/{HH} document
+    // Older docs only carry sum/count/avg (or just avg) - min/max stay unknown and m2 is taken as 0
+    function statsFromHourly(sensorId, record) {
+        const fields = hourlyFields(sensorId);
+        if (!record) return emptyStats();
+        const avg = toNumber(record[fields.avg]);
+        let count = toNumber(record[fields.count]);
+        if (count === null) count = avg !== null ? 1 : 0;
+        if (count === 0) return emptyStats();
+
+        const sum = toNumber(record[fields.sum]);
+        const mean = avg !== null ? avg : (sum !== null ? sum / count : null);
+        if (mean === null) return emptyStats();
+        return {
+            count,
+            mean,
+            m2: toNumber(record[fields.m2]) || 0,
+            min: toNumber(record[fields.min]),
+            max: toNumber(record[fields.max])
+        };
+    }
+
+    // Rebuild stats from a daily/weekly/monthly report (m2 recovered from std and samples)
+    function statsFromReport(sensorId, report) {
+        const fields = reportStatsFields(sensorId);
+        if (!report) return emptyStats();
+        const mean = toNumber(report[fields.avg]);
+        if (mean === null) return emptyStats();
+        const samples = toNumber(report[fields.samples]);
+        const count = samples !== null && samples > 0 ? samples : 1;
+        const std = toNumber(report[fields.std]) || 0;
+        return {
+            count,
+            mean,
+            m2: std * std * count,
+            min: toNumber(report[fields.min]),
+            max: toNumber(report[fields.max])
+        };
+    }
+
+    // Hourly doc fields after folding in one reading (value may be null: existing figures are kept)
+    // rawValue is the reading before calibration (defaults to value for uncalibrated sensors)
+    function hourlyStatsUpdate(sensorId, record, value, rawValue = value) {
+        const previous = statsFromHourly(sensorId, record);
+        const stats = addReading(previous, value);
+
+        let rawSum = rawSumFromHourly(sensorId, record);
+        if (stats.count > previous.count) {
+            const raw = toNumber(rawValue);
+            rawSum += raw !== null ? raw : toNumber(value);
+        }
+
+        return hourlyStatsFields(sensorId, stats, rawSum);
+    }
+
+    // Uncalibrated sum of an hour doc
+    // Hours written before calibration existed hold raw values in sum
+    function rawSumFromHourly(sensorId, record) {
+        const storedRawSum = toNumber(record ? record[hourlyFields(sensorId).rawSum] : null);
+        if (storedRawSum !== null) return storedRawSum;
+        const stats = statsFromHourly(sensorId, record);
+        return stats.count > 0 ? stats.mean * stats.count : 0;
+    }
+
+    // Hour doc fields for running stats and their uncalibrated sum
+    // (used to write several readings at once, e.g. the ingestion worker or re-bucketed hours)
+    function hourlyStatsFields(sensorId, stats, rawSum) {
+        const fields = hourlyFields(sensorId);
+        const hasData = !!stats && stats.count > 0;
+        return {
+            [fields.sum]: hasData ? stats.mean * stats.count : 0,
+            [fields.count]: stats.count,
+            [fields.avg]: hasData ? stats.mean : null,
+            [fields.min]: stats.min,
+            [fields.max]: stats.max,
+            [fields.m2]: stats.m2,
+            [fields.std]: stdDev(stats),
+            [fields.rawSum]: rawSum,
+            [fields.rawAvg]: hasData ? rawSum / stats.count : null
+        };
+    }
+
+    // Report fields for min/max/std/samples (avg is written by each generator)
+    function reportStatsUpdate(sensorId, stats) {
+        const fields = reportStatsFields(sensorId);
+        const hasData = !!stats && stats.count > 0;
+        return {
+            [fields.min]: hasData ? stats.min : null,
+            [fields.max]: hasData ? stats.max : null,
+            [fields.std]: stdDev(stats),
+            [fields.samples]: hasData ? stats.count : 0
+        };
+    }
+
+    // ============================================================
+    // CALIBRATION
+    // ============================================================
+    // profile = { method, slope, offset, points: [{ raw, reference }], calibratedBy, calibratedAt }
+    // corrected = raw * slope + offset
+    //   offset       one reference reading (slope stays 1)
+    //   slope        slope and offset entered by hand (e.g. from a lab certificate)
+    //   two-point    line through two buffers
+    //   three-point  least-squares line through three buffers
+
+    const CALIBRATION_METHODS = Object.freeze({
+        'offset': Object.freeze({ label: 'Offset (1 reference)', points: 1 }),
+        'slope': Object.freeze({ label: 'Slope & offset (manual)', points: 0 }),
+        'two-point': Object.freeze({ label: 'Two-point buffer', points: 2 }),
+        'three-point': Object.freeze({ label: 'Three-point buffer', points: 3 })
+    });
+
+    // Fit slope/offset for a method; throws with a user-facing message on bad input
+    // points: [{ raw, reference }], manual: { slope, offset } (slope method only)
+    function fitCalibration(method, points = [], manual = {}) {
+        const spec = CALIBRATION_METHODS[method];
+        if (!spec) throw new Error(`Unknown calibration method: ${method}`);
+
+        if (method === 'slope') {
+            const slope = toNumber(manual.slope);
+            const offset = toNumber(manual.offset);
+            if (slope === null || slope === 0 || offset === null) {
+                throw new Error('Slope must be a non-zero number and offset a number');
+            }
+            return { slope, offset };
+        }
+
+        const clean = points.map(point => ({ raw: toNumber(point.raw), reference: toNumber(point.reference) }));
+        if (clean.length !== spec.points || clean.some(point => point.raw === null || point.reference === null)) {
+            throw new Error(`${spec.label} needs ${spec.points} raw/reference pair(s)`);
+        }
+
+        if (method === 'offset') {
+            return { slope: 1, offset: clean[0].reference - clean[0].raw };
+        }
+
+        const n = clean.length;
+        const meanRaw = clean.reduce((sum, point) => sum + point.raw, 0) / n;
+        const meanRef = clean.reduce((sum, point) => sum + point.reference, 0) / n;
+        let sxx = 0;
+        let sxy = 0;
+        clean.forEach(point => {
+            sxx += (point.raw - meanRaw) * (point.raw - meanRaw);
+            sxy += (point.raw - meanRaw) * (point.reference - meanRef);
+        });
+        if (sxx === 0) {
+            throw new Error('Raw readings must differ between buffers');
+        }
+        const slope = sxy / sxx;
+        if (slope === 0) {
+            throw new Error('Reference values must differ between buffers');
+        }
+        return { slope, offset: meanRef - slope * meanRaw };
+    }
+
+    // Apply a profile to a raw reading (no profile -> unchanged, missing reading -> null)
+    function applyCalibration(value, profile) {
+        const num = toNumber(value);
+        if (num === null) return null;
+        if (!profile) return num;
+        const slope = toNumber(profile.slope);
+        const offset = toNumber(profile.offset);
+        return num * (slope !== null ? slope : 1) + (offset !== null ? offset : 0);
+    }
+
+    // Calibrate a readings map keyed by sensor id
+    // profiles: { [sensorId]: profile } - returns { readings (corrected), raw }
+    function calibrateReadings(readings, profiles) {
+        const corrected = {};
+        const raw = {};
+        SENSORS.forEach(sensor => {
+            raw[sensor.id] = toNumber(readings ? readings[sensor.id] : null);
+            corrected[sensor.id] = applyCalibration(raw[sensor.id], profiles ? profiles[sensor.id] : null);
+        });
+        return { readings: corrected, raw };
+    }
+
+    // ============================================================
+    // READING VALIDATION
+    // ============================================================
+    // Runs on calibrated readings before anything is aggregated. A reading is rejected when it is
+    //   out_of_range    outside the sensor's validRange (loose wire: pH 0, temperature 85°C)
+    //   rate_of_change  changed faster than maxRatePerMinute since the last accepted reading
+    //   hampel          further than hampelThreshold robust deviations from the median of the recent window
+    // history = [{ value, ts, accepted }] oldest first - every in-range reading, accepted or not, so a real
+    // level shift becomes the new median after a few samples instead of being rejected forever.
+    // Per-user overrides live in users/{uid}.sensorValidation (same shape as VALIDATION_DEFAULTS, plus
+    // sensors: { [id]: { validRange, maxRatePerMinute, hampelMinDeviation } }).
+
+    const VALIDATION_DEFAULTS = Object.freeze({
+        enabled: true,
+        rateOfChange: true,
+        hampel: true,
+        hampelWindow: 7,
+        hampelThreshold: 3,
+        hampelMinSamples: 5
+    });
+
+    // MAD → standard deviation for normally distributed noise
+    const MAD_SCALE = 1.4826;
+
+    function median(values) {
+        if (values.length === 0) return null;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Merge defaults, per-sensor catalog settings and user overrides into one config
+    function resolveValidationConfig(overrides) {
+        const user = overrides || {};
+        const config = { ...VALIDATION_DEFAULTS };
+        Object.keys(VALIDATION_DEFAULTS).forEach(key => {
+            if (user[key] !== undefined && user[key] !== null) config[key] = user[key];
+        });
+
+        config.sensors = {};
+        SENSORS.forEach(sensor => {
+            const sensorOverrides = (user.sensors && user.sensors[sensor.id]) || {};
+            config.sensors[sensor.id] = {
+                validRange: sensorOverrides.validRange || sensor.validRange,
+                maxRatePerMinute: toNumber(sensorOverrides.maxRatePerMinute) ?? sensor.validation.maxRatePerMinute,
+                hampelMinDeviation: toNumber(sensorOverrides.hampelMinDeviation) ?? sensor.validation.hampelMinDeviation
+            };
+        });
+        return config;
+    }
+
+    // Check one reading against the recent history
+    // Returns { accepted, reason, detail } - reason/detail are null when accepted
+    function validateReading(sensorId, value, ts, history, config) {
+        const num = toNumber(value);
+        const settings = config && config.sensors ? config.sensors[sensorId] : null;
+        if (num === null || !config || !config.enabled || !settings) {
+            return { accepted: true, reason: null, detail: null };
+        }
+
+        const range = settings.validRange;
+        if (!isWithin(range, num)) {
+            return { accepted: false, reason: 'out_of_range', detail: `outside ${range.min}-${range.max}` };
+        }
+
+        const recent = history || [];
+        const lastAccepted = recent.slice().reverse().find(entry => entry.accepted);
+        if (config.rateOfChange && lastAccepted && settings.maxRatePerMinute) {
+            // at least one second apart, so back-to-back samples can't divide by zero
+            const minutes = Math.max((ts - lastAccepted.ts) / 60000, 1 / 60);
+            const rate = Math.abs(num - lastAccepted.value) / minutes;
+            if (rate > settings.maxRatePerMinute) {
+                return { accepted: false, reason: 'rate_of_change', detail: `${rate.toFixed(3)}/min > ${settings.maxRatePerMinute}/min` };
+            }
+        }
+
+        const recentValues = recent.slice(-config.hampelWindow).map(entry => entry.value);
+        if (config.hampel && recentValues.length >= config.hampelMinSamples) {
+            const center = median(recentValues);
+            const mad = median(recentValues.map(v => Math.abs(v - center))) * MAD_SCALE;
+            const scale = Math.max(mad, settings.hampelMinDeviation || 0);
+            if (scale > 0 && Math.abs(num - center) > config.hampelThreshold * scale) {
+                return { accepted: false, reason: 'hampel', detail: `median ${center}, deviation ${Math.abs(num - center).toFixed(3)} > ${config.hampelThreshold} × ${scale.toFixed(3)}` };
+            }
+        }
+
+        return { accepted: true, reason: null, detail: null };
+    }
+
+    // Append a checked reading to a history (out-of-range readings never enter it)
+    function pushValidationHistory(history, value, ts, result, config) {
+        const next = (history || []).slice();
+        if (result.reason !== 'out_of_range' && toNumber(value) !== null) {
+            next.push({ value: toNumber(value), ts, accepted: result.accepted });
+        }
+        const size = Math.max((config && config.hampelWindow) || VALIDATION_DEFAULTS.hampelWindow, 1);
+        return next.slice(-size);
+    }
+
+    // Validate a readings map keyed by sensor id
+    // histories: { [sensorId]: history } - returns { readings (rejected → null), rejected: [...], histories }
+    function validateReadings(readings, ts, histories, config) {
+        const accepted = {};
+        const rejected = [];
+        const nextHistories = {};
+        SENSORS.forEach(sensor => {
+            const value = toNumber(readings ? readings[sensor.id] : null);
+            const history = (histories && histories[sensor.id]) || [];
+            const result = validateReading(sensor.id, value, ts, history, config);
+            accepted[sensor.id] = result.accepted ? value : null;
+            if (!result.accepted) {
+                rejected.push({ sensorId: sensor.id, value, reason: result.reason, detail: result.detail });
+            }
+            nextHistories[sensor.id] = value === null ? history : pushValidationHistory(history, value, ts, result, config);
+        });
+        return { readings: accepted, rejected, histories: nextHistories };
+    }
+
+    // Grade water quality from per-sensor averages keyed by sensor id
+    // Only sensors flagged affectsWaterQuality take part; any of them missing -> Unknown
+    // Mirrors the original temperature/pH rule: all in band and no mortality -> Good
+    function gradeWaterQuality(averages, mortality) {
+        const graded = SENSORS.filter(sensor => sensor.affectsWaterQuality);
+        if (graded.some(sensor => toNumber(averages ? averages[sensor.id] : null) === null)) {
+            return { waterQuality: 'Unknown', score: null };
+        }
+
+        const allInRange = graded.every(sensor => isAcceptable(sensor.id, averages[sensor.id]));
+        const noMortality = mortality === 0;
+
+        if (allInRange && noMortality) {
+            return { waterQuality: 'Good', score: 90 };
+        } else if (mortality <= 3 || (allInRange && mortality > 0)) {
+            return { waterQuality: 'Fair', score: 70 };
+        } else {
+            return { waterQuality: 'Poor', score: 40 };
+        }
+    }
+
+    return {
+        SENSORS,
+        SENSOR_IDS,
+        getSensor,
+        toNumber,
+        isValidReading,
+        classifyReading,
+        isAcceptable,
+        formatReading,
+        unitSuffix,
+        columnLabel,
+        readRTDBValue,
+        hourlyFields,
+        reportStatsFields,
+        emptyStats,
+        addReading,
+        mergeStats,
+        stdDev,
+        statsFromHourly,
+        statsFromReport,
+        hourlyStatsUpdate,
+        rawSumFromHourly,
+        hourlyStatsFields,
+        reportStatsUpdate,
+        CALIBRATION_METHODS,
+        fitCalibration,
+        applyCalibration,
+        calibrateReadings,
+        VALIDATION_DEFAULTS,
+        resolveValidationConfig,
+        validateReading,
+        pushValidationHistory,
+        validateReadings,
+        gradeWaterQuality
+    };
+});
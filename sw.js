@@ -0,0 +1,54 @@
+// this is sw.js
+// sw.js - Service worker for browser push notifications
+// Registered by dashboard.js when the user subscribes a browser (Notification Channels card).
+// Pushes come from api/notify/channels/push.js with the JSON of pushPayload() (notification-channels.js):
+//   { title, body, type, severity, notificationId, tag, url, timestamp }
+// A click focuses an open dashboard tab (or opens one) on the notification's url.
+// Nothing is cached: the dashboard needs the network anyway.
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+    let payload = {};
+    try {
+        payload = event.data ? event.data.json() : {};
+    } catch (error) {
+        // Not JSON (a test from the browser's dev tools) - show the text as is
+        payload = { body: event.data ? event.data.text() : '' };
+    }
+
+    const title = payload.title || 'AquaSense';
+    event.waitUntil(self.registration.showNotification(title, {
+        body: payload.body || '',
+        tag: payload.tag || undefined,
+        renotify: Boolean(payload.tag),
+        // Critical alerts stay on screen until dismissed
+        requireInteraction: payload.severity === 'critical',
+        timestamp: payload.timestamp || Date.now(),
+        data: { url: payload.url || 'user-dashboard.html', notificationId: payload.notificationId || null }
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || 'user-dashboard.html', self.registration.scope).href;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const page = new URL(url).pathname;
+        const open = windows.find(client => new URL(client.url).pathname === page);
+        if (open) {
+            await open.focus();
+            // The dashboard opens the notification like a click in the bell menu
+            open.postMessage({ type: 'open-notification', notificationId: event.notification.data?.notificationId || null });
+            return;
+        }
+        await self.clients.openWindow(url);
+    })());
+});
@@ -0,0 +1,174 @@
+// this is timezone.js
+// timezone.js - Calendar bucketing in the user's timezone
+// Shared by the browser dashboard (imported as a module), the cron jobs and the export endpoints (require)
+//
+// Every calendar key is the wall clock in users/{uid}.timezone (IANA name, default Asia/Manila),
+// never the server's or the browser's own zone:
+//   hourlyRecords/{YYYY-MM-DD}/hours/{HH}, rawReadings/{YYYY-MM-DD}, quarantine date/hour
+//   dailyReports/{YYYY-MM-DD}, weeklyReports/{YYYY-Www}, monthlyReports/{YYYY-MM}
+// So the same reading lands in the same hour document whoever writes it (browser, cron, import).
+
+(function (root, factory) {
+    const timezone = factory();
+    if (typeof module === 'object' && module.exports) {
+        // Node (api/ cron jobs and export endpoints)
+        module.exports = timezone;
+    } else {
+        // Browser: dashboard.js imports this file for its side effect
+        root.AquaSenseTimezone = timezone;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    const DEFAULT_TIMEZONE = 'Asia/Manila';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Intl formatters are expensive to build - one per zone
+    const formatters = new Map();
+
+    function formatterFor(timeZone) {
+        if (!formatters.has(timeZone)) {
+            formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }));
+        }
+        return formatters.get(timeZone);
+    }
+
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    function isValidTimezone(timeZone) {
+        if (typeof timeZone !== 'string' || timeZone === '') return false;
+        try {
+            formatterFor(timeZone);
+            return true;
+        } catch (error) {
+            // RangeError: unknown zone
+            return false;
+        }
+    }
+
+    // Stored value → usable zone (missing or unknown → DEFAULT_TIMEZONE)
+    function resolveTimezone(timeZone) {
+        return isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+    }
+
+    // Wall clock of an instant in a zone: { year, month (1-12), day, hour, minute, second }
+    function zonedParts(tsMs, timeZone) {
+        const parts = {};
+        formatterFor(resolveTimezone(timeZone)).formatToParts(new Date(tsMs)).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+        });
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            // some engines print midnight as 24 even with h23
+            hour: parts.hour === 24 ? 0 : parts.hour,
+            minute: parts.minute,
+            second: parts.second
+        };
+    }
+
+    // YYYY-MM-DD of an instant in the zone
+    function dateKey(tsMs, timeZone) {
+        const p = zonedParts(tsMs, timeZone);
+        return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+    }
+
+    // HH (00-23) of an instant in the zone
+    function hourKey(tsMs, timeZone) {
+        return pad(zonedParts(tsMs, timeZone).hour);
+    }
+
+    // Hourly bucket of an instant: { date: 'YYYY-MM-DD', hour: 'HH' }
+    function bucketFor(tsMs, timeZone) {
+        const p = zonedParts(tsMs, timeZone);
+        return {
+            date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+            hour: pad(p.hour)
+        };
+    }
+
+    // YYYY-MM of an instant in the zone
+    function monthKey(tsMs, timeZone) {
+        const p = zonedParts(tsMs, timeZone);
+        return `${p.year}-${pad(p.month)}`;
+    }
+
+    // Zone offset from UTC at an instant in ms (Asia/Manila: +8h)
+    function offsetAt(tsMs, timeZone) {
+        const p = zonedParts(tsMs, timeZone);
+        const wallMs = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return wallMs - Math.floor(tsMs / 1000) * 1000;
+    }
+
+    // Instant (ms) at which a wall-clock hour starts in the zone
+    // zonedTimeToUtc('2024-06-20', 14, 'Asia/Manila') → 2024-06-20T06:00:00Z
+    // The second pass settles hours next to a DST change
+    function zonedTimeToUtc(dateStr, hour, timeZone) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const wallMs = Date.UTC(year, month - 1, day, hour || 0);
+        const firstGuess = wallMs - offsetAt(wallMs, timeZone);
+        return wallMs - offsetAt(firstGuess, timeZone);
+    }
+
+    // Calendar arithmetic on YYYY-MM-DD keys (zone-independent)
+    function addDays(dateStr, days) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+    }
+
+    // YYYY-MM shifted by whole months
+    function addMonths(monthStr, months) {
+        const [year, month] = monthStr.split('-').map(Number);
+        const shifted = new Date(Date.UTC(year, month - 1 + months, 1));
+        return `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}`;
+    }
+
+    // ISO week key (YYYY-Www, Monday-Sunday, week 1 contains Jan 4) of a date key
+    function isoWeekKey(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        const weekday = date.getUTCDay() || 7;
+        // Thursday of the same week decides the ISO year
+        date.setUTCDate(date.getUTCDate() + 4 - weekday);
+        const isoYear = date.getUTCFullYear();
+        const week = Math.ceil(((date - Date.UTC(isoYear, 0, 1)) / DAY_MS + 1) / 7);
+        return `${isoYear}-W${pad(week)}`;
+    }
+
+    // Calendar-only Date for code written against local getters (getFullYear/getMonth/getDate/getHours/getDay):
+    // a browser-local Date whose wall clock equals the zone's wall clock at tsMs.
+    // Read its getters only - its getTime() is not the original instant.
+    function toZonedDate(tsMs, timeZone) {
+        const p = zonedParts(tsMs, timeZone);
+        return new Date(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    }
+
+    return {
+        DEFAULT_TIMEZONE,
+        isValidTimezone,
+        resolveTimezone,
+        zonedParts,
+        dateKey,
+        hourKey,
+        bucketFor,
+        monthKey,
+        offsetAt,
+        zonedTimeToUtc,
+        addDays,
+        addMonths,
+        isoWeekKey,
+        toZonedDate
+    };
+});